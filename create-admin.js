@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Admin = require('./models/Admin');
+
+// Load environment variables
+dotenv.config();
+
+// Usage: npm run create-admin -- <email> <name> <password>
+// Arguments fall back to ADMIN_EMAIL, ADMIN_NAME and ADMIN_PASSWORD so the password can stay out of shell history.
+const [email = process.env.ADMIN_EMAIL, name = process.env.ADMIN_NAME, password = process.env.ADMIN_PASSWORD] = process.argv.slice(2);
+
+const createAdmin = async () => {
+  if (!email || !name || !password) {
+    console.error('Usage: npm run create-admin -- <email> <name> <password>');
+    console.error('(or set ADMIN_EMAIL, ADMIN_NAME and ADMIN_PASSWORD)');
+    return 1;
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+
+  try {
+    if (await Admin.exists({ email: email.trim().toLowerCase() })) {
+      console.error(`An admin with email ${email} already exists`);
+      return 1;
+    }
+
+    const admin = await Admin.create({ name, email, password });
+    console.log(`Created admin ${admin.email} (${admin._id})`);
+    return 0;
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      Object.values(error.errors).forEach(e => console.error(e.message));
+      return 1;
+    }
+    throw error;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+createAdmin()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('Creating admin failed:', error.message);
+    process.exit(1);
+  });
@@ -56,7 +56,120 @@ const swaggerDefinition = {
           },
         },
       },
+      // Tokens issued by POST /api/v1/auth/refresh
+      AuthTokens: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            example: true,
+          },
+          message: {
+            type: 'string',
+            example: 'Token refreshed',
+          },
+          role: {
+            type: 'string',
+            enum: ['customer', 'retailer', 'admin'],
+            example: 'customer',
+          },
+          token: {
+            type: 'string',
+            description: 'JWT access token, valid for 15 minutes by default (JWT_EXPIRY)',
+            example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...',
+          },
+          refreshToken: {
+            type: 'string',
+            description: 'Replacement refresh token; the one sent in the request can no longer be used',
+            example: '3f9c0d1e...',
+          },
+          refreshTokenExpiresAt: {
+            type: 'string',
+            format: 'date-time',
+            example: '2025-06-30T10:00:00.000Z',
+          },
+        },
+      },
+      // Verification state of a customer or retailer account
+      VerificationStatus: {
+        type: 'object',
+        properties: {
+          isVerified: {
+            type: 'boolean',
+            description: 'True once the email, and the phone number if one is on file, are verified. Needed to place orders (customers) and list products (retailers).',
+            example: false,
+          },
+          email: {
+            type: 'object',
+            properties: {
+              address: {
+                type: 'string',
+                example: 'john.doe@example.com',
+              },
+              verified: {
+                type: 'boolean',
+                example: true,
+              },
+            },
+          },
+          phone: {
+            type: 'object',
+            nullable: true,
+            properties: {
+              number: {
+                type: 'string',
+                example: '+1234567890',
+              },
+              verified: {
+                type: 'boolean',
+                example: false,
+              },
+            },
+          },
+          pending: {
+            type: 'array',
+            description: 'Channels still to verify',
+            items: {
+              type: 'string',
+              enum: ['email', 'phone'],
+            },
+            example: ['phone'],
+          },
+        },
+      },
       // GeoJSON Point representation
+      // Onboarding review state of a retailer's store
+      RetailerReviewStatus: {
+        type: 'object',
+        properties: {
+          status: {
+            type: 'string',
+            enum: ['pending_review', 'approved', 'rejected', 'suspended'],
+            example: 'pending_review',
+          },
+          isListed: {
+            type: 'boolean',
+            description: 'Whether customers can find the store and order from it (approved stores only)',
+            example: false,
+          },
+          message: {
+            type: 'string',
+            example: 'Your store is waiting for review by NearMart. Customers will see it once it is approved',
+          },
+          reviewedAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true,
+            example: null,
+          },
+          reason: {
+            type: 'string',
+            nullable: true,
+            description: 'Reason given by the reviewer, e.g. why the store was rejected',
+            example: null,
+          },
+        },
+      },
       GeoJSONPoint: {
         type: 'object',
         properties: {
@@ -95,17 +208,84 @@ const swaggerDefinition = {
           },
           state: {
             type: 'string',
-            description: 'State/province',
+            description: 'State/province. Known state names are stored as their standard abbreviation',
             example: 'NY',
           },
           zipCode: {
             type: 'string',
-            description: 'Postal/ZIP code',
+            description: 'Postal/ZIP code, checked against the format of the country',
             example: '11201',
           },
+          country: {
+            type: 'string',
+            description: 'ISO 3166-1 alpha-2 country code. Stored only when given; without it the postal code is checked against the countries of the state',
+            example: 'US',
+          },
         },
         required: ['street', 'city', 'state', 'zipCode'],
       },
+      // Address book entry of a customer
+      SavedAddress: {
+        type: 'object',
+        properties: {
+          _id: {
+            type: 'string',
+            description: 'Address ID, used as addressId when ordering or searching stores',
+            example: '60a1e2c7d32f1e2b3c4d5f10',
+          },
+          label: {
+            type: 'string',
+            maxLength: 50,
+            example: 'Office',
+          },
+          street: {
+            type: 'string',
+            example: '350 Jay St',
+          },
+          city: {
+            type: 'string',
+            example: 'Brooklyn',
+          },
+          state: {
+            type: 'string',
+            example: 'NY',
+          },
+          zipCode: {
+            type: 'string',
+            example: '11201',
+          },
+          country: {
+            type: 'string',
+            example: 'US',
+          },
+          location: {
+            $ref: '#/components/schemas/GeoJSONPoint',
+          },
+          deliveryInstructions: {
+            type: 'string',
+            maxLength: 500,
+            example: 'Reception on the 3rd floor',
+          },
+          isDefault: {
+            type: 'boolean',
+            description: 'Used for orders, the cart and store search when no address is chosen',
+            example: false,
+          },
+          addressVerification: {
+            type: 'object',
+            properties: {
+              confidence: {
+                type: 'number',
+                example: 0.95,
+              },
+              needsReview: {
+                type: 'boolean',
+                example: false,
+              },
+            },
+          },
+        },
+      },
       // Customer schema
       Customer: {
         type: 'object',
@@ -268,7 +448,391 @@ const swaggerDefinition = {
           },
         },
       },
+      // Retailer delivery settings schema
+      DeliverySettings: {
+        type: 'object',
+        properties: {
+          radiusKm: {
+            type: 'number',
+            minimum: 0.1,
+            description: 'Maximum delivery distance in kilometres',
+            example: 10,
+          },
+          baseFee: {
+            type: 'number',
+            minimum: 0,
+            description: 'Fixed part of the delivery fee',
+            example: 3.5,
+          },
+          perKmFee: {
+            type: 'number',
+            minimum: 0,
+            description: 'Added to the base fee for every kilometre of distance',
+            example: 0.4,
+          },
+          freeDeliveryThreshold: {
+            type: 'number',
+            minimum: 0,
+            nullable: true,
+            description: 'Order subtotal after discounts from which delivery is free (null = never free)',
+            example: 50,
+          },
+        },
+      },
+      // Store opening interval schema
+      OpeningInterval: {
+        type: 'object',
+        required: ['day', 'open', 'close'],
+        properties: {
+          day: {
+            type: 'integer',
+            minimum: 0,
+            maximum: 6,
+            description: 'Day of week, 0 = Sunday',
+            example: 1,
+          },
+          open: {
+            type: 'string',
+            description: 'Opening time (HH:MM, store time zone)',
+            example: '09:00',
+          },
+          close: {
+            type: 'string',
+            description: 'Closing time (HH:MM, 24:00 for midnight); must be after the opening time',
+            example: '17:30',
+          },
+        },
+      },
+      // Store delivery slot schema (weekly template)
+      DeliverySlot: {
+        type: 'object',
+        required: ['day', 'start', 'end', 'capacity'],
+        properties: {
+          day: {
+            type: 'integer',
+            minimum: 0,
+            maximum: 6,
+            description: 'Day of week, 0 = Sunday',
+            example: 2,
+          },
+          start: {
+            type: 'string',
+            description: 'Window start (HH:MM, store time zone)',
+            example: '14:00',
+          },
+          end: {
+            type: 'string',
+            description: 'Window end (HH:MM); must be after the start',
+            example: '16:00',
+          },
+          capacity: {
+            type: 'integer',
+            minimum: 1,
+            description: 'Maximum number of orders delivered in this window',
+            example: 10,
+          },
+        },
+      },
+      // Pickup details of a click-and-collect order
+      PickupDetails: {
+        type: 'object',
+        properties: {
+          code: {
+            type: 'string',
+            description: 'Code the customer gives at the store; the retailer enters it to hand the order over',
+            example: 'K7PX3M',
+          },
+          qrPayload: {
+            type: 'string',
+            description: 'Text to encode in a QR code for the store to scan',
+            example: 'nearmart:pickup:NM-250514-0042:K7PX3M',
+          },
+          readyAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true,
+            example: '2023-05-15T12:00:00.000Z',
+          },
+          pickedUpAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true,
+            example: null,
+          },
+        },
+      },
+      // Store closure (holiday) schema
+      Closure: {
+        type: 'object',
+        required: ['from', 'to'],
+        properties: {
+          from: {
+            type: 'string',
+            description: 'First closed day (YYYY-MM-DD, store time zone)',
+            example: '2023-12-24',
+          },
+          to: {
+            type: 'string',
+            description: 'Last closed day, inclusive',
+            example: '2023-12-26',
+          },
+          reason: {
+            type: 'string',
+            example: 'Christmas',
+          },
+        },
+      },
+      // Coupon schema
+      Coupon: {
+        type: 'object',
+        properties: {
+          _id: {
+            type: 'string',
+            description: 'Coupon ID',
+            example: '60a1e2c7d32f1e2b3c4d5e9a',
+          },
+          code: {
+            type: 'string',
+            description: 'Unique coupon code (stored uppercase)',
+            example: 'SPRING10',
+          },
+          description: {
+            type: 'string',
+            description: 'Coupon description',
+            example: '10% off spring produce',
+          },
+          discountType: {
+            type: 'string',
+            enum: ['percentage', 'flat'],
+            description: 'Whether the discount is a percentage of the subtotal or a flat amount',
+            example: 'percentage',
+          },
+          discountValue: {
+            type: 'number',
+            description: 'Percentage (0-100) or flat amount',
+            example: 10,
+          },
+          maxDiscount: {
+            type: 'number',
+            description: 'Maximum amount a percentage coupon can take off',
+            example: 15,
+          },
+          minSubtotal: {
+            type: 'number',
+            description: 'Minimum cart subtotal required',
+            example: 25,
+          },
+          usageLimit: {
+            type: 'integer',
+            nullable: true,
+            description: 'Total redemptions allowed (null for unlimited)',
+            example: 100,
+          },
+          perCustomerLimit: {
+            type: 'integer',
+            nullable: true,
+            description: 'Redemptions allowed per customer (null for unlimited)',
+            example: 1,
+          },
+          usedCount: {
+            type: 'integer',
+            description: 'Number of times the coupon has been redeemed',
+            example: 12,
+          },
+          startsAt: {
+            type: 'string',
+            format: 'date-time',
+            example: '2023-05-01T00:00:00.000Z',
+          },
+          expiresAt: {
+            type: 'string',
+            format: 'date-time',
+            example: '2023-06-01T00:00:00.000Z',
+          },
+          retailer: {
+            type: 'string',
+            nullable: true,
+            description: 'Retailer the coupon is scoped to (null for platform-wide coupons)',
+            example: '60a1e2c7d32f1e2b3c4d5e6f',
+          },
+          isActive: {
+            type: 'boolean',
+            example: true,
+          },
+        },
+      },
+      // Coupon fields accepted when creating or updating a coupon
+      CouponInput: {
+        type: 'object',
+        properties: {
+          code: {
+            type: 'string',
+            description: 'Ignored on update; codes cannot be changed',
+            example: 'SPRING10',
+          },
+          description: {
+            type: 'string',
+            example: '10% off spring produce',
+          },
+          discountType: {
+            type: 'string',
+            enum: ['percentage', 'flat'],
+            example: 'percentage',
+          },
+          discountValue: {
+            type: 'number',
+            example: 10,
+          },
+          maxDiscount: {
+            type: 'number',
+            example: 15,
+          },
+          minSubtotal: {
+            type: 'number',
+            example: 25,
+          },
+          usageLimit: {
+            type: 'integer',
+            nullable: true,
+            example: 100,
+          },
+          perCustomerLimit: {
+            type: 'integer',
+            nullable: true,
+            example: 1,
+          },
+          startsAt: {
+            type: 'string',
+            format: 'date-time',
+          },
+          expiresAt: {
+            type: 'string',
+            format: 'date-time',
+          },
+        },
+      },
+      // Cart change schema (difference found when re-pricing a cart)
+      CartChange: {
+        type: 'object',
+        properties: {
+          product: {
+            type: 'string',
+            description: 'ID of the affected product',
+            example: '60a1e2c7d32f1e2b3c4d5e7f',
+          },
+          productName: {
+            type: 'string',
+            example: 'Organic Apples',
+          },
+          type: {
+            type: 'string',
+            enum: ['price_increased', 'price_decreased', 'unavailable', 'quantity_reduced'],
+            description: 'Kind of change; unavailable items are removed from the cart',
+            example: 'price_increased',
+          },
+          oldPrice: {
+            type: 'number',
+            example: 2.99,
+          },
+          newPrice: {
+            type: 'number',
+            example: 3.49,
+          },
+          oldQuantity: {
+            type: 'integer',
+            description: 'Set for unavailable and quantity_reduced changes',
+            example: 5,
+          },
+          newQuantity: {
+            type: 'integer',
+            description: 'Quantity left in the cart (the available stock)',
+            example: 3,
+          },
+          detectedAt: {
+            type: 'string',
+            format: 'date-time',
+            example: '2023-05-15T10:30:00.000Z',
+          },
+        },
+      },
       // Error response schema
+      // Customer or retailer as listed by the admin API
+      AdminAccount: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            example: '60a1e2c7d32f1e2b3c4d5e6f',
+          },
+          name: {
+            type: 'string',
+            example: 'John Doe',
+          },
+          email: {
+            type: 'string',
+            example: 'john.doe@example.com',
+          },
+          phone: {
+            type: 'string',
+            example: '+1234567890',
+          },
+          storeName: {
+            type: 'string',
+            description: 'Retailers only',
+            example: 'Fresh Mart',
+          },
+          status: {
+            type: 'string',
+            enum: ['pending_review', 'approved', 'rejected', 'suspended'],
+            description: 'Retailers only',
+            example: 'approved',
+          },
+          review: {
+            type: 'object',
+            description: 'Retailers only; the latest approval or rejection',
+            properties: {
+              reviewedAt: {
+                type: 'string',
+                format: 'date-time',
+              },
+              reviewedBy: {
+                type: 'string',
+              },
+              reason: {
+                type: 'string',
+              },
+            },
+          },
+          address: {
+            $ref: '#/components/schemas/Address',
+          },
+          addressNeedsReview: {
+            type: 'boolean',
+            description: 'The geocoder was not confident about the address location',
+            example: false,
+          },
+          isVerified: {
+            type: 'boolean',
+            example: true,
+          },
+          isSuspended: {
+            type: 'boolean',
+            example: false,
+          },
+          suspendedAt: {
+            type: 'string',
+            format: 'date-time',
+          },
+          suspensionReason: {
+            type: 'string',
+            example: 'Repeated chargebacks',
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time',
+          },
+        },
+      },
       Error: {
         type: 'object',
         properties: {
@@ -290,6 +854,63 @@ const swaggerDefinition = {
         },
       },
     },
+    parameters: {
+      AdminAccountSearch: {
+        in: 'query',
+        name: 'q',
+        schema: { type: 'string' },
+        description: 'Case-insensitive search on name, email and phone (and store name for retailers)',
+      },
+      AdminSuspendedFilter: {
+        in: 'query',
+        name: 'suspended',
+        schema: { type: 'boolean' },
+        description: 'Only suspended (true) or active (false) accounts',
+      },
+      AdminVerifiedFilter: {
+        in: 'query',
+        name: 'verified',
+        schema: { type: 'boolean' },
+        description: 'Only verified (true) or unverified (false) accounts',
+      },
+      AdminNeedsReviewFilter: {
+        in: 'query',
+        name: 'needsReview',
+        schema: { type: 'boolean' },
+        description: 'Only accounts whose address was flagged for manual review by the geocoder',
+      },
+      AdminPage: {
+        in: 'query',
+        name: 'page',
+        schema: { type: 'integer', default: 1 },
+      },
+      AdminLimit: {
+        in: 'query',
+        name: 'limit',
+        schema: { type: 'integer', default: 20, maximum: 100 },
+      },
+    },
+    requestBodies: {
+      // Body of admin actions that must be justified in the audit log
+      AdminReason: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['reason'],
+              properties: {
+                reason: {
+                  type: 'string',
+                  description: 'Why the action was taken; stored in the audit log',
+                  example: 'Repeated chargebacks',
+                },
+              },
+            },
+          },
+        },
+      },
+    },
   },
   // Global security - applied to all endpoints that don't override it
   security: [
@@ -299,6 +920,10 @@ const swaggerDefinition = {
   ],
   // Tags for API categorization
   tags: [
+    {
+      name: 'Authentication',
+      description: 'Token refresh, logout, password reset and account verification for customers and retailers',
+    },
     {
       name: 'Customer Authentication',
       description: 'Customer signup and login endpoints',
@@ -331,6 +956,14 @@ const swaggerDefinition = {
       name: 'Stores',
       description: 'Store discovery and information',
     },
+    {
+      name: 'Coupons',
+      description: 'Retailer coupon management',
+    },
+    {
+      name: 'Admin',
+      description: 'Platform administration: store reviews, account and product moderation, order intervention, platform-wide coupons, metrics and audit log',
+    },
   ],
 };
 
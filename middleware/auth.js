@@ -1,11 +1,15 @@
 const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
+const { getUserModel } = require('../utils/authTokens');
 
 /**
  * Authentication middleware
  * 
  * Extracts JWT token from the Authorization header,
  * verifies it, and attaches the user data to the request.
+ * Tokens issued before the account's tokenVersion was last
+ * bumped (log out everywhere) are rejected as revoked, and
+ * deactivated accounts are turned away.
  * 
  * @param {Array} roles - Array of allowed roles for this route
  */
@@ -15,7 +19,7 @@ const auth = (roles = []) => {
     roles = [roles];
   }
 
-  return (req, res, next) => {
+  return async (req, res, next) => {
     try {
       // Get token from Authorization header
       const authHeader = req.header('Authorization');
@@ -41,8 +45,27 @@ const auth = (roles = []) => {
         });
       }
 
+      // Check the token has not been revoked since it was issued
+      const User = getUserModel(decoded.role);
+      const user = User && await User.findById(decoded.id).select('tokenVersion isVerified isActive').lean();
+      if (!user || (user.tokenVersion || 0) !== (decoded.tv || 0)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Token has been revoked'
+        });
+      }
+
+      // Check the account has not been deactivated since the token was issued
+      // (suspension already bumps tokenVersion, deactivation is set directly on the account)
+      if (user.isActive === false) {
+        return res.status(403).json({
+          success: false,
+          message: 'This account has been deactivated'
+        });
+      }
+
       // Attach user info to request object
-      req.user = decoded;
+      req.user = { ...decoded, isVerified: Boolean(user.isVerified) };
       next();
     } catch (error) {
       if (error.name === 'TokenExpiredError') {
@@ -89,6 +112,21 @@ const isRetailer = auth('retailer');
  */
 const isAdmin = auth('admin');
 
+/**
+ * Middleware for routes that need a verified account
+ * Use after one of the role middlewares above, which load the verification state.
+ */
+const requireVerified = (req, res, next) => {
+  if (!req.user || !req.user.isVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address and phone number first',
+      verificationRequired: true
+    });
+  }
+  next();
+};
+
 /**
  * Rate limiting middleware for API protection
  * Default: 100 requests per 15 minutes
@@ -116,5 +154,6 @@ module.exports = {
   isCustomer,
   isRetailer,
   isAdmin,
+  requireVerified,
   apiRateLimit
 };
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+/**
+ * Build a stable hash of a request body
+ * Object keys are sorted so the same payload always hashes the same way
+ * 
+ * @param {*} value - Parsed request body
+ * @returns {String} - SHA-256 hex digest
+ */
+const hashBody = (value) => {
+  const canonicalize = (input) => {
+    if (Array.isArray(input)) {
+      return input.map(canonicalize);
+    }
+    if (input && typeof input === 'object') {
+      return Object.keys(input).sort().reduce((result, key) => {
+        result[key] = canonicalize(input[key]);
+        return result;
+      }, {});
+    }
+    return input;
+  };
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(canonicalize(value || {})))
+    .digest('hex');
+};
+
+// Insert the record of a new key; null when the key has been seen before
+const createRecord = async (fields) => {
+  try {
+    return await IdempotencyKey.create(fields);
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Idempotency middleware
+ * 
+ * Reads the optional `Idempotency-Key` header on authenticated routes.
+ * The first request with a key runs normally and its successful response is stored.
+ * Retries with the same key and body replay the stored response instead of running the handler again.
+ * Reusing a key with a different body, or while the first request is still running, returns 409.
+ * A key whose request never finished (e.g. the process crashed) is handed to a retry once it is stale.
+ * Failed responses, and responses not sent with res.json, are not stored so the client can retry with the same key.
+ * 
+ * Must be placed after an auth middleware that sets req.user.
+ */
+const idempotency = () => {
+  return async (req, res, next) => {
+    // Stored trimmed, so it must be looked up trimmed too
+    const key = (req.header('Idempotency-Key') || '').trim();
+
+    // The header is optional
+    if (!key) {
+      return next();
+    }
+
+    if (key.length > 255) {
+      return res.status(400).json({
+        success: false,
+        message: 'Idempotency-Key must be at most 255 characters'
+      });
+    }
+
+    const endpoint = `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`;
+    const requestHash = hashBody(req.body);
+
+    try {
+      const fields = { key, user: req.user.id, endpoint, requestHash };
+      let record = await createRecord(fields);
+
+      if (!record) {
+        // Key has been seen before
+        const existing = await IdempotencyKey.findOne({ user: req.user.id, endpoint, key });
+
+        if (!existing) {
+          // Expired between the insert attempt and the lookup; let the client retry
+          return res.status(409).json({
+            success: false,
+            message: 'Idempotency key conflict, please retry'
+          });
+        }
+
+        if (existing.requestHash !== requestHash) {
+          return res.status(409).json({
+            success: false,
+            message: 'Idempotency-Key has already been used with a different request body'
+          });
+        }
+
+        if (existing.status === 'in_progress') {
+          // Take over a key abandoned by a request that never finished; another retry may win the race
+          if (existing.isStale() && await IdempotencyKey.releaseStale(existing)) {
+            record = await createRecord(fields);
+          }
+
+          if (!record) {
+            return res.status(409).json({
+              success: false,
+              message: 'A request with this Idempotency-Key is still being processed'
+            });
+          }
+        } else {
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(existing.responseStatus).json(existing.responseBody);
+        }
+      }
+
+      let finalised = false;
+
+      // Store a successful response so it can be replayed later; otherwise release the key so the client can retry
+      const finalise = async (body) => {
+        finalised = true;
+
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          await IdempotencyKey.updateOne(
+            { _id: record._id },
+            {
+              status: 'completed',
+              responseStatus: res.statusCode,
+              // Store plain JSON, not mongoose documents
+              responseBody: JSON.parse(JSON.stringify(body))
+            }
+          );
+        } else {
+          await IdempotencyKey.deleteOne({ _id: record._id });
+        }
+      };
+
+      // The record is written before the response goes out, so a quick retry is replayed
+      // instead of being told the request is still being processed
+      const originalJson = res.json.bind(res);
+      res.json = (body) => {
+        finalise(body)
+          .catch(error => console.error('Idempotency key update error:', error))
+          .then(() => originalJson(body))
+          .catch(error => console.error('Idempotency response error:', error));
+        return res;
+      };
+
+      // A response sent some other way (res.send, res.end) cannot be replayed; release the key once it
+      // has gone out so retries are not stuck behind an in-progress record until it expires
+      res.on('close', () => {
+        if (!finalised && res.writableEnded) {
+          IdempotencyKey.deleteOne({ _id: record._id })
+            .catch(error => console.error('Idempotency key release error:', error));
+        }
+      });
+
+      next();
+    } catch (error) {
+      console.error('Idempotency middleware error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  };
+};
+
+module.exports = {
+  idempotency,
+  hashBody
+};
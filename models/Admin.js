@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+// Define the Admin schema: platform staff who moderate accounts, products and orders
+// There is no signup; admins are created with `npm run create-admin`.
+const AdminSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email address']
+  },
+  password: {
+    type: String,
+    required: [true, 'Password is required'],
+    minlength: [10, 'Admin passwords must be at least 10 characters long'],
+    select: false // Don't include password in query results by default
+  },
+  // Incremented to revoke every access token issued so far (see middleware/auth.js)
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Deactivated admins cannot log in
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: {
+    type: Date
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Hash password before saving
+AdminSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+
+  try {
+    const salt = await bcrypt.genSalt(12);
+    this.password = await bcrypt.hash(this.password, salt);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Method to check if entered password is correct
+AdminSchema.methods.matchPassword = async function(enteredPassword) {
+  return await bcrypt.compare(enteredPassword, this.password);
+};
+
+// Method to generate a short-lived JWT access token; sessions are extended with refresh tokens
+AdminSchema.methods.generateAuthToken = function() {
+  return jwt.sign(
+    {
+      id: this._id,
+      role: 'admin',
+      email: this.email,
+      tv: this.tokenVersion || 0
+    },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.JWT_EXPIRY || '15m'
+    }
+  );
+};
+
+module.exports = mongoose.model('Admin', AdminSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Define the AuditLog schema: one append-only record per admin action
+const AuditLogSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  // What was done, as '<target type>.<verb>', e.g. 'customer.suspend' or 'order.cancel'
+  action: {
+    type: String,
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['admin', 'customer', 'retailer', 'product', 'order', 'coupon'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  // Action-specific context, e.g. the previous status of a cancelled order
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+AuditLogSchema.index({ admin: 1, createdAt: -1 });
+
+// Audit records are never changed after they are written
+AuditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries cannot be modified'));
+  }
+  next();
+});
+
+// Static method to record an action taken by the admin of the request
+// entry.admin is only needed before the request is authenticated (admin login).
+AuditLogSchema.statics.record = function(req, entry) {
+  return this.create({
+    admin: req.user && req.user.id,
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    ...entry
+  });
+};
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
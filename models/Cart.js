@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { calculateTax, isTaxInclusive } = require('../utils/tax');
+const { calculateDeliveryFee, getDeliveryRange } = require('../utils/delivery');
 
 // Define cart item schema (sub-document)
 const CartItemSchema = new mongoose.Schema({
@@ -31,6 +33,10 @@ const CartItemSchema = new mongoose.Schema({
   productImage: {
     type: String
   },
+  // Used to pick the tax rate
+  category: {
+    type: String
+  },
   retailerId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Retailer',
@@ -38,6 +44,32 @@ const CartItemSchema = new mongoose.Schema({
   }
 }, { _id: true });
 
+// Define price change schema (sub-document) for differences found when re-pricing the cart
+const CartChangeSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['price_increased', 'price_decreased', 'unavailable', 'quantity_reduced']
+  },
+  oldPrice: Number,
+  newPrice: Number,
+  oldQuantity: Number,
+  newQuantity: Number,
+  detectedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 // Define the main Cart schema
 const CartSchema = new mongoose.Schema({
   customer: {
@@ -46,21 +78,25 @@ const CartSchema = new mongoose.Schema({
     required: [true, 'Cart must belong to a customer'],
     unique: true // Each customer can only have one active cart
   },
-  retailer: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Retailer'
-  },
   items: [CartItemSchema],
   // Optional fields
   couponCode: {
     type: String,
     trim: true
   },
+  // Retailer the applied coupon is scoped to (null for platform-wide coupons)
+  couponRetailer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Retailer',
+    default: null
+  },
   discount: {
     type: Number,
     default: 0,
     min: 0
-  }
+  },
+  // Changes found by reprice() that the customer has not acknowledged yet
+  pendingChanges: [CartChangeSchema]
 }, {
   timestamps: true // Adds createdAt and updatedAt fields
 });
@@ -72,22 +108,95 @@ CartSchema.virtual('subtotal').get(function() {
   }, 0);
 });
 
-// Virtual field for tax amount (10% by default, configurable via env)
+// Virtual field for tax amount (see utils/tax.js for how rates are configured)
+// Uses the address set with setTaxAddress() and the default rates otherwise. Taxed per retailer
+// group on the group's share of the discount, the same way checkout taxes each sub-order.
 CartSchema.virtual('tax').get(function() {
-  const taxRate = process.env.TAX_RATE || 0.1; // Default 10%
-  return Math.round((this.subtotal - this.discount) * taxRate * 100) / 100;
+  const tax = this.retailerGroups.reduce((total, group) => total + calculateTax(group.items, {
+    address: this.$locals.taxAddress,
+    discount: group.discount
+  }).tax, 0);
+  return Math.round(tax * 100) / 100;
 });
 
-// Virtual field for delivery fee
+// Split the cart-level discount across retailer groups
+// Retailer-scoped coupons go entirely to that retailer's sub-order; platform-wide coupons are
+// prorated by subtotal, with the rounding remainder on the last group so the shares add up.
+const allocateDiscount = (groups, couponRetailer, discount) => {
+  if (!discount) {
+    return groups.map(() => 0);
+  }
+  
+  if (couponRetailer) {
+    return groups.map(group =>
+      group.retailer.toString() === couponRetailer.toString() ? discount : 0
+    );
+  }
+  
+  const subtotal = groups.reduce((total, group) => total + group.subtotal, 0);
+  let remaining = discount;
+  
+  return groups.map((group, index) => {
+    if (index === groups.length - 1) {
+      return Math.round(remaining * 100) / 100;
+    }
+    const share = Math.round((discount * group.subtotal / subtotal) * 100) / 100;
+    remaining -= share;
+    return share;
+  });
+};
+
+// Virtual field grouping cart items per retailer, one group per future sub-order
+// Delivery fees use the quotes loaded by quoteDelivery(); until then the default settings apply.
+// The free-delivery threshold is checked against each group's subtotal after its share of the discount.
+CartSchema.virtual('retailerGroups').get(function() {
+  const groups = new Map();
+  const quotes = this.$locals.deliveryQuotes || new Map();
+  
+  for (const item of this.items) {
+    const retailerId = item.retailerId.toString();
+    
+    if (!groups.has(retailerId)) {
+      const quote = quotes.get(retailerId);
+      groups.set(retailerId, {
+        retailer: item.retailerId,
+        items: [],
+        subtotal: 0,
+        distanceKm: quote ? quote.distanceKm : null,
+        radiusKm: quote ? quote.radiusKm : null,
+        isWithinRadius: quote ? quote.isWithinRadius : null,
+        deliverySettings: quote ? quote.deliverySettings : undefined
+      });
+    }
+    
+    const group = groups.get(retailerId);
+    group.items.push(item);
+    group.subtotal += item.price * item.quantity;
+  }
+  
+  const retailerGroups = [...groups.values()];
+  const discounts = allocateDiscount(retailerGroups, this.couponRetailer, this.discount);
+  
+  return retailerGroups.map((group, index) => {
+    group.discount = discounts[index];
+    group.deliveryFee = calculateDeliveryFee(group.deliverySettings, group.distanceKm, group.subtotal - group.discount);
+    delete group.deliverySettings;
+    return group;
+  });
+});
+
+// Virtual field for delivery fee (each retailer delivers its own sub-order)
 CartSchema.virtual('deliveryFee').get(function() {
-  return parseFloat(process.env.STANDARD_DELIVERY_FEE || 5.00);
+  return this.retailerGroups.reduce((total, group) => total + group.deliveryFee, 0);
 });
 
 // Virtual field for cart total (with discount, tax, and delivery fee applied)
 CartSchema.virtual('total').get(function() {
   const subtotal = this.subtotal;
   const discountedSubtotal = subtotal - this.discount;
-  return discountedSubtotal + this.tax + this.deliveryFee;
+  // Tax-inclusive prices already contain the tax
+  const tax = isTaxInclusive() ? 0 : this.tax;
+  return Math.round((discountedSubtotal + tax + this.deliveryFee) * 100) / 100;
 });
 
 // Virtual field for item count
@@ -118,8 +227,9 @@ CartSchema.methods.addItem = async function(productId, quantity = 1) {
   if (existingItemIndex > -1) {
     // Update existing item quantity
     this.items[existingItemIndex].quantity += quantity;
-    // Update price in case it changed
+    // Update price and category in case they changed
     this.items[existingItemIndex].price = product.price;
+    this.items[existingItemIndex].category = product.category;
   } else {
     // Add new item to cart
     this.items.push({
@@ -128,13 +238,10 @@ CartSchema.methods.addItem = async function(productId, quantity = 1) {
       price: product.price,
       productName: product.name,
       productImage: product.images && product.images.length > 0 ? product.images[0] : '',
+      category: product.category,
       retailerId: product.retailer
     });
-    
-    // Set the retailer for the cart if not already set
-    if (!this.retailer) {
-      this.retailer = product.retailer;
-    }
+
   }
   
   return this.save();
@@ -185,6 +292,26 @@ CartSchema.methods.clearCart = function() {
   this.items = [];
   this.discount = 0;
   this.couponCode = null;
+  this.couponRetailer = null;
+  this.pendingChanges = [];
+  
+  return this.save();
+};
+
+// Method to apply an already validated coupon to the cart
+CartSchema.methods.applyCoupon = function(coupon) {
+  this.couponCode = coupon.code;
+  this.couponRetailer = coupon.retailer || null;
+  this.discount = coupon.calculateDiscount(coupon.getApplicableSubtotal(this.items));
+  
+  return this.save();
+};
+
+// Method to remove the applied coupon from the cart
+CartSchema.methods.removeCoupon = function() {
+  this.couponCode = null;
+  this.couponRetailer = null;
+  this.discount = 0;
   
   return this.save();
 };
@@ -214,29 +341,160 @@ CartSchema.methods.verifyAvailability = async function() {
   };
 };
 
-// Pre-save middleware to validate all items are from the same retailer
-CartSchema.pre('save', function(next) {
+// Method to re-price the cart against the current product documents
+// Prices and names are refreshed, quantities are reduced to the available stock and
+// unavailable products are dropped. Every difference is added to pendingChanges and
+// the changes found by this call are returned.
+CartSchema.methods.reprice = async function() {
+  const Product = mongoose.model('Product');
+  const changes = [];
+  
   if (this.items.length === 0) {
-    return next();
+    return changes;
   }
   
-  // Get the retailerId from the first item
-  const firstItemRetailerId = this.items[0].retailerId.toString();
+  const products = await Product.find({ _id: { $in: this.items.map(item => item.product) } });
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
   
-  // Check if all items have the same retailerId
-  const allFromSameRetailer = this.items.every(item => 
-    item.retailerId.toString() === firstItemRetailerId
-  );
+  const keptItems = [];
+  for (const item of this.items) {
+    const product = productsById.get(item.product.toString());
+    
+    if (!product || !product.isAvailable || product.stock < 1) {
+      changes.push({
+        product: item.product,
+        productName: item.productName,
+        type: 'unavailable',
+        oldQuantity: item.quantity,
+        newQuantity: 0
+      });
+      continue;
+    }
+    
+    if (product.price !== item.price) {
+      changes.push({
+        product: item.product,
+        productName: product.name,
+        type: product.price > item.price ? 'price_increased' : 'price_decreased',
+        oldPrice: item.price,
+        newPrice: product.price
+      });
+      item.price = product.price;
+    }
+    
+    if (product.stock < item.quantity) {
+      changes.push({
+        product: item.product,
+        productName: product.name,
+        type: 'quantity_reduced',
+        oldQuantity: item.quantity,
+        newQuantity: product.stock
+      });
+      item.quantity = product.stock;
+    }
+    
+    if (product.name !== item.productName) {
+      item.productName = product.name;
+    }
+    
+    if (product.category !== item.category) {
+      item.category = product.category;
+    }
+    
+    keptItems.push(item);
+  }
+  
+  if (keptItems.length !== this.items.length) {
+    this.items = keptItems;
+  }
+  
+  if (changes.length > 0) {
+    this.pendingChanges.push(...changes);
+  }
   
-  if (!allFromSameRetailer) {
-    const error = new Error('All items in cart must be from the same retailer');
-    return next(error);
+  if (this.isModified()) {
+    await this.save();
   }
   
-  // Ensure the cart retailer field matches the items' retailer
-  this.retailer = firstItemRetailerId;
+  return changes;
+};
+
+// Method to set the delivery address used for the tax estimate (not persisted)
+CartSchema.methods.setTaxAddress = function(address) {
+  this.$locals.taxAddress = address;
+  
+  return this;
+};
+
+// Method to load delivery quotes for every retailer in the cart (not persisted)
+// Returns the retailers that cannot deliver to the given location, including those whose distance
+// to it is unknown (distanceKm null) because either side could not be geocoded
+CartSchema.methods.quoteDelivery = async function(coordinates, options = {}) {
+  const Retailer = mongoose.model('Retailer');
+  const retailerIds = [...new Set(this.items.map(item => item.retailerId.toString()))];
+  
+  const retailers = await Retailer.find({ _id: { $in: retailerIds } })
+    .select('storeName location deliverySettings')
+    .session(options.session || null);
+  
+  const quotes = new Map();
+  const outOfRange = [];
+  for (const retailer of retailers) {
+    const range = getDeliveryRange(retailer, coordinates);
+    quotes.set(retailer._id.toString(), {
+      ...range,
+      deliverySettings: retailer.deliverySettings
+    });
+    
+    if (range.isWithinRadius !== true) {
+      outOfRange.push({
+        retailer: retailer._id,
+        storeName: retailer.storeName,
+        distanceKm: range.distanceKm,
+        radiusKm: range.radiusKm
+      });
+    }
+  }
+  
+  this.$locals.deliveryQuotes = quotes;
   
-  next();
+  return outOfRange;
+};
+
+// Method to acknowledge the pending changes once the customer has reviewed them
+CartSchema.methods.acknowledgeChanges = function() {
+  this.pendingChanges = [];
+  
+  return this.save();
+};
+
+// Pre-save middleware to keep the coupon discount in line with the cart contents
+CartSchema.pre('save', async function(next) {
+  if (!this.couponCode || (!this.isModified('items') && !this.isModified('couponCode'))) {
+    return next();
+  }
+  
+  try {
+    const Coupon = mongoose.model('Coupon');
+    const coupon = await Coupon.findByCode(this.couponCode);
+    const eligibility = coupon && this.items.length > 0
+      ? await coupon.checkEligibility(this.customer, this.items)
+      : { isValid: false };
+    
+    if (eligibility.isValid) {
+      this.couponRetailer = coupon.retailer || null;
+      this.discount = coupon.calculateDiscount(coupon.getApplicableSubtotal(this.items));
+    } else {
+      // Drop a coupon the cart no longer qualifies for
+      this.couponCode = null;
+      this.couponRetailer = null;
+      this.discount = 0;
+    }
+    
+    next();
+  } catch (error) {
+    next(error);
+  }
 });
 
 module.exports = mongoose.model('Cart', CartSchema);
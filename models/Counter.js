@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Define the Counter schema used for atomic, gap-tolerant sequences (e.g. order numbers)
+const CounterSchema = new mongoose.Schema({
+  // Sequence name, e.g. "order:250514"
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  },
+  // Optional expiry so short-lived sequences (such as per-day counters) clean themselves up
+  expiresAt: {
+    type: Date
+  }
+});
+
+// TTL index: only documents that set expiresAt are removed
+CounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to atomically allocate the next value of a sequence
+CounterSchema.statics.next = async function(name, expiresAt = null, maxRetries = 3) {
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    try {
+      const counter = await this.findOneAndUpdate(
+        { _id: name },
+        {
+          $inc: { seq: 1 },
+          ...(expiresAt ? { $setOnInsert: { expiresAt } } : {})
+        },
+        { new: true, upsert: true }
+      );
+      
+      return counter.seq;
+    } catch (error) {
+      // Two first-of-the-day upserts can race on the _id index; the loser just tries again
+      if (error.code !== 11000 || attempt === maxRetries) {
+        throw error;
+      }
+    }
+  }
+};
+
+module.exports = mongoose.model('Counter', CounterSchema);
@@ -0,0 +1,238 @@
+const mongoose = require('mongoose');
+const CouponRedemption = require('./CouponRedemption');
+
+// Define the Coupon schema
+const CouponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_-]{3,32}$/, 'Coupon code must be 3-32 letters, digits, dashes or underscores']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  discountType: {
+    type: String,
+    required: [true, 'Discount type is required'],
+    enum: {
+      values: ['percentage', 'flat'],
+      message: 'Discount type must be either percentage or flat'
+    }
+  },
+  discountValue: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0.01, 'Discount value must be greater than 0'],
+    validate: {
+      validator: function(value) {
+        return this.discountType !== 'percentage' || value <= 100;
+      },
+      message: 'Percentage discount cannot exceed 100'
+    }
+  },
+  // Caps the amount a percentage coupon can take off
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  minSubtotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Total number of redemptions allowed across all customers (null = unlimited)
+  usageLimit: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  // Number of redemptions allowed per customer (null = unlimited)
+  perCustomerLimit: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  startsAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date
+  },
+  // Retailer-scoped coupon; platform-wide when not set
+  retailer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Retailer',
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Make sure the expiry window is not inverted
+CouponSchema.pre('validate', function(next) {
+  if (this.expiresAt && this.startsAt && this.expiresAt <= this.startsAt) {
+    this.invalidate('expiresAt', 'Expiry date must be after the start date');
+  }
+  next();
+});
+
+// Virtual for platform-wide coupons
+CouponSchema.virtual('isPlatformWide').get(function() {
+  return !this.retailer;
+});
+
+// Method to calculate the discount for a given subtotal
+CouponSchema.methods.calculateDiscount = function(subtotal) {
+  let discount = this.discountType === 'percentage'
+    ? subtotal * (this.discountValue / 100)
+    : this.discountValue;
+
+  if (this.discountType === 'percentage' && this.maxDiscount) {
+    discount = Math.min(discount, this.maxDiscount);
+  }
+
+  // Never discount more than the subtotal itself
+  discount = Math.min(discount, subtotal);
+
+  return Math.round(discount * 100) / 100;
+};
+
+// Method to get the part of a cart subtotal the coupon applies to
+// Retailer-scoped coupons only count that retailer's items in a multi-retailer cart
+CouponSchema.methods.getApplicableSubtotal = function(cartItems) {
+  return cartItems
+    .filter(item => !this.retailer || item.retailerId.toString() === this.retailer.toString())
+    .reduce((total, item) => total + (item.price * item.quantity), 0);
+};
+
+// Method to check if a coupon can be applied by a customer to a set of cart items
+CouponSchema.methods.checkEligibility = async function(customerId, cartItems, options = {}) {
+  const now = new Date();
+  const subtotal = this.getApplicableSubtotal(cartItems);
+  let reason = null;
+
+  if (!this.isActive) {
+    reason = 'Coupon is no longer active';
+  } else if (this.startsAt && this.startsAt > now) {
+    reason = 'Coupon is not active yet';
+  } else if (this.expiresAt && this.expiresAt <= now) {
+    reason = 'Coupon has expired';
+  } else if (this.retailer && subtotal === 0) {
+    reason = 'Coupon is not valid for the stores in your cart';
+  } else if (subtotal < this.minSubtotal) {
+    reason = `Cart subtotal must be at least ${this.minSubtotal.toFixed(2)} to use this coupon`;
+  } else if (this.usageLimit !== null && this.usedCount >= this.usageLimit) {
+    reason = 'Coupon usage limit has been reached';
+  } else if (this.perCustomerLimit !== null &&
+             await this.redemptionCountFor(customerId, options) >= this.perCustomerLimit) {
+    reason = 'You have already used this coupon the maximum number of times';
+  }
+
+  return {
+    isValid: reason === null,
+    reason
+  };
+};
+
+// Method to count how many times a customer has redeemed this coupon
+CouponSchema.methods.redemptionCountFor = function(customerId, options = {}) {
+  return CouponRedemption.countFor(this._id, customerId, options);
+};
+
+// Static method to find a coupon by its (case-insensitive) code
+CouponSchema.statics.findByCode = function(code) {
+  if (!code || typeof code !== 'string') {
+    return Promise.resolve(null);
+  }
+  return this.findOne({ code: code.trim().toUpperCase() });
+};
+
+// Static method to record a redemption when an order is placed
+// The usage limit is enforced atomically so concurrent checkouts cannot overshoot it
+CouponSchema.statics.redeem = async function(code, customerId, orderId, discount, options = {}) {
+  const coupon = await this.findOneAndUpdate(
+    {
+      code: code.trim().toUpperCase(),
+      isActive: true,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true, session: options.session }
+  );
+
+  if (!coupon) {
+    const error = new Error('Coupon is no longer available');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  await CouponRedemption.create([{
+    coupon: coupon._id,
+    customer: customerId,
+    order: orderId,
+    discount,
+    redeemedAt: new Date()
+  }], { session: options.session });
+
+  return coupon;
+};
+
+// Static method to undo a redemption once every order it was applied to has been cancelled
+// Only the call that deletes the redemption gives the usage back, so releasing twice is harmless.
+CouponSchema.statics.releaseRedemption = async function(code, orderIds) {
+  const coupon = await this.findOne({ code: code.trim().toUpperCase() }).select('_id');
+  if (!coupon) {
+    return;
+  }
+
+  const { deletedCount } = await CouponRedemption.deleteMany({ coupon: coupon._id, order: { $in: orderIds } });
+  if (deletedCount > 0) {
+    await this.updateOne({ _id: coupon._id }, { $inc: { usedCount: -deletedCount } });
+  }
+};
+
+// Static method to move redemptions stored on coupons before they had their own collection
+CouponSchema.statics.migrateEmbeddedRedemptions = async function() {
+  const coupons = await this.collection
+    .find({ 'redemptions.0': { $exists: true } }, { projection: { redemptions: 1 } })
+    .toArray();
+
+  for (const coupon of coupons) {
+    try {
+      await CouponRedemption.insertMany(
+        coupon.redemptions.map(({ _id, ...redemption }) => ({ ...redemption, coupon: coupon._id })),
+        { ordered: false }
+      );
+    } catch (error) {
+      // Redemptions copied by an earlier, interrupted run
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+    await this.collection.updateOne({ _id: coupon._id }, { $unset: { redemptions: '' } });
+  }
+
+  return coupons.length;
+};
+
+// Add index for retailer-specific coupon listing
+CouponSchema.index({ retailer: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Coupon', CouponSchema);
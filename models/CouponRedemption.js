@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Define the CouponRedemption schema: one use of a coupon, by a customer, on a checkout
+// Kept out of the coupon document so popular platform-wide coupons do not grow without bound.
+const CouponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  // Order of the checkout the redemption is recorded against
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  discount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  redeemedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Per-customer usage counts
+CouponRedemptionSchema.index({ coupon: 1, customer: 1 });
+
+// An order redeems a coupon at most once
+CouponRedemptionSchema.index({ coupon: 1, order: 1 }, { unique: true });
+
+// Static method to count how often a customer has redeemed a coupon
+CouponRedemptionSchema.statics.countFor = function(couponId, customerId, options = {}) {
+  return this.countDocuments({ coupon: couponId, customer: customerId }).session(options.session || null);
+};
+
+module.exports = mongoose.model('CouponRedemption', CouponRedemptionSchema);
@@ -1,6 +1,128 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { validateAddress, buildAddressVerification } = require('../utils/address');
+
+// Most addresses a customer can keep in their address book
+const MAX_SAVED_ADDRESSES = 20;
+
+// Address fields that are normalised and geocoded
+const ADDRESS_FIELDS = ['street', 'city', 'state', 'zipCode', 'country'];
+
+// Saved delivery address in the customer's address book
+const SavedAddressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Address label is required'],
+    trim: true,
+    maxlength: [50, 'Address label cannot exceed 50 characters']
+  },
+  street: {
+    type: String,
+    required: [true, 'Street address is required']
+  },
+  city: {
+    type: String,
+    required: [true, 'City is required']
+  },
+  state: {
+    type: String,
+    required: [true, 'State is required']
+  },
+  zipCode: {
+    type: String,
+    required: [true, 'ZIP code is required']
+  },
+  country: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      default: [0, 0]
+    }
+  },
+  deliveryInstructions: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Delivery instructions cannot exceed 500 characters']
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  addressVerification: {
+    confidence: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    provider: {
+      type: String
+    },
+    needsReview: {
+      type: Boolean,
+      default: false
+    },
+    checkedAt: {
+      type: Date
+    }
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Normalise and validate a saved address
+SavedAddressSchema.pre('validate', function(next) {
+  if (!ADDRESS_FIELDS.some(field => this.isModified(field))) {
+    return next();
+  }
+  
+  // The stored country is kept only while the zip code fits it
+  const { country, ...address } = Object.fromEntries(ADDRESS_FIELDS.map(field => [field, this[field]]));
+  const result = validateAddress(address, { preferredCountry: country });
+  
+  // Missing fields are reported by the required validators
+  for (const field of ['country', 'zipCode']) {
+    if (result.fieldErrors[field]) {
+      this.invalidate(field, result.fieldErrors[field]);
+    }
+  }
+  
+  if (result.isValid) {
+    ADDRESS_FIELDS.forEach(field => this.set(field, result.address[field]));
+  }
+  next();
+});
+
+// Geocode a saved address when it is added or changed
+SavedAddressSchema.pre('save', async function(next) {
+  if (!ADDRESS_FIELDS.some(field => this.isModified(field)) || this.isModified('location.coordinates')) {
+    return next();
+  }
+  
+  try {
+    // Dynamically import geocoder to avoid circular dependencies
+    const { geocodeAddressWithConfidence } = require('../utils/geocoder');
+    
+    const geocode = await geocodeAddressWithConfidence(
+      Object.fromEntries(ADDRESS_FIELDS.map(field => [field, this[field]]))
+    );
+    
+    this.location = geocode.location;
+    this.addressVerification = buildAddressVerification(geocode);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
 
 // Define the Customer schema
 const CustomerSchema = new mongoose.Schema({
@@ -23,6 +145,34 @@ const CustomerSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters long'],
     select: false // Don't include password in query results by default
   },
+  // Incremented to revoke every access token issued so far (see middleware/auth.js)
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Account verification (see utils/verification.js); isVerified is derived from these dates
+  emailVerifiedAt: {
+    type: Date
+  },
+  phoneVerifiedAt: {
+    type: Date
+  },
+  isVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Set by platform admins; a suspended account cannot log in (see routes/admin.js)
+  isSuspended: {
+    type: Boolean,
+    default: false
+  },
+  suspendedAt: {
+    type: Date
+  },
+  suspensionReason: {
+    type: String,
+    trim: true
+  },
   location: {
     type: {
       type: String,
@@ -50,6 +200,38 @@ const CustomerSchema = new mongoose.Schema({
     zipCode: {
       type: String,
       required: [true, 'ZIP code is required']
+    },
+    // ISO 3166-1 alpha-2 code, filled in by address normalisation when not given
+    country: {
+      type: String,
+      uppercase: true,
+      trim: true
+    }
+  },
+  // Outcome of the last address check; low-confidence geocodes are flagged for manual review
+  addressVerification: {
+    confidence: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    provider: {
+      type: String
+    },
+    needsReview: {
+      type: Boolean,
+      default: false
+    },
+    checkedAt: {
+      type: Date
+    }
+  },
+  // Address book of delivery addresses; the default one is used when none is chosen
+  addresses: {
+    type: [SavedAddressSchema],
+    validate: {
+      validator: addresses => addresses.length <= MAX_SAVED_ADDRESSES,
+      message: `You can save up to ${MAX_SAVED_ADDRESSES} addresses`
     }
   },
   // Optional fields
@@ -93,16 +275,62 @@ CustomerSchema.pre('save', async function(next) {
   }
 });
 
+// Normalise and validate the address before it is saved
+CustomerSchema.pre('validate', function(next) {
+  if (!this.isModified('address') || !this.address) {
+    return next();
+  }
+  
+  // The stored country is kept only while the zip code fits it
+  const { country, ...address } = this.address.toObject ? this.address.toObject() : this.address;
+  const result = validateAddress(address, { preferredCountry: country });
+  if (!result.isValid) {
+    this.invalidate('address', result.errors.join('. '));
+    return next();
+  }
+  
+  this.set('address', result.address);
+  next();
+});
+
+// Changing the email or phone number needs a new verification
+// Verified means the email is confirmed, and the phone number too when one is on file
+CustomerSchema.pre('validate', function(next) {
+  if (!this.isNew) {
+    if (this.isModified('email')) this.emailVerifiedAt = undefined;
+    if (this.isModified('phone')) this.phoneVerifiedAt = undefined;
+  }
+  
+  this.isVerified = Boolean(this.emailVerifiedAt && (!this.phone || this.phoneVerifiedAt));
+  next();
+});
+
+// Static method to grandfather accounts created before verification existed
+// They never had isVerified set; they count as verified so they can keep ordering and listing.
+CustomerSchema.statics.backfillVerification = async function() {
+  const verifiedAt = new Date();
+  const result = await this.updateMany(
+    { isVerified: { $exists: false } },
+    { $set: { isVerified: true, emailVerifiedAt: verifiedAt, phoneVerifiedAt: verifiedAt } }
+  );
+  return result.modifiedCount;
+};
+
+// Keep exactly one default address in the address book
+CustomerSchema.pre('validate', function(next) {
+  if (this.addresses.length > 0 && !this.addresses.some(address => address.isDefault)) {
+    this.addresses[0].isDefault = true;
+  }
+  next();
+});
+
 // Geocode customer address if modified
 CustomerSchema.pre('save', async function(next) {
-  // Skip if location is already set or address is not updated
+  // Skip if the address is not updated, or location coordinates are manually provided with it
   if (
-    (!this.isModified('address.street') &&
-     !this.isModified('address.city') &&
-     !this.isModified('address.state') &&
-     !this.isModified('address.zipCode')) ||
-    // Skip if location coordinates are manually provided
-    (this.location && 
+    !this.isModified('address') ||
+    (this.isModified('location') &&
+     this.location && 
      this.location.coordinates && 
      this.location.coordinates.length === 2 &&
      this.location.coordinates[0] !== 0 &&
@@ -119,13 +347,14 @@ CustomerSchema.pre('save', async function(next) {
       this.address.zipCode) {
     try {
       // Dynamically import geocoder to avoid circular dependencies
-      const { geocodeAddress } = require('../utils/geocoder');
+      const { geocodeAddressWithConfidence } = require('../utils/geocoder');
       
       // Geocode the address
-      const geoLocation = await geocodeAddress(this.address);
+      const geocode = await geocodeAddressWithConfidence(this.address);
       
-      // Set the location field
-      this.location = geoLocation;
+      // Set the location field and record how sure the geocoder was
+      this.location = geocode.location;
+      this.addressVerification = buildAddressVerification(geocode);
       next();
     } catch (error) {
       next(error);
@@ -136,22 +365,70 @@ CustomerSchema.pre('save', async function(next) {
   }
 });
 
+// Method to make one saved address the default
+CustomerSchema.methods.setDefaultAddress = function(addressId) {
+  this.addresses.forEach(address => {
+    address.isDefault = address._id.equals(addressId);
+  });
+};
+
+// Method to get the default saved address (null with an empty address book)
+CustomerSchema.methods.getDefaultAddress = function() {
+  return this.addresses.find(address => address.isDefault) || null;
+};
+
+// Method to pick the address to deliver to or search from: the given saved address,
+// else the default saved address, else the profile address.
+// Returns null when addressId does not match a saved address.
+CustomerSchema.methods.resolveDeliveryAddress = function(addressId) {
+  const saved = addressId ? this.addresses.id(addressId) : this.getDefaultAddress();
+  
+  if (addressId && !saved) {
+    return null;
+  }
+  
+  if (saved) {
+    return {
+      addressId: saved._id,
+      label: saved.label,
+      address: {
+        street: saved.street,
+        city: saved.city,
+        state: saved.state,
+        zipCode: saved.zipCode,
+        country: saved.country
+      },
+      coordinates: saved.location && saved.location.coordinates,
+      deliveryInstructions: saved.deliveryInstructions
+    };
+  }
+  
+  return {
+    addressId: null,
+    label: null,
+    address: this.address,
+    coordinates: this.location && this.location.coordinates,
+    deliveryInstructions: this.deliveryPreferences && this.deliveryPreferences.deliveryInstructions
+  };
+};
+
 // Method to check if entered password is correct
 CustomerSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Method to generate JWT token
+// Method to generate a short-lived JWT access token; sessions are extended with refresh tokens
 CustomerSchema.methods.generateAuthToken = function() {
   return jwt.sign(
     { 
       id: this._id, 
       role: 'customer',
-      email: this.email
+      email: this.email,
+      tv: this.tokenVersion || 0
     }, 
     process.env.JWT_SECRET, 
     { 
-      expiresIn: '24h' 
+      expiresIn: process.env.JWT_EXPIRY || '15m'
     }
   );
 };
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// How long a geocoding result is kept (configurable via env)
+const CACHE_TTL_DAYS = parseInt(process.env.GEOCODER_CACHE_TTL_DAYS) || 30;
+
+// Define the GeocodeCache schema: one stored result per normalised address or coordinate pair
+const GeocodeCacheSchema = new mongoose.Schema({
+  // Normalised lookup key, e.g. 'forward:123 main st|brooklyn|ny|11201'
+  key: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['forward', 'reverse'],
+    required: true
+  },
+  // GeoJSON Point for forward lookups, address object for reverse lookups
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Provider that produced the result
+  provider: {
+    type: String
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  lastHitAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + CACHE_TTL_DAYS * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+GeocodeCacheSchema.index({ key: 1 }, { unique: true });
+
+// TTL index: MongoDB removes the entry once expiresAt has passed
+GeocodeCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to fetch a live entry and count the hit
+// The TTL monitor only runs once a minute, so expiry is checked here as well
+GeocodeCacheSchema.statics.lookup = function(key) {
+  return this.findOneAndUpdate(
+    { key, expiresAt: { $gt: new Date() } },
+    { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } },
+    { new: true }
+  ).lean();
+};
+
+// Static method to store (or refresh) a result
+GeocodeCacheSchema.statics.store = function(key, type, result, provider) {
+  return this.updateOne(
+    { key },
+    {
+      $set: {
+        type,
+        result,
+        provider,
+        expiresAt: new Date(Date.now() + CACHE_TTL_DAYS * 24 * 60 * 60 * 1000)
+      },
+      $setOnInsert: { hits: 0 }
+    },
+    { upsert: true }
+  );
+};
+
+module.exports = mongoose.model('GeocodeCache', GeocodeCacheSchema);
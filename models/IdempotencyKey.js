@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// How long a key is remembered before it can be reused (configurable via env)
+const KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+// How long a request may hold its key before it counts as abandoned, e.g. after a crash (configurable via env)
+const IN_PROGRESS_TIMEOUT_MINUTES = parseInt(process.env.IDEMPOTENCY_IN_PROGRESS_TIMEOUT_MINUTES) || 5;
+
+// Define the IdempotencyKey schema
+const IdempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Idempotency key is required'],
+    trim: true,
+    maxlength: [255, 'Idempotency key cannot exceed 255 characters']
+  },
+  // Keys are scoped per user so two clients cannot collide on the same value
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  endpoint: {
+    type: String,
+    required: true
+  },
+  // Hash of the request body, used to detect a key reused for a different request
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress'
+  },
+  responseStatus: {
+    type: Number
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + KEY_TTL_HOURS * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// One record per user, endpoint and key
+IdempotencyKeySchema.index({ user: 1, endpoint: 1, key: 1 }, { unique: true });
+
+// TTL index: MongoDB removes the record once expiresAt has passed
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to check if the request holding the key has been running too long to still be alive
+IdempotencyKeySchema.methods.isStale = function(now = new Date()) {
+  return this.status === 'in_progress' && now - this.createdAt > IN_PROGRESS_TIMEOUT_MINUTES * 60 * 1000;
+};
+
+// Static method to release an abandoned key so a retry can take it over
+// Resolves to false when another retry released it first or the request finished after all
+IdempotencyKeySchema.statics.releaseStale = async function(record) {
+  const result = await this.deleteOne({ _id: record._id, status: 'in_progress', createdAt: record.createdAt });
+  return result.deletedCount === 1;
+};
+
+module.exports = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
@@ -1,4 +1,33 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { calculateTax } = require('../utils/tax');
+const { findSlotWindow } = require('../utils/deliverySlots');
+const { hasCoordinates } = require('../utils/delivery');
+require('./Counter');
+require('./SlotReservation');
+
+// Order status lifecycle: every status maps to the statuses it may move to next.
+// This table is the single source of truth for status changes (routes and model methods both check it).
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'cancelled'],
+  processing: ['out_for_delivery', 'ready_for_pickup', 'cancelled'],
+  out_for_delivery: ['delivered'],
+  delivered: [],
+  ready_for_pickup: ['picked_up', 'cancelled'],
+  picked_up: [],
+  cancelled: []
+};
+const ORDER_STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+// Statuses that only exist on one fulfillment path; every other status is shared
+const FULFILLMENT_STATUSES = {
+  out_for_delivery: 'delivery',
+  delivered: 'delivery',
+  ready_for_pickup: 'pickup',
+  picked_up: 'pickup'
+};
+const FULFILLMENT_TYPES = ['delivery', 'pickup'];
 
 // Define order item schema (similar to cart item, but immutable)
 const OrderItemSchema = new mongoose.Schema({
@@ -36,12 +65,42 @@ const OrderItemSchema = new mongoose.Schema({
   }
 });
 
+// Define tax line schema (one per order item) for the itemised tax breakdown
+const TaxLineSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  productName: String,
+  category: String,
+  // Where the rate came from, e.g. default, state:CA or zip:94103
+  jurisdiction: {
+    type: String,
+    required: true
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  taxableAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  tax: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
 // Define status history schema to track status changes
 const StatusHistorySchema = new mongoose.Schema({
   status: {
     type: String,
     required: true,
-    enum: ['pending', 'confirmed', 'processing', 'out_for_delivery', 'delivered', 'cancelled']
+    enum: ORDER_STATUSES
   },
   timestamp: {
     type: Date,
@@ -86,6 +145,27 @@ const DeliverySchema = new mongoose.Schema({
     state: { type: String, required: true },
     zipCode: { type: String, required: true }
   },
+  // Geocoded delivery address, used for the delivery fee
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number] // [longitude, latitude]
+    }
+  },
+  // Distance from the store in km (null when either location is unknown)
+  distanceKm: {
+    type: Number,
+    default: null
+  },
+  // Delivery window booked at checkout (capacity is held in SlotReservation)
+  slot: {
+    startsAt: Date,
+    endsAt: Date
+  },
   contactPhone: {
     type: String,
     required: true
@@ -104,6 +184,44 @@ const DeliverySchema = new mongoose.Schema({
   }
 });
 
+// Define pickup schema for click-and-collect orders
+const PickupSchema = new mongoose.Schema({
+  // Code the customer shows at the store; hidden from queries unless selected explicitly
+  code: {
+    type: String,
+    required: true,
+    select: false
+  },
+  contactPhone: {
+    type: String
+  },
+  readyAt: {
+    type: Date
+  },
+  pickedUpAt: {
+    type: Date
+  }
+});
+
+// Define rating schema: the customer's rating of the store for a finished order
+const OrderRatingSchema = new mongoose.Schema({
+  score: {
+    type: Number,
+    required: true,
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5']
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Rating comment cannot be more than 500 characters']
+  },
+  ratedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 // Define the main Order schema
 const OrderSchema = new mongoose.Schema({
   customer: {
@@ -116,6 +234,15 @@ const OrderSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  // Each order is fulfilled by a single retailer; a multi-retailer cart produces several orders
+  retailer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Retailer'
+  },
+  // Shared by all orders created from the same checkout
+  checkoutId: {
+    type: String
+  },
   items: [OrderItemSchema],
   subtotal: {
     type: Number,
@@ -132,6 +259,12 @@ const OrderSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Whether item prices already include the tax (the tax is then not added to the total)
+  taxInclusive: {
+    type: Boolean,
+    default: false
+  },
+  taxBreakdown: [TaxLineSchema],
   deliveryFee: {
     type: Number,
     default: 0,
@@ -145,12 +278,20 @@ const OrderSchema = new mongoose.Schema({
   status: {
     type: String,
     required: true,
-    enum: ['pending', 'confirmed', 'processing', 'out_for_delivery', 'delivered', 'cancelled'],
+    enum: ORDER_STATUSES,
     default: 'pending'
   },
   statusHistory: [StatusHistorySchema],
   payment: PaymentSchema,
+  fulfillmentType: {
+    type: String,
+    enum: FULFILLMENT_TYPES,
+    default: 'delivery'
+  },
+  // Set for delivery orders
   delivery: DeliverySchema,
+  // Set for pickup orders
+  pickup: PickupSchema,
   couponCode: {
     type: String
   },
@@ -159,25 +300,48 @@ const OrderSchema = new mongoose.Schema({
   },
   cancelReason: {
     type: String
-  }
+  },
+  cancelledBy: {
+    type: String,
+    enum: ['customer', 'retailer', 'admin']
+  },
+  // Set once the customer rates a delivered or picked up order
+  rating: OrderRatingSchema
 }, {
   timestamps: true // Adds createdAt and updatedAt fields
 });
 
-// Generate unique order number before saving
-OrderSchema.pre('save', async function(next) {
-  // Only generate order number for new orders
-  if (this.isNew) {
-    // Generate order number based on date and a random number
+// Generate unique order number before validation (orderNumber is required, and validation runs before save hooks)
+// Numbers come from an atomic per-day counter (NM-YYMMDD-0001, NM-YYMMDD-0002, ...) so they never collide.
+// The day is the UTC date, so every server process agrees on it whatever its local time zone.
+// The counter is bumped outside any checkout transaction: a rolled back order leaves a gap, not a duplicate.
+OrderSchema.pre('validate', async function(next) {
+  if (!this.isNew || this.orderNumber) {
+    return next();
+  }
+  
+  try {
+    const Counter = mongoose.model('Counter');
     const date = new Date();
-    const year = date.getFullYear().toString().substr(-2);
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
+    const year = date.getUTCFullYear().toString().substr(-2);
+    const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+    const day = String(date.getUTCDate()).padStart(2, '0');
+    const dateKey = `${year}${month}${day}`;
     
-    this.orderNumber = `NM-${year}${month}${day}-${random}`;
+    // Keep the day's counter around for two days, then let the TTL index remove it
+    const expiresAt = new Date(date.getTime() + 2 * 24 * 60 * 60 * 1000);
+    const sequence = await Counter.next(`order:${dateKey}`, expiresAt);
     
-    // Add initial status to history
+    this.orderNumber = `NM-${dateKey}-${String(sequence).padStart(4, '0')}`;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add initial status to history for new orders
+OrderSchema.pre('save', function(next) {
+  if (this.isNew) {
     this.statusHistory.push({
       status: this.status,
       timestamp: Date.now(),
@@ -192,43 +356,243 @@ OrderSchema.virtual('itemCount').get(function() {
   return this.items.reduce((total, item) => total + item.quantity, 0);
 });
 
+// Static method to list the statuses an order may move to from a given status
+// Statuses of the other fulfillment path are left out (a pickup order is never out for delivery)
+OrderSchema.statics.getAllowedTransitions = function(status, fulfillmentType = 'delivery') {
+  return (STATUS_TRANSITIONS[status] || []).filter(next =>
+    !FULFILLMENT_STATUSES[next] || FULFILLMENT_STATUSES[next] === fulfillmentType
+  );
+};
+
+// Method to check if the order may move to the given status
+OrderSchema.methods.canTransitionTo = function(status) {
+  return this.constructor.getAllowedTransitions(this.status, this.fulfillmentType).includes(status);
+};
+
+// Method to check if order can still be cancelled
+// With force (admins only) any unfinished order can be cancelled, e.g. one already out for delivery
+OrderSchema.methods.canBeCancelled = function(options = {}) {
+  if (options.force) {
+    return this.constructor.getAllowedTransitions(this.status, this.fulfillmentType).length > 0;
+  }
+  return this.canTransitionTo('cancelled');
+};
+
+// Build the error thrown for an illegal status change
+const invalidTransitionError = (order, status) => {
+  const allowedStatuses = order.constructor.getAllowedTransitions(order.status, order.fulfillmentType);
+  const error = new Error(
+    `Cannot change order status from ${order.status} to ${status}` +
+    (allowedStatuses.length ? `. Allowed next statuses: ${allowedStatuses.join(', ')}` : '')
+  );
+  error.statusCode = 409;
+  error.currentStatus = order.status;
+  error.allowedStatuses = allowedStatuses;
+  return error;
+};
+
 // Method to update order status
-OrderSchema.methods.updateStatus = function(status, note = '') {
-  this.status = status;
-  this.statusHistory.push({
-    status,
-    timestamp: Date.now(),
-    note
-  });
+// The change is claimed with a conditional update, so an order that moved on in the meantime (e.g. a
+// concurrent cancellation that already restocked its items) is never overwritten with a stale status.
+OrderSchema.methods.updateStatus = async function(status, note = '') {
+  if (!this.canTransitionTo(status)) {
+    throw invalidTransitionError(this, status);
+  }
+  
+  // Statuses this order may move to the new status from
+  const previousStatuses = ORDER_STATUSES.filter(previous =>
+    this.constructor.getAllowedTransitions(previous, this.fulfillmentType).includes(status)
+  );
+  
+  const now = new Date();
+  const changes = { status };
   
   // If order is delivered, set the actual delivery date
   if (status === 'delivered' && this.delivery) {
-    this.delivery.actualDeliveryDate = new Date();
+    changes['delivery.actualDeliveryDate'] = now;
+  }
+  
+  // Keep track of when a pickup order was ready and collected
+  if (status === 'ready_for_pickup' && this.pickup) {
+    changes['pickup.readyAt'] = now;
+  }
+  
+  if (status === 'picked_up' && this.pickup) {
+    changes['pickup.pickedUpAt'] = now;
   }
   
   // If order is confirmed, set expected delivery date (3 days from now by default)
   if (status === 'confirmed' && this.delivery && !this.delivery.expectedDeliveryDate) {
-    this.delivery.expectedDeliveryDate = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
+    changes['delivery.expectedDeliveryDate'] = new Date(now.getTime() + 3 * 24 * 60 * 60 * 1000);
   }
   
-  return this.save();
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: { $in: previousStatuses } },
+    {
+      $set: changes,
+      $push: { statusHistory: { status, timestamp: now, note } }
+    },
+    { new: true }
+  );
+  
+  if (!updated) {
+    const current = await this.constructor.findById(this._id).select('status');
+    if (current) {
+      this.status = current.status;
+    }
+    throw invalidTransitionError(this, status);
+  }
+  
+  // Bring this document up to date with the stored order
+  for (const path of Object.keys(changes)) {
+    this.set(path, updated.get(path));
+  }
+  this.set({ statusHistory: updated.statusHistory, updatedAt: updated.updatedAt });
+  this.$clearModifiedPaths();
+  
+  return this;
+};
+
+// Method to hand a pickup order over once the customer's pickup code checks out
+// The order must have been loaded with '+pickup.code'
+OrderSchema.methods.confirmPickup = function(code, note = '') {
+  if (this.fulfillmentType !== 'pickup') {
+    const error = new Error('This order is not a pickup order');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  if (!this.canTransitionTo('picked_up')) {
+    throw invalidTransitionError(this, 'picked_up');
+  }
+  
+  const expected = Buffer.from(this.pickup.code);
+  const given = Buffer.from(String(code || '').trim().toUpperCase());
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    const error = new Error('Invalid pickup code');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  return this.updateStatus('picked_up', note);
 };
 
-// Method to cancel order
-OrderSchema.methods.cancelOrder = function(reason) {
-  if (this.status === 'delivered') {
-    throw new Error('Cannot cancel an order that has been delivered');
-  }
-  
-  this.status = 'cancelled';
-  this.cancelReason = reason;
-  this.statusHistory.push({
-    status: 'cancelled',
-    timestamp: Date.now(),
-    note: reason
+// Payload for the QR code shown to the customer at the store
+OrderSchema.virtual('pickupQrPayload').get(function() {
+  if (this.fulfillmentType !== 'pickup' || !this.pickup || !this.pickup.code) {
+    return null;
+  }
+  return `nearmart:pickup:${this.orderNumber}:${this.pickup.code}`;
+});
+
+// Method to cancel order, put the stock back and refund a completed payment
+OrderSchema.methods.cancelOrder = async function(reason, cancelledBy = 'customer', options = {}) {
+  if (!this.canBeCancelled(options)) {
+    throw invalidTransitionError(this, 'cancelled');
+  }
+  
+  // Statuses this order may be cancelled from
+  const cancellableStatuses = ORDER_STATUSES.filter(status => {
+    const next = this.constructor.getAllowedTransitions(status, this.fulfillmentType);
+    return options.force ? next.length > 0 : next.includes('cancelled');
   });
   
-  return this.save();
+  // Claim the transition in a single conditional update, so of two concurrent cancellations
+  // only one goes on to restore stock and release the coupon and delivery slot
+  const cancelled = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: { $in: cancellableStatuses } },
+    {
+      $set: { status: 'cancelled', cancelReason: reason, cancelledBy },
+      $push: { statusHistory: { status: 'cancelled', timestamp: Date.now(), note: reason } }
+    },
+    { new: true }
+  );
+  
+  if (!cancelled) {
+    const current = await this.constructor.findById(this._id).select('status');
+    if (current) {
+      this.status = current.status;
+    }
+    throw invalidTransitionError(this, 'cancelled');
+  }
+  
+  // Bring this document up to date with the stored order
+  this.set({
+    status: cancelled.status,
+    cancelReason: cancelled.cancelReason,
+    cancelledBy: cancelled.cancelledBy,
+    statusHistory: cancelled.statusHistory,
+    updatedAt: cancelled.updatedAt
+  });
+  this.$clearModifiedPaths();
+  
+  // Restore stock for every line item
+  const Product = mongoose.model('Product');
+  for (const item of this.items) {
+    try {
+      await Product.addStock(item.product, item.quantity);
+    } catch (error) {
+      // The product may have been deleted since the order was placed
+      console.error(`Could not restore stock for product ${item.product}:`, error.message);
+    }
+  }
+  
+  // Give the coupon usage back once every order of the checkout that used it is cancelled
+  if (this.couponCode) {
+    const siblings = this.checkoutId
+      ? await this.constructor.find({ checkoutId: this.checkoutId, couponCode: this.couponCode }).select('status')
+      : [this];
+    
+    if (siblings.every(order => order.status === 'cancelled')) {
+      const Coupon = mongoose.model('Coupon');
+      await Coupon.releaseRedemption(this.couponCode, siblings.map(order => order._id));
+    }
+  }
+  
+  // Free up the booked delivery window
+  if (this.delivery && this.delivery.slot && this.delivery.slot.startsAt) {
+    const SlotReservation = mongoose.model('SlotReservation');
+    await SlotReservation.release(this.retailer, this.delivery.slot.startsAt, this._id);
+  }
+  
+  // Refund payments that were already collected
+  if (this.payment && this.payment.status === 'completed') {
+    await this.updatePayment('refunded');
+  }
+  
+  return this;
+};
+
+// Method to record the customer's rating of a finished order and add it to the store's average
+OrderSchema.methods.rate = async function(score, comment) {
+  const ratableStatuses = ['delivered', 'picked_up'];
+  
+  if (!ratableStatuses.includes(this.status) || !this.retailer) {
+    const error = new Error('Only delivered or picked up orders can be rated');
+    error.statusCode = 409;
+    throw error;
+  }
+  
+  // Claim the rating in a single conditional update, so a store never counts an order twice
+  const rated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: { $in: ratableStatuses }, 'rating.score': { $exists: false } },
+    { $set: { rating: { score, comment, ratedAt: new Date() } } },
+    { new: true, runValidators: true }
+  );
+  
+  if (!rated) {
+    const error = new Error('This order has already been rated');
+    error.statusCode = 409;
+    throw error;
+  }
+  
+  this.set('rating', rated.rating);
+  this.$clearModifiedPaths();
+  
+  const Retailer = mongoose.model('Retailer');
+  await Retailer.recordRating(this.retailer, score);
+  
+  return this;
 };
 
 // Method to update payment status
@@ -250,89 +614,338 @@ OrderSchema.methods.updatePayment = function(status, transactionId = null) {
   return this.save();
 };
 
-// Static method to create order from cart
+// Generate a short pickup code without look-alike characters (no 0/O or 1/I)
+const PICKUP_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const generatePickupCode = () => Array.from({ length: 6 },
+  () => PICKUP_CODE_ALPHABET[crypto.randomInt(PICKUP_CODE_ALPHABET.length)]
+).join('');
+
+// Static method to create orders from cart
+// A cart holding items from several retailers is split into one order per retailer, all sharing
+// a checkoutId. Runs as a single transaction: stock is decremented with guarded updates, the
+// coupon is redeemed and the cart is cleared together, so a failure anywhere leaves inventory
+// and cart untouched. Requires MongoDB to run as a replica set (no transactions on standalone servers).
+// deliveryDetails.location is the [longitude, latitude] of the delivery address; every store must
+// deliver that far. deliveryDetails.slots maps retailer IDs to the start of the chosen delivery
+// window, required for stores that offer slots. With deliveryDetails.fulfillmentType 'pickup' the
+// address, radius and slots are skipped, no delivery fee is charged and every order gets a pickup
+// code instead. Resolves to the array of created orders.
 OrderSchema.statics.createFromCart = async function(cartId, paymentDetails, deliveryDetails) {
   const Cart = mongoose.model('Cart');
-  const cart = await Cart.findById(cartId).populate({
-    path: 'items.product',
-    populate: {
-      path: 'retailer',
-      select: 'name storeName'
-    }
-  });
-  
-  if (!cart) {
-    throw new Error('Cart not found');
-  }
-  
-  if (cart.items.length === 0) {
-    throw new Error('Cannot create order with empty cart');
-  }
-  
-  // Verify all items are available and in stock
-  const availability = await cart.verifyAvailability();
-  if (!availability.isValid) {
-    throw new Error('Some items are unavailable or out of stock');
-  }
-  
-  // Create order items from cart items
-  const items = cart.items.map(item => ({
-    product: item.product._id,
-    quantity: item.quantity,
-    price: item.price,
-    productName: item.productName,
-    productImage: item.productImage,
-    retailer: item.product.retailer._id,
-    retailerName: item.product.retailer.storeName
-  }));
-  
-  // Calculate totals
-  const subtotal = cart.subtotal;
-  const tax = parseFloat((subtotal * 0.1).toFixed(2)); // Example: 10% tax
-  const deliveryFee = deliveryDetails.fee || 0;
-  const total = subtotal + tax + deliveryFee - cart.discount;
-  
-  // Create the order
-  const order = await this.create({
-    customer: cart.customer,
-    items,
-    subtotal,
-    discount: cart.discount,
-    tax,
-    deliveryFee,
-    total,
-    couponCode: cart.couponCode,
-    payment: {
-      method: paymentDetails.method,
-      amount: total,
-      status: paymentDetails.method === 'cash_on_delivery' ? 'pending' : 'completed',
-      transactionId: paymentDetails.transactionId,
-      paidAt: paymentDetails.method === 'cash_on_delivery' ? null : new Date()
-    },
-    delivery: {
-      address: deliveryDetails.address,
-      contactPhone: deliveryDetails.contactPhone,
-      instructions: deliveryDetails.instructions,
-      expectedDeliveryDate: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000) // Default: 2 days from now
-    }
-  });
-  
-  // Update product stock
   const Product = mongoose.model('Product');
-  for (const item of cart.items) {
-    await Product.updateStock(item.product, item.quantity);
-  }
+  const Coupon = mongoose.model('Coupon');
+  const Retailer = mongoose.model('Retailer');
   
-  // Clear the cart after successful order creation
-  await cart.clearCart();
+  const session = await mongoose.startSession();
   
-  return order;
+  try {
+    let orders;
+    
+    await session.withTransaction(async () => {
+      const cart = await Cart.findById(cartId).session(session).populate({
+        path: 'items.product',
+        populate: {
+          path: 'retailer',
+          select: 'name storeName'
+        }
+      });
+      
+      if (!cart) {
+        throw new Error('Cart not found');
+      }
+      
+      if (cart.items.length === 0) {
+        throw new Error('Cannot create order with empty cart');
+      }
+      
+      const isPickup = deliveryDetails.fulfillmentType === 'pickup';
+      
+      // Without coordinates the delivery radius cannot be checked
+      if (!isPickup && !hasCoordinates(deliveryDetails.location)) {
+        const error = new Error('Unable to locate the delivery address. Please check the address or choose another saved address');
+        error.statusCode = 400;
+        throw error;
+      }
+      
+      // Price delivery per store and make sure every store delivers to the address
+      const outOfRangeRetailers = isPickup ? [] : await cart.quoteDelivery(deliveryDetails.location, { session });
+      if (outOfRangeRetailers.length > 0) {
+        const storeNames = (distanceKnown) => outOfRangeRetailers
+          .filter(retailer => (retailer.distanceKm !== null) === distanceKnown)
+          .map(retailer => retailer.storeName)
+          .join(', ');
+        const messages = [];
+        if (storeNames(true)) {
+          messages.push(`The delivery address is outside the delivery area of ${storeNames(true)}`);
+        }
+        if (storeNames(false)) {
+          messages.push(`Delivery is not available from ${storeNames(false)} until the store location can be confirmed`);
+        }
+        
+        const error = new Error(messages.join('. '));
+        error.statusCode = 400;
+        error.outOfRangeRetailers = outOfRangeRetailers;
+        throw error;
+      }
+      
+      const retailers = await Retailer.find({ _id: { $in: cart.retailerGroups.map(group => group.retailer) } })
+        .select('storeName address openingHours closures timezone deliverySlots status')
+        .session(session);
+      const retailersById = new Map(retailers.map(retailer => [retailer._id.toString(), retailer]));
+      
+      // Stores taken off the platform cannot take orders, and neither can stores that no longer exist
+      const unlistedRetailers = retailers
+        .filter(retailer => !retailer.isListed())
+        .map(retailer => ({ retailer: retailer._id, storeName: retailer.storeName }));
+      for (const group of cart.retailerGroups) {
+        if (!retailersById.has(group.retailer.toString())) {
+          unlistedRetailers.push({ retailer: group.retailer, storeName: `The store selling ${group.items[0].productName}` });
+        }
+      }
+      
+      if (unlistedRetailers.length > 0) {
+        const error = new Error(`${unlistedRetailers.map(retailer => retailer.storeName).join(', ')} ${unlistedRetailers.length > 1 ? 'are' : 'is'} not accepting orders. Remove ${unlistedRetailers.length > 1 ? 'their' : 'its'} items from your cart to continue`);
+        error.statusCode = 409;
+        error.unlistedRetailers = unlistedRetailers;
+        throw error;
+      }
+      
+      // Resolve the delivery window chosen for every store that offers scheduled delivery
+      const requestedSlots = deliveryDetails.slots || {};
+      const slotWindows = new Map();
+      const slotErrors = [];
+      for (const retailer of retailers) {
+        const requested = requestedSlots[retailer._id.toString()];
+        const offersSlots = retailer.deliverySlots.length > 0;
+        
+        // Delivery slots do not apply to pickup orders
+        if (isPickup || (!requested && !offersSlots)) {
+          continue;
+        }
+        
+        const window = requested && offersSlots ? findSlotWindow(retailer, requested) : null;
+        if (window) {
+          slotWindows.set(retailer._id.toString(), window);
+        } else {
+          slotErrors.push({
+            retailer: retailer._id,
+            storeName: retailer.storeName,
+            message: !requested
+              ? 'Choose a delivery slot for this store'
+              : 'The selected delivery slot is not available'
+          });
+        }
+      }
+      
+      if (slotErrors.length > 0) {
+        const error = new Error(slotErrors.map(slotError => `${slotError.storeName}: ${slotError.message}`).join('; '));
+        error.statusCode = 400;
+        error.slotErrors = slotErrors;
+        throw error;
+      }
+      
+      // Closed stores cannot take orders, unless the order is scheduled for a later delivery slot
+      const closedRetailers = retailers
+        .filter(retailer => !slotWindows.has(retailer._id.toString()) && !retailer.isOpenAt())
+        .map(retailer => ({
+          retailer: retailer._id,
+          storeName: retailer.storeName,
+          nextOpensAt: retailer.getNextOpensAt()
+        }));
+      
+      if (closedRetailers.length > 0) {
+        const error = new Error(`${closedRetailers.map(retailer => retailer.storeName).join(', ')} ${closedRetailers.length > 1 ? 'are' : 'is'} closed right now`);
+        error.statusCode = 409;
+        error.closedRetailers = closedRetailers;
+        throw error;
+      }
+      
+      // Re-check the applied coupon since it may have expired or run out
+      let coupon = null;
+      if (cart.couponCode) {
+        coupon = await Coupon.findOne({ code: cart.couponCode }).session(session);
+        const eligibility = coupon
+          ? await coupon.checkEligibility(cart.customer, cart.items, { session })
+          : { isValid: false, reason: 'Coupon not found' };
+        
+        if (!eligibility.isValid) {
+          const error = new Error(`Coupon ${cart.couponCode} can no longer be applied: ${eligibility.reason}`);
+          error.statusCode = 400;
+          throw error;
+        }
+      }
+      
+      // Decrement stock for every item; collect every conflict so the customer sees them all at once
+      const unavailableItems = [];
+      const priceChanges = [];
+      for (const item of cart.items) {
+        // Deleted products are left unpopulated (null)
+        const productId = item.product ? item.product._id : null;
+        const updated = productId
+          ? await Product.updateStock(productId, item.quantity, { session })
+          : null;
+        
+        if (!updated) {
+          const product = productId ? await Product.findById(productId).session(session) : null;
+          unavailableItems.push({
+            productId: productId || item.product,
+            productName: item.productName,
+            requested: item.quantity,
+            available: product ? product.stock : 0,
+            isAvailable: product ? product.isAvailable : false
+          });
+        } else if (updated.price !== item.price) {
+          // The price moved after the cart was last re-priced
+          priceChanges.push({
+            product: productId,
+            productName: item.productName,
+            type: updated.price > item.price ? 'price_increased' : 'price_decreased',
+            oldPrice: item.price,
+            newPrice: updated.price
+          });
+        }
+      }
+      
+      if (unavailableItems.length > 0) {
+        const error = new Error('Some items are unavailable or out of stock');
+        error.statusCode = 409;
+        error.unavailableItems = unavailableItems;
+        throw error;
+      }
+      
+      if (priceChanges.length > 0) {
+        const error = new Error('Prices have changed since your cart was last reviewed');
+        error.statusCode = 409;
+        error.changes = priceChanges;
+        throw error;
+      }
+      
+      // The coupon decides which sub-orders share the discount (and so their delivery fees)
+      cart.couponRetailer = coupon ? coupon.retailer : null;
+      const groups = cart.retailerGroups;
+      const checkoutId = crypto.randomUUID();
+      
+      // Build one sub-order per retailer
+      const orderDocs = groups.map(group => {
+        const retailer = retailersById.get(group.retailer.toString());
+        const items = group.items.map(item => ({
+          product: item.product._id,
+          quantity: item.quantity,
+          price: item.price,
+          productName: item.productName,
+          productImage: item.productImage,
+          retailer: retailer._id,
+          retailerName: retailer.storeName
+        }));
+        
+        // Calculate totals (pickup orders are taxed where the store is)
+        const subtotal = group.subtotal;
+        const discount = group.discount;
+        const taxResult = calculateTax(group.items.map(item => ({
+          product: item.product._id,
+          productName: item.productName,
+          category: item.product.category,
+          price: item.price,
+          quantity: item.quantity
+        })), {
+          address: isPickup ? retailer && retailer.address : deliveryDetails.address,
+          discount
+        });
+        const tax = Math.round(taxResult.tax * 100) / 100;
+        const deliveryFee = isPickup ? 0 : group.deliveryFee;
+        const total = Math.round((subtotal - discount + (taxResult.inclusive ? 0 : tax) + deliveryFee) * 100) / 100;
+        
+        const slotWindow = slotWindows.get(group.retailer.toString());
+        
+        return {
+          customer: cart.customer,
+          retailer: group.retailer,
+          checkoutId,
+          items,
+          subtotal,
+          discount,
+          tax,
+          taxInclusive: taxResult.inclusive,
+          taxBreakdown: taxResult.breakdown,
+          deliveryFee,
+          total,
+          couponCode: discount > 0 ? cart.couponCode : undefined,
+          payment: {
+            method: paymentDetails.method,
+            amount: total,
+            status: paymentDetails.method === 'cash_on_delivery' ? 'pending' : 'completed',
+            transactionId: paymentDetails.transactionId,
+            paidAt: paymentDetails.method === 'cash_on_delivery' ? null : new Date()
+          },
+          fulfillmentType: isPickup ? 'pickup' : 'delivery',
+          pickup: isPickup ? {
+            code: generatePickupCode(),
+            contactPhone: deliveryDetails.contactPhone
+          } : undefined,
+          delivery: isPickup ? undefined : {
+            address: deliveryDetails.address,
+            location: deliveryDetails.location
+              ? { type: 'Point', coordinates: deliveryDetails.location }
+              : undefined,
+            distanceKm: group.distanceKm,
+            contactPhone: deliveryDetails.contactPhone,
+            instructions: deliveryDetails.instructions,
+            slot: slotWindow ? { startsAt: slotWindow.startsAt, endsAt: slotWindow.endsAt } : undefined,
+            expectedDeliveryDate: slotWindow
+              ? slotWindow.startsAt
+              : new Date(Date.now() + 2 * 24 * 60 * 60 * 1000) // Default: 2 days from now
+          }
+        };
+      });
+      
+      // Create the orders one at a time so each gets its own order number
+      orders = [];
+      for (const orderDoc of orderDocs) {
+        const [order] = await this.create([orderDoc], { session });
+        orders.push(order);
+      }
+      
+      // Hold capacity in the booked delivery windows; a full window aborts the whole checkout
+      const SlotReservation = mongoose.model('SlotReservation');
+      for (const order of orders) {
+        const slotWindow = slotWindows.get(order.retailer.toString());
+        if (slotWindow) {
+          await SlotReservation.reserve(order.retailer, slotWindow, order._id, { session });
+        }
+      }
+      
+      // Record one coupon redemption for the whole checkout, against the first discounted order
+      if (cart.couponCode) {
+        const redeemedOrder = orders.find(order => order.discount > 0) || orders[0];
+        await Coupon.redeem(cart.couponCode, cart.customer, redeemedOrder._id, cart.discount, { session });
+      }
+      
+      // Clear the cart in the same transaction (the cart was loaded with the session)
+      await cart.clearCart();
+    });
+    
+    return orders;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Static method to set the retailer of orders placed before checkouts were split per retailer
+// Carts held a single retailer's items back then, so the first item names the order's retailer.
+OrderSchema.statics.backfillRetailer = async function() {
+  const result = await this.updateMany(
+    { retailer: { $exists: false }, 'items.0': { $exists: true } },
+    [{ $set: { retailer: { $arrayElemAt: ['$items.retailer', 0] } } }]
+  );
+  return result.modifiedCount;
 };
 
 // Add index for faster querying
 OrderSchema.index({ customer: 1, createdAt: -1 });
 // Removed duplicate orderNumber index (already indexed by unique: true)
 OrderSchema.index({ status: 1 });
+OrderSchema.index({ retailer: 1, createdAt: -1 });
+OrderSchema.index({ checkoutId: 1 });
 
 module.exports = mongoose.model('Order', OrderSchema);
 
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// How long a reset link stays valid (configurable via env)
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+
+// Only the SHA-256 hash of a reset token is stored
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Define the PasswordResetToken schema: one record per reset request
+const PasswordResetTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['customer', 'retailer'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000)
+  },
+  usedAt: {
+    type: Date
+  },
+  ip: {
+    type: String
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+PasswordResetTokenSchema.index({ tokenHash: 1 }, { unique: true });
+PasswordResetTokenSchema.index({ user: 1, role: 1 });
+
+// TTL index: MongoDB removes the record once expiresAt has passed
+PasswordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to create a reset token; earlier unused tokens of the user stop working
+PasswordResetTokenSchema.statics.issue = async function(user, role, options = {}) {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  await this.updateMany(
+    { user, role, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+
+  const record = await this.create({
+    user,
+    role,
+    tokenHash: hashToken(resetToken),
+    ip: options.ip
+  });
+
+  return { resetToken, expiresAt: record.expiresAt };
+};
+
+// Static method to use up a reset token; returns the record, or null if it is unknown, used or expired
+// The token is claimed atomically so it cannot be used twice, even by concurrent requests.
+PasswordResetTokenSchema.statics.consume = function(resetToken) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    { tokenHash: hashToken(resetToken), usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('PasswordResetToken', PasswordResetTokenSchema);
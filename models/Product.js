@@ -52,6 +52,28 @@ const ProductSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Set by platform admins; a hidden product stays unavailable until an admin unhides it
+  moderation: {
+    isHidden: {
+      type: Boolean,
+      default: false
+    },
+    reason: {
+      type: String,
+      trim: true
+    },
+    hiddenAt: {
+      type: Date
+    },
+    hiddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    // Availability to restore when the product is unhidden
+    wasAvailable: {
+      type: Boolean
+    }
+  },
   // Optional additional fields
   weight: {
     value: {
@@ -87,25 +109,28 @@ const ProductSchema = new mongoose.Schema({
   timestamps: true // Adds createdAt and updatedAt fields
 });
 
+// A hidden product cannot be made available again by its retailer
+ProductSchema.pre('validate', function(next) {
+  if (this.moderation && this.moderation.isHidden && this.isAvailable) {
+    this.invalidate('isAvailable', 'This product has been hidden by NearMart and cannot be made available');
+  }
+  next();
+});
+
 // Virtual for checking if product is in stock
 ProductSchema.virtual('inStock').get(function() {
   return this.stock > 0 && this.isAvailable;
 });
 
 // Static method to update stock
-ProductSchema.statics.updateStock = async function(productId, quantity) {
-  const product = await this.findById(productId);
-  
-  if (!product) {
-    throw new Error('Product not found');
-  }
-  
-  if (product.stock < quantity) {
-    throw new Error('Insufficient stock');
-  }
-  
-  product.stock -= quantity;
-  return product.save();
+// The decrement is guarded so it only applies while enough stock remains, which keeps
+// concurrent checkouts from overselling. Resolves to null when the guard fails.
+ProductSchema.statics.updateStock = function(productId, quantity, options = {}) {
+  return this.findOneAndUpdate(
+    { _id: productId, isAvailable: true, stock: { $gte: quantity } },
+    { $inc: { stock: -quantity } },
+    { new: true, session: options.session }
+  );
 };
 
 // Method to add stock
@@ -136,6 +161,31 @@ ProductSchema.statics.setAvailability = async function(productId, isAvailable) {
   return product.save();
 };
 
+// Method to hide the product from customers (admin moderation)
+ProductSchema.methods.hide = function(adminId, reason) {
+  if (!this.moderation.isHidden) {
+    this.moderation.wasAvailable = this.isAvailable;
+  }
+  
+  this.isAvailable = false;
+  this.moderation.isHidden = true;
+  this.moderation.reason = reason;
+  this.moderation.hiddenAt = new Date();
+  this.moderation.hiddenBy = adminId;
+  return this.save();
+};
+
+// Method to undo hide(), restoring the availability the retailer had set
+ProductSchema.methods.unhide = function() {
+  this.moderation.isHidden = false;
+  this.isAvailable = this.moderation.wasAvailable !== false;
+  this.moderation.reason = undefined;
+  this.moderation.hiddenAt = undefined;
+  this.moderation.hiddenBy = undefined;
+  this.moderation.wasAvailable = undefined;
+  return this.save();
+};
+
 // Instance method to check if enough stock is available
 ProductSchema.methods.hasEnoughStock = function(quantity) {
   return this.stock >= quantity && this.isAvailable;
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// How long a refresh token stays usable (configurable via env)
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Only the SHA-256 hash of a refresh token is stored, so a database leak does not leak sessions
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Build an error the routes can answer with 401
+const createTokenError = (message, code) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  error.code = code;
+  return error;
+};
+
+// Define the RefreshToken schema: one record per issued refresh token
+const RefreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['customer', 'retailer', 'admin'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // Every token rotated from the same login shares a family; reusing a rotated token revokes the family
+  family: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'logout_all', 'reuse_detected', 'password_change']
+  },
+  // Hash of the token that replaced this one on rotation
+  replacedBy: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  ip: {
+    type: String
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+RefreshTokenSchema.index({ tokenHash: 1 }, { unique: true });
+RefreshTokenSchema.index({ user: 1, role: 1 });
+RefreshTokenSchema.index({ family: 1 });
+
+// TTL index: MongoDB removes the record once expiresAt has passed
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the token can still be used
+RefreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Method to revoke this token (no-op if it already is)
+RefreshTokenSchema.methods.revoke = async function(reason = 'logout') {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    await this.save();
+  }
+  return this;
+};
+
+// Static method to issue a new refresh token; only the returned token is ever able to use it
+RefreshTokenSchema.statics.issue = async function(user, role, options = {}) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  await this.create({
+    user,
+    role,
+    tokenHash: hashToken(refreshToken),
+    family: options.family || crypto.randomUUID(),
+    expiresAt,
+    userAgent: options.userAgent,
+    ip: options.ip
+  });
+
+  return { refreshToken, expiresAt };
+};
+
+// Static method to exchange a refresh token for a new one in the same family
+// A token that was already rotated is a sign it was stolen: the whole family is revoked.
+RefreshTokenSchema.statics.rotate = async function(refreshToken, options = {}) {
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+
+  // Claim the token atomically so two concurrent refreshes cannot both succeed
+  const current = await this.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now, revokedReason: 'rotated' } },
+    { new: true }
+  );
+
+  if (!current) {
+    const existing = await this.findOne({ tokenHash });
+
+    if (existing && existing.revokedReason === 'rotated') {
+      await this.revokeFamily(existing.family, 'reuse_detected');
+      throw createTokenError('Refresh token has already been used. Please log in again', 'REFRESH_TOKEN_REUSED');
+    }
+
+    throw createTokenError('Invalid or expired refresh token', 'REFRESH_TOKEN_INVALID');
+  }
+
+  const issued = await this.issue(current.user, current.role, { ...options, family: current.family });
+
+  current.replacedBy = hashToken(issued.refreshToken);
+  await current.save();
+
+  return { ...issued, user: current.user, role: current.role, family: current.family };
+};
+
+// Static method to find the record of a refresh token
+RefreshTokenSchema.statics.findByToken = function(refreshToken) {
+  return this.findOne({ tokenHash: hashToken(refreshToken) });
+};
+
+// Static method to revoke every live token of a login family
+RefreshTokenSchema.statics.revokeFamily = function(family, reason) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Static method to revoke every live token of a user, e.g. to log out of all devices
+RefreshTokenSchema.statics.revokeAllForUser = function(user, role, reason = 'logout_all') {
+  return this.updateMany(
+    { user, role, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
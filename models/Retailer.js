@@ -1,6 +1,101 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { DEFAULT_DELIVERY_SETTINGS } = require('../utils/delivery');
+const { validateAddress, buildAddressVerification } = require('../utils/address');
+const {
+  DEFAULT_TIMEZONE,
+  TIME_PATTERN,
+  DATE_PATTERN,
+  isValidTimezone,
+  isOpenAt,
+  getNextOpening
+} = require('../utils/openingHours');
+
+// Define opening interval schema (a store can have several intervals on the same day)
+const OpeningIntervalSchema = new mongoose.Schema({
+  day: {
+    type: Number,
+    required: [true, 'Day of week is required'],
+    min: [0, 'Day must be between 0 (Sunday) and 6 (Saturday)'],
+    max: [6, 'Day must be between 0 (Sunday) and 6 (Saturday)']
+  },
+  open: {
+    type: String,
+    required: [true, 'Opening time is required'],
+    match: [TIME_PATTERN, 'Opening time must be in HH:MM format']
+  },
+  close: {
+    type: String,
+    required: [true, 'Closing time is required'],
+    match: [TIME_PATTERN, 'Closing time must be in HH:MM format (24:00 for midnight)'],
+    validate: {
+      validator: function(value) {
+        return value > this.open;
+      },
+      message: 'Closing time must be after opening time (split intervals that pass midnight)'
+    }
+  }
+}, { _id: false });
+
+// Define delivery slot schema: a weekly delivery window with a maximum number of orders
+const DeliverySlotSchema = new mongoose.Schema({
+  day: {
+    type: Number,
+    required: [true, 'Day of week is required'],
+    min: [0, 'Day must be between 0 (Sunday) and 6 (Saturday)'],
+    max: [6, 'Day must be between 0 (Sunday) and 6 (Saturday)']
+  },
+  start: {
+    type: String,
+    required: [true, 'Slot start time is required'],
+    match: [TIME_PATTERN, 'Slot start time must be in HH:MM format']
+  },
+  end: {
+    type: String,
+    required: [true, 'Slot end time is required'],
+    match: [TIME_PATTERN, 'Slot end time must be in HH:MM format (24:00 for midnight)'],
+    validate: {
+      validator: function(value) {
+        return value > this.start;
+      },
+      message: 'Slot end time must be after its start time'
+    }
+  },
+  capacity: {
+    type: Number,
+    required: [true, 'Slot capacity is required'],
+    min: [1, 'Slot capacity must be at least 1'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Slot capacity must be a whole number'
+    }
+  }
+}, { _id: false });
+
+// Define closure schema for holidays and other days the store is closed (local dates, inclusive)
+const ClosureSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    required: [true, 'Closure start date is required'],
+    match: [DATE_PATTERN, 'Closure start date must be in YYYY-MM-DD format']
+  },
+  to: {
+    type: String,
+    required: [true, 'Closure end date is required'],
+    match: [DATE_PATTERN, 'Closure end date must be in YYYY-MM-DD format'],
+    validate: {
+      validator: function(value) {
+        return value >= this.from;
+      },
+      message: 'Closure end date cannot be before its start date'
+    }
+  },
+  reason: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
 
 // Define the Retailer schema
 const RetailerSchema = new mongoose.Schema({
@@ -28,6 +123,56 @@ const RetailerSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters long'],
     select: false // Don't include password in query results by default
   },
+  // Incremented to revoke every access token issued so far (see middleware/auth.js)
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Account verification (see utils/verification.js); isVerified is derived from these dates
+  emailVerifiedAt: {
+    type: Date
+  },
+  phoneVerifiedAt: {
+    type: Date
+  },
+  isVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Onboarding and moderation state, set by platform admins (see routes/admin.js)
+  // New stores wait in pending_review; only approved stores are shown to customers.
+  // A suspended account cannot log in.
+  status: {
+    type: String,
+    enum: ['pending_review', 'approved', 'rejected', 'suspended'],
+    default: 'pending_review'
+  },
+  review: {
+    reviewedAt: {
+      type: Date
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    // Shown to the retailer when the store is rejected
+    reason: {
+      type: String,
+      trim: true
+    }
+  },
+  suspendedAt: {
+    type: Date
+  },
+  suspensionReason: {
+    type: String,
+    trim: true
+  },
+  // Status to return to when a suspension is lifted
+  statusBeforeSuspension: {
+    type: String,
+    enum: ['pending_review', 'approved', 'rejected']
+  },
   address: {
     street: {
       type: String,
@@ -44,6 +189,30 @@ const RetailerSchema = new mongoose.Schema({
     zipCode: {
       type: String,
       trim: true
+    },
+    // ISO 3166-1 alpha-2 code, filled in by address normalisation when not given
+    country: {
+      type: String,
+      uppercase: true,
+      trim: true
+    }
+  },
+  // Outcome of the last address check; low-confidence geocodes are flagged for manual review
+  addressVerification: {
+    confidence: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    provider: {
+      type: String
+    },
+    needsReview: {
+      type: Boolean,
+      default: false
+    },
+    checkedAt: {
+      type: Date
     }
   },
   location: {
@@ -75,6 +244,57 @@ const RetailerSchema = new mongoose.Schema({
   storeDescription: {
     type: String,
     trim: true
+  },
+  // IANA time zone the opening hours are expressed in
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimezone,
+      message: 'Unknown time zone'
+    }
+  },
+  // Weekly opening hours; a store without opening hours is treated as always open
+  openingHours: [OpeningIntervalSchema],
+  closures: [ClosureSchema],
+  // Weekly delivery windows customers book at checkout; no slots means no scheduled delivery
+  deliverySlots: [DeliverySlotSchema],
+  rating: {
+    average: {
+      type: Number,
+      min: 0,
+      max: 5,
+      default: 0
+    },
+    count: {
+      type: Number,
+      min: 0,
+      default: 0
+    }
+  },
+  // Delivery pricing (fee = baseFee + distance * perKmFee, see utils/delivery.js)
+  deliverySettings: {
+    radiusKm: {
+      type: Number,
+      min: [0.1, 'Delivery radius must be at least 0.1 km'],
+      default: DEFAULT_DELIVERY_SETTINGS.radiusKm
+    },
+    baseFee: {
+      type: Number,
+      min: [0, 'Base delivery fee cannot be negative'],
+      default: DEFAULT_DELIVERY_SETTINGS.baseFee
+    },
+    perKmFee: {
+      type: Number,
+      min: [0, 'Per-km delivery fee cannot be negative'],
+      default: DEFAULT_DELIVERY_SETTINGS.perKmFee
+    },
+    // Orders at or above this subtotal (after discounts) are delivered for free (null = never free)
+    freeDeliveryThreshold: {
+      type: Number,
+      min: [0, 'Free delivery threshold cannot be negative'],
+      default: DEFAULT_DELIVERY_SETTINGS.freeDeliveryThreshold
+    }
   }
 }, {
   timestamps: true // Adds createdAt and updatedAt fields
@@ -153,6 +373,48 @@ RetailerSchema.pre('save', async function(next) {
   }
 });
 
+// Normalise and validate the address before it is saved
+RetailerSchema.pre('validate', function(next) {
+  const address = this.address && (this.address.toObject ? this.address.toObject() : this.address);
+  if (!this.isModified('address') || !address || !['street', 'city', 'state', 'zipCode'].some(field => address[field])) {
+    return next();
+  }
+  
+  // The stored country is kept only while the zip code fits it
+  const { country, ...fields } = address;
+  const result = validateAddress(fields, { preferredCountry: country });
+  if (!result.isValid) {
+    this.invalidate('address', result.errors.join('. '));
+    return next();
+  }
+  
+  this.set('address', result.address);
+  next();
+});
+
+// Changing the email or phone number needs a new verification
+// Verified means the email is confirmed, and the phone number too when one is on file
+RetailerSchema.pre('validate', function(next) {
+  if (!this.isNew) {
+    if (this.isModified('email')) this.emailVerifiedAt = undefined;
+    if (this.isModified('phone')) this.phoneVerifiedAt = undefined;
+  }
+  
+  this.isVerified = Boolean(this.emailVerifiedAt && (!this.phone || this.phoneVerifiedAt));
+  next();
+});
+
+// Static method to grandfather accounts created before verification existed
+// They never had isVerified set; they count as verified so they can keep ordering and listing.
+RetailerSchema.statics.backfillVerification = async function() {
+  const verifiedAt = new Date();
+  const result = await this.updateMany(
+    { isVerified: { $exists: false } },
+    { $set: { isVerified: true, emailVerifiedAt: verifiedAt, phoneVerifiedAt: verifiedAt } }
+  );
+  return result.modifiedCount;
+};
+
 // Geocode retailer address if modified
 RetailerSchema.pre('save', async function(next) {
   try {
@@ -184,13 +446,14 @@ RetailerSchema.pre('save', async function(next) {
         this.address.zipCode) {
       
       // Import geocoder here to avoid circular dependencies
-      const { geocodeAddress } = require('../utils/geocoder');
+      const { geocodeAddressWithConfidence } = require('../utils/geocoder');
       
       // Geocode the address
-      const geoLocation = await geocodeAddress(this.address);
+      const geocode = await geocodeAddressWithConfidence(this.address);
       
-      // Set the location field
-      this.location = geoLocation;
+      // Set the location field and record how sure the geocoder was
+      this.location = geocode.location;
+      this.addressVerification = buildAddressVerification(geocode);
       next();
     } else {
       // Initialize empty location if none exists
@@ -207,13 +470,14 @@ RetailerSchema.pre('save', async function(next) {
     console.error('Geocoding error during retailer save:', error);
     
     // Don't fail the save operation if geocoding fails
-    // Just set default coordinates and continue
+    // Just set default coordinates, flag the address for review and continue
     if (!this.location) {
       this.location = {
         type: 'Point',
         coordinates: [0, 0]
       };
     }
+    this.addressVerification = buildAddressVerification(null);
     
     // Continue with save operation despite geocoding error
     next();
@@ -234,21 +498,94 @@ RetailerSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Method to generate JWT token
+// Method to generate a short-lived JWT access token; sessions are extended with refresh tokens
 RetailerSchema.methods.generateAuthToken = function() {
   return jwt.sign(
     { 
       id: this._id, 
       role: 'retailer',
-      email: this.email
+      email: this.email,
+      tv: this.tokenVersion || 0
     }, 
     process.env.JWT_SECRET, 
     { 
-      expiresIn: '24h' 
+      expiresIn: process.env.JWT_EXPIRY || '15m'
     }
   );
 };
 
+// Method to check if the store is open at a given moment (defaults to now)
+RetailerSchema.methods.isOpenAt = function(date = new Date()) {
+  return isOpenAt(this, date);
+};
+
+// Method to get the next time the store opens (null while open, or if it does not reopen within two weeks)
+RetailerSchema.methods.getNextOpensAt = function(date = new Date()) {
+  return isOpenAt(this, date) ? null : getNextOpening(this, date);
+};
+
+// Static method returning the query for stores customers may see and order from
+RetailerSchema.statics.listedFilter = function() {
+  return { status: 'approved' };
+};
+
+// Method to check if customers may see and order from the store
+RetailerSchema.methods.isListed = function() {
+  return this.status === 'approved';
+};
+
+// Static method to add a customer's rating (1-5) to a store's average
+// A single pipeline update, so concurrent ratings cannot overwrite each other's count.
+RetailerSchema.statics.recordRating = function(retailerId, score) {
+  const count = { $ifNull: ['$rating.count', 0] };
+  const average = { $ifNull: ['$rating.average', 0] };
+  return this.updateOne({ _id: retailerId }, [
+    {
+      $set: {
+        'rating.average': {
+          $divide: [{ $add: [{ $multiply: [average, count] }, score] }, { $add: [count, 1] }]
+        },
+        'rating.count': { $add: [count, 1] }
+      }
+    }
+  ]);
+};
+
+// Messages shown to the retailer for each review status
+const REVIEW_STATUS_MESSAGES = {
+  pending_review: 'Your store is waiting for review by NearMart. Customers will see it once it is approved',
+  approved: 'Your store is approved and visible to customers',
+  rejected: 'Your store was not approved. Please contact support once you have addressed the reason given',
+  suspended: 'Your store has been suspended. Please contact support'
+};
+
+// Method to summarise the review state for the retailer
+RetailerSchema.methods.getReviewStatus = function() {
+  const review = this.review || {};
+  return {
+    status: this.status,
+    isListed: this.isListed(),
+    message: REVIEW_STATUS_MESSAGES[this.status],
+    reviewedAt: review.reviewedAt || null,
+    reason: review.reason || null
+  };
+};
+
+// Static method to give stores created before the review workflow a status
+// They were already live, so they count as approved.
+RetailerSchema.statics.backfillStatus = async function() {
+  const result = await this.updateMany(
+    { status: { $exists: false } },
+    { $set: { status: 'approved' } }
+  );
+  return result.modifiedCount;
+};
+
+// Virtual field so suspension reads the same on retailers and customers (see utils/authTokens.js)
+RetailerSchema.virtual('isSuspended').get(function() {
+  return this.status === 'suspended';
+});
+
 // Virtual field for full store information
 RetailerSchema.virtual('storeInfo').get(function() {
   return {
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// Define the SlotReservation schema: booked capacity of one delivery window of a retailer
+const SlotReservationSchema = new mongoose.Schema({
+  retailer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Retailer',
+    required: true
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  // Capacity of the window when it was last booked (the retailer may change it later)
+  capacity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  reservedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }]
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// One document per window
+SlotReservationSchema.index({ retailer: 1, startsAt: 1 }, { unique: true });
+
+// Clean up windows a month after they ended
+SlotReservationSchema.index({ endsAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Static method to reserve one order's worth of capacity in a window
+// The document is created first so the guarded increment never has to upsert: an upsert that
+// misses because the window is full would fail on the unique index and abort the transaction.
+SlotReservationSchema.statics.reserve = async function(retailerId, window, orderId, options = {}) {
+  await this.updateOne(
+    { retailer: retailerId, startsAt: window.startsAt },
+    { $set: { endsAt: window.endsAt, capacity: window.capacity } },
+    { upsert: true, session: options.session }
+  );
+
+  const reservation = await this.findOneAndUpdate(
+    {
+      retailer: retailerId,
+      startsAt: window.startsAt,
+      reservedCount: { $lt: window.capacity }
+    },
+    {
+      $inc: { reservedCount: 1 },
+      $push: { orders: orderId }
+    },
+    { new: true, session: options.session }
+  );
+
+  if (!reservation) {
+    const error = new Error('The selected delivery slot is fully booked');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  return reservation;
+};
+
+// Static method to give back the capacity held by an order
+SlotReservationSchema.statics.release = function(retailerId, startsAt, orderId) {
+  return this.updateOne(
+    { retailer: retailerId, startsAt, orders: orderId },
+    {
+      $inc: { reservedCount: -1 },
+      $pull: { orders: orderId }
+    }
+  );
+};
+
+// Static method to get the booked count of every window of a retailer in a time range
+SlotReservationSchema.statics.getReservedCounts = async function(retailerId, from, to) {
+  const reservations = await this.find({
+    retailer: retailerId,
+    startsAt: { $gte: from, $lte: to }
+  }).select('startsAt reservedCount');
+
+  return new Map(reservations.map(reservation => [reservation.startsAt.getTime(), reservation.reservedCount]));
+};
+
+module.exports = mongoose.model('SlotReservation', SlotReservationSchema);
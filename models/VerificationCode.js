@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// How long a code stays valid, per channel (configurable via env)
+const CODE_TTL_MINUTES = {
+  email: parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 24 * 60,
+  phone: parseInt(process.env.PHONE_VERIFICATION_TTL_MINUTES) || 10
+};
+
+// Resend throttling: a pause between codes and a cap per hour, per account and channel
+const RESEND_COOLDOWN_SECONDS = parseInt(process.env.VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60;
+const MAX_CODES_PER_HOUR = parseInt(process.env.VERIFICATION_MAX_CODES_PER_HOUR) || 5;
+
+// Wrong guesses allowed before a phone code is burned
+const MAX_ATTEMPTS = 5;
+
+// Records are kept for a day after creation so the hourly cap can count them
+const RETENTION_SECONDS = 24 * 60 * 60;
+
+// Only the SHA-256 hash of a code is stored
+const hashCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+// Build an error the routes can answer with its statusCode
+const createCodeError = (message, statusCode, retryAfterSeconds) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.retryAfterSeconds = retryAfterSeconds;
+  return error;
+};
+
+// Define the VerificationCode schema: one record per code sent to an email address or phone
+const VerificationCodeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['customer', 'retailer'],
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'phone'],
+    required: true
+  },
+  // Email address or phone number the code was sent to; it only verifies that destination
+  destination: {
+    type: String,
+    required: true
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Set when the code is used, or when a newer code replaces it
+  usedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+VerificationCodeSchema.index({ user: 1, role: 1, channel: 1, createdAt: -1 });
+VerificationCodeSchema.index({ codeHash: 1 });
+
+// TTL index on createdAt rather than expiresAt, see RETENTION_SECONDS
+VerificationCodeSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+// Static method to create a code, enforcing the resend throttle
+// Email gets a long token for a link; phone gets a 6-digit one-time password.
+VerificationCodeSchema.statics.issue = async function(user, role, channel, destination) {
+  const now = Date.now();
+  const recent = await this.find({
+    user,
+    role,
+    channel,
+    createdAt: { $gt: new Date(now - 60 * 60 * 1000) }
+  }).sort({ createdAt: -1 }).select('createdAt').lean();
+
+  if (recent.length > 0) {
+    const cooldownEndsAt = recent[0].createdAt.getTime() + RESEND_COOLDOWN_SECONDS * 1000;
+    if (cooldownEndsAt > now) {
+      throw createCodeError(
+        'Please wait before requesting another code',
+        429,
+        Math.ceil((cooldownEndsAt - now) / 1000)
+      );
+    }
+  }
+
+  if (recent.length >= MAX_CODES_PER_HOUR) {
+    const slotFreesAt = recent[MAX_CODES_PER_HOUR - 1].createdAt.getTime() + 60 * 60 * 1000;
+    throw createCodeError(
+      'Too many codes requested. Please try again later',
+      429,
+      Math.ceil((slotFreesAt - now) / 1000)
+    );
+  }
+
+  const code = channel === 'email'
+    ? crypto.randomBytes(32).toString('hex')
+    : String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const expiresAt = new Date(now + CODE_TTL_MINUTES[channel] * 60 * 1000);
+
+  // Only the newest code of a channel works
+  await this.updateMany(
+    { user, role, channel, usedAt: null },
+    { $set: { usedAt: new Date(now) } }
+  );
+
+  await this.create({
+    user,
+    role,
+    channel,
+    destination,
+    codeHash: hashCode(code),
+    expiresAt
+  });
+
+  return { code, expiresAt };
+};
+
+// Static method to use up an email link token; returns the record, or null if it is unknown, used or expired
+VerificationCodeSchema.statics.consumeEmailToken = function(token) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    { channel: 'email', codeHash: hashCode(token), usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+};
+
+// Static method to check a phone code of an account; returns the used-up record or throws a 400
+VerificationCodeSchema.statics.consumePhoneCode = async function(user, role, code) {
+  const record = await this.findOne({
+    user,
+    role,
+    channel: 'phone',
+    usedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ createdAt: -1 });
+
+  if (!record) {
+    throw createCodeError('No active code. Please request a new one', 400);
+  }
+
+  // Count the attempt before checking the code, in one conditional update, so parallel guesses
+  // cannot get past MAX_ATTEMPTS
+  const attempt = await this.findOneAndUpdate(
+    { _id: record._id, usedAt: null, attempts: { $lt: MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!attempt) {
+    throw createCodeError('Too many incorrect attempts. Please request a new code', 400);
+  }
+
+  const expected = Buffer.from(attempt.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(String(code).trim()), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    throw createCodeError('Incorrect code', 400);
+  }
+
+  // A code can only be used once, even when the right code is sent twice at the same time
+  const used = await this.findOneAndUpdate(
+    { _id: attempt._id, usedAt: null },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!used) {
+    throw createCodeError('No active code. Please request a new one', 400);
+  }
+
+  return used;
+};
+
+module.exports = mongoose.model('VerificationCode', VerificationCodeSchema);
@@ -0,0 +1,2310 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+
+// Import models
+const Admin = require('../models/Admin');
+const AuditLog = require('../models/AuditLog');
+const Retailer = require('../models/Retailer');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const Coupon = require('../models/Coupon');
+
+// Import middleware
+const { isAdmin, apiRateLimit } = require('../middleware/auth');
+
+// Import utilities
+const { getUserModel, getSignInBlock, issueAuthTokens, revokeAllSessions } = require('../utils/authTokens');
+const { getCacheStats, getQueueMetrics } = require('../utils/geocoder');
+const { sendMail } = require('../utils/mailer');
+const { getPagination } = require('../utils/pagination');
+
+// Admin login is a high-value target, so allow few attempts
+const loginRateLimit = apiRateLimit(10, 15 * 60 * 1000, 'Too many login attempts, please try again later');
+
+// Escape user input for use inside a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Read a 'true'/'false' query parameter; undefined when absent, null when invalid
+const parseBooleanFilter = (value) => {
+  if (value === undefined) return undefined;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return null;
+};
+
+// Coupon fields an admin is allowed to set
+const COUPON_EDITABLE_FIELDS = [
+  'code', 'description', 'discountType', 'discountValue', 'maxDiscount',
+  'minSubtotal', 'usageLimit', 'perCustomerLimit', 'startsAt', 'expiresAt'
+];
+
+// Send the 500 response shared by every route
+const sendServerError = (res, error, context) => {
+  console.error(`${context} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// Record an admin action in the audit log once the action has been carried out
+// The action cannot be undone at that point, so a failed audit write is reported on its own
+// instead of answering the admin with an error for something that did happen.
+const recordAction = async (req, entry) => {
+  try {
+    await AuditLog.record(req, entry);
+  } catch (error) {
+    console.error(`Audit log error (${entry.action} ${entry.targetId}):`, error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/v1/admin/login:
+ *   post:
+ *     summary: Admin login
+ *     description: Authenticates a platform admin and returns an access token and a refresh token (see POST /api/v1/auth/refresh). Admin accounts are created with `npm run create-admin`.
+ *     tags: [Admin]
+ *     security: []  # No security, this is a public endpoint
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: ops@nearmart.com
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 example: a-long-admin-password
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Login successful
+ *                 token:
+ *                   type: string
+ *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                 refreshToken:
+ *                   type: string
+ *                   example: 3f9c0d1e...
+ *                 refreshTokenExpiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                   example: 2025-06-30T10:00:00.000Z
+ *                 admin:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       example: 60a1e2c7d32f1e2b3c4d5a01
+ *                     name:
+ *                       type: string
+ *                       example: Operations
+ *                     email:
+ *                       type: string
+ *                       example: ops@nearmart.com
+ *       400:
+ *         description: Missing or invalid credentials
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin account deactivated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   POST /api/admin/login
+// @desc    Authenticate admin and get tokens
+// @access  Public
+router.post('/login', loginRateLimit, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide email and password'
+      });
+    }
+
+    const admin = await Admin.findOne({ email: email.trim().toLowerCase() }).select('+password');
+    if (!admin || !(await admin.matchPassword(String(password)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    const signInBlock = getSignInBlock(admin);
+    if (signInBlock) {
+      return res.status(403).json({
+        success: false,
+        message: signInBlock
+      });
+    }
+
+    await Admin.updateOne({ _id: admin._id }, { $set: { lastLoginAt: new Date() } });
+    const { token, refreshToken, refreshTokenExpiresAt } = await issueAuthTokens(admin, 'admin', req);
+
+    await recordAction(req, {
+      admin: admin._id,
+      action: 'admin.login',
+      targetType: 'admin',
+      targetId: admin._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      token,
+      refreshToken,
+      refreshTokenExpiresAt,
+      admin: {
+        id: admin._id,
+        name: admin.name,
+        email: admin.email
+      }
+    });
+  } catch (error) {
+    sendServerError(res, error, 'Admin login');
+  }
+});
+
+// How a suspension is stored: customers have a flag, retailers a status (see models/Retailer.js)
+const SUSPENSION = {
+  customer: {
+    filter: (suspended) => ({ isSuspended: suspended ? true : { $ne: true } }),
+    suspend: () => ({ isSuspended: true }),
+    reactivate: () => ({ isSuspended: false })
+  },
+  retailer: {
+    filter: (suspended) => ({ status: suspended ? 'suspended' : { $ne: 'suspended' } }),
+    suspend: (account) => ({ status: 'suspended', statusBeforeSuspension: account.status }),
+    reactivate: (account) => ({ status: account.statusBeforeSuspension || 'approved' })
+  }
+};
+
+const RETAILER_STATUSES = Retailer.schema.path('status').enumValues;
+
+// Build the account list query shared by the customer and retailer listings
+const buildAccountQuery = (role, query, searchFields) => {
+  const filter = {};
+  const errors = [];
+
+  if (query.q) {
+    const pattern = new RegExp(escapeRegex(String(query.q).trim()), 'i');
+    filter.$or = searchFields.map(field => ({ [field]: pattern }));
+  }
+
+  const suspended = parseBooleanFilter(query.suspended);
+  const verified = parseBooleanFilter(query.verified);
+  const needsReview = parseBooleanFilter(query.needsReview);
+  if (suspended === null || verified === null || needsReview === null) {
+    errors.push('suspended, verified and needsReview must be true or false');
+  }
+
+  if (suspended !== undefined) Object.assign(filter, SUSPENSION[role].filter(suspended));
+  if (verified !== undefined) filter.isVerified = verified ? true : { $ne: true };
+  if (needsReview !== undefined) filter['addressVerification.needsReview'] = needsReview ? true : { $ne: true };
+
+  if (role === 'retailer' && query.status !== undefined) {
+    if (!RETAILER_STATUSES.includes(query.status)) {
+      errors.push(`status must be one of ${RETAILER_STATUSES.join(', ')}`);
+    } else if (suspended !== undefined) {
+      errors.push('Filter by either status or suspended, not both');
+    } else {
+      filter.status = query.status;
+    }
+  }
+
+  return { filter, errors };
+};
+
+// Shape an account for admin listings
+const formatAccount = (account) => ({
+  id: account._id,
+  name: account.name,
+  email: account.email,
+  phone: account.phone,
+  storeName: account.storeName,
+  status: account.status,
+  review: account.review,
+  address: account.address,
+  addressNeedsReview: Boolean(account.addressVerification && account.addressVerification.needsReview),
+  isVerified: Boolean(account.isVerified),
+  isSuspended: Boolean(account.isSuspended) || account.status === 'suspended',
+  suspendedAt: account.suspendedAt,
+  suspensionReason: account.suspensionReason,
+  createdAt: account.createdAt
+});
+
+// List customers or retailers for the admin console
+const listAccounts = (role, searchFields) => async (req, res) => {
+  try {
+    const { filter, errors } = buildAccountQuery(role, req.query, searchFields);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('. ')
+      });
+    }
+
+    const { page, limit, skip } = getPagination(req.query);
+    const User = getUserModel(role);
+    const [accounts, total] = await Promise.all([
+      User.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: accounts.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      [`${role}s`]: accounts.map(formatAccount)
+    });
+  } catch (error) {
+    sendServerError(res, error, `List ${role}s`);
+  }
+};
+
+// Suspend or reactivate a customer or retailer account
+// Suspending ends every session straight away; the account cannot sign in until it is reactivated.
+const setAccountSuspension = (role, suspend) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    const label = role.charAt(0).toUpperCase() + role.slice(1);
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${role} ID`
+      });
+    }
+
+    if (suspend && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason for the suspension'
+      });
+    }
+
+    const User = getUserModel(role);
+    const account = await User.findById(id).select('email isSuspended status statusBeforeSuspension');
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: `${label} not found`
+      });
+    }
+
+    if (Boolean(account.isSuspended) === suspend) {
+      return res.status(409).json({
+        success: false,
+        message: `${label} is already ${suspend ? 'suspended' : 'active'}`
+      });
+    }
+
+    // Written directly so an account with outdated data can still be suspended
+    await User.updateOne({ _id: id }, suspend
+      ? { $set: { ...SUSPENSION[role].suspend(account), suspendedAt: new Date(), suspensionReason: reason } }
+      : { $set: SUSPENSION[role].reactivate(account), $unset: { suspendedAt: 1, suspensionReason: 1, statusBeforeSuspension: 1 } });
+
+    if (suspend) {
+      await revokeAllSessions(account, role);
+    }
+
+    await recordAction(req, {
+      action: `${role}.${suspend ? 'suspend' : 'reactivate'}`,
+      targetType: role,
+      targetId: account._id,
+      reason: reason || undefined,
+      details: { email: account.email }
+    });
+
+    const updated = await User.findById(id).lean();
+
+    res.json({
+      success: true,
+      message: `${label} ${suspend ? 'suspended' : 'reactivated'} successfully`,
+      [role]: formatAccount(updated)
+    });
+  } catch (error) {
+    sendServerError(res, error, `${suspend ? 'Suspend' : 'Reactivate'} ${role}`);
+  }
+};
+
+/**
+ * @swagger
+ * /api/v1/admin/customers:
+ *   get:
+ *     summary: List and search customers
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AdminAccountSearch'
+ *       - $ref: '#/components/parameters/AdminSuspendedFilter'
+ *       - $ref: '#/components/parameters/AdminVerifiedFilter'
+ *       - $ref: '#/components/parameters/AdminNeedsReviewFilter'
+ *       - $ref: '#/components/parameters/AdminPage'
+ *       - $ref: '#/components/parameters/AdminLimit'
+ *     responses:
+ *       200:
+ *         description: Customers, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 20
+ *                 total:
+ *                   type: integer
+ *                   example: 1342
+ *                 totalPages:
+ *                   type: integer
+ *                   example: 68
+ *                 currentPage:
+ *                   type: integer
+ *                   example: 1
+ *                 customers:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AdminAccount'
+ *       400:
+ *         description: Invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   GET /api/admin/customers
+// @desc    List and search customers
+// @access  Private (admin)
+router.get('/customers', isAdmin, listAccounts('customer', ['name', 'email', 'phone']));
+
+/**
+ * @swagger
+ * /api/v1/admin/retailers:
+ *   get:
+ *     summary: List and search retailers
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AdminAccountSearch'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending_review, approved, rejected, suspended]
+ *         description: Only stores with this review status, e.g. pending_review for the review queue
+ *       - $ref: '#/components/parameters/AdminSuspendedFilter'
+ *       - $ref: '#/components/parameters/AdminVerifiedFilter'
+ *       - $ref: '#/components/parameters/AdminNeedsReviewFilter'
+ *       - $ref: '#/components/parameters/AdminPage'
+ *       - $ref: '#/components/parameters/AdminLimit'
+ *     responses:
+ *       200:
+ *         description: Retailers, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 20
+ *                 total:
+ *                   type: integer
+ *                   example: 87
+ *                 totalPages:
+ *                   type: integer
+ *                   example: 5
+ *                 currentPage:
+ *                   type: integer
+ *                   example: 1
+ *                 retailers:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AdminAccount'
+ *       400:
+ *         description: Invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   GET /api/admin/retailers
+// @desc    List and search retailers
+// @access  Private (admin)
+router.get('/retailers', isAdmin, listAccounts('retailer', ['name', 'email', 'phone', 'storeName']));
+
+/**
+ * @swagger
+ * /api/v1/admin/customers/{id}/suspend:
+ *   post:
+ *     summary: Suspend a customer
+ *     description: Ends every session of the customer and blocks sign-in until the account is reactivated. Audit-logged.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/AdminReason'
+ *     responses:
+ *       200:
+ *         description: Customer suspended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Customer suspended successfully
+ *                 customer:
+ *                   $ref: '#/components/schemas/AdminAccount'
+ *       400:
+ *         description: Invalid ID or missing reason
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Customer not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Customer already suspended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ * /api/v1/admin/customers/{id}/reactivate:
+ *   post:
+ *     summary: Reactivate a suspended customer
+ *     description: Lets the customer sign in again. Audit-logged.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Customer reactivated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Customer reactivated successfully
+ *                 customer:
+ *                   $ref: '#/components/schemas/AdminAccount'
+ *       404:
+ *         description: Customer not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Customer is not suspended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   POST /api/admin/customers/:id/suspend
+// @desc    Suspend a customer account
+// @access  Private (admin)
+router.post('/customers/:id/suspend', isAdmin, setAccountSuspension('customer', true));
+
+// @route   POST /api/admin/customers/:id/reactivate
+// @desc    Reactivate a suspended customer account
+// @access  Private (admin)
+router.post('/customers/:id/reactivate', isAdmin, setAccountSuspension('customer', false));
+
+/**
+ * @swagger
+ * /api/v1/admin/retailers/{id}/suspend:
+ *   post:
+ *     summary: Suspend a retailer
+ *     description: Ends every session of the retailer, blocks sign-in, and takes the store out of discovery and checkout until it is reactivated. Audit-logged.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/AdminReason'
+ *     responses:
+ *       200:
+ *         description: Retailer suspended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Retailer suspended successfully
+ *                 retailer:
+ *                   $ref: '#/components/schemas/AdminAccount'
+ *       400:
+ *         description: Invalid ID or missing reason
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Retailer not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Retailer already suspended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ * /api/v1/admin/retailers/{id}/reactivate:
+ *   post:
+ *     summary: Reactivate a suspended retailer
+ *     description: Lets the retailer sign in again and returns the store to the review status it had before the suspension, so an approved store is back in discovery. Audit-logged.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Retailer reactivated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Retailer reactivated successfully
+ *                 retailer:
+ *                   $ref: '#/components/schemas/AdminAccount'
+ *       404:
+ *         description: Retailer not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Retailer is not suspended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   POST /api/admin/retailers/:id/suspend
+// @desc    Suspend a retailer account
+// @access  Private (admin)
+router.post('/retailers/:id/suspend', isAdmin, setAccountSuspension('retailer', true));
+
+// @route   POST /api/admin/retailers/:id/reactivate
+// @desc    Reactivate a suspended retailer account
+// @access  Private (admin)
+router.post('/retailers/:id/reactivate', isAdmin, setAccountSuspension('retailer', false));
+
+// Review decisions and the statuses they can be made from
+// A rejected store can still be approved later; an approved store is taken down by suspending it.
+const REVIEW_DECISIONS = {
+  approve: { status: 'approved', from: ['pending_review', 'rejected'], verb: 'approved' },
+  reject: { status: 'rejected', from: ['pending_review'], verb: 'rejected' }
+};
+
+// Tell the retailer about a review decision
+// Failures are logged rather than thrown; the retailer can always read GET /retailer/status.
+const sendReviewDecision = async (retailer, status, reason) => {
+  const approved = status === 'approved';
+
+  try {
+    await sendMail({
+      to: retailer.email,
+      subject: approved ? `${retailer.storeName} is now live on NearMart` : 'Your NearMart store application',
+      text: `Hi ${retailer.name},\n\n` +
+        (approved
+          ? `${retailer.storeName} has been approved and is now visible to customers.`
+          : `We could not approve ${retailer.storeName}.`) +
+        (reason ? `\n\nReviewer's note: ${reason}` : '')
+    });
+  } catch (error) {
+    console.error('Sending review decision failed:', error.message);
+  }
+};
+
+// Approve or reject a store waiting for review
+const reviewRetailer = (decision) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    const { status, from, verb } = REVIEW_DECISIONS[decision];
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid retailer ID'
+      });
+    }
+
+    if (decision === 'reject' && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason for rejecting the store'
+      });
+    }
+
+    const retailer = await Retailer.findById(id).select('name email storeName status');
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer not found'
+      });
+    }
+
+    if (!from.includes(retailer.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Store is ${retailer.status.replace(/_/g, ' ')} and cannot be ${verb}`,
+        currentStatus: retailer.status
+      });
+    }
+
+    const review = { reviewedAt: new Date(), reviewedBy: req.user.id };
+    if (reason) review.reason = reason;
+
+    // Conditional on the status read above, so two admins reviewing at once cannot both succeed
+    const result = await Retailer.updateOne({ _id: id, status: retailer.status }, { $set: { status, review } });
+    if (result.matchedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'The store was updated in the meantime. Please reload it and try again'
+      });
+    }
+
+    await recordAction(req, {
+      action: `retailer.${decision}`,
+      targetType: 'retailer',
+      targetId: retailer._id,
+      reason: reason || undefined,
+      details: { storeName: retailer.storeName, previousStatus: retailer.status }
+    });
+
+    await sendReviewDecision(retailer, status, reason);
+
+    const updated = await Retailer.findById(id).lean();
+
+    res.json({
+      success: true,
+      message: `Store ${verb} successfully`,
+      retailer: formatAccount(updated)
+    });
+  } catch (error) {
+    sendServerError(res, error, `${decision === 'approve' ? 'Approve' : 'Reject'} retailer`);
+  }
+};
+
+/**
+ * @swagger
+ * /api/v1/admin/retailers/{id}/approve:
+ *   post:
+ *     summary: Approve a retailer's store
+ *     description: Makes a store that is pending review (or was rejected earlier) visible in store discovery and open for orders. The retailer is notified by email. Audit-logged.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Optional note for the retailer and the audit log
+ *                 example: Documents checked
+ *     responses:
+ *       200:
+ *         description: Store approved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Store approved successfully
+ *                 retailer:
+ *                   $ref: '#/components/schemas/AdminAccount'
+ *       400:
+ *         description: Invalid ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Retailer not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Store is already approved or is suspended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               message: Store is approved and cannot be approved
+ *               currentStatus: approved
+ * /api/v1/admin/retailers/{id}/reject:
+ *   post:
+ *     summary: Reject a retailer's store
+ *     description: Rejects a store that is pending review. The store stays out of discovery, and the retailer can read the reason from GET /api/v1/retailer/status and is notified by email. Audit-logged.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/AdminReason'
+ *     responses:
+ *       200:
+ *         description: Store rejected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Store rejected successfully
+ *                 retailer:
+ *                   $ref: '#/components/schemas/AdminAccount'
+ *       400:
+ *         description: Invalid ID or missing reason
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Retailer not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Store is not pending review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   POST /api/admin/retailers/:id/approve
+// @desc    Approve a store waiting for review
+// @access  Private (admin)
+router.post('/retailers/:id/approve', isAdmin, reviewRetailer('approve'));
+
+// @route   POST /api/admin/retailers/:id/reject
+// @desc    Reject a store waiting for review
+// @access  Private (admin)
+router.post('/retailers/:id/reject', isAdmin, reviewRetailer('reject'));
+
+/**
+ * @swagger
+ * /api/v1/admin/products:
+ *   get:
+ *     summary: List and search products
+ *     description: Lists products of every store, including unavailable and hidden ones.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive search on the product name
+ *       - in: query
+ *         name: retailer
+ *         schema:
+ *           type: string
+ *         description: Only products of this retailer
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: hidden
+ *         schema:
+ *           type: boolean
+ *         description: Only hidden (true) or visible (false) products
+ *       - $ref: '#/components/parameters/AdminPage'
+ *       - $ref: '#/components/parameters/AdminLimit'
+ *     responses:
+ *       200:
+ *         description: Products, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 20
+ *                 total:
+ *                   type: integer
+ *                   example: 5120
+ *                 totalPages:
+ *                   type: integer
+ *                   example: 256
+ *                 currentPage:
+ *                   type: integer
+ *                   example: 1
+ *                 products:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   GET /api/admin/products
+// @desc    List and search products across all stores
+// @access  Private (admin)
+router.get('/products', isAdmin, async (req, res) => {
+  try {
+    const { q, retailer, category } = req.query;
+    const hidden = parseBooleanFilter(req.query.hidden);
+    const filter = {};
+
+    if (hidden === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'hidden must be true or false'
+      });
+    }
+
+    if (retailer !== undefined) {
+      if (!mongoose.Types.ObjectId.isValid(retailer)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid retailer ID'
+        });
+      }
+      filter.retailer = retailer;
+    }
+
+    if (q) filter.name = new RegExp(escapeRegex(String(q).trim()), 'i');
+    if (category) filter.category = new RegExp(`^${escapeRegex(String(category).trim())}$`, 'i');
+    if (hidden !== undefined) filter['moderation.isHidden'] = hidden ? true : { $ne: true };
+
+    const { page, limit, skip } = getPagination(req.query);
+    const [products, total] = await Promise.all([
+      Product.find(filter)
+        .populate('retailer', 'storeName email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Product.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: products.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      products
+    });
+  } catch (error) {
+    sendServerError(res, error, 'List products');
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/products/{id}/hide:
+ *   post:
+ *     summary: Hide a product
+ *     description: Makes the product unavailable to customers. Its retailer cannot make it available again until an admin unhides it. Audit-logged.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/AdminReason'
+ *     responses:
+ *       200:
+ *         description: Product hidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Product hidden successfully
+ *                 product:
+ *                   $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Invalid ID or missing reason
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Product not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Product already hidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ * /api/v1/admin/products/{id}/unhide:
+ *   post:
+ *     summary: Unhide a product
+ *     description: Lifts the hide and restores the availability the retailer had set. Audit-logged.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product unhidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Product unhidden successfully
+ *                 product:
+ *                   $ref: '#/components/schemas/Product'
+ *       404:
+ *         description: Product not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Product is not hidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// Hide or unhide a product
+const setProductHidden = (hide) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    if (hide && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason for hiding the product'
+      });
+    }
+
+    const product = await Product.findById(id);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (Boolean(product.moderation && product.moderation.isHidden) === hide) {
+      return res.status(409).json({
+        success: false,
+        message: `Product is ${hide ? 'already hidden' : 'not hidden'}`
+      });
+    }
+
+    if (hide) {
+      await product.hide(req.user.id, reason);
+    } else {
+      await product.unhide();
+    }
+
+    await recordAction(req, {
+      action: `product.${hide ? 'hide' : 'unhide'}`,
+      targetType: 'product',
+      targetId: product._id,
+      reason: reason || undefined,
+      details: { name: product.name, retailer: product.retailer }
+    });
+
+    res.json({
+      success: true,
+      message: `Product ${hide ? 'hidden' : 'unhidden'} successfully`,
+      product
+    });
+  } catch (error) {
+    sendServerError(res, error, `${hide ? 'Hide' : 'Unhide'} product`);
+  }
+};
+
+// @route   POST /api/admin/products/:id/hide
+// @desc    Hide a product from customers
+// @access  Private (admin)
+router.post('/products/:id/hide', isAdmin, setProductHidden(true));
+
+// @route   POST /api/admin/products/:id/unhide
+// @desc    Lift the hide on a product
+// @access  Private (admin)
+router.post('/products/:id/unhide', isAdmin, setProductHidden(false));
+
+/**
+ * @swagger
+ * /api/v1/admin/orders:
+ *   get:
+ *     summary: List and search orders
+ *     description: Lists orders of every store and customer.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Order number, or the start of one
+ *         example: NM-250531
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, confirmed, processing, out_for_delivery, delivered, ready_for_pickup, picked_up, cancelled]
+ *       - in: query
+ *         name: retailer
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: customer
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only orders placed at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only orders placed before this time
+ *       - $ref: '#/components/parameters/AdminPage'
+ *       - $ref: '#/components/parameters/AdminLimit'
+ *     responses:
+ *       200:
+ *         description: Orders, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 20
+ *                 total:
+ *                   type: integer
+ *                   example: 9811
+ *                 totalPages:
+ *                   type: integer
+ *                   example: 491
+ *                 currentPage:
+ *                   type: integer
+ *                   example: 1
+ *                 orders:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: Invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   GET /api/admin/orders
+// @desc    List and search orders across the platform
+// @access  Private (admin)
+router.get('/orders', isAdmin, async (req, res) => {
+  try {
+    const { q, status, retailer, customer, from, to } = req.query;
+    const filter = {};
+
+    if (status !== undefined) {
+      if (!Order.schema.path('status').enumValues.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid order status'
+        });
+      }
+      filter.status = status;
+    }
+
+    for (const [field, value] of [['retailer', retailer], ['customer', customer]]) {
+      if (value === undefined) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${field} ID`
+        });
+      }
+      filter[field] = value;
+    }
+
+    if (from !== undefined || to !== undefined) {
+      const fromDate = from !== undefined ? new Date(from) : null;
+      const toDate = to !== undefined ? new Date(to) : null;
+      if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+        return res.status(400).json({
+          success: false,
+          message: 'from and to must be valid dates'
+        });
+      }
+      filter.createdAt = {};
+      if (fromDate) filter.createdAt.$gte = fromDate;
+      if (toDate) filter.createdAt.$lt = toDate;
+    }
+
+    if (q) filter.orderNumber = new RegExp(`^${escapeRegex(String(q).trim().toUpperCase())}`);
+
+    const { page, limit, skip } = getPagination(req.query);
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .populate('customer', 'name email')
+        .populate('retailer', 'storeName email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Order.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: orders.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      orders: orders.map(order => ({
+        id: order._id,
+        orderNumber: order.orderNumber,
+        checkoutId: order.checkoutId,
+        status: order.status,
+        fulfillmentType: order.fulfillmentType,
+        customer: order.customer,
+        retailer: order.retailer,
+        total: order.total,
+        itemCount: order.itemCount,
+        payment: {
+          method: order.payment.method,
+          status: order.payment.status
+        },
+        cancelReason: order.cancelReason,
+        cancelledBy: order.cancelledBy,
+        createdAt: order.createdAt
+      }))
+    });
+  } catch (error) {
+    sendServerError(res, error, 'List orders');
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/orders/{id}/cancel:
+ *   post:
+ *     summary: Force-cancel an order
+ *     description: |
+ *       Cancels any order that is not finished yet, including orders already out for delivery, which customers and
+ *       retailers cannot cancel. Stock is restored, the coupon and delivery slot are released and completed payments
+ *       are marked as refunded. The order records cancelledBy 'admin'. Audit-logged.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/AdminReason'
+ *     responses:
+ *       200:
+ *         description: Order cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Order cancelled successfully
+ *                 order:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     orderNumber:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       example: cancelled
+ *                     previousStatus:
+ *                       type: string
+ *                       example: out_for_delivery
+ *                     paymentStatus:
+ *                       type: string
+ *                       example: refunded
+ *       400:
+ *         description: Invalid ID or missing reason
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Order is already finished (delivered, picked up or cancelled)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   POST /api/admin/orders/:id/cancel
+// @desc    Force-cancel an unfinished order
+// @access  Private (admin)
+router.post('/orders/:id/cancel', isAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID'
+      });
+    }
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason for cancelling the order'
+      });
+    }
+
+    const order = await Order.findById(id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!order.canBeCancelled({ force: true })) {
+      return res.status(409).json({
+        success: false,
+        message: `Order is already ${order.status.replace(/_/g, ' ')} and cannot be cancelled`,
+        currentStatus: order.status
+      });
+    }
+
+    const previousStatus = order.status;
+    await order.cancelOrder(reason, 'admin', { force: true });
+
+    await recordAction(req, {
+      action: 'order.cancel',
+      targetType: 'order',
+      targetId: order._id,
+      reason,
+      details: {
+        orderNumber: order.orderNumber,
+        previousStatus,
+        paymentStatus: order.payment.status
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Order cancelled successfully',
+      order: {
+        id: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        previousStatus,
+        paymentStatus: order.payment.status
+      }
+    });
+  } catch (error) {
+    // A concurrent cancellation may have finished the order first
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        currentStatus: error.currentStatus
+      });
+    }
+    sendServerError(res, error, 'Force-cancel order');
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/coupons:
+ *   get:
+ *     summary: List coupons
+ *     description: Lists platform-wide coupons and the coupons of every store.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Coupon code, or the start of one
+ *         example: SPRING
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [platform, retailer]
+ *         description: Only platform-wide coupons, or only store coupons
+ *       - in: query
+ *         name: retailer
+ *         schema:
+ *           type: string
+ *         description: Only coupons of this retailer
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *       - $ref: '#/components/parameters/AdminPage'
+ *       - $ref: '#/components/parameters/AdminLimit'
+ *     responses:
+ *       200:
+ *         description: Coupons
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 20
+ *                 total:
+ *                   type: integer
+ *                   example: 64
+ *                 totalPages:
+ *                   type: integer
+ *                   example: 4
+ *                 currentPage:
+ *                   type: integer
+ *                   example: 1
+ *                 coupons:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Coupon'
+ *       400:
+ *         description: Invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Create a platform-wide coupon
+ *     description: Creates a coupon that applies to the items of every store in the cart. Audit-logged.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/CouponInput'
+ *               - type: object
+ *                 required:
+ *                   - code
+ *                   - discountType
+ *                   - discountValue
+ *     responses:
+ *       201:
+ *         description: Coupon created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Coupon created successfully
+ *                 coupon:
+ *                   $ref: '#/components/schemas/Coupon'
+ *       400:
+ *         description: Missing fields or validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Code already in use
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ * /api/v1/admin/coupons/{id}:
+ *   put:
+ *     summary: Update a platform-wide coupon
+ *     description: Updates a platform-wide coupon. The code cannot be changed, and store coupons are managed by their retailer. Audit-logged.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/CouponInput'
+ *               - type: object
+ *                 properties:
+ *                   isActive:
+ *                     type: boolean
+ *     responses:
+ *       200:
+ *         description: Coupon updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Coupon updated successfully
+ *                 coupon:
+ *                   $ref: '#/components/schemas/Coupon'
+ *       400:
+ *         description: Invalid ID or validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Platform-wide coupon not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ * /api/v1/admin/coupons/{id}/deactivate:
+ *   post:
+ *     summary: Deactivate a coupon
+ *     description: Deactivates a platform-wide coupon or the coupon of any store, so it can no longer be applied. Redemptions already made are kept. Audit-logged.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/AdminReason'
+ *     responses:
+ *       200:
+ *         description: Coupon deactivated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Coupon deactivated successfully
+ *                 coupon:
+ *                   $ref: '#/components/schemas/Coupon'
+ *       400:
+ *         description: Invalid ID or missing reason
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Coupon not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Coupon is already inactive
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// Send the response for a coupon that could not be saved
+const sendCouponError = (res, error, context) => {
+  // Another coupon with the same code was created in the meantime
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'A coupon with this code already exists'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(e => e.message)
+    });
+  }
+
+  sendServerError(res, error, context);
+};
+
+// @route   GET /api/admin/coupons
+// @desc    List coupons
+// @access  Private (admin)
+router.get('/coupons', isAdmin, async (req, res) => {
+  try {
+    const { q, scope, retailer } = req.query;
+    const active = parseBooleanFilter(req.query.active);
+    const filter = {};
+
+    if (active === null || (scope !== undefined && !['platform', 'retailer'].includes(scope))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid filter'
+      });
+    }
+
+    if (q) filter.code = new RegExp(`^${escapeRegex(String(q).toUpperCase())}`);
+    if (active !== undefined) filter.isActive = active;
+    if (scope === 'platform') filter.retailer = null;
+    if (scope === 'retailer') filter.retailer = { $ne: null };
+
+    if (retailer !== undefined) {
+      if (!mongoose.Types.ObjectId.isValid(retailer)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid retailer'
+        });
+      }
+      filter.retailer = retailer;
+    }
+
+    const { page, limit, skip } = getPagination(req.query);
+    const [coupons, total] = await Promise.all([
+      Coupon.find(filter)
+        .populate('retailer', 'storeName')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Coupon.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: coupons.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      coupons
+    });
+  } catch (error) {
+    sendServerError(res, error, 'List coupons');
+  }
+});
+
+// @route   POST /api/admin/coupons
+// @desc    Create a platform-wide coupon
+// @access  Private (admin)
+router.post('/coupons', isAdmin, async (req, res) => {
+  try {
+    const { code, discountType, discountValue } = req.body;
+
+    if (!code || !discountType || discountValue === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide code, discountType, and discountValue'
+      });
+    }
+
+    if (await Coupon.findByCode(code)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+
+    const coupon = new Coupon({ retailer: null });
+    for (const field of COUPON_EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) coupon[field] = req.body[field];
+    }
+
+    await coupon.save();
+
+    await recordAction(req, {
+      action: 'coupon.create',
+      targetType: 'coupon',
+      targetId: coupon._id,
+      details: { code: coupon.code, discountType: coupon.discountType, discountValue: coupon.discountValue }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      coupon
+    });
+  } catch (error) {
+    sendCouponError(res, error, 'Create coupon');
+  }
+});
+
+// @route   PUT /api/admin/coupons/:id
+// @desc    Update a platform-wide coupon
+// @access  Private (admin)
+router.put('/coupons/:id', isAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid coupon ID'
+      });
+    }
+
+    const coupon = await Coupon.findOne({ _id: req.params.id, retailer: null });
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Platform-wide coupon not found'
+      });
+    }
+
+    // Code is immutable
+    const changes = {};
+    for (const field of [...COUPON_EDITABLE_FIELDS, 'isActive']) {
+      if (field === 'code' || req.body[field] === undefined) continue;
+      changes[field] = { from: coupon[field], to: req.body[field] };
+      coupon[field] = req.body[field];
+    }
+
+    await coupon.save();
+
+    await recordAction(req, {
+      action: 'coupon.update',
+      targetType: 'coupon',
+      targetId: coupon._id,
+      details: { code: coupon.code, changes }
+    });
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      coupon
+    });
+  } catch (error) {
+    sendCouponError(res, error, 'Update coupon');
+  }
+});
+
+// @route   POST /api/admin/coupons/:id/deactivate
+// @desc    Deactivate a platform-wide or store coupon
+// @access  Private (admin)
+router.post('/coupons/:id/deactivate', isAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid coupon ID'
+      });
+    }
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason for deactivating the coupon'
+      });
+    }
+
+    const coupon = await Coupon.findById(id);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    if (!coupon.isActive) {
+      return res.status(409).json({
+        success: false,
+        message: 'Coupon is already inactive'
+      });
+    }
+
+    coupon.isActive = false;
+    await coupon.save();
+
+    await recordAction(req, {
+      action: 'coupon.deactivate',
+      targetType: 'coupon',
+      targetId: coupon._id,
+      reason,
+      details: { code: coupon.code, retailer: coupon.retailer }
+    });
+
+    res.json({
+      success: true,
+      message: 'Coupon deactivated successfully',
+      coupon
+    });
+  } catch (error) {
+    sendServerError(res, error, 'Deactivate coupon');
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/metrics:
+ *   get:
+ *     summary: Platform metrics
+ *     description: Account, product and order counts, sales totals, and geocoder cache and queue statistics of this server process.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Metrics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 metrics:
+ *                   type: object
+ *                   properties:
+ *                     customers:
+ *                       type: object
+ *                       example: { total: 1342, verified: 1201, suspended: 4, addressesNeedingReview: 17 }
+ *                     retailers:
+ *                       type: object
+ *                       example: { total: 87, verified: 80, suspended: 1, addressesNeedingReview: 2, byStatus: { approved: 79, pending_review: 5, rejected: 2, suspended: 1 } }
+ *                     products:
+ *                       type: object
+ *                       example: { total: 5120, available: 4870, hidden: 12 }
+ *                     orders:
+ *                       type: object
+ *                       example: { total: 9811, last24Hours: 143, last7Days: 990, byStatus: { delivered: 8700, cancelled: 310 }, grossMerchandiseValue: 254310.55 }
+ *                     geocoder:
+ *                       type: object
+ *                       description: Cache hit rates and provider queue depths since this process started
+ *                 generatedAt:
+ *                   type: string
+ *                   format: date-time
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   GET /api/admin/metrics
+// @desc    Platform-wide metrics
+// @access  Private (admin)
+router.get('/metrics', isAdmin, async (req, res) => {
+  try {
+    const now = Date.now();
+    const dayAgo = new Date(now - 24 * 60 * 60 * 1000);
+    const weekAgo = new Date(now - 7 * 24 * 60 * 60 * 1000);
+
+    const countAccounts = async (role) => {
+      const User = getUserModel(role);
+      const [total, verified, suspended, addressesNeedingReview] = await Promise.all([
+        User.countDocuments(),
+        User.countDocuments({ isVerified: true }),
+        User.countDocuments(SUSPENSION[role].filter(true)),
+        User.countDocuments({ 'addressVerification.needsReview': true })
+      ]);
+      return { total, verified, suspended, addressesNeedingReview };
+    };
+
+    const [
+      customers,
+      retailers,
+      productTotal,
+      productsAvailable,
+      productsHidden,
+      orderTotal,
+      ordersLastDay,
+      ordersLastWeek,
+      ordersByStatus,
+      retailersByStatus,
+      [sales]
+    ] = await Promise.all([
+      countAccounts('customer'),
+      countAccounts('retailer'),
+      Product.countDocuments(),
+      Product.countDocuments({ isAvailable: true }),
+      Product.countDocuments({ 'moderation.isHidden': true }),
+      Order.countDocuments(),
+      Order.countDocuments({ createdAt: { $gte: dayAgo } }),
+      Order.countDocuments({ createdAt: { $gte: weekAgo } }),
+      Order.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+      Retailer.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+      Order.aggregate([
+        { $match: { status: { $ne: 'cancelled' } } },
+        { $group: { _id: null, grossMerchandiseValue: { $sum: '$total' } } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      metrics: {
+        customers,
+        retailers: {
+          ...retailers,
+          byStatus: Object.fromEntries(retailersByStatus.map(group => [group._id, group.count]))
+        },
+        products: {
+          total: productTotal,
+          available: productsAvailable,
+          hidden: productsHidden
+        },
+        orders: {
+          total: orderTotal,
+          last24Hours: ordersLastDay,
+          last7Days: ordersLastWeek,
+          byStatus: Object.fromEntries(ordersByStatus.map(group => [group._id, group.count])),
+          grossMerchandiseValue: parseFloat(((sales && sales.grossMerchandiseValue) || 0).toFixed(2))
+        },
+        geocoder: {
+          cache: getCacheStats(),
+          queues: getQueueMetrics()
+        }
+      },
+      generatedAt: new Date(now)
+    });
+  } catch (error) {
+    sendServerError(res, error, 'Admin metrics');
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/audit-logs:
+ *   get:
+ *     summary: List audit log entries
+ *     description: Every admin action (logins, store reviews, suspensions, product moderation, cancellations), newest first.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         example: customer.suspend
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [admin, customer, retailer, product, order, coupon]
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: admin
+ *         schema:
+ *           type: string
+ *         description: Only actions of this admin
+ *       - $ref: '#/components/parameters/AdminPage'
+ *       - $ref: '#/components/parameters/AdminLimit'
+ *     responses:
+ *       200:
+ *         description: Audit log entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 20
+ *                 total:
+ *                   type: integer
+ *                   example: 311
+ *                 totalPages:
+ *                   type: integer
+ *                   example: 16
+ *                 currentPage:
+ *                   type: integer
+ *                   example: 1
+ *                 logs:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       admin:
+ *                         type: object
+ *                       action:
+ *                         type: string
+ *                         example: order.cancel
+ *                       targetType:
+ *                         type: string
+ *                         example: order
+ *                       targetId:
+ *                         type: string
+ *                       reason:
+ *                         type: string
+ *                         example: Customer reported fraud
+ *                       details:
+ *                         type: object
+ *                       ip:
+ *                         type: string
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *       400:
+ *         description: Invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   GET /api/admin/audit-logs
+// @desc    List audit log entries
+// @access  Private (admin)
+router.get('/audit-logs', isAdmin, async (req, res) => {
+  try {
+    const { action, targetType, targetId, admin } = req.query;
+    const filter = {};
+
+    if (action) filter.action = String(action);
+
+    if (targetType !== undefined) {
+      if (!AuditLog.schema.path('targetType').enumValues.includes(targetType)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid target type'
+        });
+      }
+      filter.targetType = targetType;
+    }
+
+    for (const [field, value] of [['targetId', targetId], ['admin', admin]]) {
+      if (value === undefined) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${field}`
+        });
+      }
+      filter[field] = value;
+    }
+
+    const { page, limit, skip } = getPagination(req.query);
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('admin', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: logs.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      logs: logs.map(({ _id, __v, userAgent, ...log }) => ({ id: _id, ...log }))
+    });
+  } catch (error) {
+    sendServerError(res, error, 'List audit logs');
+  }
+});
+
+module.exports = router;
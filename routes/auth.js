@@ -0,0 +1,903 @@
+const express = require('express');
+const router = express.Router();
+
+// Import models
+const RefreshToken = require('../models/RefreshToken');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const VerificationCode = require('../models/VerificationCode');
+
+// Import middleware
+const { verifyToken, apiRateLimit } = require('../middleware/auth');
+
+// Import utilities
+const { getUserModel, getSignInBlock, revokeAllSessions, setPassword } = require('../utils/authTokens');
+const { sendMail } = require('../utils/mailer');
+const {
+  getPendingChannels,
+  getVerificationStatus,
+  sendVerificationCode,
+  markVerified
+} = require('../utils/verification');
+
+// Page of the web app that reads the token from the link and calls POST /auth/reset-password
+const PASSWORD_RESET_URL = process.env.PASSWORD_RESET_URL || 'https://nearmart.com/reset-password';
+
+// Roles that can sign in with an email and password
+const PASSWORD_ROLES = ['customer', 'retailer'];
+
+// Refresh and logout are public, so keep guessing expensive
+const authRateLimit = apiRateLimit(30, 15 * 60 * 1000, 'Too many authentication requests, please try again later');
+
+/**
+ * @swagger
+ * /api/v1/auth/refresh:
+ *   post:
+ *     summary: Refresh an access token
+ *     description: |
+ *       Exchanges a refresh token for a new access token and a new refresh token, for customers, retailers and admins alike.
+ *       Refresh tokens rotate: each one can be used once, and the response carries its replacement.
+ *       Presenting a refresh token that was already used revokes every token of that login, so a stolen token
+ *       stops working as soon as either party uses it again.
+ *     tags: [Authentication]
+ *     security: []  # No security, the refresh token is the credential
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Refresh token from login, signup or the previous refresh
+ *                 example: 3f9c0d1e...
+ *     responses:
+ *       200:
+ *         description: New tokens issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokens'
+ *       400:
+ *         description: Refresh token missing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Refresh token invalid, expired, revoked or already used
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             examples:
+ *               invalid:
+ *                 value:
+ *                   success: false
+ *                   message: Invalid or expired refresh token
+ *               reused:
+ *                 value:
+ *                   success: false
+ *                   message: Refresh token has already been used. Please log in again
+ *       403:
+ *         description: Account suspended or deactivated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   POST /api/auth/refresh
+// @desc    Rotate a refresh token and issue a new access token
+// @access  Public
+router.post('/refresh', authRateLimit, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const rotated = await RefreshToken.rotate(refreshToken, {
+      userAgent: req.get('user-agent'),
+      ip: req.ip
+    });
+
+    // The account may have been deleted or suspended since the token was issued
+    const user = await getUserModel(rotated.role).findById(rotated.user);
+    if (!user) {
+      await RefreshToken.revokeFamily(rotated.family, 'logout');
+      return res.status(401).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    const signInBlock = getSignInBlock(user);
+    if (signInBlock) {
+      await RefreshToken.revokeFamily(rotated.family, 'logout');
+      return res.status(403).json({
+        success: false,
+        message: signInBlock
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      role: rotated.role,
+      token: user.generateAuthToken(),
+      refreshToken: rotated.refreshToken,
+      refreshTokenExpiresAt: rotated.expiresAt
+    });
+  } catch (error) {
+    if (error.statusCode === 401) {
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/logout:
+ *   post:
+ *     summary: Log out
+ *     description: |
+ *       Revokes the given refresh token, for customers, retailers and admins alike. The current access token stays valid
+ *       until it expires (15 minutes by default), so clients should discard it.
+ *       With allDevices set, every session of the account is ended: all refresh tokens are revoked and all
+ *       access tokens issued so far are rejected straight away.
+ *     tags: [Authentication]
+ *     security: []  # No security, the refresh token is the credential
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Refresh token of the session to end
+ *                 example: 3f9c0d1e...
+ *               allDevices:
+ *                 type: boolean
+ *                 description: End every session of the account, not just this one
+ *                 default: false
+ *                 example: false
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: Logged out successfully
+ *       400:
+ *         description: Refresh token missing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unknown refresh token, or allDevices requested with a revoked or expired token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   POST /api/auth/logout
+// @desc    Revoke a refresh token, or every session of the account
+// @access  Public
+router.post('/logout', authRateLimit, async (req, res) => {
+  try {
+    const { refreshToken, allDevices = false } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    if (typeof allDevices !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'allDevices must be a boolean'
+      });
+    }
+
+    const session = await RefreshToken.findByToken(refreshToken);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    if (allDevices) {
+      // Only a live session may end every other session
+      if (!session.isActive) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired refresh token'
+        });
+      }
+
+      await revokeAllSessions({ _id: session.user }, session.role);
+    } else {
+      // Logging out twice is harmless
+      await session.revoke('logout');
+    }
+
+    res.json({
+      success: true,
+      message: allDevices ? 'Logged out of all devices' : 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset link
+ *     description: |
+ *       Emails a single-use password reset link to the customer or retailer account with this email.
+ *       The response is the same whether or not the account exists, so it cannot be used to find accounts.
+ *       The link expires after 30 minutes by default, and requesting a new one invalidates the previous link.
+ *     tags: [Authentication]
+ *     security: []  # No security, this is a public endpoint
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: john.doe@example.com
+ *               role:
+ *                 type: string
+ *                 enum: [customer, retailer]
+ *                 example: customer
+ *     responses:
+ *       200:
+ *         description: Request accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: If an account exists for this email, a password reset link has been sent
+ *       400:
+ *         description: Email or role missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', authRateLimit, async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your email'
+      });
+    }
+
+    if (!PASSWORD_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Must be one of: ${PASSWORD_ROLES.join(', ')}`
+      });
+    }
+
+    const user = await getUserModel(role).findOne({ email: email.trim().toLowerCase() });
+
+    if (user) {
+      const { resetToken, expiresAt } = await PasswordResetToken.issue(user._id, role, { ip: req.ip });
+      const link = `${PASSWORD_RESET_URL}?token=${resetToken}`;
+
+      // A mail failure must not reveal that the account exists
+      try {
+        await sendMail({
+          to: user.email,
+          subject: 'Reset your NearMart password',
+          text: `Hi ${user.name},\n\n` +
+            `Use the link below to choose a new password. It works once and expires at ${expiresAt.toISOString()}.\n\n` +
+            `${link}\n\n` +
+            'If you did not ask to reset your password, you can ignore this email.'
+        });
+      } catch (mailError) {
+        console.error('Password reset email error:', mailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/reset-password:
+ *   post:
+ *     summary: Reset a password
+ *     description: Sets a new password using the token from the reset link. The token works once. Every session of the account is ended, so the user has to log in again with the new password.
+ *     tags: [Authentication]
+ *     security: []  # No security, the reset token is the credential
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the reset link
+ *                 example: 9b1e4f...
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 6
+ *                 example: newsecurepassword
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: Password has been reset. Please log in with your new password
+ *       400:
+ *         description: Token invalid, used or expired, or password too short
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               message: Invalid or expired reset link. Please request a new one
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token
+// @access  Public
+router.post('/reset-password', authRateLimit, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset token is required'
+      });
+    }
+
+    // Check the password before the token is used up
+    if (!password || typeof password !== 'string' || password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters long'
+      });
+    }
+
+    const resetRecord = await PasswordResetToken.consume(token);
+    const user = resetRecord && await getUserModel(resetRecord.role).findById(resetRecord.user);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset link. Please request a new one'
+      });
+    }
+
+    await setPassword(user, resetRecord.role, password);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Load the signed-in account for the verification routes
+const findAccount = (req) => {
+  const User = getUserModel(req.user.role);
+  return User ? User.findById(req.user.id) : null;
+};
+
+/**
+ * @swagger
+ * /api/v1/auth/verification:
+ *   get:
+ *     summary: Get verification status
+ *     description: Shows which of the account's email address and phone number are verified.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 verification:
+ *                   $ref: '#/components/schemas/VerificationStatus'
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   GET /api/auth/verification
+// @desc    Get the verification status of the account
+// @access  Private
+router.get('/verification', verifyToken, async (req, res) => {
+  try {
+    const user = await findAccount(req);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      verification: getVerificationStatus(user)
+    });
+  } catch (error) {
+    console.error('Get verification status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/resend-verification:
+ *   post:
+ *     summary: Resend a verification code
+ *     description: |
+ *       Sends a new verification link by email, or a new one-time code by text message. Earlier codes for the
+ *       channel stop working. Codes can be requested once a minute and at most 5 times an hour per channel.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - channel
+ *             properties:
+ *               channel:
+ *                 type: string
+ *                 enum: [email, phone]
+ *                 example: phone
+ *     responses:
+ *       200:
+ *         description: Code sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Verification code sent
+ *                 channel:
+ *                   type: string
+ *                   example: phone
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                   example: 2025-05-31T10:10:00.000Z
+ *       400:
+ *         description: Invalid channel, channel already verified, or no phone number on file
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Codes requested too often; see the Retry-After header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 message:
+ *                   type: string
+ *                   example: Please wait before requesting another code
+ *                 retryAfterSeconds:
+ *                   type: integer
+ *                   example: 42
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email link or phone code
+// @access  Private
+router.post('/resend-verification', verifyToken, async (req, res) => {
+  try {
+    const { channel } = req.body;
+
+    if (!['email', 'phone'].includes(channel)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid channel. Must be one of: email, phone'
+      });
+    }
+
+    const user = await findAccount(req);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    if (channel === 'phone' && !user.phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add a phone number to your profile first'
+      });
+    }
+
+    if (!getPendingChannels(user).includes(channel)) {
+      return res.status(400).json({
+        success: false,
+        message: `Your ${channel === 'email' ? 'email address' : 'phone number'} is already verified`
+      });
+    }
+
+    const sent = await sendVerificationCode(user, req.user.role, channel);
+
+    res.json({
+      success: true,
+      message: 'Verification code sent',
+      channel,
+      expiresAt: sent.expiresAt
+    });
+  } catch (error) {
+    if (error.statusCode === 429) {
+      res.set('Retry-After', String(error.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        message: error.message,
+        retryAfterSeconds: error.retryAfterSeconds
+      });
+    }
+
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/verify-email:
+ *   post:
+ *     summary: Verify an email address
+ *     description: Confirms the email address with the token from the verification link. Works once, and only while the account still has the address the link was sent to.
+ *     tags: [Authentication]
+ *     security: []  # No security, the token from the link is the credential
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 example: 5d2c8a...
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Email address verified
+ *                 verification:
+ *                   $ref: '#/components/schemas/VerificationStatus'
+ *       400:
+ *         description: Link invalid, used or expired
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               message: Invalid or expired verification link. Please request a new one
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   POST /api/auth/verify-email
+// @desc    Verify an email address with the token from the link
+// @access  Public
+router.post('/verify-email', authRateLimit, async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required'
+      });
+    }
+
+    const record = await VerificationCode.consumeEmailToken(token);
+    const user = record && await getUserModel(record.role).findById(record.user);
+
+    if (!user || !(await markVerified(user, record))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link. Please request a new one'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email address verified',
+      verification: getVerificationStatus(user)
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/verify-phone:
+ *   post:
+ *     summary: Verify a phone number
+ *     description: Confirms the account's phone number with the 6-digit code sent by text message. A code allows 5 attempts.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "482913"
+ *     responses:
+ *       200:
+ *         description: Phone number verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Phone number verified
+ *                 verification:
+ *                   $ref: '#/components/schemas/VerificationStatus'
+ *       400:
+ *         description: Code incorrect, expired or out of attempts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               message: Incorrect code
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   POST /api/auth/verify-phone
+// @desc    Verify the phone number with the code sent by text message
+// @access  Private
+router.post('/verify-phone', verifyToken, authRateLimit, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code || !/^\d{6}$/.test(String(code).trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the 6-digit code'
+      });
+    }
+
+    const user = await findAccount(req);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    const record = await VerificationCode.consumePhoneCode(user._id, req.user.role, code);
+
+    if (!(await markVerified(user, record))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your phone number has changed since this code was sent. Please request a new one'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Phone number verified',
+      verification: getVerificationStatus(user)
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Verify phone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -9,9 +9,22 @@ const Retailer = require('../models/Retailer');
 const Product = require('../models/Product');
 const Cart = require('../models/Cart');
 const Order = require('../models/Order');
+const Coupon = require('../models/Coupon');
+const SlotReservation = require('../models/SlotReservation');
 
 // Import middleware
-const { isCustomer } = require('../middleware/auth');
+const { isCustomer, requireVerified } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+
+// Import utilities
+const { isTaxInclusive } = require('../utils/tax');
+const { hasCoordinates, DEFAULT_DELIVERY_SETTINGS } = require('../utils/delivery');
+const { openAtExpression, getNextOpening } = require('../utils/openingHours');
+const { getSlotWindows } = require('../utils/deliverySlots');
+const { geocodeAddress, geocodeAddressWithConfidence } = require('../utils/geocoder');
+const { validateAddress, buildAddressVerification } = require('../utils/address');
+const { getSignInBlock, issueAuthTokens, setPassword } = require('../utils/authTokens');
+const { sendPendingVerifications, getVerificationStatus } = require('../utils/verification');
 
 /**
  * @swagger
@@ -73,8 +86,16 @@ const { isCustomer } = require('../middleware/auth');
  *                   example: Customer registered successfully
  *                 token:
  *                   type: string
- *                   description: JWT authentication token
+ *                   description: JWT access token, valid for 15 minutes by default
  *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Single-use token for POST /api/v1/auth/refresh
+ *                   example: 3f9c0d1e...
+ *                 refreshTokenExpiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                   example: 2025-06-30T10:00:00.000Z
  *                 customer:
  *                   type: object
  *                   properties:
@@ -87,6 +108,14 @@ const { isCustomer } = require('../middleware/auth');
  *                     email:
  *                       type: string
  *                       example: john.doe@example.com
+ *                     address:
+ *                       $ref: '#/components/schemas/Address'
+ *                     addressNeedsReview:
+ *                       type: boolean
+ *                       description: True when the geocoder was unsure about the address; it is queued for manual review
+ *                       example: false
+ *                     verification:
+ *                       $ref: '#/components/schemas/VerificationStatus'
  *       400:
  *         description: Bad request - validation error or email already exists
  *         content:
@@ -101,7 +130,8 @@ const { isCustomer } = require('../middleware/auth');
  *               invalidAddress:
  *                 value:
  *                   success: false
- *                   message: Please provide complete address information
+ *                   message: Invalid postal code '1234' for US. Expected a format like 11201 or 11201-1234
+ *                   errors: ["Invalid postal code '1234' for US. Expected a format like 11201 or 11201-1234"]
  *               emailExists:
  *                 value:
  *                   success: false
@@ -188,10 +218,6 @@ const { isCustomer } = require('../middleware/auth');
 //     });
 //   }
 // });
-const axios = require('axios');
-const dotenv = require('dotenv');
-dotenv.config();
-
 router.post('/signup', async (req, res) => {
   try {
     const { name, email, password, phone, address } = req.body;
@@ -203,11 +229,13 @@ router.post('/signup', async (req, res) => {
       });
     }
 
-    // Validate address structure
-    if (typeof address !== 'object' || !address.street || !address.city || !address.state || !address.zipCode) {
+    // Validate and normalise the address
+    const addressCheck = validateAddress(address);
+    if (!addressCheck.isValid) {
       return res.status(400).json({
         success: false,
-        message: 'Please provide complete address: street, city, state, zipCode'
+        message: addressCheck.errors.join('. '),
+        errors: addressCheck.errors
       });
     }
 
@@ -220,35 +248,19 @@ router.post('/signup', async (req, res) => {
       });
     }
 
-    // Compose full address string
-    const fullAddress = `${address.street}, ${address.city}, ${address.state}, ${address.zipCode}`;
-    const geocodeUrl = `https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(fullAddress)}&format=json&limit=1&addressdetails=1`;
-
-    let location;
+    let geocode;
     try {
-      const geoRes = await axios.get(geocodeUrl, {
-        timeout: 5000,
-        headers: {
-          'User-Agent': 'uCampusApp/1.0 (your_email@example.com)' // Replace with your contact info as per Nominatim policy
-        }
-      });
+      geocode = await geocodeAddressWithConfidence(addressCheck.address);
+    } catch (geoError) {
+      console.error('Geocoding failed:', geoError.message);
 
-      if (!geoRes.data || geoRes.data.length === 0) {
+      if (geoError.code === 'GEOCODE_NOT_FOUND') {
         return res.status(400).json({
           success: false,
           message: 'Unable to geocode address. Please check the input values.'
         });
       }
 
-      location = {
-        type: 'Point',
-        coordinates: [
-          parseFloat(geoRes.data[0].lon),
-          parseFloat(geoRes.data[0].lat)
-        ]
-      };
-    } catch (geoError) {
-      console.error('Geocoding failed:', geoError.message);
       return res.status(400).json({
         success: false,
         message: 'Geocoding failed. Try again later.',
@@ -262,23 +274,32 @@ router.post('/signup', async (req, res) => {
       email,
       password, // hashed in pre-save
       phone,
-      address,
-      location
+      address: addressCheck.address,
+      location: geocode.location,
+      addressVerification: buildAddressVerification(geocode)
     });
 
     await customer.save();
 
-    // Generate JWT token
-    const token = customer.generateAuthToken();
+    // Email the verification link and text the phone code
+    await sendPendingVerifications(customer, 'customer');
+
+    // Generate access and refresh tokens
+    const { token, refreshToken, refreshTokenExpiresAt } = await issueAuthTokens(customer, 'customer', req);
 
     res.status(201).json({
       success: true,
       message: 'Customer registered successfully',
       token,
+      refreshToken,
+      refreshTokenExpiresAt,
       customer: {
         id: customer._id,
         name: customer.name,
-        email: customer.email
+        email: customer.email,
+        address: customer.address,
+        addressNeedsReview: customer.addressVerification.needsReview,
+        verification: getVerificationStatus(customer)
       }
     });
   } catch (error) {
@@ -321,7 +342,7 @@ router.post('/signup', async (req, res) => {
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, processing, shipped, delivered, cancelled]
+ *           enum: [pending, confirmed, processing, out_for_delivery, delivered, ready_for_pickup, picked_up, cancelled]
  *         description: Filter orders by status
  *     responses:
  *       200:
@@ -365,7 +386,7 @@ router.post('/signup', async (req, res) => {
  *                         example: NM-202504-1001
  *                       status:
  *                         type: string
- *                         enum: [pending, processing, shipped, delivered, cancelled]
+ *                         enum: [pending, confirmed, processing, out_for_delivery, delivered, ready_for_pickup, picked_up, cancelled]
  *                         description: Order status
  *                         example: processing
  *                       total:
@@ -409,11 +430,30 @@ router.post('/signup', async (req, res) => {
  *                             type: string
  *                             enum: [pending, completed, failed, refunded]
  *                             example: completed
+ *                       fulfillmentType:
+ *                         type: string
+ *                         enum: [delivery, pickup]
+ *                         example: delivery
  *                       delivery:
  *                         type: object
+ *                         nullable: true
+ *                         description: Set for delivery orders
  *                         properties:
  *                           address:
  *                             $ref: '#/components/schemas/Address'
+ *                           slot:
+ *                             type: object
+ *                             nullable: true
+ *                             description: Delivery window booked at checkout
+ *                             properties:
+ *                               startsAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                                 example: 2023-05-18T14:00:00.000Z
+ *                               endsAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                                 example: 2023-05-18T16:00:00.000Z
  *                           expectedDeliveryDate:
  *                             type: string
  *                             format: date-time
@@ -423,6 +463,24 @@ router.post('/signup', async (req, res) => {
  *                             format: date-time
  *                             nullable: true
  *                             example: null
+ *                       pickup:
+ *                         nullable: true
+ *                         description: Set for pickup orders
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/PickupDetails'
+ *                       rating:
+ *                         type: object
+ *                         nullable: true
+ *                         description: The customer's rating, once given (see POST /api/v1/customer/orders/{id}/rating)
+ *                         properties:
+ *                           score:
+ *                             type: integer
+ *                             example: 5
+ *                           comment:
+ *                             type: string
+ *                           ratedAt:
+ *                             type: string
+ *                             format: date-time
  *       401:
  *         description: Unauthorized - No token provided or invalid token
  *         content:
@@ -448,6 +506,7 @@ router.get('/orders', isCustomer, async (req, res) => {
     
     // Find customer's orders
     const orders = await Order.find({ customer: req.user.id })
+      .select('+pickup.code') // Customers need their own pickup codes
       .sort({ createdAt: -1 }) // Newest first
       .skip(skip)
       .limit(limit);
@@ -464,6 +523,7 @@ router.get('/orders', isCustomer, async (req, res) => {
       orders: orders.map(order => ({
         id: order._id,
         orderNumber: order.orderNumber,
+        checkoutId: order.checkoutId,
         status: order.status,
         total: order.total,
         itemCount: order.itemCount,
@@ -478,11 +538,20 @@ router.get('/orders', isCustomer, async (req, res) => {
           method: order.payment.method,
           status: order.payment.status
         },
-        delivery: {
+        fulfillmentType: order.fulfillmentType,
+        delivery: order.delivery ? {
           address: order.delivery.address,
+          slot: order.delivery.slot && order.delivery.slot.startsAt ? order.delivery.slot : null,
           expectedDeliveryDate: order.delivery.expectedDeliveryDate,
           actualDeliveryDate: order.delivery.actualDeliveryDate
-        }
+        } : null,
+        pickup: order.pickup ? {
+          code: order.pickup.code,
+          qrPayload: order.pickupQrPayload,
+          readyAt: order.pickup.readyAt,
+          pickedUpAt: order.pickup.pickedUpAt
+        } : null,
+        rating: order.rating || null
       }))
     });
   } catch (error) {
@@ -497,16 +566,37 @@ router.get('/orders', isCustomer, async (req, res) => {
 
 /**
  * @swagger
- * /api/v1/customer/profile:
- *   get:
- *     summary: Get customer profile
- *     description: Retrieves the authenticated customer's profile information
- *     tags: [Customer Profile]
+ * /api/v1/customer/orders/{id}/cancel:
+ *   post:
+ *     summary: Cancel an order
+ *     description: Cancels one of the authenticated customer's orders before it is out for delivery. Stock is restored and completed payments are marked as refunded.
+ *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Order ID
+ *         example: 60a1e2c7d32f1e2b3c4d5e8h
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Why the order is being cancelled
+ *                 example: Ordered the wrong items
  *     responses:
  *       200:
- *         description: Profile retrieved successfully
+ *         description: Order cancelled successfully
  *         content:
  *           application/json:
  *             schema:
@@ -515,99 +605,144 @@ router.get('/orders', isCustomer, async (req, res) => {
  *                 success:
  *                   type: boolean
  *                   example: true
- *                 customer:
+ *                 message:
+ *                   type: string
+ *                   example: Order cancelled successfully
+ *                 order:
  *                   type: object
  *                   properties:
  *                     id:
  *                       type: string
- *                       example: 60a1e2c7d32f1e2b3c4d5e6f
- *                     name:
+ *                       example: 60a1e2c7d32f1e2b3c4d5e8h
+ *                     orderNumber:
  *                       type: string
- *                       example: John Doe
- *                     email:
+ *                       example: NM-230515-0001
+ *                     status:
  *                       type: string
- *                       example: john.doe@example.com
- *                     phone:
+ *                       example: cancelled
+ *                     cancelReason:
  *                       type: string
- *                       example: "+1234567890"
- *                     address:
- *                       $ref: '#/components/schemas/Address'
- *                     location:
- *                       $ref: '#/components/schemas/GeoJSONPoint'
- *                     deliveryPreferences:
+ *                       example: Ordered the wrong items
+ *                     payment:
  *                       type: object
  *                       properties:
- *                         preferredTime:
+ *                         method:
  *                           type: string
- *                           enum: [morning, afternoon, evening, anytime]
- *                           example: evening
- *                         contactlessDelivery:
- *                           type: boolean
- *                           example: true
- *                         deliveryInstructions:
+ *                           example: credit_card
+ *                         status:
  *                           type: string
- *                           example: Leave at front door
- *                     createdAt:
- *                       type: string
- *                       format: date-time
- *                       example: 2023-05-15T10:30:00.000Z
+ *                           example: refunded
+ *       400:
+ *         description: Bad request - missing reason
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             examples:
+ *               missingReason:
+ *                 value:
+ *                   success: false
+ *                   message: A cancellation reason is required
  *       401:
  *         description: Unauthorized - No token provided or invalid token
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *             example:
  *               success: false
- *               message: No token, authorization denied
- *       404:
- *         description: Customer not found
+ *               message: Order not found
+ *       409:
+ *         description: Order can no longer be cancelled from its current status
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *             example:
  *               success: false
- *               message: Customer not found
+ *               message: Cannot cancel an order that is out for delivery
+ *               currentStatus: out_for_delivery
+ *               allowedStatuses: [delivered]
  *       500:
  *         description: Server error
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *             example:
- *               success: false
- *               message: Server error
  */
-// @route   GET /api/customer/profile
-// @desc    Get customer profile
+// @route   POST /api/customer/orders/:id/cancel
+// @desc    Cancel an order before it is out for delivery
 // @access  Private
-router.get('/profile', isCustomer, async (req, res) => {
+router.post('/orders/:id/cancel', isCustomer, async (req, res) => {
   try {
-    const customer = await Customer.findById(req.user.id);
+    const { reason } = req.body;
     
-    if (!customer) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID format'
+      });
+    }
+    
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A cancellation reason is required'
+      });
+    }
+    
+    // Only the customer who placed the order may cancel it
+    const order = await Order.findOne({ _id: req.params.id, customer: req.user.id });
+    if (!order) {
       return res.status(404).json({
         success: false,
-        message: 'Customer not found'
+        message: 'Order not found'
+      });
+    }
+    
+    if (!order.canBeCancelled()) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot cancel an order that is ${order.status.replace(/_/g, ' ')}`,
+        currentStatus: order.status,
+        allowedStatuses: Order.getAllowedTransitions(order.status, order.fulfillmentType)
       });
     }
     
+    await order.cancelOrder(reason.trim(), 'customer');
+    
     res.json({
       success: true,
-      customer: {
-        id: customer._id,
-        name: customer.name,
-        email: customer.email,
-        phone: customer.phone,
-        address: customer.address,
-        location: customer.location,
-        deliveryPreferences: customer.deliveryPreferences,
-        createdAt: customer.createdAt
+      message: 'Order cancelled successfully',
+      order: {
+        id: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        cancelReason: order.cancelReason,
+        payment: {
+          method: order.payment.method,
+          status: order.payment.status
+        },
+        statusHistory: order.statusHistory
       }
     });
   } catch (error) {
-    console.error('Get customer profile error:', error);
+    if (error.statusCode === 409) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        currentStatus: error.currentStatus,
+        allowedStatuses: error.allowedStatuses
+      });
+    }
+    
+    console.error('Cancel order error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -618,51 +753,42 @@ router.get('/profile', isCustomer, async (req, res) => {
 
 /**
  * @swagger
- * /api/v1/customer/profile:
- *   put:
- *     summary: Update customer profile
- *     description: Update the authenticated customer's profile information
- *     tags: [Customer Profile]
+ * /api/v1/customer/orders/{id}/rating:
+ *   post:
+ *     summary: Rate an order
+ *     description: Rates the store that fulfilled a delivered or picked up order, from 1 to 5 stars. Each order can be rated once; the rating counts towards the store's average shown in the store search.
+ *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Order ID
+ *         example: 60a1e2c7d32f1e2b3c4d5e8h
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - score
  *             properties:
- *               name:
- *                 type: string
- *                 description: Customer's full name
- *                 example: John Smith
- *               phone:
+ *               score:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *                 example: 5
+ *               comment:
  *                 type: string
- *                 description: Customer's phone number
- *                 example: "+1987654321"
- *               address:
- *                 $ref: '#/components/schemas/Address'
- *               location:
- *                 $ref: '#/components/schemas/GeoJSONPoint'
- *               deliveryPreferences:
- *                 type: object
- *                 properties:
- *                   preferredTime:
- *                     type: string
- *                     enum: [morning, afternoon, evening, anytime]
- *                     description: Preferred delivery time of day
- *                     example: evening
- *                   contactlessDelivery:
- *                     type: boolean
- *                     description: Whether contactless delivery is preferred
- *                     example: true
- *                   deliveryInstructions:
- *                     type: string
- *                     description: Special delivery instructions
- *                     example: Call when arriving
+ *                 maxLength: 500
+ *                 example: Fresh produce and quick delivery
  *     responses:
  *       200:
- *         description: Profile updated successfully
+ *         description: Order rated successfully
  *         content:
  *           application/json:
  *             schema:
@@ -673,170 +799,118 @@ router.get('/profile', isCustomer, async (req, res) => {
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: Profile updated successfully
- *                 customer:
+ *                   example: Thanks for rating your order
+ *                 rating:
  *                   type: object
  *                   properties:
- *                     id:
- *                       type: string
- *                       example: 60a1e2c7d32f1e2b3c4d5e6f
- *                     name:
- *                       type: string
- *                       example: John Smith
- *                     email:
+ *                     score:
+ *                       type: integer
+ *                       example: 5
+ *                     comment:
  *                       type: string
- *                       example: john.doe@example.com
- *                     phone:
+ *                       example: Fresh produce and quick delivery
+ *                     ratedAt:
  *                       type: string
- *                       example: "+1987654321"
- *                     address:
- *                       $ref: '#/components/schemas/Address'
- *                     location:
- *                       $ref: '#/components/schemas/GeoJSONPoint'
- *                     deliveryPreferences:
- *                       type: object
- *                       properties:
- *                         preferredTime:
- *                           type: string
- *                           example: evening
- *                         contactlessDelivery:
- *                           type: boolean
- *                           example: true
- *                         deliveryInstructions:
- *                           type: string
- *                           example: Call when arriving
+ *                       format: date-time
+ *                       example: 2023-05-16T18:00:00.000Z
  *       400:
- *         description: Bad request - validation error
+ *         description: Bad request - invalid order ID, score or comment
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *             examples:
- *               invalidAddress:
- *                 value:
- *                   success: false
- *                   message: Please provide complete address information
- *               invalidLocation:
- *                 value:
- *                   success: false
- *                   message: Invalid location format. Must be GeoJSON Point with coordinates [longitude, latitude]
- *               invalidPreferredTime:
- *                 value:
- *                   success: false
- *                   message: Invalid preferred time. Must be one of - morning, afternoon, evening, anytime
+ *             example:
+ *               success: false
+ *               message: score must be a whole number between 1 and 5
  *       401:
  *         description: Unauthorized - No token provided or invalid token
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *             example:
- *               success: false
- *               message: No token, authorization denied
  *       404:
- *         description: Customer not found
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Order is not finished yet, or has already been rated
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *             example:
  *               success: false
- *               message: Customer not found
+ *               message: This order has already been rated
  *       500:
  *         description: Server error
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *             example:
- *               success: false
- *               message: Server error
  */
-// @route   PUT /api/customer/profile
-// @desc    Update customer profile
+// @route   POST /api/customer/orders/:id/rating
+// @desc    Rate the store of a delivered or picked up order
 // @access  Private
-router.put('/profile', isCustomer, async (req, res) => {
+router.post('/orders/:id/rating', isCustomer, async (req, res) => {
   try {
-    const { name, phone, address, location, deliveryPreferences } = req.body;
+    const { score, comment } = req.body;
     
-    // Find customer
-    const customer = await Customer.findById(req.user.id);
-    
-    if (!customer) {
-      return res.status(404).json({
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
         success: false,
-        message: 'Customer not found'
+        message: 'Invalid order ID format'
       });
     }
     
-    // Update fields if provided
-    if (name) customer.name = name;
-    if (phone) customer.phone = phone;
-    
-    // Update address if provided
-    if (address) {
-      // Validate address
-      if (!address.street || !address.city || !address.state || !address.zipCode) {
-        return res.status(400).json({
-          success: false,
-          message: 'Please provide complete address information'
-        });
-      }
-      customer.address = address;
+    if (!Number.isInteger(score) || score < 1 || score > 5) {
+      return res.status(400).json({
+        success: false,
+        message: 'score must be a whole number between 1 and 5'
+      });
     }
     
-    // Update location if provided
-    if (location) {
-      // Validate location format
-      if (!location.type || !location.coordinates || location.type !== 'Point' || 
-          !Array.isArray(location.coordinates) || location.coordinates.length !== 2) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid location format. Must be GeoJSON Point with coordinates [longitude, latitude]'
-        });
-      }
-      customer.location = location;
+    if (comment !== undefined && typeof comment !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'comment must be a string'
+      });
     }
     
-    // Update delivery preferences if provided
-    if (deliveryPreferences) {
-      if (deliveryPreferences.preferredTime) {
-        if (!['morning', 'afternoon', 'evening', 'anytime'].includes(deliveryPreferences.preferredTime)) {
-          return res.status(400).json({
-            success: false,
-            message: 'Invalid preferred time. Must be one of: morning, afternoon, evening, anytime'
-          });
-        }
-        customer.deliveryPreferences.preferredTime = deliveryPreferences.preferredTime;
-      }
-      
-      if (deliveryPreferences.contactlessDelivery !== undefined) {
-        customer.deliveryPreferences.contactlessDelivery = deliveryPreferences.contactlessDelivery;
-      }
-      
-      if (deliveryPreferences.deliveryInstructions !== undefined) {
-        customer.deliveryPreferences.deliveryInstructions = deliveryPreferences.deliveryInstructions;
-      }
+    // Only the customer who placed the order may rate it
+    const order = await Order.findOne({ _id: req.params.id, customer: req.user.id });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
     }
     
-    // Save updated customer
-    await customer.save();
+    await order.rate(score, comment);
     
     res.json({
       success: true,
-      message: 'Profile updated successfully',
-      customer: {
-        id: customer._id,
-        name: customer.name,
-        email: customer.email,
-        phone: customer.phone,
-        address: customer.address,
-        location: customer.location,
-        deliveryPreferences: customer.deliveryPreferences
-      }
+      message: 'Thanks for rating your order',
+      rating: order.rating
     });
   } catch (error) {
-    console.error('Update customer profile error:', error);
+    if (error.statusCode === 409) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    
+    console.error('Rate order error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -845,67 +919,18 @@ router.put('/profile', isCustomer, async (req, res) => {
   }
 });
 
-module.exports = router;
-
 /**
  * @swagger
- * /api/v1/customer/stores/{id}/products:
+ * /api/v1/customer/profile:
  *   get:
- *     summary: Get store products
- *     description: Get all products from a specific store/retailer with filtering and pagination
- *     tags: [Stores, Products]
+ *     summary: Get customer profile
+ *     description: Retrieves the authenticated customer's profile information
+ *     tags: [Customer Profile]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Retailer/Store ID
- *         example: 60a1e2c7d32f1e2b3c4d5e6f
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           minimum: 1
- *         description: Page number for pagination
- *         default: 1
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 100
- *         description: Number of items per page
- *         default: 20
- *       - in: query
- *         name: category
- *         schema:
- *           type: string
- *         description: Filter products by category
- *         example: Produce
- *       - in: query
- *         name: minPrice
- *         schema:
- *           type: number
- *         description: Minimum price filter
- *         example: 5.99
- *       - in: query
- *         name: maxPrice
- *         schema:
- *           type: number
- *         description: Maximum price filter
- *         example: 19.99
- *       - in: query
- *         name: search
- *         schema:
- *           type: string
- *         description: Text search query for product name/description
- *         example: organic apple
  *     responses:
  *       200:
- *         description: List of products from the store
+ *         description: Profile retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -914,23 +939,7 @@ module.exports = router;
  *                 success:
  *                   type: boolean
  *                   example: true
- *                 count:
- *                   type: integer
- *                   description: Number of products returned in this page
- *                   example: 10
- *                 totalProducts:
- *                   type: integer
- *                   description: Total number of products matching the filter
- *                   example: 45
- *                 totalPages:
- *                   type: integer
- *                   description: Total number of pages
- *                   example: 3
- *                 currentPage:
- *                   type: integer
- *                   description: Current page number
- *                   example: 1
- *                 retailer:
+ *                 customer:
  *                   type: object
  *                   properties:
  *                     id:
@@ -938,168 +947,91 @@ module.exports = router;
  *                       example: 60a1e2c7d32f1e2b3c4d5e6f
  *                     name:
  *                       type: string
- *                       example: Jane's Grocery
- *                     description:
+ *                       example: John Doe
+ *                     email:
  *                       type: string
- *                       example: Fresh produce and groceries
- *                 products:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       id:
- *                         type: string
- *                         example: 60a1e2c7d32f1e2b3c4d5e7f
- *                       name:
- *                         type: string
- *                         example: Organic Apples
- *                       description:
- *                         type: string
- *                         example: Fresh organic apples from local farms
- *                       price:
- *                         type: number
- *                         example: 2.99
- *                       images:
- *                         type: array
- *                         items:
+ *                       example: john.doe@example.com
+ *                     phone:
+ *                       type: string
+ *                       example: "+1234567890"
+ *                     address:
+ *                       $ref: '#/components/schemas/Address'
+ *                     location:
+ *                       $ref: '#/components/schemas/GeoJSONPoint'
+ *                     deliveryPreferences:
+ *                       type: object
+ *                       properties:
+ *                         preferredTime:
  *                           type: string
- *                           format: uri
- *                           example: https://example.com/images/apple.jpg
- *                       category:
- *                         type: string
- *                         example: Produce
- *                       inStock:
- *                         type: boolean
- *                         example: true
- *                       stock:
- *                         type: integer
- *                         example: 50
- *       400:
- *         description: Bad request - invalid retailer ID
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *             example:
- *               success: false
- *               message: Invalid retailer ID format
+ *                           enum: [morning, afternoon, evening, anytime]
+ *                           example: evening
+ *                         contactlessDelivery:
+ *                           type: boolean
+ *                           example: true
+ *                         deliveryInstructions:
+ *                           type: string
+ *                           example: Leave at front door
+ *                     createdAt:
+ *                       type: string
+ *                       format: date-time
+ *                       example: 2023-05-15T10:30:00.000Z
  *       401:
  *         description: Unauthorized - No token provided or invalid token
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               message: No token, authorization denied
  *       404:
- *         description: Retailer not found
+ *         description: Customer not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *             example:
  *               success: false
- *               message: Retailer not found
+ *               message: Customer not found
  *       500:
  *         description: Server error
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               message: Server error
  */
-// @route   GET /api/customer/stores/:id/products
-// @desc    Get all products from a specific store/retailer
+// @route   GET /api/customer/profile
+// @desc    Get customer profile
 // @access  Private
-router.get('/stores/:id/products', isCustomer, async (req, res) => {
+router.get('/profile', isCustomer, async (req, res) => {
   try {
-    const retailerId = req.params.id;
-    
-    // Validate retailer ID
-    if (!mongoose.Types.ObjectId.isValid(retailerId)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid retailer ID format'
-      });
-    }
+    const customer = await Customer.findById(req.user.id);
     
-    // Check if retailer exists
-    const retailer = await Retailer.findById(retailerId);
-    if (!retailer) {
+    if (!customer) {
       return res.status(404).json({
         success: false,
-        message: 'Retailer not found'
+        message: 'Customer not found'
       });
     }
     
-    // Get pagination parameters
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-    
-    // Get query parameters for filtering
-    const { category, minPrice, maxPrice, search } = req.query;
-    
-    // Build query object
-    const query = { retailer: retailerId, isAvailable: true };
-    
-    // Add category filter if provided
-    if (category) {
-      query.category = category;
-    }
-    
-    // Add price range filter if provided
-    if (minPrice !== undefined || maxPrice !== undefined) {
-      query.price = {};
-      if (minPrice !== undefined) {
-        query.price.$gte = parseFloat(minPrice);
-      }
-      if (maxPrice !== undefined) {
-        query.price.$lte = parseFloat(maxPrice);
-      }
-    }
-    
-    // Add text search if provided
-    let searchQuery = Product.find(query);
-    if (search) {
-      searchQuery = Product.find({
-        $and: [
-          query,
-          { $text: { $search: search } }
-        ]
-      });
-    }
-    
-    // Execute query with pagination
-    const products = await searchQuery
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
-    
-    // Get total count for pagination
-    const totalProducts = await Product.countDocuments(query);
-    
     res.json({
       success: true,
-      count: products.length,
-      totalProducts,
-      totalPages: Math.ceil(totalProducts / limit),
-      currentPage: page,
-      retailer: {
-        id: retailer._id,
-        name: retailer.storeName,
-        description: retailer.storeDescription
-      },
-      products: products.map(product => ({
-        id: product._id,
-        name: product.name,
-        description: product.description,
-        price: product.price,
-        images: product.images,
-        category: product.category,
-        inStock: product.inStock,
-        stock: product.stock
-      }))
+      customer: {
+        id: customer._id,
+        name: customer.name,
+        email: customer.email,
+        phone: customer.phone,
+        address: customer.address,
+        location: customer.location,
+        deliveryPreferences: customer.deliveryPreferences,
+        createdAt: customer.createdAt
+      }
     });
   } catch (error) {
-    console.error('Get store products error:', error);
+    console.error('Get customer profile error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -1110,35 +1042,51 @@ router.get('/stores/:id/products', isCustomer, async (req, res) => {
 
 /**
  * @swagger
- * /api/v1/customer/login:
- *   post:
- *     summary: Customer login
- *     description: Authenticates a customer and returns a JWT token
- *     tags: [Customer Authentication]
- *     security: []  # No security, this is a public endpoint
+ * /api/v1/customer/profile:
+ *   put:
+ *     summary: Update customer profile
+ *     description: Update the authenticated customer's profile information
+ *     tags: [Customer Profile]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - email
- *               - password
  *             properties:
- *               email:
+ *               name:
  *                 type: string
- *                 format: email
- *                 description: Customer's email address
- *                 example: john.doe@example.com
- *               password:
+ *                 description: Customer's full name
+ *                 example: John Smith
+ *               phone:
  *                 type: string
- *                 format: password
- *                 description: Customer's password
- *                 example: securepassword
+ *                 description: Customer's phone number
+ *                 example: "+1987654321"
+ *               address:
+ *                 $ref: '#/components/schemas/Address'
+ *               location:
+ *                 $ref: '#/components/schemas/GeoJSONPoint'
+ *               deliveryPreferences:
+ *                 type: object
+ *                 properties:
+ *                   preferredTime:
+ *                     type: string
+ *                     enum: [morning, afternoon, evening, anytime]
+ *                     description: Preferred delivery time of day
+ *                     example: evening
+ *                   contactlessDelivery:
+ *                     type: boolean
+ *                     description: Whether contactless delivery is preferred
+ *                     example: true
+ *                   deliveryInstructions:
+ *                     type: string
+ *                     description: Special delivery instructions
+ *                     example: Call when arriving
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Profile updated successfully
  *         content:
  *           application/json:
  *             schema:
@@ -1149,11 +1097,7 @@ router.get('/stores/:id/products', isCustomer, async (req, res) => {
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: Login successful
- *                 token:
- *                   type: string
- *                   description: JWT authentication token
- *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                   example: Profile updated successfully
  *                 customer:
  *                   type: object
  *                   properties:
@@ -1162,80 +1106,173 @@ router.get('/stores/:id/products', isCustomer, async (req, res) => {
  *                       example: 60a1e2c7d32f1e2b3c4d5e6f
  *                     name:
  *                       type: string
- *                       example: John Doe
+ *                       example: John Smith
  *                     email:
  *                       type: string
  *                       example: john.doe@example.com
+ *                     phone:
+ *                       type: string
+ *                       example: "+1987654321"
+ *                     address:
+ *                       $ref: '#/components/schemas/Address'
+ *                     location:
+ *                       $ref: '#/components/schemas/GeoJSONPoint'
+ *                     deliveryPreferences:
+ *                       type: object
+ *                       properties:
+ *                         preferredTime:
+ *                           type: string
+ *                           example: evening
+ *                         contactlessDelivery:
+ *                           type: boolean
+ *                           example: true
+ *                         deliveryInstructions:
+ *                           type: string
+ *                           example: Call when arriving
  *       400:
- *         description: Bad request - missing or invalid credentials
+ *         description: Bad request - validation error
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *             examples:
- *               missingCredentials:
+ *               invalidAddress:
  *                 value:
  *                   success: false
- *                   message: Please provide email and password
- *               invalidCredentials:
+ *                   message: Please provide complete address information
+ *               invalidLocation:
  *                 value:
  *                   success: false
- *                   message: Invalid credentials
+ *                   message: Invalid location format. Must be GeoJSON Point with coordinates [longitude, latitude]
+ *               invalidPreferredTime:
+ *                 value:
+ *                   success: false
+ *                   message: Invalid preferred time. Must be one of - morning, afternoon, evening, anytime
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               message: No token, authorization denied
+ *       404:
+ *         description: Customer not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               message: Customer not found
  *       500:
  *         description: Server error
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               message: Server error
  */
-// @route   POST /api/customer/login
-// @desc    Authenticate customer and get token
-// @access  Public
-router.post('/login', async (req, res) => {
+// @route   PUT /api/customer/profile
+// @desc    Update customer profile
+// @access  Private
+router.put('/profile', isCustomer, async (req, res) => {
   try {
-    const { email, password } = req.body;
-
-    // Basic validation
-    if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide email and password'
-      });
-    }
-
-    // Find customer by email
-    const customer = await Customer.findOne({ email }).select('+password');
+    const { name, phone, address, location, deliveryPreferences } = req.body;
+    
+    // Find customer
+    const customer = await Customer.findById(req.user.id);
+    
     if (!customer) {
-      return res.status(400).json({
+      return res.status(404).json({
         success: false,
-        message: 'Invalid credentials'
+        message: 'Customer not found'
       });
     }
-
-    // Check if password matches
-    const isMatch = await customer.matchPassword(password);
-    if (!isMatch) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
+    
+    // Update fields if provided
+    if (name) customer.name = name;
+    if (phone) customer.phone = phone;
+    
+    // Update address if provided
+    if (address) {
+      // Validate and normalise address
+      const addressCheck = validateAddress(address);
+      if (!addressCheck.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: addressCheck.errors.join('. '),
+          errors: addressCheck.errors
+        });
+      }
+      customer.address = addressCheck.address;
+      // The geocoding will be handled by the pre-save middleware
     }
-
-    // Generate JWT token
-    const token = customer.generateAuthToken();
-
-    res.json({
-      success: true,
-      message: 'Login successful',
-      token,
-      customer: {
-        id: customer._id,
-        name: customer.name,
-        email: customer.email
+    
+    // Update location if provided
+    if (location) {
+      // Validate location format
+      if (!location.type || !location.coordinates || location.type !== 'Point' || 
+          !Array.isArray(location.coordinates) || location.coordinates.length !== 2) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid location format. Must be GeoJSON Point with coordinates [longitude, latitude]'
+        });
       }
-    });
-  } catch (error) {
-    console.error('Customer login error:', error);
+      customer.location = location;
+    }
+    
+    // Update delivery preferences if provided
+    if (deliveryPreferences) {
+      if (deliveryPreferences.preferredTime) {
+        if (!['morning', 'afternoon', 'evening', 'anytime'].includes(deliveryPreferences.preferredTime)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid preferred time. Must be one of: morning, afternoon, evening, anytime'
+          });
+        }
+        customer.deliveryPreferences.preferredTime = deliveryPreferences.preferredTime;
+      }
+      
+      if (deliveryPreferences.contactlessDelivery !== undefined) {
+        customer.deliveryPreferences.contactlessDelivery = deliveryPreferences.contactlessDelivery;
+      }
+      
+      if (deliveryPreferences.deliveryInstructions !== undefined) {
+        customer.deliveryPreferences.deliveryInstructions = deliveryPreferences.deliveryInstructions;
+      }
+    }
+    
+    // Save updated customer
+    await customer.save();
+    
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      customer: {
+        id: customer._id,
+        name: customer.name,
+        email: customer.email,
+        phone: customer.phone,
+        address: customer.address,
+        location: customer.location,
+        addressNeedsReview: Boolean(customer.addressVerification && customer.addressVerification.needsReview),
+        deliveryPreferences: customer.deliveryPreferences
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    
+    console.error('Update customer profile error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -1246,36 +1283,35 @@ router.post('/login', async (req, res) => {
 
 /**
  * @swagger
- * /api/v1/customer/stores:
- *   get:
- *     summary: Get nearby stores
- *     description: Returns a list of retailers/stores near the customer's location or specified coordinates
- *     tags: [Stores]
+ * /api/v1/customer/password:
+ *   put:
+ *     summary: Change password
+ *     description: Changes the password after checking the current one. Every other session is ended; the response carries fresh tokens for this device.
+ *     tags: [Customer Profile]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: lat
- *         schema:
- *           type: number
- *         description: Latitude coordinate (optional if user profile has location)
- *         example: 40.848447
- *       - in: query
- *         name: lng
- *         schema:
- *           type: number
- *         description: Longitude coordinate (optional if user profile has location)
- *         example: -73.856077
- *       - in: query
- *         name: radius
- *         schema:
- *           type: number
- *         description: Search radius in kilometers
- *         default: 5
- *         example: 5
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 format: password
+ *                 example: securepassword
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 6
+ *                 example: newsecurepassword
  *     responses:
  *       200:
- *         description: List of nearby stores
+ *         description: Password changed
  *         content:
  *           application/json:
  *             schema:
@@ -1284,46 +1320,29 @@ router.post('/login', async (req, res) => {
  *                 success:
  *                   type: boolean
  *                   example: true
- *                 count:
- *                   type: integer
- *                   description: Number of stores found
- *                   example: 3
- *                 stores:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       id:
- *                         type: string
- *                         description: Store ID
- *                         example: 60a1e2c7d32f1e2b3c4d5e6f
- *                       name:
- *                         type: string
- *                         description: Store name
- *                         example: Jane's Grocery
- *                       description:
- *                         type: string
- *                         description: Store description
- *                         example: Fresh produce and groceries
- *                       location:
- *                         $ref: '#/components/schemas/GeoJSONPoint'
- *                       distance:
- *                         type: number
- *                         description: Relative distance from query point
- *                         example: 0.0023
- *                       phone:
- *                         type: string
- *                         description: Store phone number
- *                         example: "+1234567890"
+ *                 message:
+ *                   type: string
+ *                   example: Password changed successfully
+ *                 token:
+ *                   type: string
+ *                   description: New JWT access token; tokens issued before the change no longer work
+ *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                 refreshToken:
+ *                   type: string
+ *                   example: 3f9c0d1e...
+ *                 refreshTokenExpiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                   example: 2025-06-30T10:00:00.000Z
  *       400:
- *         description: Bad request - missing location
+ *         description: Missing fields, current password incorrect, or new password invalid
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *             example:
  *               success: false
- *               message: Location not found. Please provide lat and lng parameters or update your profile with location
+ *               message: Current password is incorrect
  *       401:
  *         description: Unauthorized - No token provided or invalid token
  *         content:
@@ -1337,66 +1356,72 @@ router.post('/login', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-// @route   GET /api/customer/stores
-// @desc    Get nearby stores based on location
+// @route   PUT /api/customer/password
+// @desc    Change the customer's password
 // @access  Private
-router.get('/stores', isCustomer, async (req, res) => {
+router.put('/password', isCustomer, async (req, res) => {
   try {
-    const { lat, lng, radius = 5 } = req.query; // Default radius: 5km
+    const { currentPassword, newPassword } = req.body;
     
-    let coordinates;
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your current and new password'
+      });
+    }
     
-    // If lat/lng provided in query, use those
-    if (lat && lng) {
-      coordinates = [parseFloat(lng), parseFloat(lat)];
-    } else {
-      // Otherwise use the customer's stored location
-      const customer = await Customer.findById(req.user.id);
-      if (!customer || !customer.location || !customer.location.coordinates) {
-        return res.status(400).json({
-          success: false,
-          message: 'Location not found. Please provide lat and lng parameters or update your profile with location'
-        });
-      }
-      coordinates = customer.location.coordinates;
+    if (typeof newPassword !== 'string' || newPassword.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be at least 6 characters long'
+      });
     }
     
-    // Validate coordinates
-    if (!coordinates || coordinates.length !== 2) {
+    if (newPassword === currentPassword) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid coordinates'
+        message: 'New password must be different from the current password'
       });
     }
     
-    // Find nearby stores using geospatial query
-    const stores = await Retailer.find({
-      location: {
-        $near: {
-          $geometry: {
-            type: 'Point',
-            coordinates: coordinates
-          },
-          $maxDistance: parseInt(radius) * 1000 // Convert km to meters
-        }
-      }
-    }).select('name storeName storeDescription location phone');
+    const customer = await Customer.findById(req.user.id).select('+password');
+    
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+    
+    const isMatch = await customer.matchPassword(String(currentPassword));
+    if (!isMatch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+    
+    // Ends every session, including this one; fresh tokens keep this device signed in
+    await setPassword(customer, 'customer', newPassword);
+    const { token, refreshToken, refreshTokenExpiresAt } = await issueAuthTokens(customer, 'customer', req);
     
     res.json({
       success: true,
-      count: stores.length,
-      stores: stores.map(store => ({
-        id: store._id,
-        name: store.storeName,
-        description: store.storeDescription,
-        location: store.location,
-        distance: (store.location.coordinates[0] - coordinates[0])**2 + 
-                 (store.location.coordinates[1] - coordinates[1])**2, // Simple distance calculation for sorting
-        phone: store.phone
-      })).sort((a, b) => a.distance - b.distance) // Sort by distance
+      message: 'Password changed successfully',
+      token,
+      refreshToken,
+      refreshTokenExpiresAt
     });
   } catch (error) {
-    console.error('Get nearby stores error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    
+    console.error('Change customer password error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -1407,16 +1432,16 @@ router.get('/stores', isCustomer, async (req, res) => {
 
 /**
  * @swagger
- * /api/v1/customer/cart:
+ * /api/v1/customer/addresses:
  *   get:
- *     summary: Get customer's current cart
- *     description: Retrieves the authenticated customer's current shopping cart
- *     tags: [Cart]
+ *     summary: List saved addresses
+ *     description: Returns the customer's address book. The default address is used for orders, the cart and store search when no addressId is given.
+ *     tags: [Customers]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Cart retrieved successfully
+ *         description: Saved addresses
  *         content:
  *           application/json:
  *             schema:
@@ -1425,88 +1450,2383 @@ router.get('/stores', isCustomer, async (req, res) => {
  *                 success:
  *                   type: boolean
  *                   example: true
- *                 cart:
- *                   type: object
- *                   properties:
- *                     id:
- *                       type: string
- *                       description: Cart ID
- *                       example: 60a1e2c7d32f1e2b3c4d5e7g
- *                     items:
- *                       type: array
- *                       description: Array of cart items
- *                       items:
- *                         type: object
- *                         properties:
- *                           product:
- *                             type: object
- *                             properties:
- *                               id:
- *                                 type: string
- *                                 example: 60a1e2c7d32f1e2b3c4d5e7f
- *                               name:
- *                                 type: string
- *                                 example: Organic Apples
- *                               price:
- *                                 type: number
- *                                 example: 2.99
- *                               imageUrl:
- *                                 type: string
- *                                 example: https://example.com/images/apple.jpg
- *                               stock:
- *                                 type: integer
- *                                 example: 50
- *                               isAvailable:
- *                                 type: boolean
- *                                 example: true
- *                               retailer:
- *                                 type: object
- *                                 properties:
- *                                   id:
- *                                     type: string
- *                                     example: 60a1e2c7d32f1e2b3c4d5e6f
- *                                   storeName:
- *                                     type: string
- *                                     example: Jane's Grocery
- *                           quantity:
- *                             type: integer
- *                             description: Quantity of the product
- *                             example: 2
- *                           price:
- *                             type: number
- *                             description: Unit price of the product
- *                             example: 2.99
- *                           total:
- *                             type: number
- *                             description: Total price for this item (quantity * price)
- *                             example: 5.98
+ *                 count:
+ *                   type: integer
+ *                   example: 2
+ *                 addresses:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SavedAddress'
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Save an address
+ *     description: Adds an address to the address book. The address is normalised and geocoded; the first saved address becomes the default.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - label
+ *               - street
+ *               - city
+ *               - state
+ *               - zipCode
+ *             properties:
+ *               label:
+ *                 type: string
+ *                 example: Office
+ *               street:
+ *                 type: string
+ *                 example: 350 Jay St
+ *               city:
+ *                 type: string
+ *                 example: Brooklyn
+ *               state:
+ *                 type: string
+ *                 example: NY
+ *               zipCode:
+ *                 type: string
+ *                 example: "11201"
+ *               country:
+ *                 type: string
+ *                 example: US
+ *               deliveryInstructions:
+ *                 type: string
+ *                 example: Reception on the 3rd floor
+ *               isDefault:
+ *                 type: boolean
+ *                 example: false
+ *     responses:
+ *       201:
+ *         description: Address saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Address saved successfully
+ *                 address:
+ *                   $ref: '#/components/schemas/SavedAddress'
+ *       400:
+ *         description: Invalid address, address could not be located, or address book full
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               message: Unable to locate this address. Please check it and try again.
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   GET /api/customer/addresses
+// @desc    List the customer's saved addresses
+// @access  Private
+router.get('/addresses', isCustomer, async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.user.id).select('addresses');
+    
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      count: customer.addresses.length,
+      addresses: customer.addresses
+    });
+  } catch (error) {
+    console.error('Get addresses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Answer address book save errors: validation and geocoding problems are the client's to fix
+const handleAddressSaveError = (res, error, context) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(e => e.message)
+    });
+  }
+  
+  if (error.code && String(error.code).startsWith('GEOCODE_')) {
+    return res.status(400).json({
+      success: false,
+      message: 'Unable to locate this address. Please check it and try again.',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'GEOCODING_ERROR'
+    });
+  }
+  
+  console.error(`${context} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// @route   POST /api/customer/addresses
+// @desc    Save a new address to the address book
+// @access  Private
+router.post('/addresses', isCustomer, async (req, res) => {
+  try {
+    const { label, street, city, state, zipCode, country, deliveryInstructions, isDefault } = req.body;
+    
+    if (!label || typeof label !== 'string' || !label.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Address label is required (e.g. Home or Office)'
+      });
+    }
+    
+    const addressCheck = validateAddress({ street, city, state, zipCode, country });
+    if (!addressCheck.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: addressCheck.errors.join('. '),
+        errors: addressCheck.errors
+      });
+    }
+    
+    if (isDefault !== undefined && typeof isDefault !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'isDefault must be a boolean'
+      });
+    }
+    
+    const customer = await Customer.findById(req.user.id);
+    
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+    
+    customer.addresses.push({
+      label,
+      ...addressCheck.address,
+      deliveryInstructions
+    });
+    const saved = customer.addresses[customer.addresses.length - 1];
+    
+    if (isDefault) {
+      customer.setDefaultAddress(saved._id);
+    }
+    
+    // The address is geocoded by the pre-save middleware
+    await customer.save();
+    
+    res.status(201).json({
+      success: true,
+      message: 'Address saved successfully',
+      address: customer.addresses.id(saved._id)
+    });
+  } catch (error) {
+    handleAddressSaveError(res, error, 'Save address');
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/customer/addresses/{addressId}:
+ *   put:
+ *     summary: Update a saved address
+ *     description: Updates the given fields of a saved address. Changed address fields are normalised and geocoded again. Set isDefault to true to make it the default address.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Saved address ID
+ *         example: 60a1e2c7d32f1e2b3c4d5f10
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *                 example: Office
+ *               street:
+ *                 type: string
+ *                 example: 350 Jay St
+ *               city:
+ *                 type: string
+ *                 example: Brooklyn
+ *               state:
+ *                 type: string
+ *                 example: NY
+ *               zipCode:
+ *                 type: string
+ *                 example: "11201"
+ *               country:
+ *                 type: string
+ *                 example: US
+ *               deliveryInstructions:
+ *                 type: string
+ *                 example: Leave with the doorman
+ *               isDefault:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Address updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Address updated successfully
+ *                 address:
+ *                   $ref: '#/components/schemas/SavedAddress'
+ *       400:
+ *         description: Invalid address or address could not be located
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Address not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               message: Address not found
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete a saved address
+ *     description: Removes an address from the address book. If it was the default, the first remaining address becomes the default.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Saved address ID
+ *         example: 60a1e2c7d32f1e2b3c4d5f10
+ *     responses:
+ *       200:
+ *         description: Address deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Address deleted successfully
+ *                 addresses:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SavedAddress'
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Address not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   PUT /api/customer/addresses/:addressId
+// @desc    Update a saved address
+// @access  Private
+router.put('/addresses/:addressId', isCustomer, async (req, res) => {
+  try {
+    const { addressId } = req.params;
+    const { label, deliveryInstructions, isDefault } = req.body;
+    
+    if (!mongoose.Types.ObjectId.isValid(addressId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid address ID'
+      });
+    }
+    
+    if (isDefault !== undefined && isDefault !== true) {
+      return res.status(400).json({
+        success: false,
+        message: 'isDefault can only be set to true. Make another address the default instead'
+      });
+    }
+    
+    if (label !== undefined && (typeof label !== 'string' || !label.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Address label cannot be empty'
+      });
+    }
+    
+    const customer = await Customer.findById(req.user.id);
+    
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+    
+    const saved = customer.addresses.id(addressId);
+    if (!saved) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+    
+    // Re-validate the address as a whole when any part of it changes
+    const addressFields = ['street', 'city', 'state', 'zipCode', 'country'];
+    if (addressFields.some(field => req.body[field] !== undefined)) {
+      const merged = Object.fromEntries(addressFields.map(field => [
+        field,
+        req.body[field] !== undefined ? req.body[field] : saved[field]
+      ]));
+      
+      // Unless a country is given, keep the saved one only while the zip code still fits it
+      const options = {};
+      if (req.body.country === undefined) {
+        delete merged.country;
+        options.preferredCountry = saved.country;
+      }
+      
+      const addressCheck = validateAddress(merged, options);
+      if (!addressCheck.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: addressCheck.errors.join('. '),
+          errors: addressCheck.errors
+        });
+      }
+      
+      saved.set(addressCheck.address);
+    }
+    
+    if (label !== undefined) saved.label = label;
+    if (deliveryInstructions !== undefined) saved.deliveryInstructions = deliveryInstructions;
+    if (isDefault) customer.setDefaultAddress(saved._id);
+    
+    // Changed addresses are geocoded by the pre-save middleware
+    await customer.save();
+    
+    res.json({
+      success: true,
+      message: 'Address updated successfully',
+      address: customer.addresses.id(addressId)
+    });
+  } catch (error) {
+    handleAddressSaveError(res, error, 'Update address');
+  }
+});
+
+// @route   DELETE /api/customer/addresses/:addressId
+// @desc    Delete a saved address
+// @access  Private
+router.delete('/addresses/:addressId', isCustomer, async (req, res) => {
+  try {
+    const { addressId } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(addressId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid address ID'
+      });
+    }
+    
+    const customer = await Customer.findById(req.user.id);
+    
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+    
+    const saved = customer.addresses.id(addressId);
+    if (!saved) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+    
+    // The pre-validate middleware promotes another address if this was the default
+    saved.deleteOne();
+    await customer.save();
+    
+    res.json({
+      success: true,
+      message: 'Address deleted successfully',
+      addresses: customer.addresses
+    });
+  } catch (error) {
+    handleAddressSaveError(res, error, 'Delete address');
+  }
+});
+
+module.exports = router;
+
+/**
+ * @swagger
+ * /api/v1/customer/stores/{id}/products:
+ *   get:
+ *     summary: Get store products
+ *     description: Get all products from a specific store/retailer with filtering and pagination
+ *     tags: [Stores, Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Retailer/Store ID
+ *         example: 60a1e2c7d32f1e2b3c4d5e6f
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number for pagination
+ *         default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Number of items per page
+ *         default: 20
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Filter products by category
+ *         example: Produce
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *         description: Minimum price filter
+ *         example: 5.99
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *         description: Maximum price filter
+ *         example: 19.99
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Text search query for product name/description
+ *         example: organic apple
+ *     responses:
+ *       200:
+ *         description: List of products from the store
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   description: Number of products returned in this page
+ *                   example: 10
+ *                 totalProducts:
+ *                   type: integer
+ *                   description: Total number of products matching the filter
+ *                   example: 45
+ *                 totalPages:
+ *                   type: integer
+ *                   description: Total number of pages
+ *                   example: 3
+ *                 currentPage:
+ *                   type: integer
+ *                   description: Current page number
+ *                   example: 1
+ *                 retailer:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       example: 60a1e2c7d32f1e2b3c4d5e6f
+ *                     name:
+ *                       type: string
+ *                       example: Jane's Grocery
+ *                     description:
+ *                       type: string
+ *                       example: Fresh produce and groceries
+ *                     isOpen:
+ *                       type: boolean
+ *                       example: true
+ *                     nextOpensAt:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                       description: When the store opens next (null while open)
+ *                       example: null
+ *                     timezone:
+ *                       type: string
+ *                       example: America/New_York
+ *                     openingHours:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/OpeningInterval'
+ *                     closures:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Closure'
+ *                 products:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         example: 60a1e2c7d32f1e2b3c4d5e7f
+ *                       name:
+ *                         type: string
+ *                         example: Organic Apples
+ *                       description:
+ *                         type: string
+ *                         example: Fresh organic apples from local farms
+ *                       price:
+ *                         type: number
+ *                         example: 2.99
+ *                       images:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                           format: uri
+ *                           example: https://example.com/images/apple.jpg
+ *                       category:
+ *                         type: string
+ *                         example: Produce
+ *                       inStock:
+ *                         type: boolean
+ *                         example: true
+ *                       stock:
+ *                         type: integer
+ *                         example: 50
+ *       400:
+ *         description: Bad request - invalid retailer ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               message: Invalid retailer ID format
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Retailer not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               message: Retailer not found
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   GET /api/customer/stores/:id/products
+// @desc    Get all products from a specific store/retailer
+// @access  Private
+router.get('/stores/:id/products', isCustomer, async (req, res) => {
+  try {
+    const retailerId = req.params.id;
+    
+    // Validate retailer ID
+    if (!mongoose.Types.ObjectId.isValid(retailerId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid retailer ID format'
+      });
+    }
+    
+    // Check if retailer exists and is listed
+    const retailer = await Retailer.findOne({ _id: retailerId, ...Retailer.listedFilter() });
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer not found'
+      });
+    }
+    
+    // Get pagination parameters
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    
+    // Get query parameters for filtering
+    const { category, minPrice, maxPrice, search } = req.query;
+    
+    // Build query object
+    const query = { retailer: retailerId, isAvailable: true };
+    
+    // Add category filter if provided
+    if (category) {
+      query.category = category;
+    }
+    
+    // Add price range filter if provided
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      query.price = {};
+      if (minPrice !== undefined) {
+        query.price.$gte = parseFloat(minPrice);
+      }
+      if (maxPrice !== undefined) {
+        query.price.$lte = parseFloat(maxPrice);
+      }
+    }
+    
+    // Add text search if provided
+    let searchQuery = Product.find(query);
+    if (search) {
+      searchQuery = Product.find({
+        $and: [
+          query,
+          { $text: { $search: search } }
+        ]
+      });
+    }
+    
+    // Execute query with pagination
+    const products = await searchQuery
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+    
+    // Get total count for pagination
+    const totalProducts = await Product.countDocuments(query);
+    
+    res.json({
+      success: true,
+      count: products.length,
+      totalProducts,
+      totalPages: Math.ceil(totalProducts / limit),
+      currentPage: page,
+      retailer: {
+        id: retailer._id,
+        name: retailer.storeName,
+        description: retailer.storeDescription,
+        isOpen: retailer.isOpenAt(),
+        nextOpensAt: retailer.getNextOpensAt(),
+        timezone: retailer.timezone,
+        openingHours: retailer.openingHours,
+        closures: retailer.closures
+      },
+      products: products.map(product => ({
+        id: product._id,
+        name: product.name,
+        description: product.description,
+        price: product.price,
+        images: product.images,
+        category: product.category,
+        inStock: product.inStock,
+        stock: product.stock
+      }))
+    });
+  } catch (error) {
+    console.error('Get store products error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/customer/stores/{id}/slots:
+ *   get:
+ *     summary: Get delivery slots of a store
+ *     description: Lists the delivery windows of a store for the coming days with their remaining capacity. Stores without delivery slots return an empty list and deliver without a schedule.
+ *     tags: [Stores]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the retailer/store
+ *         example: 60a1e2c7d32f1e2b3c4d5e6f
+ *       - in: query
+ *         name: includeFull
+ *         schema:
+ *           type: boolean
+ *         description: Also list fully booked windows (marked unavailable)
+ *         example: false
+ *     responses:
+ *       200:
+ *         description: Delivery slots retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 timezone:
+ *                   type: string
+ *                   description: Time zone of the store
+ *                   example: America/New_York
+ *                 count:
+ *                   type: integer
+ *                   example: 1
+ *                 slots:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       startsAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: Start of the window; send this value to select the slot at checkout
+ *                         example: 2023-05-16T14:00:00.000Z
+ *                       endsAt:
+ *                         type: string
+ *                         format: date-time
+ *                         example: 2023-05-16T16:00:00.000Z
+ *                       capacity:
+ *                         type: integer
+ *                         example: 10
+ *                       remaining:
+ *                         type: integer
+ *                         example: 4
+ *                       available:
+ *                         type: boolean
+ *                         example: true
+ *       400:
+ *         description: Invalid retailer ID format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               message: Invalid retailer ID format
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Retailer not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               message: Retailer not found
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   GET /api/customer/stores/:id/slots
+// @desc    Get the delivery slots of a store
+// @access  Private
+router.get('/stores/:id/slots', isCustomer, async (req, res) => {
+  try {
+    const retailerId = req.params.id;
+    
+    // Validate retailer ID
+    if (!mongoose.Types.ObjectId.isValid(retailerId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid retailer ID format'
+      });
+    }
+    
+    const retailer = await Retailer.findOne({ _id: retailerId, ...Retailer.listedFilter() }).select('deliverySlots closures timezone');
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer not found'
+      });
+    }
+    
+    const windows = getSlotWindows(retailer);
+    const reservedCounts = windows.length > 0
+      ? await SlotReservation.getReservedCounts(retailer._id, windows[0].startsAt, windows[windows.length - 1].startsAt)
+      : new Map();
+    
+    const slots = windows
+      .map(window => {
+        const remaining = Math.max(window.capacity - (reservedCounts.get(window.startsAt.getTime()) || 0), 0);
+        return {
+          startsAt: window.startsAt,
+          endsAt: window.endsAt,
+          capacity: window.capacity,
+          remaining,
+          available: remaining > 0
+        };
+      })
+      .filter(slot => slot.available || req.query.includeFull === 'true');
+    
+    res.json({
+      success: true,
+      timezone: retailer.timezone,
+      count: slots.length,
+      slots
+    });
+  } catch (error) {
+    console.error('Get store slots error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/customer/login:
+ *   post:
+ *     summary: Customer login
+ *     description: Authenticates a customer and returns a JWT token
+ *     tags: [Customer Authentication]
+ *     security: []  # No security, this is a public endpoint
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: Customer's email address
+ *                 example: john.doe@example.com
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 description: Customer's password
+ *                 example: securepassword
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Login successful
+ *                 token:
+ *                   type: string
+ *                   description: JWT access token, valid for 15 minutes by default
+ *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Single-use token for POST /api/v1/auth/refresh
+ *                   example: 3f9c0d1e...
+ *                 refreshTokenExpiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                   example: 2025-06-30T10:00:00.000Z
+ *                 customer:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       example: 60a1e2c7d32f1e2b3c4d5e6f
+ *                     name:
+ *                       type: string
+ *                       example: John Doe
+ *                     email:
+ *                       type: string
+ *                       example: john.doe@example.com
+ *                     isVerified:
+ *                       type: boolean
+ *                       description: False until the email address (and phone number, if any) are verified
+ *                       example: true
+ *       400:
+ *         description: Bad request - missing or invalid credentials
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             examples:
+ *               missingCredentials:
+ *                 value:
+ *                   success: false
+ *                   message: Please provide email and password
+ *               invalidCredentials:
+ *                 value:
+ *                   success: false
+ *                   message: Invalid credentials
+ *       403:
+ *         description: Account suspended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               message: Your account has been suspended. Please contact support
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   POST /api/customer/login
+// @desc    Authenticate customer and get token
+// @access  Public
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    // Basic validation
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide email and password'
+      });
+    }
+
+    // Find customer by email
+    const customer = await Customer.findOne({ email }).select('+password');
+    if (!customer) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    // Check if password matches
+    const isMatch = await customer.matchPassword(password);
+    if (!isMatch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    // Suspended accounts cannot sign in
+    const signInBlock = getSignInBlock(customer);
+    if (signInBlock) {
+      return res.status(403).json({
+        success: false,
+        message: signInBlock
+      });
+    }
+
+    // Generate access and refresh tokens
+    const { token, refreshToken, refreshTokenExpiresAt } = await issueAuthTokens(customer, 'customer', req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      token,
+      refreshToken,
+      refreshTokenExpiresAt,
+      customer: {
+        id: customer._id,
+        name: customer.name,
+        email: customer.email,
+        isVerified: customer.isVerified
+      }
+    });
+  } catch (error) {
+    console.error('Customer login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/customer/stores:
+ *   get:
+ *     summary: Get nearby stores
+ *     description: Returns the retailers/stores near the customer's location or specified coordinates, nearest first, with optional filters and pagination. Only stores approved by NearMart are listed.
+ *     tags: [Stores]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: lat
+ *         schema:
+ *           type: number
+ *         description: Latitude coordinate (optional if user profile has location)
+ *         example: 40.848447
+ *       - in: query
+ *         name: lng
+ *         schema:
+ *           type: number
+ *         description: Longitude coordinate (optional if user profile has location)
+ *         example: -73.856077
+ *       - in: query
+ *         name: addressId
+ *         schema:
+ *           type: string
+ *         description: Search around this saved address when lat and lng are not given (defaults to the default saved address, then the profile location)
+ *         example: 60a1e2c7d32f1e2b3c4d5f10
+ *       - in: query
+ *         name: radius
+ *         schema:
+ *           type: number
+ *         description: Search radius in kilometers
+ *         default: 5
+ *         example: 5
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Only stores with an available product in this category (case-insensitive)
+ *         example: Fruits
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 5
+ *         description: Only stores with at least this average customer rating (customers rate their delivered and picked up orders)
+ *         example: 4
+ *       - in: query
+ *         name: openNow
+ *         schema:
+ *           type: boolean
+ *         description: Only stores that are open right now (stores without opening hours count as open)
+ *         example: true
+ *       - in: query
+ *         name: deliversToMe
+ *         schema:
+ *           type: boolean
+ *         description: Only stores whose delivery radius reaches the search location
+ *         example: true
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *         default: 20
+ *         description: Stores per page
+ *     responses:
+ *       200:
+ *         description: List of nearby stores
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   description: Number of stores on this page
+ *                   example: 3
+ *                 totalStores:
+ *                   type: integer
+ *                   description: Number of stores matching the search
+ *                   example: 23
+ *                 totalPages:
+ *                   type: integer
+ *                   example: 2
+ *                 currentPage:
+ *                   type: integer
+ *                   example: 1
+ *                 stores:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         description: Store ID
+ *                         example: 60a1e2c7d32f1e2b3c4d5e6f
+ *                       name:
+ *                         type: string
+ *                         description: Store name
+ *                         example: Jane's Grocery
+ *                       description:
+ *                         type: string
+ *                         description: Store description
+ *                         example: Fresh produce and groceries
+ *                       location:
+ *                         $ref: '#/components/schemas/GeoJSONPoint'
+ *                       distance:
+ *                         type: number
+ *                         description: Distance from the search location in meters
+ *                         example: 1240
+ *                       distanceKm:
+ *                         type: number
+ *                         description: Distance from the search location in kilometers
+ *                         example: 1.24
+ *                       rating:
+ *                         type: object
+ *                         properties:
+ *                           average:
+ *                             type: number
+ *                             example: 4.5
+ *                           count:
+ *                             type: integer
+ *                             example: 32
+ *                       isOpen:
+ *                         type: boolean
+ *                         description: Whether the store is open right now
+ *                         example: false
+ *                       nextOpensAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                         description: When a closed store opens next (null while open, or if it does not reopen within two weeks)
+ *                         example: 2023-05-16T08:00:00.000Z
+ *                       deliversToMe:
+ *                         type: boolean
+ *                         description: Whether the search location is within the store's delivery radius
+ *                         example: true
+ *                       phone:
+ *                         type: string
+ *                         description: Store phone number
+ *                         example: "+1234567890"
+ *       400:
+ *         description: Bad request - missing location or invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             examples:
+ *               missingLocation:
+ *                 value:
+ *                   success: false
+ *                   message: Location not found. Please provide lat and lng parameters or update your profile with location
+ *               invalidRating:
+ *                 value:
+ *                   success: false
+ *                   message: minRating must be a number between 0 and 5
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   GET /api/customer/stores
+// @desc    Get nearby stores based on location
+// @access  Private
+router.get('/stores', isCustomer, async (req, res) => {
+  try {
+    const { lat, lng, addressId, radius = 5, category, minRating, openNow, deliversToMe } = req.query; // Default radius: 5km
+    
+    // Get pagination parameters
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const skip = (page - 1) * limit;
+    
+    let coordinates;
+    
+    // If lat/lng provided in query, use those
+    if (lat && lng) {
+      coordinates = [parseFloat(lng), parseFloat(lat)];
+    } else {
+      // Otherwise use the chosen or default saved address, falling back to the profile location
+      if (addressId !== undefined && !mongoose.Types.ObjectId.isValid(addressId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid address ID'
+        });
+      }
+      
+      const customer = await Customer.findById(req.user.id).select('address location addresses deliveryPreferences');
+      const target = customer && customer.resolveDeliveryAddress(addressId);
+      if (customer && addressId !== undefined && !target) {
+        return res.status(404).json({
+          success: false,
+          message: 'Saved address not found'
+        });
+      }
+      
+      if (!target || !target.coordinates) {
+        return res.status(400).json({
+          success: false,
+          message: 'Location not found. Please provide lat and lng parameters or update your profile with location'
+        });
+      }
+      coordinates = target.coordinates;
+    }
+    
+    // Validate coordinates
+    if (!coordinates || coordinates.length !== 2 || coordinates.some(value => isNaN(value))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid coordinates'
+      });
+    }
+    
+    const radiusKm = parseFloat(radius);
+    if (isNaN(radiusKm) || radiusKm <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'radius must be a positive number of kilometers'
+      });
+    }
+    
+    // Filters that only need the store document go into $geoNear itself
+    const storeQuery = Retailer.listedFilter();
+    if (minRating !== undefined) {
+      const rating = parseFloat(minRating);
+      if (isNaN(rating) || rating < 0 || rating > 5) {
+        return res.status(400).json({
+          success: false,
+          message: 'minRating must be a number between 0 and 5'
+        });
+      }
+      // Stores created before ratings existed have no rating at all, so 0 must not filter them out
+      if (rating > 0) {
+        storeQuery['rating.average'] = { $gte: rating };
+      }
+    }
+    
+    const now = new Date();
+    const pipeline = [
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates },
+          key: 'location',
+          distanceField: 'distance', // meters
+          maxDistance: radiusKm * 1000,
+          spherical: true,
+          query: storeQuery
+        }
+      },
+      {
+        $addFields: {
+          isOpen: openAtExpression(now),
+          deliversToMe: {
+            $lte: ['$distance', { $multiply: [{ $ifNull: ['$deliverySettings.radiusKm', DEFAULT_DELIVERY_SETTINGS.radiusKm] }, 1000] }]
+          }
+        }
+      }
+    ];
+    
+    if (openNow === 'true') {
+      pipeline.push({ $match: { isOpen: true } });
+    }
+    
+    if (deliversToMe === 'true') {
+      pipeline.push({ $match: { deliversToMe: true } });
+    }
+    
+    // Only keep stores with at least one available product in the category
+    if (category) {
+      const escapedCategory = category.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      pipeline.push(
+        {
+          $lookup: {
+            from: Product.collection.name,
+            let: { retailerId: '$_id' },
+            pipeline: [
+              {
+                $match: {
+                  $expr: { $eq: ['$retailer', '$$retailerId'] },
+                  isAvailable: true,
+                  category: { $regex: `^${escapedCategory}$`, $options: 'i' }
+                }
+              },
+              { $limit: 1 },
+              { $project: { _id: 1 } }
+            ],
+            as: 'categoryProducts'
+          }
+        },
+        { $match: { 'categoryProducts.0': { $exists: true } } }
+      );
+    }
+    
+    // $geoNear already sorts by distance, nearest first
+    pipeline.push({
+      $facet: {
+        metadata: [{ $count: 'total' }],
+        stores: [
+          { $skip: skip },
+          { $limit: limit },
+          {
+            $project: {
+              storeName: 1,
+              storeDescription: 1,
+              location: 1,
+              phone: 1,
+              rating: 1,
+              distance: 1,
+              isOpen: 1,
+              deliversToMe: 1,
+              // Needed to work out nextOpensAt
+              openingHours: 1,
+              closures: 1,
+              timezone: 1
+            }
+          }
+        ]
+      }
+    });
+    
+    const [result] = await Retailer.aggregate(pipeline);
+    const totalStores = result.metadata.length > 0 ? result.metadata[0].total : 0;
+    
+    res.json({
+      success: true,
+      count: result.stores.length,
+      totalStores,
+      totalPages: Math.ceil(totalStores / limit),
+      currentPage: page,
+      stores: result.stores.map(store => ({
+        id: store._id,
+        name: store.storeName,
+        description: store.storeDescription,
+        location: store.location,
+        distance: Math.round(store.distance),
+        distanceKm: Math.round(store.distance / 10) / 100,
+        rating: store.rating || { average: 0, count: 0 },
+        isOpen: store.isOpen,
+        nextOpensAt: store.isOpen ? null : getNextOpening(store, now),
+        deliversToMe: store.deliversToMe,
+        phone: store.phone
+      }))
+    });
+  } catch (error) {
+    console.error('Get nearby stores error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Estimate tax and delivery for the cart at the chosen saved address, else the default saved address,
+// else the profile address. Resolves to false when the chosen saved address does not exist.
+const quoteCart = async (cart, customerId, addressId) => {
+  const customer = await Customer.findById(customerId).select('address location addresses deliveryPreferences');
+  const target = customer && customer.resolveDeliveryAddress(addressId);
+  if (customer && !target) {
+    return false;
+  }
+  
+  if (target) {
+    cart.setTaxAddress(target.address);
+    await cart.quoteDelivery(target.coordinates);
+  }
+  return true;
+};
+
+// Cart contents and totals as returned by the cart endpoints (call quoteCart() first)
+const formatCart = (cart) => ({
+  id: cart._id,
+  items: cart.items,
+  // Items are checked out as one order per retailer
+  retailers: cart.retailerGroups.map(group => ({
+    retailer: group.retailer,
+    itemCount: group.items.reduce((count, item) => count + item.quantity, 0),
+    subtotal: group.subtotal,
+    discount: group.discount,
+    deliveryFee: group.deliveryFee,
+    distanceKm: group.distanceKm,
+    deliversToAddress: group.isWithinRadius
+  })),
+  subtotal: cart.subtotal,
+  tax: cart.tax,
+  taxInclusive: isTaxInclusive(),
+  deliveryFee: cart.deliveryFee,
+  total: cart.total,
+  itemCount: cart.itemCount,
+  discount: cart.discount,
+  couponCode: cart.couponCode,
+  changes: cart.pendingChanges
+});
+
+/**
+ * @swagger
+ * /api/v1/customer/cart:
+ *   get:
+ *     summary: Get customer's current cart
+ *     description: Retrieves the authenticated customer's current shopping cart. Tax and delivery fees are estimated for the chosen saved address, else the default saved address, else the profile address.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: addressId
+ *         schema:
+ *           type: string
+ *         description: Saved address to estimate tax and delivery for
+ *         example: 60a1e2c7d32f1e2b3c4d5f10
+ *     responses:
+ *       200:
+ *         description: Cart retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 cart:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       description: Cart ID
+ *                       example: 60a1e2c7d32f1e2b3c4d5e7g
+ *                     items:
+ *                       type: array
+ *                       description: Array of cart items
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           product:
+ *                             type: object
+ *                             properties:
+ *                               id:
+ *                                 type: string
+ *                                 example: 60a1e2c7d32f1e2b3c4d5e7f
+ *                               name:
+ *                                 type: string
+ *                                 example: Organic Apples
+ *                               price:
+ *                                 type: number
+ *                                 example: 2.99
+ *                               imageUrl:
+ *                                 type: string
+ *                                 example: https://example.com/images/apple.jpg
+ *                               stock:
+ *                                 type: integer
+ *                                 example: 50
+ *                               isAvailable:
+ *                                 type: boolean
+ *                                 example: true
+ *                               retailer:
+ *                                 type: object
+ *                                 properties:
+ *                                   id:
+ *                                     type: string
+ *                                     example: 60a1e2c7d32f1e2b3c4d5e6f
+ *                                   storeName:
+ *                                     type: string
+ *                                     example: Jane's Grocery
+ *                           quantity:
+ *                             type: integer
+ *                             description: Quantity of the product
+ *                             example: 2
+ *                           price:
+ *                             type: number
+ *                             description: Unit price of the product
+ *                             example: 2.99
+ *                           total:
+ *                             type: number
+ *                             description: Total price for this item (quantity * price)
+ *                             example: 5.98
+ *                     retailers:
+ *                       type: array
+ *                       description: Per-store breakdown; checkout creates one order per store
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           retailer:
+ *                             type: string
+ *                             example: 60a1e2c7d32f1e2b3c4d5e6f
+ *                           itemCount:
+ *                             type: integer
+ *                             example: 2
+ *                           subtotal:
+ *                             type: number
+ *                             example: 5.98
+ *                           discount:
+ *                             type: number
+ *                             description: This store's share of the coupon discount
+ *                             example: 0.60
+ *                           deliveryFee:
+ *                             type: number
+ *                             description: Based on the store's delivery settings and the distance to the customer's address; free delivery applies once the subtotal after discount reaches the store's threshold
+ *                             example: 5.00
+ *                           distanceKm:
+ *                             type: number
+ *                             nullable: true
+ *                             description: Distance from the store to the customer's address (null when unknown)
+ *                             example: 3.42
+ *                           deliversToAddress:
+ *                             type: boolean
+ *                             nullable: true
+ *                             description: Whether the customer's address is within the store's delivery radius (null when the distance is unknown; checkout then refuses delivery from the store)
+ *                             example: true
+ *                     subtotal:
+ *                       type: number
+ *                       description: Subtotal cost before discounts or taxes
+ *                       example: 12.98
+ *                     tax:
+ *                       type: number
+ *                       description: Estimated tax for the customer's address (final tax uses the delivery address)
+ *                       example: 1.20
+ *                     taxInclusive:
+ *                       type: boolean
+ *                       description: Whether prices already include tax (tax is then not added to the total)
+ *                       example: false
+ *                     deliveryFee:
+ *                       type: number
+ *                       description: Sum of the delivery fees of every store in the cart
+ *                       example: 10.00
+ *                     total:
+ *                       type: number
+ *                       description: Total cart cost after discounts
+ *                       example: 11.98
+ *                     itemCount:
+ *                       type: integer
+ *                       description: Total number of items in cart
+ *                       example: 4
+ *                     discount:
+ *                       type: number
+ *                       description: Discount amount applied to cart
+ *                       example: 1.00
+ *                     couponCode:
+ *                       type: string
+ *                       description: Applied coupon code
+ *                       example: SUMMER10
+ *                       nullable: true
+ *                     changes:
+ *                       type: array
+ *                       description: Price, availability and stock changes found since the customer last checked out or acknowledged them
+ *                       items:
+ *                         $ref: '#/components/schemas/CartChange'
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   GET /api/customer/cart
+// @desc    Get customer's current cart
+// @access  Private
+router.get('/cart', isCustomer, async (req, res) => {
+  try {
+    const { addressId } = req.query;
+    
+    if (addressId !== undefined && !mongoose.Types.ObjectId.isValid(addressId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid address ID'
+      });
+    }
+    
+    // Find customer's cart or create a new one if it doesn't exist
+    let cart = await Cart.findOne({ customer: req.user.id });
+    
+    if (!cart) {
+      cart = await Cart.create({ customer: req.user.id, items: [] });
+    } else {
+      // Re-price against the current products so the customer never sees stale prices
+      await cart.reprice();
+      
+      // Estimate tax and delivery for the chosen, default or profile address
+      if (!await quoteCart(cart, req.user.id, addressId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Saved address not found'
+        });
+      }
+      
+      await cart.populate({
+        path: 'items.product',
+        select: 'name price imageUrl stock isAvailable retailer',
+        populate: {
+          path: 'retailer',
+          select: 'storeName'
+        }
+      });
+    }
+    
+    res.json({
+      success: true,
+      cart: formatCart(cart)
+    });
+  } catch (error) {
+    console.error('Get cart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/customer/cart/add:
+ *   post:
+ *     summary: Add item to cart
+ *     description: Adds a product to the customer's shopping cart with specified quantity
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - productId
+ *             properties:
+ *               productId:
+ *                 type: string
+ *                 description: ID of the product to add to cart
+ *                 example: 60a1e2c7d32f1e2b3c4d5e7f
+ *               quantity:
+ *                 type: integer
+ *                 description: Quantity of the product
+ *                 default: 1
+ *                 minimum: 1
+ *                 example: 2
+ *     responses:
+ *       200:
+ *         description: Item added to cart successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Item added to cart
+ *                 cart:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       description: Cart ID
+ *                       example: 60a1e2c7d32f1e2b3c4d5e7g
+ *                     items:
+ *                       type: array
+ *                       description: Array of cart items
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           product:
+ *                             type: object
+ *                             properties:
+ *                               id:
+ *                                 type: string
+ *                                 example: 60a1e2c7d32f1e2b3c4d5e7f
+ *                               name:
+ *                                 type: string
+ *                                 example: Organic Apples
+ *                               price:
+ *                                 type: number
+ *                                 example: 2.99
+ *                           quantity:
+ *                             type: integer
+ *                             example: 2
+ *                           total:
+ *                             type: number
+ *                             example: 5.98
+ *                     subtotal:
+ *                       type: number
+ *                       description: Subtotal cost before discounts or taxes
+ *                       example: 12.98
+ *                     total:
+ *                       type: number
+ *                       description: Total cart cost after discounts
+ *                       example: 12.98
+ *                     itemCount:
+ *                       type: integer
+ *                       description: Total number of items in cart
+ *                       example: 3
+ *       400:
+ *         description: Bad request - validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             examples:
+ *               missingProductId:
+ *                 value:
+ *                   success: false
+ *                   message: Product ID is required
+ *               invalidQuantity:
+ *                 value:
+ *                   success: false
+ *                   message: Quantity must be a positive integer
+ *               outOfStock:
+ *                 value:
+ *                   success: false
+ *                   message: Product is unavailable or insufficient stock
+ *                   available: 3
+ *                   isAvailable: true
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Product not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               message: Product not found
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   POST /api/customer/cart/add
+// @desc    Add item to cart
+// @access  Private
+router.post('/cart/add', isCustomer, async (req, res) => {
+  try {
+    const { productId, quantity = 1 } = req.body;
+    
+    // Validate input
+    if (!productId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Product ID is required'
+      });
+    }
+
+    // Validate quantity is a positive integer
+    if (!Number.isInteger(parseInt(quantity)) || parseInt(quantity) <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quantity must be a positive integer'
+      });
+    }
+    
+    // Check if product exists and its store is listed
+    const product = await Product.findById(productId);
+    if (!product || !(await Retailer.exists({ _id: product.retailer, ...Retailer.listedFilter() }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+    
+    // Check if product is available and in stock
+    if (!product.isAvailable || product.stock < parseInt(quantity)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Product is unavailable or insufficient stock',
+        available: product.stock,
+        isAvailable: product.isAvailable
+      });
+    }
+    
+    // Find customer's cart or create a new one
+    let cart = await Cart.findOne({ customer: req.user.id });
+    if (!cart) {
+      cart = new Cart({ customer: req.user.id, items: [] });
+    }
+    
+    // Add item to cart
+    await cart.addItem(productId, parseInt(quantity));
+    
+    // Fetch updated cart with populated items
+    cart = await Cart.findById(cart._id).populate({
+      path: 'items.product',
+      select: 'name price imageUrl stock isAvailable retailer',
+      populate: {
+        path: 'retailer',
+        select: 'storeName'
+      }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Item added to cart',
+      cart: {
+        id: cart._id,
+        items: cart.items,
+        subtotal: cart.subtotal,
+        total: cart.total,
+        itemCount: cart.itemCount
+      }
+    });
+  } catch (error) {
+    console.error('Add to cart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/customer/cart/remove/{productId}:
+ *   delete:
+ *     summary: Remove item from cart
+ *     description: Removes a product from the customer's shopping cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the product to remove from cart
+ *         example: 60a1e2c7d32f1e2b3c4d5e7f
+ *     responses:
+ *       200:
+ *         description: Item removed from cart successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Item removed from cart
+ *                 cart:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       description: Cart ID
+ *                       example: 60a1e2c7d32f1e2b3c4d5e7g
+ *                     items:
+ *                       type: array
+ *                       description: Array of cart items
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           product:
+ *                             type: object
+ *                             properties:
+ *                               id:
+ *                                 type: string
+ *                                 example: 60a1e2c7d32f1e2b3c4d5e8h
+ *                               name:
+ *                                 type: string
+ *                                 example: Organic Bananas
+ *                               price:
+ *                                 type: number
+ *                                 example: 1.99
+ *                           quantity:
+ *                             type: integer
+ *                             example: 1
+ *                           total:
+ *                             type: number
+ *                             example: 1.99
+ *                     subtotal:
+ *                       type: number
+ *                       description: Subtotal cost before discounts or taxes
+ *                       example: 7.00
+ *                     total:
+ *                       type: number
+ *                       description: Total cart cost after discounts
+ *                       example: 7.00
+ *                     itemCount:
+ *                       type: integer
+ *                       description: Total number of items in cart
+ *                       example: 2
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Cart or item not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             examples:
+ *               cartNotFound:
+ *                 value:
+ *                   success: false
+ *                   message: Cart not found
+ *               itemNotFound:
+ *                 value:
+ *                   success: false
+ *                   message: Item not found in cart
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   DELETE /api/customer/cart/remove/:productId
+// @desc    Remove item from cart
+// @access  Private
+router.delete('/cart/remove/:productId', isCustomer, async (req, res) => {
+  try {
+    const productId = req.params.productId;
+    
+    // Validate input
+    if (!productId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Product ID is required'
+      });
+    }
+    
+    // Find customer's cart
+    let cart = await Cart.findOne({ customer: req.user.id });
+    if (!cart) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart not found'
+      });
+    }
+    
+    // Check if item exists in cart
+    const itemExists = cart.items.some(item => item.product.toString() === productId);
+    if (!itemExists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found in cart'
+      });
+    }
+    
+    // Remove item from cart
+    await cart.removeItem(productId);
+    
+    // Fetch updated cart with populated items
+    cart = await Cart.findById(cart._id).populate({
+      path: 'items.product',
+      select: 'name price imageUrl stock isAvailable retailer',
+      populate: {
+        path: 'retailer',
+        select: 'storeName'
+      }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Item removed from cart',
+      cart: {
+        id: cart._id,
+        items: cart.items,
+        subtotal: cart.subtotal,
+        total: cart.total,
+        itemCount: cart.itemCount
+      }
+    });
+  } catch (error) {
+    console.error('Remove from cart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/customer/cart/items/{productId}:
+ *   patch:
+ *     summary: Set cart item quantity
+ *     description: Sets the quantity of a product already in the cart to an absolute value. A quantity of 0 removes the item.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the product in the cart
+ *         example: 60a1e2c7d32f1e2b3c4d5e7f
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: New quantity (0 removes the item)
+ *                 example: 3
+ *     responses:
+ *       200:
+ *         description: Cart item updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Cart item updated
+ *                 cart:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       example: 60a1e2c7d32f1e2b3c4d5e7g
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     subtotal:
+ *                       type: number
+ *                       example: 8.97
+ *                     total:
+ *                       type: number
+ *                       example: 14.87
+ *                     itemCount:
+ *                       type: integer
+ *                       example: 3
+ *       400:
+ *         description: Bad request - invalid quantity or insufficient stock
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             examples:
+ *               invalidQuantity:
+ *                 value:
+ *                   success: false
+ *                   message: Quantity must be a non-negative integer
+ *               outOfStock:
+ *                 value:
+ *                   success: false
+ *                   message: Product is unavailable or insufficient stock
+ *                   available: 2
+ *                   isAvailable: true
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Cart, item or product not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             examples:
+ *               cartNotFound:
+ *                 value:
+ *                   success: false
+ *                   message: Cart not found
+ *               itemNotFound:
+ *                 value:
+ *                   success: false
+ *                   message: Item not found in cart
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   PATCH /api/customer/cart/items/:productId
+// @desc    Set the quantity of a cart item (0 removes it)
+// @access  Private
+router.patch('/cart/items/:productId', isCustomer, async (req, res) => {
+  try {
+    const productId = req.params.productId;
+    const { quantity } = req.body;
+    
+    // Validate quantity is a non-negative integer
+    const parsedQuantity = Number(quantity);
+    if (quantity === undefined || quantity === null || !Number.isInteger(parsedQuantity) || parsedQuantity < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quantity must be a non-negative integer'
+      });
+    }
+    
+    // Find customer's cart
+    let cart = await Cart.findOne({ customer: req.user.id });
+    if (!cart) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart not found'
+      });
+    }
+    
+    // Check if item exists in cart
+    const itemExists = cart.items.some(item => item.product.toString() === productId);
+    if (!itemExists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found in cart'
+      });
+    }
+    
+    if (parsedQuantity > 0) {
+      // Check if product still exists
+      const product = await Product.findById(productId);
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+      
+      // Check if product is available and in stock
+      if (!product.isAvailable || product.stock < parsedQuantity) {
+        return res.status(400).json({
+          success: false,
+          message: 'Product is unavailable or insufficient stock',
+          available: product.stock,
+          isAvailable: product.isAvailable
+        });
+      }
+    }
+    
+    // Update item quantity (0 removes the item)
+    await cart.updateItemQuantity(productId, parsedQuantity);
+    
+    // Fetch updated cart with populated items
+    cart = await Cart.findById(cart._id).populate({
+      path: 'items.product',
+      select: 'name price imageUrl stock isAvailable retailer',
+      populate: {
+        path: 'retailer',
+        select: 'storeName'
+      }
+    });
+    
+    res.json({
+      success: true,
+      message: parsedQuantity > 0 ? 'Cart item updated' : 'Item removed from cart',
+      cart: {
+        id: cart._id,
+        items: cart.items,
+        subtotal: cart.subtotal,
+        total: cart.total,
+        itemCount: cart.itemCount
+      }
+    });
+  } catch (error) {
+    console.error('Update cart item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/customer/cart:
+ *   delete:
+ *     summary: Empty cart
+ *     description: Removes every item and any applied coupon from the customer's cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cart emptied successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Cart cleared
+ *                 cart:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       example: 60a1e2c7d32f1e2b3c4d5e7g
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                       example: []
  *                     subtotal:
  *                       type: number
- *                       description: Subtotal cost before discounts or taxes
- *                       example: 12.98
+ *                       example: 0
  *                     total:
  *                       type: number
- *                       description: Total cart cost after discounts
- *                       example: 11.98
+ *                       example: 0
  *                     itemCount:
  *                       type: integer
- *                       description: Total number of items in cart
- *                       example: 4
- *                     discount:
- *                       type: number
- *                       description: Discount amount applied to cart
- *                       example: 1.00
- *                     couponCode:
- *                       type: string
- *                       description: Applied coupon code
- *                       example: SUMMER10
- *                       nullable: true
+ *                       example: 0
  *       401:
  *         description: Unauthorized - No token provided or invalid token
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Cart not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               message: Cart not found
  *       500:
  *         description: Server error
  *         content:
@@ -1514,40 +3834,35 @@ router.get('/stores', isCustomer, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-// @route   GET /api/customer/cart
-// @desc    Get customer's current cart
+// @route   DELETE /api/customer/cart
+// @desc    Empty the cart
 // @access  Private
-router.get('/cart', isCustomer, async (req, res) => {
+router.delete('/cart', isCustomer, async (req, res) => {
   try {
-    // Find customer's cart or create a new one if it doesn't exist
-    let cart = await Cart.findOne({ customer: req.user.id })
-      .populate({
-        path: 'items.product',
-        select: 'name price imageUrl stock isAvailable retailer',
-        populate: {
-          path: 'retailer',
-          select: 'storeName'
-        }
-      });
-    
+    // Find customer's cart
+    const cart = await Cart.findOne({ customer: req.user.id });
     if (!cart) {
-      cart = await Cart.create({ customer: req.user.id, items: [] });
+      return res.status(404).json({
+        success: false,
+        message: 'Cart not found'
+      });
     }
     
+    await cart.clearCart();
+    
     res.json({
       success: true,
+      message: 'Cart cleared',
       cart: {
         id: cart._id,
         items: cart.items,
         subtotal: cart.subtotal,
         total: cart.total,
-        itemCount: cart.itemCount,
-        discount: cart.discount,
-        couponCode: cart.couponCode
+        itemCount: cart.itemCount
       }
     });
   } catch (error) {
-    console.error('Get cart error:', error);
+    console.error('Clear cart error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -1558,10 +3873,10 @@ router.get('/cart', isCustomer, async (req, res) => {
 
 /**
  * @swagger
- * /api/v1/customer/cart/add:
+ * /api/v1/customer/cart/coupon:
  *   post:
- *     summary: Add item to cart
- *     description: Adds a product to the customer's shopping cart with specified quantity
+ *     summary: Apply coupon to cart
+ *     description: Validates a coupon code against the customer's cart and applies its discount
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
@@ -1572,21 +3887,15 @@ router.get('/cart', isCustomer, async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - productId
+ *               - code
  *             properties:
- *               productId:
+ *               code:
  *                 type: string
- *                 description: ID of the product to add to cart
- *                 example: 60a1e2c7d32f1e2b3c4d5e7f
- *               quantity:
- *                 type: integer
- *                 description: Quantity of the product
- *                 default: 1
- *                 minimum: 1
- *                 example: 2
+ *                 description: Coupon code (case-insensitive)
+ *                 example: SPRING10
  *     responses:
  *       200:
- *         description: Item added to cart successfully
+ *         description: Coupon applied successfully
  *         content:
  *           application/json:
  *             schema:
@@ -1597,71 +3906,67 @@ router.get('/cart', isCustomer, async (req, res) => {
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: Item added to cart
+ *                   example: Coupon applied
  *                 cart:
  *                   type: object
  *                   properties:
  *                     id:
  *                       type: string
- *                       description: Cart ID
  *                       example: 60a1e2c7d32f1e2b3c4d5e7g
  *                     items:
  *                       type: array
- *                       description: Array of cart items
  *                       items:
  *                         type: object
- *                         properties:
- *                           product:
- *                             type: object
- *                             properties:
- *                               id:
- *                                 type: string
- *                                 example: 60a1e2c7d32f1e2b3c4d5e7f
- *                               name:
- *                                 type: string
- *                                 example: Organic Apples
- *                               price:
- *                                 type: number
- *                                 example: 2.99
- *                           quantity:
- *                             type: integer
- *                             example: 2
- *                           total:
- *                             type: number
- *                             example: 5.98
  *                     subtotal:
  *                       type: number
- *                       description: Subtotal cost before discounts or taxes
- *                       example: 12.98
+ *                       example: 40.00
+ *                     discount:
+ *                       type: number
+ *                       example: 4.00
+ *                     couponCode:
+ *                       type: string
+ *                       example: SPRING10
+ *                     retailers:
+ *                       type: array
+ *                       description: Per-store breakdown, as in GET /api/v1/customer/cart
+ *                       items:
+ *                         type: object
+ *                     tax:
+ *                       type: number
+ *                       description: Estimated tax for the customer's default address
+ *                       example: 3.60
+ *                     taxInclusive:
+ *                       type: boolean
+ *                       example: false
+ *                     deliveryFee:
+ *                       type: number
+ *                       description: Sum of the delivery fees of every store in the cart
+ *                       example: 5.00
  *                     total:
  *                       type: number
- *                       description: Total cart cost after discounts
- *                       example: 12.98
+ *                       example: 44.60
  *                     itemCount:
  *                       type: integer
- *                       description: Total number of items in cart
  *                       example: 3
  *       400:
- *         description: Bad request - validation error
+ *         description: Bad request - missing code, empty cart or coupon not applicable
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *             examples:
- *               missingProductId:
+ *               missingCode:
  *                 value:
  *                   success: false
- *                   message: Product ID is required
- *               invalidQuantity:
+ *                   message: Coupon code is required
+ *               emptyCart:
  *                 value:
  *                   success: false
- *                   message: Quantity must be a positive integer
- *               outOfStock:
+ *                   message: Cart is empty
+ *               notApplicable:
  *                 value:
  *                   success: false
- *                   message: Product is unavailable or insufficient stock
- *                   available: 3
- *                   isAvailable: true
+ *                   message: Coupon has expired
  *       401:
  *         description: Unauthorized - No token provided or invalid token
  *         content:
@@ -1669,14 +3974,14 @@ router.get('/cart', isCustomer, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: Product not found
+ *         description: Coupon not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *             example:
  *               success: false
- *               message: Product not found
+ *               message: Coupon not found
  *       500:
  *         description: Server error
  *         content:
@@ -1684,56 +3989,50 @@ router.get('/cart', isCustomer, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-// @route   POST /api/customer/cart/add
-// @desc    Add item to cart
+// @route   POST /api/customer/cart/coupon
+// @desc    Apply a coupon to the cart
 // @access  Private
-router.post('/cart/add', isCustomer, async (req, res) => {
+router.post('/cart/coupon', isCustomer, async (req, res) => {
   try {
-    const { productId, quantity = 1 } = req.body;
+    const { code } = req.body;
     
     // Validate input
-    if (!productId) {
+    if (!code || typeof code !== 'string') {
       return res.status(400).json({
         success: false,
-        message: 'Product ID is required'
+        message: 'Coupon code is required'
       });
     }
-
-    // Validate quantity is a positive integer
-    if (!Number.isInteger(parseInt(quantity)) || parseInt(quantity) <= 0) {
+    
+    // Find customer's cart
+    let cart = await Cart.findOne({ customer: req.user.id });
+    if (!cart || cart.items.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Quantity must be a positive integer'
+        message: 'Cart is empty'
       });
     }
     
-    // Check if product exists
-    const product = await Product.findById(productId);
-    if (!product) {
+    // Check if coupon exists
+    const coupon = await Coupon.findByCode(code);
+    if (!coupon) {
       return res.status(404).json({
         success: false,
-        message: 'Product not found'
+        message: 'Coupon not found'
       });
     }
     
-    // Check if product is available and in stock
-    if (!product.isAvailable || product.stock < parseInt(quantity)) {
+    // Check if the coupon can be used on this cart
+    const eligibility = await coupon.checkEligibility(req.user.id, cart.items);
+    if (!eligibility.isValid) {
       return res.status(400).json({
         success: false,
-        message: 'Product is unavailable or insufficient stock',
-        available: product.stock,
-        isAvailable: product.isAvailable
+        message: eligibility.reason
       });
     }
     
-    // Find customer's cart or create a new one
-    let cart = await Cart.findOne({ customer: req.user.id });
-    if (!cart) {
-      cart = new Cart({ customer: req.user.id, items: [] });
-    }
-    
-    // Add item to cart
-    await cart.addItem(productId, parseInt(quantity));
+    // Apply coupon to cart
+    await cart.applyCoupon(coupon);
     
     // Fetch updated cart with populated items
     cart = await Cart.findById(cart._id).populate({
@@ -1745,19 +4044,16 @@ router.post('/cart/add', isCustomer, async (req, res) => {
       }
     });
     
+    // Same totals as GET /cart, with tax and delivery estimated for the default address
+    await quoteCart(cart, req.user.id);
+    
     res.json({
       success: true,
-      message: 'Item added to cart',
-      cart: {
-        id: cart._id,
-        items: cart.items,
-        subtotal: cart.subtotal,
-        total: cart.total,
-        itemCount: cart.itemCount
-      }
+      message: 'Coupon applied',
+      cart: formatCart(cart)
     });
   } catch (error) {
-    console.error('Add to cart error:', error);
+    console.error('Apply coupon error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -1768,24 +4064,16 @@ router.post('/cart/add', isCustomer, async (req, res) => {
 
 /**
  * @swagger
- * /api/v1/customer/cart/remove/{productId}:
+ * /api/v1/customer/cart/coupon:
  *   delete:
- *     summary: Remove item from cart
- *     description: Removes a product from the customer's shopping cart
+ *     summary: Remove coupon from cart
+ *     description: Removes the applied coupon and its discount from the customer's cart
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: productId
- *         required: true
- *         schema:
- *           type: string
- *         description: ID of the product to remove from cart
- *         example: 60a1e2c7d32f1e2b3c4d5e7f
  *     responses:
  *       200:
- *         description: Item removed from cart successfully
+ *         description: Coupon removed successfully
  *         content:
  *           application/json:
  *             schema:
@@ -1796,50 +4084,38 @@ router.post('/cart/add', isCustomer, async (req, res) => {
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: Item removed from cart
+ *                   example: Coupon removed
  *                 cart:
  *                   type: object
  *                   properties:
  *                     id:
  *                       type: string
- *                       description: Cart ID
  *                       example: 60a1e2c7d32f1e2b3c4d5e7g
- *                     items:
+ *                     subtotal:
+ *                       type: number
+ *                       example: 40.00
+ *                     discount:
+ *                       type: number
+ *                       example: 0
+ *                     retailers:
  *                       type: array
- *                       description: Array of cart items
+ *                       description: Per-store breakdown, as in GET /api/v1/customer/cart
  *                       items:
  *                         type: object
- *                         properties:
- *                           product:
- *                             type: object
- *                             properties:
- *                               id:
- *                                 type: string
- *                                 example: 60a1e2c7d32f1e2b3c4d5e8h
- *                               name:
- *                                 type: string
- *                                 example: Organic Bananas
- *                               price:
- *                                 type: number
- *                                 example: 1.99
- *                           quantity:
- *                             type: integer
- *                             example: 1
- *                           total:
- *                             type: number
- *                             example: 1.99
- *                     subtotal:
+ *                     tax:
  *                       type: number
- *                       description: Subtotal cost before discounts or taxes
- *                       example: 7.00
+ *                       description: Estimated tax for the customer's default address
+ *                       example: 4.00
+ *                     taxInclusive:
+ *                       type: boolean
+ *                       example: false
+ *                     deliveryFee:
+ *                       type: number
+ *                       description: Sum of the delivery fees of every store in the cart
+ *                       example: 5.00
  *                     total:
  *                       type: number
- *                       description: Total cart cost after discounts
- *                       example: 7.00
- *                     itemCount:
- *                       type: integer
- *                       description: Total number of items in cart
- *                       example: 2
+ *                       example: 49.00
  *       401:
  *         description: Unauthorized - No token provided or invalid token
  *         content:
@@ -1847,20 +4123,14 @@ router.post('/cart/add', isCustomer, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: Cart or item not found
+ *         description: Cart not found or no coupon applied
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *             examples:
- *               cartNotFound:
- *                 value:
- *                   success: false
- *                   message: Cart not found
- *               itemNotFound:
- *                 value:
- *                   success: false
- *                   message: Item not found in cart
+ *             example:
+ *               success: false
+ *               message: No coupon applied to cart
  *       500:
  *         description: Server error
  *         content:
@@ -1868,21 +4138,11 @@ router.post('/cart/add', isCustomer, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-// @route   DELETE /api/customer/cart/remove/:productId
-// @desc    Remove item from cart
+// @route   DELETE /api/customer/cart/coupon
+// @desc    Remove the applied coupon from the cart
 // @access  Private
-router.delete('/cart/remove/:productId', isCustomer, async (req, res) => {
+router.delete('/cart/coupon', isCustomer, async (req, res) => {
   try {
-    const productId = req.params.productId;
-    
-    // Validate input
-    if (!productId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Product ID is required'
-      });
-    }
-    
     // Find customer's cart
     let cart = await Cart.findOne({ customer: req.user.id });
     if (!cart) {
@@ -1892,17 +4152,15 @@ router.delete('/cart/remove/:productId', isCustomer, async (req, res) => {
       });
     }
     
-    // Check if item exists in cart
-    const itemExists = cart.items.some(item => item.product.toString() === productId);
-    if (!itemExists) {
+    if (!cart.couponCode) {
       return res.status(404).json({
         success: false,
-        message: 'Item not found in cart'
+        message: 'No coupon applied to cart'
       });
     }
     
-    // Remove item from cart
-    await cart.removeItem(productId);
+    // Remove coupon from cart
+    await cart.removeCoupon();
     
     // Fetch updated cart with populated items
     cart = await Cart.findById(cart._id).populate({
@@ -1914,19 +4172,16 @@ router.delete('/cart/remove/:productId', isCustomer, async (req, res) => {
       }
     });
     
+    // Same totals as GET /cart, with tax and delivery estimated for the default address
+    await quoteCart(cart, req.user.id);
+    
     res.json({
       success: true,
-      message: 'Item removed from cart',
-      cart: {
-        id: cart._id,
-        items: cart.items,
-        subtotal: cart.subtotal,
-        total: cart.total,
-        itemCount: cart.itemCount
-      }
+      message: 'Coupon removed',
+      cart: formatCart(cart)
     });
   } catch (error) {
-    console.error('Remove from cart error:', error);
+    console.error('Remove coupon error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -1940,10 +4195,19 @@ router.delete('/cart/remove/:productId', isCustomer, async (req, res) => {
  * /api/v1/customer/order:
  *   post:
  *     summary: Create new order from cart
- *     description: Creates a new order from the customer's current cart with payment and delivery information
+ *     description: Creates orders from the customer's current cart with payment and delivery information. A cart with items from several stores is split into one order per store, linked by a shared checkoutId. Send an Idempotency-Key header to make retries safe - a retry with the same key and body returns the original order instead of placing a new one.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         required: false
+ *         description: Client-generated unique key (e.g. a UUID) identifying this checkout attempt
+ *         example: 5f1d7c3e-8a4b-4c1e-9a57-2c1e0b6f9d11
  *     requestBody:
  *       required: true
  *       content:
@@ -1958,6 +4222,10 @@ router.delete('/cart/remove/:productId', isCustomer, async (req, res) => {
  *                 enum: [credit_card, debit_card, paypal, cash_on_delivery]
  *                 description: Payment method for the order
  *                 example: credit_card
+ *               addressId:
+ *                 type: string
+ *                 description: Saved address to deliver to, from GET /addresses. Defaults to the default saved address, then the profile address. Cannot be combined with deliveryAddress.
+ *                 example: 60a1e2c7d32f1e2b3c4d5f10
  *               deliveryAddress:
  *                 $ref: '#/components/schemas/Address'
  *               deliveryPhone:
@@ -1968,6 +4236,32 @@ router.delete('/cart/remove/:productId', isCustomer, async (req, res) => {
  *                 type: string
  *                 description: Special instructions for delivery
  *                 example: "Leave at the front door, no need to ring the bell"
+ *               fulfillmentType:
+ *                 type: string
+ *                 enum: [delivery, pickup]
+ *                 default: delivery
+ *                 description: Pickup orders are collected at the store - no delivery address, delivery fee or delivery slot is needed
+ *                 example: delivery
+ *               deliverySlots:
+ *                 type: array
+ *                 description: Delivery window per store, from GET /stores/{id}/slots. Required for every store in the cart that offers delivery slots; lets you order from a closed store for a later window.
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - retailer
+ *                     - startsAt
+ *                   properties:
+ *                     retailer:
+ *                       type: string
+ *                       example: 60a1e2c7d32f1e2b3c4d5e6f
+ *                     startsAt:
+ *                       type: string
+ *                       format: date-time
+ *                       example: 2023-05-16T14:00:00.000Z
+ *               acknowledgeChanges:
+ *                 type: boolean
+ *                 description: Confirms the customer has reviewed the cart changes returned by GET /cart or a previous 409 response. Required when the cart has pending changes.
+ *                 example: true
  *     responses:
  *       201:
  *         description: Order created successfully
@@ -1982,75 +4276,145 @@ router.delete('/cart/remove/:productId', isCustomer, async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: Order created successfully
- *                 order:
- *                   type: object
- *                   properties:
- *                     id:
- *                       type: string
- *                       description: Order ID
- *                       example: 60a1e2c7d32f1e2b3c4d5e8h
- *                     orderNumber:
- *                       type: string
- *                       description: Readable order number
- *                       example: NM-202504-1001
- *                     items:
- *                       type: array
+ *                 checkoutId:
+ *                   type: string
+ *                   description: Shared by all orders created from this checkout
+ *                   example: 3b241101-e2bb-4255-8caf-4136c566a962
+ *                 total:
+ *                   type: number
+ *                   description: Combined total of all orders
+ *                   example: 35.98
+ *                 orders:
+ *                   type: array
+ *                   description: One order per retailer in the cart
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       retailer:
+ *                         type: string
+ *                         description: Retailer fulfilling this order
+ *                         example: 60a1e2c7d32f1e2b3c4d5e6f
+ *                       id:
+ *                         type: string
+ *                         description: Order ID
+ *                         example: 60a1e2c7d32f1e2b3c4d5e8h
+ *                       orderNumber:
+ *                         type: string
+ *                         description: Readable order number
+ *                         example: NM-202504-1001
  *                       items:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             product:
+ *                               type: string
+ *                               description: Product ID
+ *                               example: 60a1e2c7d32f1e2b3c4d5e7f
+ *                             productName:
+ *                               type: string
+ *                               example: Organic Apples
+ *                             quantity:
+ *                               type: integer
+ *                               example: 2
+ *                             price:
+ *                               type: number
+ *                               example: 2.99
+ *                             total:
+ *                               type: number
+ *                               example: 5.98
+ *                             retailer:
+ *                               type: string
+ *                               description: Retailer ID
+ *                               example: 60a1e2c7d32f1e2b3c4d5e6f
+ *                             retailerName:
+ *                               type: string
+ *                               example: Jane's Grocery
+ *                       subtotal:
+ *                         type: number
+ *                         description: Subtotal before tax and delivery fee
+ *                         example: 29.98
+ *                       total:
+ *                         type: number
+ *                         description: Order total including tax and delivery fee
+ *                         example: 35.98
+ *                       tax:
+ *                         type: number
+ *                         description: Tax amount
+ *                         example: 1.50
+ *                       taxInclusive:
+ *                         type: boolean
+ *                         description: Whether item prices already include the tax
+ *                         example: false
+ *                       taxBreakdown:
+ *                         type: array
+ *                         description: Tax per item and the rate applied to it
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             product:
+ *                               type: string
+ *                               example: 60a1e2c7d32f1e2b3c4d5e7f
+ *                             productName:
+ *                               type: string
+ *                               example: Organic Apples
+ *                             category:
+ *                               type: string
+ *                               example: Groceries
+ *                             jurisdiction:
+ *                               type: string
+ *                               description: Where the rate came from (default, state:XX or zip:XXXXX)
+ *                               example: state:CA
+ *                             rate:
+ *                               type: number
+ *                               example: 0.0725
+ *                             taxableAmount:
+ *                               type: number
+ *                               description: Item amount after its share of the discount
+ *                               example: 5.48
+ *                             tax:
+ *                               type: number
+ *                               example: 0.40
+ *                       deliveryFee:
+ *                         type: number
+ *                         description: Delivery fee from the store's delivery settings and the distance to the address
+ *                         example: 5.00
+ *                       discount:
+ *                         type: number
+ *                         description: Discount amount
+ *                         example: 0.50
+ *                       fulfillmentType:
+ *                         type: string
+ *                         enum: [delivery, pickup]
+ *                         example: delivery
+ *                       pickup:
+ *                         nullable: true
+ *                         description: Pickup code and QR payload (pickup orders only)
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/PickupDetails'
+ *                       deliverySlot:
  *                         type: object
+ *                         nullable: true
+ *                         description: Booked delivery window (null for stores without delivery slots)
  *                         properties:
- *                           product:
- *                             type: string
- *                             description: Product ID
- *                             example: 60a1e2c7d32f1e2b3c4d5e7f
- *                           productName:
- *                             type: string
- *                             example: Organic Apples
- *                           quantity:
- *                             type: integer
- *                             example: 2
- *                           price:
- *                             type: number
- *                             example: 2.99
- *                           total:
- *                             type: number
- *                             example: 5.98
- *                           retailer:
+ *                           startsAt:
  *                             type: string
- *                             description: Retailer ID
- *                             example: 60a1e2c7d32f1e2b3c4d5e6f
- *                           retailerName:
+ *                             format: date-time
+ *                             example: 2023-05-16T14:00:00.000Z
+ *                           endsAt:
  *                             type: string
- *                             example: Jane's Grocery
- *                     subtotal:
- *                       type: number
- *                       description: Subtotal before tax and delivery fee
- *                       example: 29.98
- *                     total:
- *                       type: number
- *                       description: Order total including tax and delivery fee
- *                       example: 35.98
- *                     tax:
- *                       type: number
- *                       description: Tax amount
- *                       example: 1.50
- *                     deliveryFee:
- *                       type: number
- *                       description: Delivery fee
- *                       example: 5.00
- *                     discount:
- *                       type: number
- *                       description: Discount amount
- *                       example: 0.50
- *                     status:
- *                       type: string
- *                       enum: [pending, processing, shipped, delivered, cancelled]
- *                       description: Order status
- *                       example: pending
- *                     createdAt:
- *                       type: string
- *                       format: date-time
- *                       description: Order creation date
- *                       example: 2023-05-15T10:30:00.000Z
+ *                             format: date-time
+ *                             example: 2023-05-16T16:00:00.000Z
+ *                       status:
+ *                         type: string
+ *                         enum: [pending, confirmed, processing, out_for_delivery, delivered, ready_for_pickup, picked_up, cancelled]
+ *                         description: Order status
+ *                         example: pending
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: Order creation date
+ *                         example: 2023-05-15T10:30:00.000Z
  *       400:
  *         description: Bad request - validation error or cart empty
  *         content:
@@ -2078,12 +4442,49 @@ router.delete('/cart/remove/:productId', isCustomer, async (req, res) => {
  *                       requested: 2
  *                     }
  *                   ]
+ *               addressNotFound:
+ *                 value:
+ *                   success: false
+ *                   message: Unable to locate the delivery address. Please check the address or update your profile location
+ *               slotRequired:
+ *                 value:
+ *                   success: false
+ *                   message: "Jane's Grocery: Choose a delivery slot for this store"
+ *                   slotErrors: [
+ *                     {
+ *                       retailer: "60a1e2c7d32f1e2b3c4d5e6f",
+ *                       storeName: "Jane's Grocery",
+ *                       message: "Choose a delivery slot for this store"
+ *                     }
+ *                   ]
+ *               outOfRange:
+ *                 value:
+ *                   success: false
+ *                   message: The delivery address is outside the delivery area of Jane's Grocery
+ *                   outOfRangeRetailers: [
+ *                     {
+ *                       retailer: "60a1e2c7d32f1e2b3c4d5e6f",
+ *                       storeName: "Jane's Grocery",
+ *                       distanceKm: 14.2,
+ *                       radiusKm: 10
+ *                     }
+ *                   ]
  *       401:
  *         description: Unauthorized - No token provided or invalid token
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Account not verified - verify the email address and phone number before placing orders
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               message: Please verify your email address and phone number first
+ *               verificationRequired: true
  *       404:
  *         description: Cart or customer not found
  *         content:
@@ -2095,6 +4496,73 @@ router.delete('/cart/remove/:productId', isCustomer, async (req, res) => {
  *                 value:
  *                   success: false
  *                   message: Customer not found
+ *       409:
+ *         description: The cart was re-priced and has changes to acknowledge, a store is closed, stock or prices changed during checkout (nothing was charged or reserved), or the Idempotency-Key was reused with a different body or is still being processed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             examples:
+ *               slotFull:
+ *                 value:
+ *                   success: false
+ *                   message: The selected delivery slot is fully booked
+ *               storeClosed:
+ *                 value:
+ *                   success: false
+ *                   message: Jane's Grocery is closed right now
+ *                   closedRetailers: [
+ *                     {
+ *                       retailer: "60a1e2c7d32f1e2b3c4d5e6f",
+ *                       storeName: "Jane's Grocery",
+ *                       nextOpensAt: "2023-05-16T08:00:00.000Z"
+ *                     }
+ *                   ]
+ *               storeUnlisted:
+ *                 value:
+ *                   success: false
+ *                   message: Jane's Grocery is not accepting orders. Remove its items from your cart to continue
+ *                   unlistedRetailers: [
+ *                     {
+ *                       retailer: "60a1e2c7d32f1e2b3c4d5e6f",
+ *                       storeName: "Jane's Grocery"
+ *                     }
+ *                   ]
+ *               cartChanged:
+ *                 value:
+ *                   success: false
+ *                   message: Your cart has changed. Review the changes and place the order again with acknowledgeChanges set to true
+ *                   changes: [
+ *                     {
+ *                       product: "60a1e2c7d32f1e2b3c4d5e7f",
+ *                       productName: "Organic Apples",
+ *                       type: "price_increased",
+ *                       oldPrice: 2.99,
+ *                       newPrice: 3.49
+ *                     }
+ *                   ]
+ *                   cart: {
+ *                     subtotal: 6.98,
+ *                     total: 12.68,
+ *                     itemCount: 2
+ *                   }
+ *               stockConflict:
+ *                 value:
+ *                   success: false
+ *                   message: Some items are unavailable or out of stock
+ *                   unavailableItems: [
+ *                     {
+ *                       productId: "60a1e2c7d32f1e2b3c4d5e7f",
+ *                       productName: "Organic Apples",
+ *                       requested: 2,
+ *                       available: 1,
+ *                       isAvailable: true
+ *                     }
+ *                   ]
+ *               keyReused:
+ *                 value:
+ *                   success: false
+ *                   message: Idempotency-Key has already been used with a different request body
  *       500:
  *         description: Server error
  *         content:
@@ -2105,9 +4573,12 @@ router.delete('/cart/remove/:productId', isCustomer, async (req, res) => {
 // @route   POST /api/customer/order
 // @desc    Create new order from cart
 // @access  Private
-router.post('/order', isCustomer, async (req, res) => {
+router.post('/order', isCustomer, requireVerified, idempotency(), async (req, res) => {
   try {
-    const { paymentMethod, deliveryAddress, deliveryPhone, deliveryInstructions } = req.body;
+    const {
+      paymentMethod, addressId, deliveryAddress, deliveryPhone, deliveryInstructions, acknowledgeChanges, deliverySlots,
+      fulfillmentType = 'delivery'
+    } = req.body;
     
     // Validate input
     if (!paymentMethod) {
@@ -2117,6 +4588,54 @@ router.post('/order', isCustomer, async (req, res) => {
       });
     }
     
+    if (!['delivery', 'pickup'].includes(fulfillmentType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid fulfillment type. Must be one of: delivery, pickup'
+      });
+    }
+    const isPickup = fulfillmentType === 'pickup';
+    
+    if (addressId !== undefined && deliveryAddress) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide either addressId or deliveryAddress, not both'
+      });
+    }
+    
+    if (addressId !== undefined && !mongoose.Types.ObjectId.isValid(addressId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid address ID'
+      });
+    }
+    
+    if (isPickup && deliverySlots !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Delivery slots cannot be used for pickup orders'
+      });
+    }
+    
+    // Delivery slots are given per store as { retailer, startsAt }
+    const slots = {};
+    if (deliverySlots !== undefined) {
+      const isValidSlotList = Array.isArray(deliverySlots) && deliverySlots.every(slot =>
+        slot && mongoose.Types.ObjectId.isValid(slot.retailer) && !isNaN(new Date(slot.startsAt).getTime())
+      );
+      
+      if (!isValidSlotList) {
+        return res.status(400).json({
+          success: false,
+          message: 'deliverySlots must be an array of { retailer, startsAt } entries'
+        });
+      }
+      
+      for (const slot of deliverySlots) {
+        slots[slot.retailer.toString()] = slot.startsAt;
+      }
+    }
+    
     // Find customer's cart
     const cart = await Cart.findOne({ customer: req.user.id });
     if (!cart || cart.items.length === 0) {
@@ -2126,6 +4645,34 @@ router.post('/order', isCustomer, async (req, res) => {
       });
     }
     
+    // Re-price the cart so the order is never placed at a stale price
+    const newChanges = await cart.reprice();
+    if (cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cart is empty',
+        changes: cart.pendingChanges
+      });
+    }
+    
+    // Changes found just now cannot have been seen by the customer yet
+    if (cart.pendingChanges.length > 0) {
+      if (newChanges.length > 0 || acknowledgeChanges !== true) {
+        return res.status(409).json({
+          success: false,
+          message: 'Your cart has changed. Review the changes and place the order again with acknowledgeChanges set to true',
+          changes: cart.pendingChanges,
+          cart: {
+            subtotal: cart.subtotal,
+            total: cart.total,
+            itemCount: cart.itemCount
+          }
+        });
+      }
+      
+      await cart.acknowledgeChanges();
+    }
+    
     // Verify cart items are available and in stock
     const availability = await cart.verifyAvailability();
     if (!availability.isValid) {
@@ -2145,42 +4692,93 @@ router.post('/order', isCustomer, async (req, res) => {
       });
     }
     
-    // Use provided delivery address or default to customer's address
-    const address = deliveryAddress || customer.address;
+    // Use the provided address, else the chosen or default saved address, else the profile address
+    const target = customer.resolveDeliveryAddress(addressId);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved address not found'
+      });
+    }
+    
+    const address = deliveryAddress || target.address;
     const contactPhone = deliveryPhone || customer.phone;
+    const instructions = deliveryInstructions !== undefined
+      ? deliveryInstructions
+      : (deliveryAddress ? undefined : target.deliveryInstructions);
+    
+    // Locate the delivery address; saved and profile addresses are already geocoded
+    let deliveryLocation = deliveryAddress ? null : target.coordinates;
+    if (deliveryAddress && !isPickup) {
+      try {
+        const point = await geocodeAddress(deliveryAddress);
+        deliveryLocation = point.coordinates;
+      } catch (geoError) {
+        console.error('Delivery address geocoding failed:', geoError.message);
+      }
+    }
+    
+    if (!isPickup && !hasCoordinates(deliveryLocation)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unable to locate the delivery address. Please check the address or update your profile location'
+      });
+    }
     
-    // Create order from cart
-    const order = await Order.createFromCart(cart._id, {
+    // Create orders from cart (one per retailer in the cart)
+    const orders = await Order.createFromCart(cart._id, {
       method: paymentMethod,
       status: paymentMethod === 'cash_on_delivery' ? 'pending' : 'completed'
     }, {
       address,
       contactPhone,
-      instructions: deliveryInstructions,
-      fee: 5.00 // Fixed delivery fee for simplicity
+      instructions,
+      location: deliveryLocation,
+      slots,
+      fulfillmentType
     });
     
     res.status(201).json({
       success: true,
-      message: 'Order created successfully',
-      order: {
+      message: orders.length > 1
+        ? `Order placed and split into ${orders.length} orders, one per store`
+        : 'Order created successfully',
+      checkoutId: orders[0].checkoutId,
+      total: parseFloat(orders.reduce((total, order) => total + order.total, 0).toFixed(2)),
+      orders: orders.map(order => ({
         id: order._id,
         orderNumber: order.orderNumber,
+        retailer: order.retailer,
         items: order.items,
         subtotal: order.subtotal,
         total: order.total,
         tax: order.tax,
+        taxInclusive: order.taxInclusive,
+        taxBreakdown: order.taxBreakdown,
         deliveryFee: order.deliveryFee,
         discount: order.discount,
+        fulfillmentType: order.fulfillmentType,
+        deliverySlot: order.delivery && order.delivery.slot && order.delivery.slot.startsAt ? order.delivery.slot : null,
+        pickup: order.pickup ? {
+          code: order.pickup.code,
+          qrPayload: order.pickupQrPayload
+        } : null,
         status: order.status,
         createdAt: order.createdAt
-      }
+      }))
     });
   } catch (error) {
     console.error('Create order error:', error);
-    res.status(500).json({
+    // Errors raised with a statusCode (e.g. an expired coupon or a stock conflict) are safe to show to the customer
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Server error',
+      message: error.statusCode ? error.message : 'Server error',
+      unavailableItems: error.unavailableItems,
+      changes: error.changes,
+      outOfRangeRetailers: error.outOfRangeRetailers,
+      closedRetailers: error.closedRetailers,
+      unlistedRetailers: error.unlistedRetailers,
+      slotErrors: error.slotErrors,
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -7,16 +7,30 @@ const bcrypt = require('bcryptjs');
 const Retailer = require('../models/Retailer');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
+const Coupon = require('../models/Coupon');
 
 // Import middleware
-const { isRetailer } = require('../middleware/auth');
+const { isRetailer, requireVerified } = require('../middleware/auth');
+
+// Import utilities
+const { geocodeAddressWithConfidence } = require('../utils/geocoder');
+const { validateAddress, buildAddressVerification } = require('../utils/address');
+const { getSignInBlock, issueAuthTokens, setPassword } = require('../utils/authTokens');
+const { sendPendingVerifications, getVerificationStatus } = require('../utils/verification');
+const { getPagination } = require('../utils/pagination');
+
+// Coupon fields a retailer is allowed to set
+const COUPON_EDITABLE_FIELDS = [
+  'code', 'description', 'discountType', 'discountValue', 'maxDiscount',
+  'minSubtotal', 'usageLimit', 'perCustomerLimit', 'startsAt', 'expiresAt'
+];
 
 /**
  * @swagger
  * /api/v1/retailer/signup:
  *   post:
  *     summary: Register a new retailer
- *     description: Creates a new retailer account with the provided information
+ *     description: Creates a new retailer account with the provided information. The store starts in pending_review and is only shown to customers once a NearMart admin approves it.
  *     tags: [Retailer Authentication]
  *     security: []  # No security, this is a public endpoint
  *     requestBody:
@@ -78,8 +92,16 @@ const { isRetailer } = require('../middleware/auth');
  *                   example: Retailer registered successfully
  *                 token:
  *                   type: string
- *                   description: JWT authentication token
+ *                   description: JWT access token, valid for 15 minutes by default
  *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Single-use token for POST /api/v1/auth/refresh
+ *                   example: 3f9c0d1e...
+ *                 refreshTokenExpiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                   example: 2025-06-30T10:00:00.000Z
  *                 retailer:
  *                   type: object
  *                   properties:
@@ -95,6 +117,16 @@ const { isRetailer } = require('../middleware/auth');
  *                     storeName:
  *                       type: string
  *                       example: Jane's Grocery
+ *                     address:
+ *                       $ref: '#/components/schemas/Address'
+ *                     addressNeedsReview:
+ *                       type: boolean
+ *                       description: True when the geocoder was unsure about the address; it is queued for manual review
+ *                       example: false
+ *                     verification:
+ *                       $ref: '#/components/schemas/VerificationStatus'
+ *                     reviewStatus:
+ *                       $ref: '#/components/schemas/RetailerReviewStatus'
  *       400:
  *         description: Bad request - validation error or email already exists
  *         content:
@@ -112,6 +144,11 @@ const { isRetailer } = require('../middleware/auth');
  *                   success: false
  *                   message: Address is incomplete. Missing fields - street, city
  *                   missingAddressFields: ["street", "city"]
+ *               invalidPostalCode:
+ *                 value:
+ *                   success: false
+ *                   message: Invalid postal code '1234' for US. Expected a format like 11201 or 11201-1234
+ *                   error: INVALID_ADDRESS
  *               emailExists:
  *                 value:
  *                   success: false
@@ -412,10 +449,6 @@ const { isRetailer } = require('../middleware/auth');
 //     });
 //   }
 // });
-const axios = require('axios');
-const dotenv = require('dotenv');
-dotenv.config();
-
 router.post('/signup', async (req, res) => {
   try {
     const { name, email, password, storeName, phone, storeDescription, address } = req.body;
@@ -469,22 +502,25 @@ router.post('/signup', async (req, res) => {
       });
     }
 
-    // Geocoding using OpenStreetMap
-    const fullAddress = `${address.street}, ${address.city}, ${address.state}, ${address.zipCode}`;
-    const geocodeUrl = `https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(
-      fullAddress
-    )}&format=json&addressdetails=1&limit=1`;
+    // Normalise the address and check the postal code format
+    const addressCheck = validateAddress(address);
+    if (!addressCheck.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: addressCheck.errors.join('. '),
+        error: 'INVALID_ADDRESS',
+        errors: addressCheck.errors
+      });
+    }
 
-    let location;
+    // Geocode through the shared provider chain
+    let geocode;
     try {
-      const geocodeResponse = await axios.get(geocodeUrl, {
-        timeout: parseInt(process.env.GEOCODER_TIMEOUT) || 5000,
-        headers: {
-          'User-Agent': 'RetailerApp/1.0 (your_email@example.com)' // Replace with your contact email
-        }
-      });
+      geocode = await geocodeAddressWithConfidence(addressCheck.address);
+    } catch (geoError) {
+      console.error('Geocoding failed:', geoError.message);
 
-      if (!geocodeResponse.data || geocodeResponse.data.length === 0) {
+      if (geoError.code === 'GEOCODE_NOT_FOUND') {
         return res.status(400).json({
           success: false,
           message: 'Unable to fetch location coordinates. Please check the address.',
@@ -492,15 +528,6 @@ router.post('/signup', async (req, res) => {
         });
       }
 
-      location = {
-        type: 'Point',
-        coordinates: [
-          parseFloat(geocodeResponse.data[0].lon), // Longitude
-          parseFloat(geocodeResponse.data[0].lat)  // Latitude
-        ]
-      };
-    } catch (geoError) {
-      console.error('Geocoding failed:', geoError.message);
       return res.status(400).json({
         success: false,
         message: 'Could not geocode the provided address. Please check the address and try again.',
@@ -516,25 +543,35 @@ router.post('/signup', async (req, res) => {
       storeName,
       phone,
       storeDescription,
-      address,
-      location
+      address: addressCheck.address,
+      location: geocode.location,
+      addressVerification: buildAddressVerification(geocode)
     });
 
     try {
       const savedRetailer = await retailer.save();
       console.log('Retailer saved successfully with ID:', savedRetailer._id);
 
-      const token = retailer.generateAuthToken();
+      // Email the verification link and text the phone code
+      await sendPendingVerifications(savedRetailer, 'retailer');
+
+      const { token, refreshToken, refreshTokenExpiresAt } = await issueAuthTokens(savedRetailer, 'retailer', req);
 
       return res.status(201).json({
         success: true,
         message: 'Retailer registered successfully',
         token,
+        refreshToken,
+        refreshTokenExpiresAt,
         retailer: {
           id: savedRetailer._id,
           name: savedRetailer.name,
           email: savedRetailer.email,
-          storeName: savedRetailer.storeName
+          storeName: savedRetailer.storeName,
+          address: savedRetailer.address,
+          addressNeedsReview: savedRetailer.addressVerification.needsReview,
+          verification: getVerificationStatus(savedRetailer),
+          reviewStatus: savedRetailer.getReviewStatus()
         }
       });
     } catch (saveError) {
@@ -623,8 +660,16 @@ router.post('/signup', async (req, res) => {
  *                   example: Login successful
  *                 token:
  *                   type: string
- *                   description: JWT authentication token
+ *                   description: JWT access token, valid for 15 minutes by default
  *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Single-use token for POST /api/v1/auth/refresh
+ *                   example: 3f9c0d1e...
+ *                 refreshTokenExpiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                   example: 2025-06-30T10:00:00.000Z
  *                 retailer:
  *                   type: object
  *                   properties:
@@ -640,6 +685,15 @@ router.post('/signup', async (req, res) => {
  *                     storeName:
  *                       type: string
  *                       example: Jane's Grocery
+ *                     isVerified:
+ *                       type: boolean
+ *                       description: False until the email address (and phone number, if any) are verified
+ *                       example: true
+ *                     status:
+ *                       type: string
+ *                       enum: [pending_review, approved, rejected]
+ *                       description: Review status of the store; see GET /api/v1/retailer/status
+ *                       example: approved
  *       400:
  *         description: Bad request - missing or invalid credentials
  *         content:
@@ -655,6 +709,15 @@ router.post('/signup', async (req, res) => {
  *                 value:
  *                   success: false
  *                   message: Invalid credentials
+ *       403:
+ *         description: Account suspended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               message: Your account has been suspended. Please contact support
  *       500:
  *         description: Server error
  *         content:
@@ -695,18 +758,31 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Generate JWT token
-    const token = retailer.generateAuthToken();
+    // Suspended accounts cannot sign in
+    const signInBlock = getSignInBlock(retailer);
+    if (signInBlock) {
+      return res.status(403).json({
+        success: false,
+        message: signInBlock
+      });
+    }
+
+    // Generate access and refresh tokens
+    const { token, refreshToken, refreshTokenExpiresAt } = await issueAuthTokens(retailer, 'retailer', req);
 
     res.json({
       success: true,
       message: 'Login successful',
       token,
+      refreshToken,
+      refreshTokenExpiresAt,
       retailer: {
         id: retailer._id,
         name: retailer.name,
         email: retailer.email,
-        storeName: retailer.storeName
+        storeName: retailer.storeName,
+        isVerified: retailer.isVerified,
+        status: retailer.status
       }
     });
   } catch (error) {
@@ -868,6 +944,16 @@ router.get('/products', isRetailer, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Account not verified - verify the email address and phone number before listing products
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               message: Please verify your email address and phone number first
+ *               verificationRequired: true
  *       500:
  *         description: Server error
  *         content:
@@ -878,7 +964,7 @@ router.get('/products', isRetailer, async (req, res) => {
 // @route   POST /api/retailer/products
 // @desc    Add a new product
 // @access  Private
-router.post('/products', isRetailer, async (req, res) => {
+router.post('/products', isRetailer, requireVerified, async (req, res) => {
   try {
     const { name, description, price, stock, category, imageUrl } = req.body;
 
@@ -1004,12 +1090,32 @@ router.post('/products', isRetailer, async (req, res) => {
  *                   example: Product updated successfully
  *                 product:
  *                   $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Validation error, e.g. making a product hidden by NearMart available again
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               message: Validation error
+ *               errors: [This product has been hidden by NearMart and cannot be made available]
  *       401:
  *         description: Unauthorized - No token provided or invalid token
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Account not verified - verify the email address and phone number before editing products
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               message: Please verify your email address and phone number first
+ *               verificationRequired: true
  *       404:
  *         description: Product not found or not owned by this retailer
  *         content:
@@ -1029,7 +1135,7 @@ router.post('/products', isRetailer, async (req, res) => {
 // @route   PUT /api/retailer/products/:id
 // @desc    Update a product
 // @access  Private
-router.put('/products/:id', isRetailer, async (req, res) => {
+router.put('/products/:id', isRetailer, requireVerified, async (req, res) => {
   try {
     const { name, description, price, stock, category, imageUrl, isAvailable } = req.body;
 
@@ -1071,6 +1177,14 @@ router.put('/products/:id', isRetailer, async (req, res) => {
       product
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
     console.error('Update product error:', error);
     res.status(500).json({
       success: false,
@@ -1211,6 +1325,38 @@ router.delete('/products/:id', isRetailer, async (req, res) => {
  *                       example: "+1234567890"
  *                     location:
  *                       $ref: '#/components/schemas/GeoJSONPoint'
+ *                     addressNeedsReview:
+ *                       type: boolean
+ *                       description: True when the store address could not be geocoded confidently and awaits manual review
+ *                       example: false
+ *                     deliverySettings:
+ *                       $ref: '#/components/schemas/DeliverySettings'
+ *                     timezone:
+ *                       type: string
+ *                       example: America/New_York
+ *                     openingHours:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/OpeningInterval'
+ *                     closures:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Closure'
+ *                     deliverySlots:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/DeliverySlot'
+ *                     isOpen:
+ *                       type: boolean
+ *                       example: true
+ *                     nextOpensAt:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                       description: When the store opens next (null while open)
+ *                       example: null
+ *                     reviewStatus:
+ *                       $ref: '#/components/schemas/RetailerReviewStatus'
  *                     createdAt:
  *                       type: string
  *                       format: date-time
@@ -1261,6 +1407,15 @@ router.get('/profile', isRetailer, async (req, res) => {
         storeDescription: retailer.storeDescription,
         phone: retailer.phone,
         location: retailer.location,
+        addressNeedsReview: Boolean(retailer.addressVerification && retailer.addressVerification.needsReview),
+        deliverySettings: retailer.deliverySettings,
+        timezone: retailer.timezone,
+        openingHours: retailer.openingHours,
+        closures: retailer.closures,
+        deliverySlots: retailer.deliverySlots,
+        isOpen: retailer.isOpenAt(),
+        nextOpensAt: retailer.getNextOpensAt(),
+        reviewStatus: retailer.getReviewStatus(),
         createdAt: retailer.createdAt
       }
     });
@@ -1274,6 +1429,97 @@ router.get('/profile', isRetailer, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/retailer/status:
+ *   get:
+ *     summary: Get store review status
+ *     description: |
+ *       Returns where the store is in the onboarding review. New stores are pending_review until a NearMart admin
+ *       approves or rejects them; only approved stores appear in store discovery and accept orders. A rejected
+ *       store includes the reason given by the reviewer.
+ *     tags: [Retailer Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Review status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 reviewStatus:
+ *                   $ref: '#/components/schemas/RetailerReviewStatus'
+ *             examples:
+ *               pending:
+ *                 value:
+ *                   success: true
+ *                   reviewStatus:
+ *                     status: pending_review
+ *                     isListed: false
+ *                     message: Your store is waiting for review by NearMart. Customers will see it once it is approved
+ *                     reviewedAt: null
+ *                     reason: null
+ *               rejected:
+ *                 value:
+ *                   success: true
+ *                   reviewStatus:
+ *                     status: rejected
+ *                     isListed: false
+ *                     message: Your store was not approved. Please contact support once you have addressed the reason given
+ *                     reviewedAt: 2025-06-02T09:15:00.000Z
+ *                     reason: Store address could not be verified
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Retailer not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   GET /api/retailer/status
+// @desc    Get the review status of the retailer's store
+// @access  Private
+router.get('/status', isRetailer, async (req, res) => {
+  try {
+    const retailer = await Retailer.findById(req.user.id).select('status review');
+
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      reviewStatus: retailer.getReviewStatus()
+    });
+  } catch (error) {
+    console.error('Get retailer status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/v1/retailer/profile:
@@ -1310,6 +1556,28 @@ router.get('/profile', isRetailer, async (req, res) => {
  *                 $ref: '#/components/schemas/Address'
  *               location:
  *                 $ref: '#/components/schemas/GeoJSONPoint'
+ *               deliverySettings:
+ *                 $ref: '#/components/schemas/DeliverySettings'
+ *               timezone:
+ *                 type: string
+ *                 description: IANA time zone the opening hours and closures are expressed in
+ *                 example: America/New_York
+ *               openingHours:
+ *                 type: array
+ *                 description: Weekly schedule, replaces the current one. Several intervals per day are allowed; an empty list means always open.
+ *                 items:
+ *                   $ref: '#/components/schemas/OpeningInterval'
+ *                 example: [{ day: 1, open: "09:00", close: "12:30" }, { day: 1, open: "14:00", close: "19:00" }]
+ *               closures:
+ *                 type: array
+ *                 description: Holidays and other closures, replaces the current list
+ *                 items:
+ *                   $ref: '#/components/schemas/Closure'
+ *               deliverySlots:
+ *                 type: array
+ *                 description: Weekly delivery windows customers book at checkout, replaces the current list (empty list turns scheduled delivery off)
+ *                 items:
+ *                   $ref: '#/components/schemas/DeliverySlot'
  *     responses:
  *       200:
  *         description: Profile updated successfully
@@ -1347,6 +1615,36 @@ router.get('/profile', isRetailer, async (req, res) => {
  *                       example: "+1987654321"
  *                     location:
  *                       $ref: '#/components/schemas/GeoJSONPoint'
+ *                     addressNeedsReview:
+ *                       type: boolean
+ *                       description: True when the store address could not be geocoded confidently and awaits manual review
+ *                       example: false
+ *                     deliverySettings:
+ *                       $ref: '#/components/schemas/DeliverySettings'
+ *                     timezone:
+ *                       type: string
+ *                       example: America/New_York
+ *                     openingHours:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/OpeningInterval'
+ *                     closures:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Closure'
+ *                     deliverySlots:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/DeliverySlot'
+ *                     isOpen:
+ *                       type: boolean
+ *                       example: true
+ *                     nextOpensAt:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                       description: When the store opens next (null while open)
+ *                       example: null
  *       400:
  *         description: Bad request - validation error
  *         content:
@@ -1354,6 +1652,15 @@ router.get('/profile', isRetailer, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *             examples:
+ *               invalidDeliverySettings:
+ *                 value:
+ *                   success: false
+ *                   message: Invalid delivery settings. perKmFee must be a non-negative number
+ *               invalidOpeningHours:
+ *                 value:
+ *                   success: false
+ *                   message: Validation error
+ *                   errors: ["Closing time must be after opening time (split intervals that pass midnight)"]
  *               invalidAddress:
  *                 value:
  *                   success: false
@@ -1389,7 +1696,10 @@ router.get('/profile', isRetailer, async (req, res) => {
 // @access  Private
 router.put('/profile', isRetailer, async (req, res) => {
   try {
-    const { name, storeName, storeDescription, phone, address, location } = req.body;
+    const {
+      name, storeName, storeDescription, phone, address, location, deliverySettings,
+      timezone, openingHours, closures, deliverySlots
+    } = req.body;
 
     // Find retailer
     const retailer = await Retailer.findById(req.user.id);
@@ -1423,7 +1733,16 @@ router.put('/profile', isRetailer, async (req, res) => {
         });
       }
       
-      retailer.address = address;
+      const addressCheck = validateAddress(address);
+      if (!addressCheck.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: addressCheck.errors.join('. '),
+          errors: addressCheck.errors
+        });
+      }
+      
+      retailer.address = addressCheck.address;
       // The geocoding will be handled by the pre-save middleware
     }
     
@@ -1438,6 +1757,67 @@ router.put('/profile', isRetailer, async (req, res) => {
       }
       retailer.location = location;
     }
+    
+    // Validate and update delivery settings if provided (only the given fields change)
+    if (deliverySettings) {
+      if (typeof deliverySettings !== 'object') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid delivery settings. Must be an object'
+        });
+      }
+      
+      for (const field of ['radiusKm', 'baseFee', 'perKmFee', 'freeDeliveryThreshold']) {
+        if (deliverySettings[field] === undefined) continue;
+        
+        const value = deliverySettings[field];
+        // Only the free delivery threshold can be switched off with null
+        const isValid = (value === null && field === 'freeDeliveryThreshold') ||
+          (typeof value === 'number' && !isNaN(value) && (field === 'radiusKm' ? value > 0 : value >= 0));
+        
+        if (!isValid) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid delivery settings. ${field} must be a ${field === 'radiusKm' ? 'positive' : 'non-negative'} number`
+          });
+        }
+        
+        retailer.deliverySettings[field] = value;
+      }
+    }
+    
+    // Opening hours and closures replace the whole schedule; the model validates each entry
+    if (openingHours !== undefined) {
+      if (!Array.isArray(openingHours)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid opening hours. Must be an array of { day, open, close } intervals'
+        });
+      }
+      retailer.openingHours = openingHours;
+    }
+    
+    if (closures !== undefined) {
+      if (!Array.isArray(closures)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid closures. Must be an array of { from, to, reason } entries'
+        });
+      }
+      retailer.closures = closures;
+    }
+    
+    if (deliverySlots !== undefined) {
+      if (!Array.isArray(deliverySlots)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid delivery slots. Must be an array of { day, start, end, capacity } windows'
+        });
+      }
+      retailer.deliverySlots = deliverySlots;
+    }
+    
+    if (timezone !== undefined) retailer.timezone = timezone;
 
     // Save updated retailer
     await retailer.save();
@@ -1452,11 +1832,28 @@ router.put('/profile', isRetailer, async (req, res) => {
         storeName: retailer.storeName,
         storeDescription: retailer.storeDescription,
         phone: retailer.phone,
-        location: retailer.location
+        location: retailer.location,
+        addressNeedsReview: Boolean(retailer.addressVerification && retailer.addressVerification.needsReview),
+        deliverySettings: retailer.deliverySettings,
+        timezone: retailer.timezone,
+        openingHours: retailer.openingHours,
+        closures: retailer.closures,
+        deliverySlots: retailer.deliverySlots,
+        isOpen: retailer.isOpenAt(),
+        nextOpensAt: retailer.getNextOpensAt()
       }
     });
   } catch (error) {
     console.error('Update retailer profile error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -1467,16 +1864,35 @@ router.put('/profile', isRetailer, async (req, res) => {
 
 /**
  * @swagger
- * /api/v1/retailer/orders:
- *   get:
- *     summary: Get retailer orders
- *     description: Retrieves all orders containing products from the authenticated retailer
- *     tags: [Orders]
+ * /api/v1/retailer/password:
+ *   put:
+ *     summary: Change password
+ *     description: Changes the password after checking the current one. Every other session is ended; the response carries fresh tokens for this device.
+ *     tags: [Retailer Profile]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 format: password
+ *                 example: securepassword
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 6
+ *                 example: newsecurepassword
  *     responses:
  *       200:
- *         description: Orders retrieved successfully
+ *         description: Password changed
  *         content:
  *           application/json:
  *             schema:
@@ -1485,50 +1901,205 @@ router.put('/profile', isRetailer, async (req, res) => {
  *                 success:
  *                   type: boolean
  *                   example: true
- *                 count:
- *                   type: integer
- *                   description: Number of orders
- *                   example: 2
- *                 orders:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       _id:
- *                         type: string
- *                         description: Order ID
- *                         example: 60a1e2c7d32f1e2b3c4d5e8h
- *                       orderNumber:
- *                         type: string
- *                         description: Human-readable order number
- *                         example: NM-202504-1001
- *                       customer:
- *                         type: string
- *                         description: Customer ID
- *                         example: 60a1e2c7d32f1e2b3c4d5e6f
- *                       status:
- *                         type: string
- *                         enum: [pending, confirmed, processing, out_for_delivery, delivered, cancelled]
- *                         description: Order status
- *                         example: processing
- *                       createdAt:
- *                         type: string
- *                         format: date-time
- *                         description: Order creation date
- *                         example: 2023-05-15T10:30:00.000Z
- *                       items:
- *                         type: array
- *                         description: Only items from this retailer
- *                         items:
- *                           type: object
- *                           properties:
- *                             product:
- *                               type: string
- *                               description: Product ID
- *                               example: 60a1e2c7d32f1e2b3c4d5e7f
- *                             productName:
- *                               type: string
- *                               example: Organic Apples
+ *                 message:
+ *                   type: string
+ *                   example: Password changed successfully
+ *                 token:
+ *                   type: string
+ *                   description: New JWT access token; tokens issued before the change no longer work
+ *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                 refreshToken:
+ *                   type: string
+ *                   example: 3f9c0d1e...
+ *                 refreshTokenExpiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                   example: 2025-06-30T10:00:00.000Z
+ *       400:
+ *         description: Missing fields, current password incorrect, or new password invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               message: Current password is incorrect
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   PUT /api/retailer/password
+// @desc    Change the retailer's password
+// @access  Private
+router.put('/password', isRetailer, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your current and new password'
+      });
+    }
+
+    if (typeof newPassword !== 'string' || newPassword.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be at least 6 characters long'
+      });
+    }
+
+    if (newPassword === currentPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from the current password'
+      });
+    }
+
+    const retailer = await Retailer.findById(req.user.id).select('+password');
+
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer not found'
+      });
+    }
+
+    const isMatch = await retailer.matchPassword(String(currentPassword));
+    if (!isMatch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    // Ends every session, including this one; fresh tokens keep this device signed in
+    await setPassword(retailer, 'retailer', newPassword);
+    const { token, refreshToken, refreshTokenExpiresAt } = await issueAuthTokens(retailer, 'retailer', req);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      token,
+      refreshToken,
+      refreshTokenExpiresAt
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    console.error('Change retailer password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/retailer/orders:
+ *   get:
+ *     summary: Get retailer orders
+ *     description: Retrieves the authenticated retailer's orders, newest first. A checkout with items from several stores is split into one order per store, so each order here holds only this retailer's items, with the discount, tax, delivery fee and total stored for it at checkout.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         default: 20
+ *         description: Orders per page
+ *     responses:
+ *       200:
+ *         description: Orders retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   description: Number of orders on this page
+ *                   example: 2
+ *                 total:
+ *                   type: integer
+ *                   description: Number of orders of the retailer
+ *                   example: 42
+ *                 totalPages:
+ *                   type: integer
+ *                   example: 3
+ *                 currentPage:
+ *                   type: integer
+ *                   example: 1
+ *                 orders:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                         description: Order ID
+ *                         example: 60a1e2c7d32f1e2b3c4d5e8h
+ *                       orderNumber:
+ *                         type: string
+ *                         description: Human-readable order number
+ *                         example: NM-202504-1001
+ *                       customer:
+ *                         type: string
+ *                         description: Customer ID
+ *                         example: 60a1e2c7d32f1e2b3c4d5e6f
+ *                       status:
+ *                         type: string
+ *                         enum: [pending, confirmed, processing, out_for_delivery, delivered, ready_for_pickup, picked_up, cancelled]
+ *                         description: Order status
+ *                         example: processing
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: Order creation date
+ *                         example: 2023-05-15T10:30:00.000Z
+ *                       items:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             product:
+ *                               type: string
+ *                               description: Product ID
+ *                               example: 60a1e2c7d32f1e2b3c4d5e7f
+ *                             productName:
+ *                               type: string
+ *                               example: Organic Apples
  *                             quantity:
  *                               type: integer
  *                               example: 2
@@ -1540,10 +2111,34 @@ router.put('/profile', isRetailer, async (req, res) => {
  *                               example: 5.98
  *                       subtotal:
  *                         type: number
- *                         description: Subtotal for this retailer's items only
  *                         example: 12.98
+ *                       discount:
+ *                         type: number
+ *                         description: This order's share of the coupon discount
+ *                         example: 1.30
+ *                       couponCode:
+ *                         type: string
+ *                         example: SPRING10
+ *                       tax:
+ *                         type: number
+ *                         example: 1.05
+ *                       taxInclusive:
+ *                         type: boolean
+ *                         example: false
+ *                       deliveryFee:
+ *                         type: number
+ *                         example: 5.00
+ *                       total:
+ *                         type: number
+ *                         example: 17.73
+ *                       fulfillmentType:
+ *                         type: string
+ *                         enum: [delivery, pickup]
+ *                         example: delivery
  *                       delivery:
  *                         type: object
+ *                         nullable: true
+ *                         description: Set for delivery orders
  *                         properties:
  *                           address:
  *                             $ref: '#/components/schemas/Address'
@@ -1556,6 +2151,24 @@ router.put('/profile', isRetailer, async (req, res) => {
  *                             format: date-time
  *                             nullable: true
  *                             example: null
+ *                       pickup:
+ *                         type: object
+ *                         nullable: true
+ *                         description: Set for pickup orders. The pickup code is never shown to the store; the customer presents it at collection.
+ *                         properties:
+ *                           contactPhone:
+ *                             type: string
+ *                             example: "555-123-4567"
+ *                           readyAt:
+ *                             type: string
+ *                             format: date-time
+ *                             nullable: true
+ *                             example: null
+ *                           pickedUpAt:
+ *                             type: string
+ *                             format: date-time
+ *                             nullable: true
+ *                             example: null
  *                       statusHistory:
  *                         type: array
  *                         items:
@@ -1585,56 +2198,48 @@ router.put('/profile', isRetailer, async (req, res) => {
  *               $ref: '#/components/schemas/Error'
  */
 // @route   GET /api/retailer/orders
-// @desc    Get all orders for the retailer's products
+// @desc    Get the retailer's orders, newest first
 // @access  Private
 router.get('/orders', isRetailer, async (req, res) => {
   try {
-    // Find orders that contain items from this retailer
-    // This approach uses the retailer field in the items array
-    const orders = await Order.find({
-      'items.retailer': mongoose.Types.ObjectId(req.user.id)
-    }).sort({ createdAt: -1 });
-
-    if (!orders || orders.length === 0) {
-      return res.json({
-        success: true,
-        count: 0,
-        orders: []
-      });
-    }
+    // Carts are split per retailer at checkout, so every order belongs to exactly one retailer
+    const filter = { retailer: req.user.id };
+    const { page, limit, skip } = getPagination(req.query);
+
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Order.countDocuments(filter)
+    ]);
 
-    // Filter each order to only include items from this retailer
-    const filteredOrders = orders.map(order => {
-      // Create a new object with all order properties
-      const retailerOrder = {
+    res.json({
+      success: true,
+      count: orders.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      // Amounts are the ones stored on the sub-order at checkout
+      orders: orders.map(order => ({
         _id: order._id,
         orderNumber: order.orderNumber,
         customer: order.customer,
         status: order.status,
         createdAt: order.createdAt,
+        items: order.items,
+        subtotal: order.subtotal,
+        discount: order.discount,
+        couponCode: order.couponCode,
+        tax: order.tax,
+        taxInclusive: order.taxInclusive,
+        deliveryFee: order.deliveryFee,
+        total: order.total,
+        fulfillmentType: order.fulfillmentType,
         delivery: order.delivery,
+        pickup: order.pickup,
         statusHistory: order.statusHistory
-      };
-
-      // Filter items to only include those from this retailer
-      const retailerItems = order.items.filter(item => 
-        item.retailer.toString() === req.user.id
-      );
-
-      retailerOrder.items = retailerItems;
-
-      // Calculate subtotal for this retailer's items only
-      retailerOrder.subtotal = retailerItems.reduce((total, item) => {
-        return total + (item.price * item.quantity);
-      }, 0);
-
-      return retailerOrder;
-    });
-
-    res.json({
-      success: true,
-      count: filteredOrders.length,
-      orders: filteredOrders
+      }))
     });
   } catch (error) {
     console.error('Get retailer orders error:', error);
@@ -1651,7 +2256,7 @@ router.get('/orders', isRetailer, async (req, res) => {
  * /api/v1/retailer/orders/{id}/status:
  *   put:
  *     summary: Update order status
- *     description: Updates the status of an order containing items from the authenticated retailer
+ *     description: Updates the status of an order containing items from the authenticated retailer. Orders move through pending, confirmed, processing, out_for_delivery and delivered one step at a time; use the reject endpoint to cancel.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -1704,7 +2309,7 @@ router.get('/orders', isRetailer, async (req, res) => {
  *                       example: NM-202504-1001
  *                     status:
  *                       type: string
- *                       enum: [pending, confirmed, processing, out_for_delivery, delivered, cancelled]
+ *                       enum: [pending, confirmed, processing, out_for_delivery, delivered, ready_for_pickup, picked_up, cancelled]
  *                       description: Updated order status
  *                       example: processing
  *                     statusHistory:
@@ -1728,12 +2333,16 @@ router.get('/orders', isRetailer, async (req, res) => {
  *                       description: Last update timestamp
  *                       example: 2023-05-15T11:30:00.000Z
  *       400:
- *         description: Bad request - invalid status or missing status
+ *         description: Bad request - invalid order ID, invalid status or missing status
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *             examples:
+ *               invalidId:
+ *                 value:
+ *                   success: false
+ *                   message: Invalid order ID format
  *               missingStatus:
  *                 value:
  *                   success: false
@@ -1741,11 +2350,7 @@ router.get('/orders', isRetailer, async (req, res) => {
  *               invalidStatus:
  *                 value:
  *                   success: false
- *                   message: Invalid status. Must be one of - confirmed, processing, out_for_delivery, delivered
- *               cancelledOrder:
- *                 value:
- *                   success: false
- *                   message: Cannot update status for cancelled orders
+ *                   message: Invalid status. Must be one of - confirmed, processing, out_for_delivery, delivered, ready_for_pickup
  *       401:
  *         description: Unauthorized - No token provided or invalid token
  *         content:
@@ -1770,6 +2375,17 @@ router.get('/orders', isRetailer, async (req, res) => {
  *             example:
  *               success: false
  *               message: Order not found
+ *       409:
+ *         description: Illegal status transition (e.g. pending to delivered, or any change to a delivered or cancelled order)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               message: Cannot change order status from pending to delivered
+ *               currentStatus: pending
+ *               allowedStatuses: [confirmed, cancelled]
  *       500:
  *         description: Server error
  *         content:
@@ -1792,8 +2408,16 @@ router.put('/orders/:id/status', isRetailer, async (req, res) => {
       });
     }
 
-    // Validate status value
-    const validStatuses = ['confirmed', 'processing', 'out_for_delivery', 'delivered'];
+    // Handing over a pickup order needs the customer's pickup code
+    if (status === 'picked_up') {
+      return res.status(400).json({
+        success: false,
+        message: 'Pickup orders are completed with the customer\'s pickup code via POST /orders/:id/pickup'
+      });
+    }
+
+    // Validate status value (cancellation goes through the reject endpoint)
+    const validStatuses = ['confirmed', 'processing', 'out_for_delivery', 'delivered', 'ready_for_pickup'];
     if (!validStatuses.includes(status)) {
       return res.status(400).json({
         success: false,
@@ -1801,6 +2425,13 @@ router.put('/orders/:id/status', isRetailer, async (req, res) => {
       });
     }
 
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID format'
+      });
+    }
+
     // Find the order and verify it contains items from this retailer
     const order = await Order.findById(orderId);
 
@@ -1823,36 +2454,17 @@ router.put('/orders/:id/status', isRetailer, async (req, res) => {
       });
     }
 
-    // Don't allow status update for cancelled orders
-    if (order.status === 'cancelled') {
-      return res.status(400).json({
+    // Enforce the order status lifecycle
+    if (!order.canTransitionTo(status)) {
+      return res.status(409).json({
         success: false,
-        message: 'Cannot update status for cancelled orders'
+        message: `Cannot change order status from ${order.status} to ${status}`,
+        currentStatus: order.status,
+        allowedStatuses: Order.getAllowedTransitions(order.status, order.fulfillmentType)
       });
     }
 
-    // Update the order status
-    order.status = status;
-    
-    // Add status change to history
-    order.statusHistory.push({
-      status,
-      timestamp: Date.now(),
-      note: `Status updated by retailer ID: ${req.user.id}`
-    });
-
-    // Set delivery date if status is 'delivered'
-    if (status === 'delivered' && order.delivery) {
-      order.delivery.actualDeliveryDate = new Date();
-    }
-
-    // Set expected delivery date if status is 'confirmed'
-    if (status === 'confirmed' && order.delivery && !order.delivery.expectedDeliveryDate) {
-      // Default to 3 days from now
-      order.delivery.expectedDeliveryDate = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
-    }
-
-    await order.save();
+    await order.updateStatus(status, `Status updated by retailer ID: ${req.user.id}`);
 
     res.json({
       success: true,
@@ -1866,6 +2478,16 @@ router.put('/orders/:id/status', isRetailer, async (req, res) => {
       }
     });
   } catch (error) {
+    // The order may have moved on since it was loaded (e.g. the customer cancelled it)
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        currentStatus: error.currentStatus,
+        allowedStatuses: error.allowedStatuses
+      });
+    }
+
     console.error('Update order status error:', error);
     res.status(500).json({
       success: false,
@@ -1875,4 +2497,860 @@ router.put('/orders/:id/status', isRetailer, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/retailer/orders/{id}/reject:
+ *   post:
+ *     summary: Reject an order
+ *     description: Lets a retailer decline an order it cannot fulfil. The order is cancelled, stock is restored and completed payments are marked as refunded. Only possible before the order is out for delivery.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Order ID
+ *         example: 60a1e2c7d32f1e2b3c4d5e8h
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Why the order is being rejected
+ *                 example: Item is out of season
+ *     responses:
+ *       200:
+ *         description: Order rejected successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Order rejected successfully
+ *                 order:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       example: 60a1e2c7d32f1e2b3c4d5e8h
+ *                     orderNumber:
+ *                       type: string
+ *                       example: NM-230515-0001
+ *                     status:
+ *                       type: string
+ *                       example: cancelled
+ *                     cancelReason:
+ *                       type: string
+ *                       example: Item is out of season
+ *       400:
+ *         description: Bad request - missing reason
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             examples:
+ *               missingReason:
+ *                 value:
+ *                   success: false
+ *                   message: A rejection reason is required
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Order does not contain retailer's items
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Order can no longer be cancelled from its current status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               message: Cannot cancel an order that is out for delivery
+ *               currentStatus: out_for_delivery
+ *               allowedStatuses: [delivered]
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   POST /api/retailer/orders/:id/reject
+// @desc    Reject (cancel) an order the retailer cannot fulfil
+// @access  Private
+router.post('/orders/:id/reject', isRetailer, async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID format'
+      });
+    }
+
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A rejection reason is required'
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Check if order contains items from this retailer
+    const hasRetailerItems = order.items.some(item => 
+      item.retailer.toString() === req.user.id
+    );
+
+    if (!hasRetailerItems) {
+      return res.status(403).json({
+        success: false,
+        message: 'This order does not contain any items from your store'
+      });
+    }
+
+    if (!order.canBeCancelled()) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot cancel an order that is ${order.status.replace(/_/g, ' ')}`,
+        currentStatus: order.status,
+        allowedStatuses: Order.getAllowedTransitions(order.status, order.fulfillmentType)
+      });
+    }
+
+    await order.cancelOrder(`Rejected by retailer: ${reason.trim()}`, 'retailer');
+
+    res.json({
+      success: true,
+      message: 'Order rejected successfully',
+      order: {
+        id: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        cancelReason: order.cancelReason,
+        statusHistory: order.statusHistory,
+        updatedAt: order.updatedAt
+      }
+    });
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        currentStatus: error.currentStatus,
+        allowedStatuses: error.allowedStatuses
+      });
+    }
+
+    console.error('Reject order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/retailer/orders/{id}/pickup:
+ *   post:
+ *     summary: Hand over a pickup order
+ *     description: Completes a click-and-collect order. The customer shows their pickup code (or its QR code) at the store and the retailer submits it here; the order moves from ready_for_pickup to picked_up only if the code matches.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Order ID
+ *         example: 60a1e2c7d32f1e2b3c4d5e8h
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Pickup code presented by the customer (case-insensitive)
+ *                 example: K7PX3M
+ *     responses:
+ *       200:
+ *         description: Order handed over
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Order picked up successfully
+ *                 order:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       example: 60a1e2c7d32f1e2b3c4d5e8h
+ *                     orderNumber:
+ *                       type: string
+ *                       example: NM-202504-1001
+ *                     status:
+ *                       type: string
+ *                       example: picked_up
+ *                     pickedUpAt:
+ *                       type: string
+ *                       format: date-time
+ *                       example: 2023-05-15T14:05:00.000Z
+ *                     statusHistory:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           status:
+ *                             type: string
+ *                             example: picked_up
+ *                           timestamp:
+ *                             type: string
+ *                             format: date-time
+ *                             example: 2023-05-15T14:05:00.000Z
+ *                           note:
+ *                             type: string
+ *                             example: "Picked up at store"
+ *                     updatedAt:
+ *                       type: string
+ *                       format: date-time
+ *                       example: 2023-05-15T14:05:00.000Z
+ *       400:
+ *         description: Invalid order ID, missing or wrong pickup code, or not a pickup order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               message: Invalid pickup code
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Order does not contain retailer's items
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Order is not ready for pickup
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               message: Cannot change order status from processing to picked_up
+ *               currentStatus: processing
+ *               allowedStatuses: [ready_for_pickup, cancelled]
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   POST /api/retailer/orders/:id/pickup
+// @desc    Hand over a pickup order after checking the customer's pickup code
+// @access  Private
+router.post('/orders/:id/pickup', isRetailer, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code || typeof code !== 'string' || !code.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Pickup code is required'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID format'
+      });
+    }
+
+    const order = await Order.findById(req.params.id).select('+pickup.code');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const hasRetailerItems = order.items.some(item =>
+      item.retailer.toString() === req.user.id
+    );
+
+    if (!hasRetailerItems) {
+      return res.status(403).json({
+        success: false,
+        message: 'This order does not contain any items from your store'
+      });
+    }
+
+    await order.confirmPickup(code, `Picked up at store, confirmed by retailer ID: ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Order picked up successfully',
+      order: {
+        id: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        pickedUpAt: order.pickup.pickedUpAt,
+        statusHistory: order.statusHistory,
+        updatedAt: order.updatedAt
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        currentStatus: error.currentStatus,
+        allowedStatuses: error.allowedStatuses
+      });
+    }
+
+    console.error('Confirm pickup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/retailer/coupons:
+ *   get:
+ *     summary: Get all coupons for retailer
+ *     description: Retrieves all coupons created by the authenticated retailer
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Coupons retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 2
+ *                 coupons:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Coupon'
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   GET /api/retailer/coupons
+// @desc    Get all coupons for authenticated retailer
+// @access  Private
+router.get('/coupons', isRetailer, async (req, res) => {
+  try {
+    const coupons = await Coupon.find({ retailer: req.user.id })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: coupons.length,
+      coupons
+    });
+  } catch (error) {
+    console.error('Get retailer coupons error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/retailer/coupons:
+ *   post:
+ *     summary: Create a coupon
+ *     description: Creates a coupon that can only be redeemed on the authenticated retailer's products
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - discountType
+ *               - discountValue
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: SPRING10
+ *               description:
+ *                 type: string
+ *                 example: 10% off spring produce
+ *               discountType:
+ *                 type: string
+ *                 enum: [percentage, flat]
+ *                 example: percentage
+ *               discountValue:
+ *                 type: number
+ *                 example: 10
+ *               maxDiscount:
+ *                 type: number
+ *                 example: 15
+ *               minSubtotal:
+ *                 type: number
+ *                 example: 25
+ *               usageLimit:
+ *                 type: integer
+ *                 example: 100
+ *               perCustomerLimit:
+ *                 type: integer
+ *                 example: 1
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Coupon created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Coupon created successfully
+ *                 coupon:
+ *                   $ref: '#/components/schemas/Coupon'
+ *       400:
+ *         description: Bad request - missing fields or validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               message: Please provide code, discountType, and discountValue
+ *       409:
+ *         description: Code already in use
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               message: A coupon with this code already exists
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   POST /api/retailer/coupons
+// @desc    Create a coupon for the retailer's store
+// @access  Private
+router.post('/coupons', isRetailer, async (req, res) => {
+  try {
+    const { code, discountType, discountValue } = req.body;
+
+    // Basic validation
+    if (!code || !discountType || discountValue === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide code, discountType, and discountValue'
+      });
+    }
+
+    const existingCoupon = await Coupon.findByCode(code);
+    if (existingCoupon) {
+      return res.status(409).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+
+    const coupon = new Coupon({ retailer: req.user.id });
+    for (const field of COUPON_EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) coupon[field] = req.body[field];
+    }
+
+    await coupon.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      coupon
+    });
+  } catch (error) {
+    // Another coupon with the same code was created since the check above
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+
+    console.error('Create coupon error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/retailer/coupons/{id}:
+ *   put:
+ *     summary: Update a coupon
+ *     description: Updates a coupon owned by the authenticated retailer. The code cannot be changed once created.
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Coupon ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               discountType:
+ *                 type: string
+ *                 enum: [percentage, flat]
+ *               discountValue:
+ *                 type: number
+ *               maxDiscount:
+ *                 type: number
+ *               minSubtotal:
+ *                 type: number
+ *               usageLimit:
+ *                 type: integer
+ *               perCustomerLimit:
+ *                 type: integer
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Coupon updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Coupon updated successfully
+ *                 coupon:
+ *                   $ref: '#/components/schemas/Coupon'
+ *       400:
+ *         description: Bad request - validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Coupon not found or not owned by retailer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   PUT /api/retailer/coupons/:id
+// @desc    Update a coupon
+// @access  Private
+router.put('/coupons/:id', isRetailer, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid coupon ID format'
+      });
+    }
+
+    // Check if coupon exists and belongs to the retailer
+    const coupon = await Coupon.findOne({
+      _id: req.params.id,
+      retailer: req.user.id
+    });
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found or not owned by this retailer'
+      });
+    }
+
+    // Update coupon fields if provided (code is immutable)
+    for (const field of [...COUPON_EDITABLE_FIELDS, 'isActive']) {
+      if (field !== 'code' && req.body[field] !== undefined) coupon[field] = req.body[field];
+    }
+
+    await coupon.save();
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      coupon
+    });
+  } catch (error) {
+    console.error('Update coupon error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/retailer/coupons/{id}:
+ *   delete:
+ *     summary: Delete a coupon
+ *     description: Deletes a coupon owned by the authenticated retailer. Coupons that have already been redeemed are deactivated instead so order history stays intact.
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Coupon ID
+ *     responses:
+ *       200:
+ *         description: Coupon deleted or deactivated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             examples:
+ *               deleted:
+ *                 value:
+ *                   success: true
+ *                   message: Coupon deleted successfully
+ *               deactivated:
+ *                 value:
+ *                   success: true
+ *                   message: Coupon has been redeemed before and was deactivated instead
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Coupon not found or not owned by retailer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// @route   DELETE /api/retailer/coupons/:id
+// @desc    Delete (or deactivate) a coupon
+// @access  Private
+router.delete('/coupons/:id', isRetailer, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid coupon ID format'
+      });
+    }
+
+    const coupon = await Coupon.findOne({
+      _id: req.params.id,
+      retailer: req.user.id
+    });
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found or not owned by this retailer'
+      });
+    }
+
+    // Keep redeemed coupons around for order history
+    if (coupon.usedCount > 0) {
+      coupon.isActive = false;
+      await coupon.save();
+
+      return res.json({
+        success: true,
+        message: 'Coupon has been redeemed before and was deactivated instead'
+      });
+    }
+
+    await coupon.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 module.exports = router;
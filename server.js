@@ -312,8 +312,9 @@ const corsOptions = {
   origin: process.env.NODE_ENV === 'production'
     ? process.env.ALLOWED_ORIGINS?.split(',') || ['https://nearmart.com']
     : '*',
-  methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed'],
   credentials: true,
   maxAge: 86400
 };
@@ -424,10 +425,14 @@ process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
 // API routes
+const authRoutes = require('./routes/auth');
 const retailerRoutes = require('./routes/retailer');
 const customerRoutes = require('./routes/customer');
+const adminRoutes = require('./routes/admin');
+app.use(`${API_PREFIX}/auth`, authRoutes);
 app.use(`${API_PREFIX}/retailer`, retailerRoutes);
 app.use(`${API_PREFIX}/customer`, customerRoutes);
+app.use(`${API_PREFIX}/admin`, adminRoutes);
 
 // Global error handler
 app.use((err, req, res, next) => {
@@ -481,6 +486,29 @@ app.use((req, res) => {
 (async () => {
   const connected = await connectDB();
   if (connected) {
+    // Accounts created before the verification and review workflows keep working
+    const Customer = require('./models/Customer');
+    const Retailer = require('./models/Retailer');
+    const Coupon = require('./models/Coupon');
+    const Order = require('./models/Order');
+    const backfills = [
+      ['customers as verified', () => Customer.backfillVerification()],
+      ['retailers as verified', () => Retailer.backfillVerification()],
+      ['retailers as approved', () => Retailer.backfillStatus()],
+      ['coupons as migrated to the redemption collection', () => Coupon.migrateEmbeddedRedemptions()],
+      ['orders with their retailer', () => Order.backfillRetailer()]
+    ];
+    for (const [description, backfill] of backfills) {
+      try {
+        const backfilled = await backfill();
+        if (backfilled > 0) {
+          console.log(`Marked ${backfilled} existing ${description}`);
+        }
+      } catch (error) {
+        console.error(`Error marking existing ${description}:`, error);
+      }
+    }
+
   //   try {
   //     console.log('Setting up database indexes...');
   //     const Retailer = require('./models/Retailer');
@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeAddress, validateAddress } = require('../utils/address');
+const { formatAddress } = require('../utils/geocodingProviders');
+
+const address = (fields) => ({ street: '1 Main St', ...fields });
+
+describe('validateAddress', () => {
+  it('rejects a zip code that does not fit the country of the state', () => {
+    const result = validateAddress(address({ city: 'Austin', state: 'TX', zipCode: '1234' }));
+
+    assert.equal(result.isValid, false);
+    assert.match(result.fieldErrors.zipCode, /for US/);
+  });
+
+  it('accepts a zip code that fits the country of the state', () => {
+    const result = validateAddress(address({ city: 'Austin', state: 'Texas', zipCode: '78701' }));
+
+    assert.equal(result.isValid, true);
+    assert.equal(result.address.state, 'TX');
+  });
+
+  it('picks the country an ambiguous state abbreviation belongs to from the zip code', () => {
+    const chennai = validateAddress(address({ city: 'Chennai', state: 'TN', zipCode: '600001' }));
+    const nashville = validateAddress(address({ city: 'Nashville', state: 'TN', zipCode: '37201' }));
+    const neither = validateAddress(address({ city: 'Nashville', state: 'TN', zipCode: '1234' }));
+
+    assert.equal(chennai.isValid, true);
+    assert.equal(nashville.isValid, true);
+    assert.equal(neither.isValid, false);
+  });
+
+  it('checks the zip code against a given country', () => {
+    assert.equal(validateAddress(address({ city: 'Paris', state: 'IDF', zipCode: '75001', country: 'fr' })).isValid, true);
+    assert.equal(validateAddress(address({ city: 'Paris', state: 'IDF', zipCode: '7500', country: 'FR' })).isValid, false);
+  });
+
+  it('only applies the generic format when neither the country nor the state is known', () => {
+    assert.equal(validateAddress(address({ city: 'Paris', state: 'Ile-de-France', zipCode: '75001' })).isValid, true);
+    assert.equal(validateAddress(address({ city: 'Paris', state: 'Ile-de-France', zipCode: '75001!' })).isValid, false);
+  });
+});
+
+describe('normalizeAddress', () => {
+  it('never stores a guessed country', () => {
+    for (const fields of [
+      { city: 'Paris', state: 'Ile-de-France', zipCode: '75001' },
+      { city: 'Berlin', state: 'Berlin', zipCode: '10115' },
+      { city: 'Austin', state: 'TX', zipCode: '78701' },
+      { city: 'Sydney', state: 'NSW', zipCode: '2000' }
+    ]) {
+      assert.equal(normalizeAddress(address(fields)).country, undefined);
+    }
+  });
+
+  it('keeps a preferred country only while the zip code fits it', () => {
+    const fields = address({ city: 'Chennai', state: 'Tamil Nadu', zipCode: '600001' });
+
+    assert.equal(normalizeAddress(fields, { preferredCountry: 'IN' }).country, 'IN');
+    assert.equal(normalizeAddress(fields, { preferredCountry: 'US' }).country, undefined);
+  });
+
+  it('formats the zip code of a country guessed from the state', () => {
+    assert.equal(normalizeAddress(address({ city: 'Ottawa', state: 'ON', zipCode: 'k1a0b1' })).zipCode, 'K1A 0B1');
+  });
+});
+
+describe('formatAddress', () => {
+  it('does not add a country that was not given to the geocoder query', () => {
+    const berlin = normalizeAddress(address({ city: 'Berlin', state: 'Berlin', zipCode: '10115' }));
+    const paris = normalizeAddress(address({ city: 'Paris', state: 'IDF', zipCode: '75001', country: 'FR' }));
+
+    assert.equal(formatAddress(berlin), '1 Main St, Berlin, Berlin 10115');
+    assert.equal(formatAddress(paris), '1 Main St, Paris, IDF 75001, FR');
+  });
+});
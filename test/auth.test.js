@@ -0,0 +1,79 @@
+const { describe, it, before, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Admin = require('../models/Admin');
+const { isAdmin } = require('../middleware/auth');
+
+// Run the middleware on a request with the given token and report how it answered
+const authenticate = async (token) => {
+  const req = { header: (name) => (name === 'Authorization' ? `Bearer ${token}` : undefined) };
+  const result = { status: null, body: null, passed: false };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    }
+  };
+  await isAdmin(req, res, () => {
+    result.passed = true;
+  });
+  return { ...result, user: req.user };
+};
+
+// Serve the stored account from Admin.findById(...).select(...).lean()
+const storeAdmin = (fields) => {
+  mock.method(Admin, 'findById', () => ({
+    select: () => ({ lean: async () => fields })
+  }));
+};
+
+describe('auth middleware', () => {
+  let admin;
+
+  before(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const buildAdmin = (fields = {}) => {
+    admin = new Admin({ _id: new mongoose.Types.ObjectId(), name: 'Ada', email: 'ada@nearmart.com', tokenVersion: 0, ...fields });
+    return admin.generateAuthToken();
+  };
+
+  it('lets an active admin through', async () => {
+    const token = buildAdmin();
+    storeAdmin({ _id: admin._id, tokenVersion: 0, isActive: true });
+
+    const result = await authenticate(token);
+
+    assert.equal(result.passed, true);
+    assert.equal(result.user.id, admin._id.toString());
+  });
+
+  it('turns away an admin deactivated after the token was issued', async () => {
+    const token = buildAdmin();
+    storeAdmin({ _id: admin._id, tokenVersion: 0, isActive: false });
+
+    const result = await authenticate(token);
+
+    assert.equal(result.passed, false);
+    assert.equal(result.status, 403);
+    assert.equal(result.body.message, 'This account has been deactivated');
+  });
+
+  it('rejects a token issued before the tokenVersion was bumped', async () => {
+    const token = buildAdmin();
+    storeAdmin({ _id: admin._id, tokenVersion: 1, isActive: true });
+
+    const result = await authenticate(token);
+
+    assert.equal(result.passed, false);
+    assert.equal(result.status, 401);
+    assert.equal(result.body.message, 'Token has been revoked');
+  });
+});
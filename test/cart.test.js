@@ -0,0 +1,48 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const { calculateTax, reloadConfig } = require('../utils/tax');
+
+describe('cart totals', () => {
+  const grocer = new mongoose.Types.ObjectId();
+  const hardwareStore = new mongoose.Types.ObjectId();
+
+  before(() => {
+    process.env.TAX_CONFIG = JSON.stringify({ defaultRate: 0.1, categoryRates: { Groceries: 0.02 } });
+    reloadConfig();
+  });
+
+  after(() => {
+    delete process.env.TAX_CONFIG;
+    reloadConfig();
+  });
+
+  const buildCart = (fields) => new Cart({
+    customer: new mongoose.Types.ObjectId(),
+    items: [
+      { product: new mongoose.Types.ObjectId(), quantity: 3, price: 13.33, productName: 'Apples', category: 'Groceries', retailerId: grocer },
+      { product: new mongoose.Types.ObjectId(), quantity: 1, price: 40, productName: 'Hammer', category: 'Tools', retailerId: hardwareStore }
+    ],
+    ...fields
+  });
+
+  it('taxes a retailer coupon only on that retailer\'s items, like the sub-orders', () => {
+    const cart = buildCart({ couponCode: 'GROCER10', couponRetailer: grocer, discount: 10 });
+    const [groceries, tools] = cart.retailerGroups;
+
+    const orderTaxes = calculateTax(groceries.items, { discount: 10 }).tax + calculateTax(tools.items).tax;
+
+    assert.equal(groceries.discount, 10);
+    assert.equal(tools.discount, 0);
+    assert.equal(cart.tax, Math.round(orderTaxes * 100) / 100);
+    assert.notEqual(cart.tax, calculateTax(cart.items, { discount: 10 }).tax);
+  });
+
+  it('rounds the total to cents', () => {
+    const cart = buildCart({ couponCode: 'SAVE7', discount: 7.77 });
+
+    assert.equal(cart.total, Math.round(cart.total * 100) / 100);
+    assert.equal(cart.total, Math.round((cart.subtotal - 7.77 + cart.tax + cart.deliveryFee) * 100) / 100);
+  });
+});
@@ -0,0 +1,123 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Cart = require('../models/Cart');
+const Retailer = require('../models/Retailer');
+const Product = require('../models/Product');
+require('../models/Coupon');
+
+const pickup = { fulfillmentType: 'pickup', contactPhone: '+15550100' };
+const cashOnDelivery = { method: 'cash_on_delivery' };
+
+describe('Order.createFromCart', () => {
+  let grocer;
+  let bakery;
+  let cart;
+  let storedRetailers;
+  let stock;
+  let created;
+
+  const buildRetailer = (storeName) => new Retailer({
+    _id: new mongoose.Types.ObjectId(),
+    storeName,
+    status: 'approved',
+    address: { street: '1 Main St', city: 'Austin', state: 'TX', zipCode: '78701' }
+  });
+
+  const cartItem = (retailer, productName, price, quantity) => ({
+    product: new mongoose.Types.ObjectId(),
+    productName,
+    price,
+    quantity,
+    retailerId: retailer._id
+  });
+
+  beforeEach(() => {
+    grocer = buildRetailer('Green Grocer');
+    bakery = buildRetailer('Corner Bakery');
+    storedRetailers = [grocer, bakery];
+    cart = new Cart({
+      customer: new mongoose.Types.ObjectId(),
+      items: [
+        cartItem(grocer, 'Apples', 3.33, 3),
+        cartItem(bakery, 'Sourdough', 4.99, 1)
+      ]
+    });
+    stock = new Map(cart.items.map(item => [item.product.toString(), 10]));
+    created = [];
+
+    mock.method(mongoose, 'startSession', async () => ({
+      withTransaction: async (transaction) => transaction(),
+      endSession: async () => {}
+    }));
+    mock.method(Cart, 'findById', () => ({
+      session: () => ({ populate: async () => cart })
+    }));
+    mock.method(cart, 'save', async () => cart);
+    mock.method(Retailer, 'find', () => ({
+      select: () => ({ session: async () => storedRetailers })
+    }));
+    mock.method(Retailer.prototype, 'isOpenAt', () => true);
+    mock.method(Product, 'updateStock', async (productId, quantity) => {
+      const left = stock.get(productId.toString());
+      if (left < quantity) {
+        return null;
+      }
+      stock.set(productId.toString(), left - quantity);
+      return { price: cart.items.find(item => item.product.equals(productId)).price };
+    });
+    mock.method(Product, 'findById', () => ({ session: async () => ({ stock: 0, isAvailable: true }) }));
+    mock.method(Order, 'create', async ([fields]) => {
+      const order = new Order(fields);
+      created.push(order);
+      return [order];
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('places one order per store with totals rounded to cents and clears the cart', async () => {
+    const orders = await Order.createFromCart(cart._id, cashOnDelivery, pickup);
+
+    assert.equal(orders.length, 2);
+    const [groceries, bread] = orders;
+    assert.equal(groceries.retailer.toString(), grocer._id.toString());
+    assert.equal(groceries.items[0].retailerName, 'Green Grocer');
+    assert.equal(groceries.checkoutId, bread.checkoutId);
+    assert.equal(groceries.subtotal, 9.99);
+    assert.equal(groceries.tax, Math.round(groceries.tax * 100) / 100);
+    assert.equal(groceries.total, Math.round((groceries.subtotal + groceries.tax) * 100) / 100);
+    assert.equal(groceries.payment.amount, groceries.total);
+    assert.equal(bread.fulfillmentType, 'pickup');
+    assert.ok(bread.pickup.code);
+    assert.deepEqual([...stock.values()], [7, 9]);
+    assert.equal(cart.items.length, 0);
+  });
+
+  it('refuses a cart whose store no longer exists like an unlisted store', async () => {
+    storedRetailers = [grocer];
+
+    await assert.rejects(Order.createFromCart(cart._id, cashOnDelivery, pickup), (error) => {
+      assert.equal(error.statusCode, 409);
+      assert.match(error.message, /not accepting orders/);
+      assert.deepEqual(error.unlistedRetailers.map(retailer => retailer.retailer.toString()), [bakery._id.toString()]);
+      return true;
+    });
+    assert.equal(Product.updateStock.mock.callCount(), 0);
+    assert.equal(created.length, 0);
+    assert.equal(cart.items.length, 2);
+  });
+
+  it('reports every out of stock item and places no order', async () => {
+    stock.set(cart.items[0].product.toString(), 1);
+
+    await assert.rejects(Order.createFromCart(cart._id, cashOnDelivery, pickup), (error) => {
+      assert.equal(error.statusCode, 409);
+      assert.deepEqual(error.unavailableItems.map(item => [item.productName, item.requested]), [['Apples', 3]]);
+      return true;
+    });
+    assert.equal(created.length, 0);
+    assert.equal(cart.items.length, 2);
+  });
+});
@@ -0,0 +1,149 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { idempotency, hashBody } = require('../middleware/idempotency');
+
+// In-memory stand-in for the idempotency key collection
+let records;
+const matches = (record, filter) => Object.entries(filter).every(([field, value]) =>
+  String(record[field] instanceof Date ? record[field].getTime() : record[field]) ===
+  String(value instanceof Date ? value.getTime() : value)
+);
+
+const storeRecord = (fields) => {
+  const record = IdempotencyKey.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    status: 'in_progress',
+    createdAt: new Date(),
+    ...fields
+  });
+  records.push(record);
+  return record;
+};
+
+const stubCollection = () => {
+  records = [];
+  mock.method(IdempotencyKey, 'create', async (fields) => {
+    if (records.some(record => matches(record, { user: fields.user, endpoint: fields.endpoint, key: fields.key }))) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    return storeRecord(fields);
+  });
+  mock.method(IdempotencyKey, 'findOne', async (filter) => records.find(record => matches(record, filter)) || null);
+  mock.method(IdempotencyKey, 'updateOne', async (filter, update) => {
+    const record = records.find(candidate => matches(candidate, filter));
+    if (record) record.set(update);
+  });
+  mock.method(IdempotencyKey, 'deleteOne', async (filter) => {
+    const before = records.length;
+    records = records.filter(record => !matches(record, filter));
+    return { deletedCount: before - records.length };
+  });
+};
+
+describe('idempotency middleware', () => {
+  const user = new mongoose.Types.ObjectId().toString();
+  let server;
+  let baseUrl;
+  let runs;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: user };
+      next();
+    });
+    app.post('/order', idempotency(), (req, res) => {
+      runs += 1;
+      if (req.body.fail) {
+        return res.status(400).json({ success: false, message: 'Bad order' });
+      }
+      res.status(201).json({ success: true, run: runs });
+    });
+
+    await new Promise(resolve => {
+      server = app.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    mock.restoreAll();
+    stubCollection();
+    runs = 0;
+  });
+
+  const post = (key, body = { items: 1 }) => fetch(`${baseUrl}/order`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+    body: JSON.stringify(body)
+  });
+
+  it('replays the stored response of a retry instead of running the handler again', async () => {
+    const first = await post('checkout-1');
+    const retry = await post('checkout-1');
+
+    assert.equal(first.status, 201);
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(await retry.json(), { success: true, run: 1 });
+    assert.equal(runs, 1);
+  });
+
+  it('replays a key sent with surrounding whitespace', async () => {
+    await post('  checkout-2 ');
+    const retry = await post('checkout-2');
+
+    assert.equal(retry.status, 201);
+    assert.equal(records[0].key, 'checkout-2');
+    assert.equal(runs, 1);
+  });
+
+  it('rejects a key reused with a different body', async () => {
+    await post('checkout-3');
+    const reused = await post('checkout-3', { items: 2 });
+
+    assert.equal(reused.status, 409);
+    assert.equal(runs, 1);
+  });
+
+  it('releases the key of a failed request so it can be retried', async () => {
+    const failed = await post('checkout-4', { fail: true });
+    const retry = await post('checkout-4', { fail: true });
+
+    assert.equal(failed.status, 400);
+    assert.equal(retry.status, 400);
+    assert.equal(retry.headers.get('idempotent-replayed'), null);
+    assert.equal(runs, 2);
+  });
+
+  it('answers 409 while the first request is still running', async () => {
+    storeRecord({ key: 'checkout-5', user, endpoint: 'POST /order', requestHash: hashBody({ items: 1 }) });
+    const retry = await post('checkout-5');
+
+    assert.equal(retry.status, 409);
+    assert.equal(runs, 0);
+  });
+
+  it('hands a key abandoned by a crashed request to the next retry', async () => {
+    storeRecord({
+      key: 'checkout-6',
+      user,
+      endpoint: 'POST /order',
+      requestHash: hashBody({ items: 1 }),
+      createdAt: new Date(Date.now() - 60 * 60 * 1000)
+    });
+
+    const retry = await post('checkout-6');
+
+    assert.equal(retry.status, 201);
+    assert.equal(runs, 1);
+    assert.equal(records.length, 1);
+    assert.equal(records[0].status, 'completed');
+  });
+});
@@ -0,0 +1,59 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTransportRegistry } = require('../utils/messageTransports');
+
+const originalEnv = process.env.NODE_ENV;
+
+const buildRegistry = () => createTransportRegistry({
+  label: 'test',
+  envVar: 'TEST_TRANSPORT',
+  outboxEnvVar: 'TEST_OUTBOX_FILE',
+  outboxFile: 'test-outbox.jsonl',
+  formatForConsole: (message) => message.body
+});
+
+describe('createTransportRegistry', () => {
+  afterEach(() => {
+    process.env.NODE_ENV = originalEnv;
+    delete process.env.TEST_TRANSPORT;
+  });
+
+  it('requires a configured transport outside development', () => {
+    process.env.NODE_ENV = 'production';
+
+    assert.throws(() => buildRegistry().getTransport(), /No test transport configured. Set TEST_TRANSPORT/);
+  });
+
+  it('refuses the console transport outside development', () => {
+    process.env.NODE_ENV = 'production';
+    process.env.TEST_TRANSPORT = 'console';
+
+    assert.throws(() => buildRegistry().getTransport(), /only available when NODE_ENV is development/);
+  });
+
+  it('uses a registered transport', async () => {
+    process.env.TEST_TRANSPORT = 'gateway';
+    const sent = [];
+    const registry = buildRegistry();
+    registry.registerTransport('gateway', () => ({ name: 'gateway', send: async (message) => sent.push(message) }));
+
+    await registry.getTransport().send({ to: '+15550100', body: 'Hi' });
+
+    assert.deepEqual(sent, [{ to: '+15550100', body: 'Hi' }]);
+  });
+
+  it('appends messages to the outbox file', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-')), 'outbox.jsonl');
+    const transport = buildRegistry().createFileTransport({ file });
+
+    await transport.send({ to: 'a@example.com', body: 'One' });
+    await transport.send({ to: 'b@example.com', body: 'Two' });
+
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(line => line.to), ['a@example.com', 'b@example.com']);
+    fs.rmSync(path.dirname(file), { recursive: true });
+  });
+});
@@ -0,0 +1,133 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+require('../models/Product');
+require('../models/Coupon');
+
+const buildOrder = (fields = {}) => new Order({
+  customer: new mongoose.Types.ObjectId(),
+  retailer: new mongoose.Types.ObjectId(),
+  orderNumber: 'NM-250101-0001',
+  subtotal: 10,
+  total: 10,
+  delivery: { address: { street: '1 Main St', city: 'Austin', state: 'TX', zipCode: '78701' } },
+  ...fields
+});
+
+// Stand-in for findOneAndUpdate that applies the update to a copy of the order when the filter matches
+const storedAs = (order, storedStatus) => async (filter, update) => {
+  if (!filter.status.$in.includes(storedStatus)) {
+    return null;
+  }
+  const updated = Order.hydrate(order.toObject());
+  updated.set(update.$set);
+  updated.statusHistory.push(update.$push.statusHistory);
+  return updated;
+};
+
+afterEach(() => mock.restoreAll());
+
+describe('Order.updateStatus', () => {
+  it('moves the order along the transition table', async () => {
+    const order = buildOrder({ status: 'pending' });
+    mock.method(Order, 'findOneAndUpdate', storedAs(order, 'pending'));
+
+    await order.updateStatus('confirmed', 'Accepted');
+
+    const [filter] = Order.findOneAndUpdate.mock.calls[0].arguments;
+    assert.deepEqual(filter.status.$in, ['pending']);
+    assert.equal(order.status, 'confirmed');
+    assert.ok(order.delivery.expectedDeliveryDate);
+    assert.equal(order.statusHistory.at(-1).note, 'Accepted');
+    assert.equal(order.isModified(), false);
+  });
+
+  it('rejects a transition the table does not allow without writing', async () => {
+    const order = buildOrder({ status: 'pending' });
+    mock.method(Order, 'findOneAndUpdate', async () => assert.fail('should not write'));
+
+    await assert.rejects(order.updateStatus('delivered'), error => {
+      assert.equal(error.statusCode, 409);
+      assert.deepEqual(error.allowedStatuses, ['confirmed', 'cancelled']);
+      return true;
+    });
+  });
+
+  it('does not bring back an order cancelled after it was loaded', async () => {
+    const order = buildOrder({ status: 'pending' });
+    mock.method(Order, 'findOneAndUpdate', storedAs(order, 'cancelled'));
+    mock.method(Order, 'findById', () => ({ select: async () => ({ status: 'cancelled' }) }));
+
+    await assert.rejects(order.updateStatus('confirmed'), error => {
+      assert.equal(error.statusCode, 409);
+      assert.equal(error.currentStatus, 'cancelled');
+      return true;
+    });
+    assert.equal(order.status, 'cancelled');
+  });
+});
+
+describe('Order.cancelOrder', () => {
+  const Product = mongoose.model('Product');
+  const Coupon = mongoose.model('Coupon');
+
+  const buildCancellableOrder = (fields = {}) => buildOrder({
+    status: 'confirmed',
+    checkoutId: 'checkout-1',
+    couponCode: 'SPRING10',
+    items: [
+      { product: new mongoose.Types.ObjectId(), quantity: 2, price: 5, productName: 'Apples', retailer: new mongoose.Types.ObjectId(), retailerName: 'Green Grocer' }
+    ],
+    payment: { method: 'credit_card', amount: 10, status: 'completed' },
+    ...fields
+  });
+
+  const stubSideEffects = (order, siblingStatuses) => {
+    mock.method(Product, 'addStock', async () => {});
+    mock.method(Coupon, 'releaseRedemption', async () => {});
+    mock.method(Order, 'find', () => ({
+      select: async () => [order, ...siblingStatuses.map(status => ({ _id: new mongoose.Types.ObjectId(), status }))]
+    }));
+    mock.method(order, 'save', async () => order);
+  };
+
+  it('restores stock, refunds the payment and releases the coupon of a fully cancelled checkout', async () => {
+    const order = buildCancellableOrder();
+    mock.method(Order, 'findOneAndUpdate', storedAs(order, 'confirmed'));
+    stubSideEffects(order, ['cancelled']);
+
+    await order.cancelOrder('Changed my mind');
+
+    assert.equal(order.status, 'cancelled');
+    assert.equal(order.cancelledBy, 'customer');
+    assert.deepEqual(Product.addStock.mock.calls.map(call => call.arguments), [[order.items[0].product, 2]]);
+    assert.equal(Coupon.releaseRedemption.mock.callCount(), 1);
+    assert.equal(order.payment.status, 'refunded');
+  });
+
+  it('keeps the coupon redeemed while another order of the checkout is active', async () => {
+    const order = buildCancellableOrder();
+    mock.method(Order, 'findOneAndUpdate', storedAs(order, 'confirmed'));
+    stubSideEffects(order, ['preparing']);
+
+    await order.cancelOrder('Changed my mind');
+
+    assert.equal(Coupon.releaseRedemption.mock.callCount(), 0);
+  });
+
+  it('restores nothing when a concurrent request already cancelled the order', async () => {
+    const order = buildCancellableOrder();
+    mock.method(Order, 'findOneAndUpdate', storedAs(order, 'cancelled'));
+    mock.method(Order, 'findById', () => ({ select: async () => ({ status: 'cancelled' }) }));
+    stubSideEffects(order, []);
+
+    await assert.rejects(order.cancelOrder('Changed my mind'), error => {
+      assert.equal(error.statusCode, 409);
+      assert.equal(error.currentStatus, 'cancelled');
+      return true;
+    });
+    assert.equal(Product.addStock.mock.callCount(), 0);
+    assert.equal(order.payment.status, 'completed');
+  });
+});
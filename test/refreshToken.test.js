@@ -0,0 +1,87 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const RefreshToken = require('../models/RefreshToken');
+
+// In-memory stand-in for the refresh token collection
+let records;
+const matches = (record, filter) => Object.entries(filter).every(([field, condition]) => {
+  const value = record.get(field);
+  if (condition === null) {
+    return value == null;
+  }
+  if (condition && condition.$gt !== undefined) {
+    return value > condition.$gt;
+  }
+  return String(value) === String(condition);
+});
+
+const stubCollection = () => {
+  records = [];
+  mock.method(RefreshToken, 'create', async (fields) => {
+    const record = RefreshToken.hydrate({ _id: new mongoose.Types.ObjectId(), ...fields });
+    records.push(record);
+    return record;
+  });
+  mock.method(RefreshToken, 'findOne', async (filter) => records.find(record => matches(record, filter)) || null);
+  mock.method(RefreshToken, 'findOneAndUpdate', async (filter, update) => {
+    const record = records.find(candidate => matches(candidate, filter));
+    if (record) record.set(update.$set);
+    return record || null;
+  });
+  mock.method(RefreshToken, 'updateMany', async (filter, update) => {
+    const matching = records.filter(record => matches(record, filter));
+    matching.forEach(record => record.set(update.$set));
+    return { modifiedCount: matching.length };
+  });
+  mock.method(RefreshToken.prototype, 'save', async function() {
+    return this;
+  });
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const recordOf = (token) => records.find(record => record.tokenHash === hashToken(token));
+
+describe('RefreshToken.rotate', () => {
+  const user = new mongoose.Types.ObjectId();
+
+  beforeEach(stubCollection);
+  afterEach(() => mock.restoreAll());
+
+  it('replaces the token with a new one of the same login', async () => {
+    const { refreshToken } = await RefreshToken.issue(user, 'customer');
+
+    const rotated = await RefreshToken.rotate(refreshToken);
+
+    assert.notEqual(rotated.refreshToken, refreshToken);
+    assert.equal(rotated.user.toString(), user.toString());
+    assert.equal(rotated.role, 'customer');
+    assert.equal(recordOf(rotated.refreshToken).family, recordOf(refreshToken).family);
+    assert.equal(recordOf(refreshToken).revokedReason, 'rotated');
+    assert.equal(recordOf(refreshToken).replacedBy, hashToken(rotated.refreshToken));
+    assert.equal(recordOf(rotated.refreshToken).isActive, true);
+  });
+
+  it('revokes the whole login when a rotated token is used again', async () => {
+    const { refreshToken } = await RefreshToken.issue(user, 'customer');
+    const rotated = await RefreshToken.rotate(refreshToken);
+
+    await assert.rejects(RefreshToken.rotate(refreshToken), error => {
+      assert.equal(error.statusCode, 401);
+      assert.equal(error.code, 'REFRESH_TOKEN_REUSED');
+      return true;
+    });
+    assert.equal(recordOf(rotated.refreshToken).revokedReason, 'reuse_detected');
+    await assert.rejects(RefreshToken.rotate(rotated.refreshToken), { code: 'REFRESH_TOKEN_INVALID' });
+  });
+
+  it('refuses an expired token without touching the rest of the login', async () => {
+    const { refreshToken } = await RefreshToken.issue(user, 'customer');
+    const sibling = await RefreshToken.issue(user, 'customer', { family: recordOf(refreshToken).family });
+    recordOf(refreshToken).expiresAt = new Date(Date.now() - 1000);
+
+    await assert.rejects(RefreshToken.rotate(refreshToken), { statusCode: 401, code: 'REFRESH_TOKEN_INVALID' });
+    assert.equal(recordOf(sibling.refreshToken).isActive, true);
+  });
+});
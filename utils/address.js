@@ -0,0 +1,330 @@
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+// Geocodes scoring below this confidence (0-1) are flagged for manual review
+const REVIEW_THRESHOLD = parseFloat(process.env.ADDRESS_REVIEW_THRESHOLD) || 0.6;
+
+// Postal code formats per country; countries not listed accept 2-10 letters, digits, spaces or dashes
+const POSTAL_CODE_FORMATS = {
+  US: { pattern: /^\d{5}(-\d{4})?$/, example: '11201 or 11201-1234' },
+  IN: { pattern: /^[1-9]\d{5}$/, example: '110001' },
+  CA: { pattern: /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] \d[ABCEGHJ-NPRSTV-Z]\d$/, example: 'K1A 0B1' },
+  GB: { pattern: /^[A-Z]{1,2}\d[A-Z\d]? \d[A-Z]{2}$/, example: 'SW1A 1AA' },
+  AU: { pattern: /^\d{4}$/, example: '2000' },
+  DE: { pattern: /^\d{5}$/, example: '10115' },
+  FR: { pattern: /^\d{5}$/, example: '75001' }
+};
+const GENERIC_POSTAL_CODE = /^[A-Z\d][A-Z\d -]{0,8}[A-Z\d]$/;
+
+// State and province names by country, keyed by their standard abbreviation
+const STATES = {
+  US: {
+    AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+    CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+    HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas',
+    KY: 'Kentucky', LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts',
+    MI: 'Michigan', MN: 'Minnesota', MS: 'Mississippi', MO: 'Missouri', MT: 'Montana',
+    NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire', NJ: 'New Jersey', NM: 'New Mexico',
+    NY: 'New York', NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio', OK: 'Oklahoma',
+    OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina', SD: 'South Dakota',
+    TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia', WA: 'Washington',
+    WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming', PR: 'Puerto Rico'
+  },
+  IN: {
+    AN: 'Andaman and Nicobar Islands', AP: 'Andhra Pradesh', AR: 'Arunachal Pradesh', AS: 'Assam',
+    BR: 'Bihar', CH: 'Chandigarh', CG: 'Chhattisgarh', DL: 'Delhi', GA: 'Goa', GJ: 'Gujarat',
+    HR: 'Haryana', HP: 'Himachal Pradesh', JK: 'Jammu and Kashmir', JH: 'Jharkhand',
+    KA: 'Karnataka', KL: 'Kerala', LA: 'Ladakh', MP: 'Madhya Pradesh', MH: 'Maharashtra',
+    MN: 'Manipur', ML: 'Meghalaya', MZ: 'Mizoram', NL: 'Nagaland', OD: 'Odisha', PB: 'Punjab',
+    PY: 'Puducherry', RJ: 'Rajasthan', SK: 'Sikkim', TN: 'Tamil Nadu', TS: 'Telangana',
+    TR: 'Tripura', UP: 'Uttar Pradesh', UK: 'Uttarakhand', WB: 'West Bengal'
+  },
+  CA: {
+    AB: 'Alberta', BC: 'British Columbia', MB: 'Manitoba', NB: 'New Brunswick',
+    NL: 'Newfoundland and Labrador', NS: 'Nova Scotia', NT: 'Northwest Territories', NU: 'Nunavut',
+    ON: 'Ontario', PE: 'Prince Edward Island', QC: 'Quebec', SK: 'Saskatchewan', YT: 'Yukon'
+  },
+  AU: {
+    ACT: 'Australian Capital Territory', NSW: 'New South Wales', NT: 'Northern Territory',
+    QLD: 'Queensland', SA: 'South Australia', TAS: 'Tasmania', VIC: 'Victoria', WA: 'Western Australia'
+  }
+};
+
+const collapseWhitespace = (value) => String(value || '').replace(/\s+/g, ' ').trim();
+
+const comparable = (value) => collapseWhitespace(value).toLowerCase().replace(/[.,]/g, '');
+
+/**
+ * Fix the casing of text typed in all lower or all upper case
+ * Mixed-case input ('McDonald Ave') is left as the user wrote it.
+ * @param {string} value - Street or city
+ * @returns {string}
+ */
+const normalizeCasing = (value) => {
+  const text = collapseWhitespace(value);
+  if (text !== text.toLowerCase() && text !== text.toUpperCase()) {
+    return text;
+  }
+
+  return text.toLowerCase().replace(/(^|[\s-])([a-z])/g, (match, separator, letter) => separator + letter.toUpperCase())
+    // Unit and house numbers like 12b read better upper-cased
+    .replace(/\b(\d+)([a-z])\b/g, (match, number, letter) => number + letter.toUpperCase());
+};
+
+// Unknown states keep abbreviations like 'TN' upper-case; names get normalizeCasing()
+const normalizeStateText = (value) => {
+  const text = collapseWhitespace(value);
+  return /^[A-Za-z]{2,3}$/.test(text) ? text.toUpperCase() : normalizeCasing(text);
+};
+
+/**
+ * Find a state's standard abbreviation from its abbreviation or full name
+ * Without a country the state must belong to exactly one known country ('TN' is both Tennessee and Tamil Nadu).
+ * @param {string} state - State as entered
+ * @param {string} [country] - Country to look in; all known countries when omitted
+ * @returns {Object|null} - country and code, or null if unknown or ambiguous
+ */
+const findState = (state, country) => {
+  const key = comparable(state);
+  const countries = country ? [country] : Object.keys(STATES);
+  const matches = [];
+
+  for (const candidate of countries) {
+    const states = STATES[candidate] || {};
+    const code = Object.keys(states).find(abbreviation =>
+      abbreviation.toLowerCase() === key || comparable(states[abbreviation]) === key
+    );
+    if (code) {
+      matches.push({ country: candidate, code });
+    }
+  }
+
+  return matches.length === 1 ? matches[0] : null;
+};
+
+// Standard abbreviation of a known state, or the comparable text of an unknown one
+const stateKey = (state, country) => {
+  const found = findState(state, country);
+  return found ? found.code : comparable(state);
+};
+
+/**
+ * Spell out a state abbreviation
+ * @param {string} state - State abbreviation or name
+ * @param {string} [country] - ISO country code
+ * @returns {string} - Full state name, or the input if unknown
+ */
+const getStateName = (state, country) => {
+  const found = findState(state, country);
+  return found ? STATES[found.country][found.code] : state;
+};
+
+const formatPostalCode = (zipCode, country) => {
+  const compact = collapseWhitespace(zipCode).toUpperCase();
+
+  // Canadian and British codes are written with a space before the last three characters
+  if (country === 'CA' || country === 'GB') {
+    const letters = compact.replace(/\s/g, '');
+    return letters.length > 3 ? `${letters.slice(0, -3)} ${letters.slice(-3)}` : letters;
+  }
+
+  return compact;
+};
+
+// Postal code formats the postal code fits, among the given countries
+const fittingCountries = (zipCode, countries) => countries.filter(country =>
+  POSTAL_CODE_FORMATS[country] && POSTAL_CODE_FORMATS[country].pattern.test(formatPostalCode(zipCode, country))
+);
+
+// Countries that have a state with this name or abbreviation ('TN' is in both US and IN)
+const countriesOfState = (state) => Object.keys(STATES).filter(country => findState(state, country));
+
+/**
+ * Work out the country stored with an address
+ * Only a country that was given counts: the address's own, or the preferred one (e.g. the one stored
+ * before) as long as the postal code fits it. Countries guessed from the state or postal code are
+ * never stored, so they cannot send the geocoder to the wrong country.
+ * @param {Object} address - Address object
+ * @param {string} [preferredCountry] - Country to keep if the postal code fits it
+ * @returns {string|undefined} - ISO country code, or undefined when none was given
+ */
+const resolveCountry = (address, preferredCountry) => {
+  if (address.country) {
+    return collapseWhitespace(address.country).toUpperCase();
+  }
+
+  // A country without a known format cannot be contradicted by the postal code
+  const preferred = preferredCountry && collapseWhitespace(preferredCountry).toUpperCase();
+  if (preferred && (!POSTAL_CODE_FORMATS[preferred] || fittingCountries(address.zipCode, [preferred]).length > 0)) {
+    return preferred;
+  }
+
+  return undefined;
+};
+
+/**
+ * Guess the country of an address that names none, for validation and formatting only
+ * The state narrows the countries down ('TX' is only in the US); the postal code must then fit exactly one.
+ * @param {Object} address - Address object
+ * @returns {string|undefined} - ISO country code, or undefined when it cannot be told
+ */
+const guessCountry = (address) => {
+  const stateCountries = countriesOfState(address.state);
+  const fitting = fittingCountries(address.zipCode, stateCountries.length > 0 ? stateCountries : Object.keys(POSTAL_CODE_FORMATS));
+  return fitting.length === 1 ? fitting[0] : undefined;
+};
+
+/**
+ * Normalise an address: whitespace, casing, state abbreviation, postal code format and country
+ * The country is only set when it was given; see resolveCountry().
+ * @param {Object} address - Address object with street, city, state, zipCode and optional country
+ * @param {Object} [options]
+ * @param {string} [options.preferredCountry] - Country to keep when the address names none and the postal code fits it
+ * @returns {Object} - Normalised address
+ */
+const normalizeAddress = (address = {}, options = {}) => {
+  const country = resolveCountry(address, options.preferredCountry);
+  const formatCountry = country || guessCountry(address);
+  const state = findState(address.state, formatCountry);
+
+  return {
+    street: normalizeCasing(address.street),
+    city: normalizeCasing(address.city),
+    state: state ? state.code : normalizeStateText(address.state),
+    zipCode: formatPostalCode(address.zipCode, formatCountry),
+    country
+  };
+};
+
+/**
+ * Normalise and validate an address
+ * The postal code is checked against the format of the given country. Without one it must fit a country
+ * the state belongs to (Austin, TX 1234 fails), or any known format when the state is not known.
+ * @param {Object} address - Address object with street, city, state, zipCode and optional country
+ * @param {Object} [options] - See normalizeAddress()
+ * @returns {Object} - isValid, the list of errors, the same errors keyed by field and the normalised address
+ */
+const validateAddress = (address, options = {}) => {
+  if (!address || typeof address !== 'object') {
+    return {
+      isValid: false,
+      errors: ['Address must be an object containing street, city, state, and zipCode'],
+      fieldErrors: {},
+      address: null
+    };
+  }
+
+  const normalized = normalizeAddress(address, options);
+  const errors = [];
+  const fieldErrors = {};
+
+  const missingFields = ['street', 'city', 'state', 'zipCode'].filter(field => !normalized[field]);
+  if (missingFields.length > 0) {
+    errors.push(`Address is incomplete. Missing fields: ${missingFields.join(', ')}`);
+    missingFields.forEach(field => {
+      fieldErrors[field] = `${field} is required`;
+    });
+  }
+
+  if (normalized.country !== undefined && !/^[A-Z]{2}$/.test(normalized.country)) {
+    fieldErrors.country = 'Country must be a two-letter ISO code, e.g. US or IN';
+    errors.push(fieldErrors.country);
+  }
+
+  if (normalized.zipCode) {
+    // Countries the postal code has to fit: the given one, else those of the state
+    const countries = normalized.country ? [normalized.country] : countriesOfState(address.state);
+    const formats = countries.filter(country => POSTAL_CODE_FORMATS[country]);
+
+    if (formats.length > 0 && fittingCountries(address.zipCode, formats).length === 0) {
+      const expected = formats.map(country => POSTAL_CODE_FORMATS[country].example).join(' or ');
+      fieldErrors.zipCode = `Invalid postal code '${normalized.zipCode}' for ${formats.join(' or ')}. Expected a format like ${expected}`;
+    } else if (formats.length === 0 && !GENERIC_POSTAL_CODE.test(normalized.zipCode)) {
+      fieldErrors.zipCode = `Invalid postal code '${normalized.zipCode}'`;
+    }
+    if (fieldErrors.zipCode) {
+      errors.push(fieldErrors.zipCode);
+    }
+  }
+
+  return { isValid: errors.length === 0, errors, fieldErrors, address: normalized };
+};
+
+/**
+ * Score how well a geocoder result matches the address that was asked for
+ * Each component found in the result adds its weight when it agrees with the input; a component
+ * the provider did not return counts half. A provider's own confidence (0-1, or OpenCage's 0-10)
+ * caps the score, and the offline gazetteer's fallback point always scores 0.
+ * @param {Object} address - Normalised address that was geocoded
+ * @param {Object} match - Provider result (node-geocoder format)
+ * @returns {number} - Confidence between 0 and 1
+ */
+const scoreGeocodeResult = (address, match) => {
+  const extra = match.extra || {};
+  if (extra.precision === 'fallback') {
+    return 0;
+  }
+
+  const matchState = match.state || (match.administrativeLevels &&
+    (match.administrativeLevels.level1short || match.administrativeLevels.level1long));
+
+  const components = [
+    {
+      weight: 0.4,
+      value: match.zipcode,
+      agrees: () => comparable(match.zipcode).replace(/\s/g, '') === comparable(address.zipCode).replace(/\s/g, '')
+    },
+    {
+      weight: 0.25,
+      value: match.city,
+      agrees: () => comparable(match.city) === comparable(address.city)
+    },
+    {
+      weight: 0.15,
+      value: matchState,
+      agrees: () => stateKey(matchState, address.country) === stateKey(address.state, address.country)
+    },
+    {
+      weight: 0.2,
+      value: match.streetName,
+      agrees: () => comparable(address.street).includes(comparable(match.streetName))
+    }
+  ];
+
+  let score = components.reduce((total, component) => {
+    if (!component.value) {
+      return total + component.weight / 2;
+    }
+    return total + (component.agrees() ? component.weight : 0);
+  }, 0);
+
+  if (typeof extra.confidence === 'number' && extra.confidence > 0) {
+    score = Math.min(score, extra.confidence > 1 ? extra.confidence / 10 : extra.confidence);
+  }
+
+  return Math.round(score * 100) / 100;
+};
+
+/**
+ * Build the addressVerification record stored on customers and retailers
+ * @param {Object|null} geocode - Result of geocodeAddressWithConfidence, or null if geocoding failed
+ * @returns {Object} - confidence, provider, needsReview and checkedAt
+ */
+const buildAddressVerification = (geocode) => ({
+  confidence: geocode ? geocode.confidence : 0,
+  provider: geocode ? geocode.provider : undefined,
+  needsReview: !geocode || geocode.confidence < REVIEW_THRESHOLD,
+  checkedAt: new Date()
+});
+
+module.exports = {
+  REVIEW_THRESHOLD,
+  POSTAL_CODE_FORMATS,
+  getStateName,
+  normalizeAddress,
+  validateAddress,
+  scoreGeocodeResult,
+  buildAddressVerification
+};
@@ -0,0 +1,91 @@
+const Admin = require('../models/Admin');
+const Customer = require('../models/Customer');
+const Retailer = require('../models/Retailer');
+const RefreshToken = require('../models/RefreshToken');
+
+// Account model behind each token role
+const USER_MODELS = {
+  admin: Admin,
+  customer: Customer,
+  retailer: Retailer
+};
+
+/**
+ * Get the account model for a token role
+ * @param {string} role - Role from the token ('customer', 'retailer' or 'admin')
+ * @returns {mongoose.Model|undefined}
+ */
+const getUserModel = (role) => USER_MODELS[role];
+
+/**
+ * Get the reason an account may not sign in, if any
+ * @param {Object} user - Customer, Retailer or Admin document
+ * @returns {string|null} - Message for the client, or null when the account may sign in
+ */
+const getSignInBlock = (user) => {
+  if (user.isSuspended) {
+    return 'Your account has been suspended. Please contact support';
+  }
+  if (user.isActive === false) {
+    return 'This account has been deactivated';
+  }
+  return null;
+};
+
+/**
+ * Issue a short-lived access token and a refresh token for an account
+ * @param {Object} user - Customer, Retailer or Admin document
+ * @param {string} role - 'customer', 'retailer' or 'admin'
+ * @param {Object} req - Express request, for the client's user agent and IP
+ * @param {string} [family] - Login family to continue (set when rotating)
+ * @returns {Promise<Object>} - { token, refreshToken, refreshTokenExpiresAt }
+ */
+const issueAuthTokens = async (user, role, req, family) => {
+  const { refreshToken, expiresAt } = await RefreshToken.issue(user._id, role, {
+    family,
+    userAgent: req.get('user-agent'),
+    ip: req.ip
+  });
+
+  return {
+    token: user.generateAuthToken(),
+    refreshToken,
+    refreshTokenExpiresAt: expiresAt
+  };
+};
+
+/**
+ * Log an account out everywhere
+ * Bumping tokenVersion makes the auth middleware reject every access token issued so far,
+ * and every refresh token is revoked so none of them can be exchanged for a new one.
+ * @param {Object} user - Customer, Retailer or Admin document
+ * @param {string} role - 'customer', 'retailer' or 'admin'
+ * @returns {Promise<void>}
+ */
+const revokeAllSessions = async (user, role) => {
+  await getUserModel(role).updateOne({ _id: user._id }, { $inc: { tokenVersion: 1 } });
+  await RefreshToken.revokeAllForUser(user._id, role);
+};
+
+/**
+ * Set a new password and log the account out everywhere
+ * The tokenVersion bump is saved with the password, so old access tokens stop working at once.
+ * @param {Object} user - Customer or Retailer document
+ * @param {string} role - 'customer' or 'retailer'
+ * @param {string} password - New plain text password (hashed by the model's pre-save middleware)
+ * @returns {Promise<void>}
+ */
+const setPassword = async (user, role, password) => {
+  user.password = password;
+  user.tokenVersion = (user.tokenVersion || 0) + 1;
+  await user.save();
+  await RefreshToken.revokeAllForUser(user._id, role, 'password_change');
+};
+
+module.exports = {
+  getUserModel,
+  getSignInBlock,
+  issueAuthTokens,
+  revokeAllSessions,
+  setPassword
+};
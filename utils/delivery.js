@@ -0,0 +1,107 @@
+const EARTH_RADIUS_KM = 6371.0088; // Mean Earth radius
+
+// Used for retailers that have not configured delivery yet
+const DEFAULT_DELIVERY_SETTINGS = {
+  radiusKm: 10,
+  baseFee: 5.00,
+  perKmFee: 0,
+  freeDeliveryThreshold: null
+};
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Check that coordinates are a usable [longitude, latitude] pair
+ * [0, 0] is what the models store when geocoding failed, so it counts as unknown
+ * @param {Array<number>} coordinates - [longitude, latitude]
+ * @returns {boolean}
+ */
+const hasCoordinates = (coordinates) => Array.isArray(coordinates) &&
+  coordinates.length === 2 &&
+  coordinates.every(value => typeof value === 'number' && !isNaN(value)) &&
+  !(coordinates[0] === 0 && coordinates[1] === 0);
+
+/**
+ * Great-circle distance between two points (haversine formula)
+ * @param {Array<number>} from - [longitude, latitude]
+ * @param {Array<number>} to - [longitude, latitude]
+ * @returns {number} - Distance in kilometres
+ */
+const getDistanceKm = (from, to) => {
+  const [fromLng, fromLat] = from;
+  const [toLng, toLat] = to;
+  const dLat = toRadians(toLat - fromLat);
+  const dLng = toRadians(toLng - fromLng);
+
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(fromLat)) * Math.cos(toRadians(toLat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Fill in the defaults for a retailer's delivery settings
+ * @param {Object} [settings] - Retailer.deliverySettings
+ * @returns {Object} - Complete delivery settings
+ */
+const resolveSettings = (settings = {}) => ({
+  radiusKm: settings.radiusKm != null ? settings.radiusKm : DEFAULT_DELIVERY_SETTINGS.radiusKm,
+  baseFee: settings.baseFee != null ? settings.baseFee : DEFAULT_DELIVERY_SETTINGS.baseFee,
+  perKmFee: settings.perKmFee != null ? settings.perKmFee : DEFAULT_DELIVERY_SETTINGS.perKmFee,
+  freeDeliveryThreshold: settings.freeDeliveryThreshold != null
+    ? settings.freeDeliveryThreshold
+    : DEFAULT_DELIVERY_SETTINGS.freeDeliveryThreshold
+});
+
+/**
+ * Calculate the delivery fee for an order
+ * @param {Object} settings - Retailer delivery settings
+ * @param {number|null} distanceKm - Distance to the delivery address (null when unknown)
+ * @param {number} subtotal - Order subtotal after discounts, used for the free-delivery threshold
+ * @returns {number} - Delivery fee
+ */
+const calculateDeliveryFee = (settings, distanceKm, subtotal) => {
+  const { baseFee, perKmFee, freeDeliveryThreshold } = resolveSettings(settings);
+
+  if (freeDeliveryThreshold !== null && subtotal >= freeDeliveryThreshold) {
+    return 0;
+  }
+
+  return roundCurrency(baseFee + (distanceKm !== null ? distanceKm * perKmFee : 0));
+};
+
+/**
+ * Get the distance and radius check from a retailer to a delivery location
+ * When either side has no coordinates the distance is unknown: the base fee applies
+ * and isWithinRadius is null, so callers must not treat the address as deliverable.
+ * @param {Object} retailer - Retailer with location and deliverySettings
+ * @param {Array<number>} destination - [longitude, latitude] of the delivery address
+ * @returns {Object} - distanceKm (null when unknown), radiusKm and isWithinRadius (null when unknown)
+ */
+const getDeliveryRange = (retailer, destination) => {
+  const { radiusKm } = resolveSettings(retailer.deliverySettings);
+  const origin = retailer.location && retailer.location.coordinates;
+
+  if (!hasCoordinates(origin) || !hasCoordinates(destination)) {
+    return { distanceKm: null, radiusKm, isWithinRadius: null };
+  }
+
+  const distanceKm = Math.round(getDistanceKm(origin, destination) * 100) / 100;
+
+  return {
+    distanceKm,
+    radiusKm,
+    isWithinRadius: distanceKm <= radiusKm
+  };
+};
+
+module.exports = {
+  DEFAULT_DELIVERY_SETTINGS,
+  hasCoordinates,
+  getDistanceKm,
+  resolveSettings,
+  calculateDeliveryFee,
+  getDeliveryRange
+};
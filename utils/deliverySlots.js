@@ -0,0 +1,74 @@
+const { DEFAULT_TIMEZONE, getLocalTime, fromLocalTime } = require('./openingHours');
+
+// How many days ahead customers can book, and how soon a slot can start at the earliest
+const SLOT_BOOKING_DAYS = parseInt(process.env.SLOT_BOOKING_DAYS) || 7;
+const SLOT_LEAD_TIME_MINUTES = parseInt(process.env.SLOT_LEAD_TIME_MINUTES) || 60;
+
+/**
+ * List the bookable delivery windows of a retailer
+ * Windows come from the weekly deliverySlots template in the store's time zone. Windows on
+ * closure days, and windows starting within the lead time, are left out.
+ * @param {Object} retailer - Retailer with deliverySlots, closures and timezone
+ * @param {Date} [from=new Date()] - Moment to list windows from
+ * @param {number} [days=SLOT_BOOKING_DAYS] - Number of local calendar days to list
+ * @returns {Array<Object>} - Windows with startsAt, endsAt and capacity, earliest first
+ */
+const getSlotWindows = (retailer, from = new Date(), days = SLOT_BOOKING_DAYS) => {
+  const template = retailer.deliverySlots || [];
+  if (template.length === 0) {
+    return [];
+  }
+
+  const timezone = retailer.timezone || DEFAULT_TIMEZONE;
+  const earliestStart = new Date(from.getTime() + SLOT_LEAD_TIME_MINUTES * 60 * 1000);
+  const [year, month, day] = getLocalTime(from, timezone).date.split('-').map(Number);
+  const windows = [];
+
+  for (let offset = 0; offset < days; offset++) {
+    // Walk local calendar days; a UTC date is only used for the calendar arithmetic
+    const calendarDay = new Date(Date.UTC(year, month - 1, day + offset));
+    const localDate = calendarDay.toISOString().slice(0, 10);
+
+    const isClosed = (retailer.closures || []).some(closure =>
+      closure.from <= localDate && localDate <= closure.to
+    );
+    if (isClosed) {
+      continue;
+    }
+
+    for (const slot of template.filter(slot => slot.day === calendarDay.getUTCDay())) {
+      const startsAt = fromLocalTime(localDate, slot.start, timezone);
+      if (startsAt < earliestStart) {
+        continue;
+      }
+
+      windows.push({
+        startsAt,
+        endsAt: fromLocalTime(localDate, slot.end, timezone),
+        capacity: slot.capacity
+      });
+    }
+  }
+
+  return windows.sort((a, b) => a.startsAt - b.startsAt);
+};
+
+/**
+ * Find a bookable window by its start time
+ * @param {Object} retailer - Retailer with deliverySlots, closures and timezone
+ * @param {Date|string} startsAt - Start of the requested window
+ * @param {Date} [from=new Date()] - Moment the booking is made
+ * @returns {Object|null} - The window, or null if the retailer does not offer it
+ */
+const findSlotWindow = (retailer, startsAt, from = new Date()) => {
+  const requested = new Date(startsAt).getTime();
+
+  return getSlotWindows(retailer, from).find(window => window.startsAt.getTime() === requested) || null;
+};
+
+module.exports = {
+  SLOT_BOOKING_DAYS,
+  SLOT_LEAD_TIME_MINUTES,
+  getSlotWindows,
+  findSlotWindow
+};
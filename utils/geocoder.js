@@ -1,13 +1,20 @@
-const NodeGeocoder = require('node-geocoder');
+const mongoose = require('mongoose');
 const dotenv = require('dotenv');
+const GeocodeCache = require('../models/GeocodeCache');
+const { createProvider, formatAddress } = require('./geocodingProviders');
+const { normalizeAddress, scoreGeocodeResult } = require('./address');
+const { createLruCache } = require('./lruCache');
+const { createTokenBucketQueue } = require('./tokenBucketQueue');
 
 // Load environment variables
 dotenv.config();
 
-// Simple in-memory cache for geocoding results
-const geocodeCache = new Map();
-const CACHE_MAX_SIZE = 100; // Maximum number of cached addresses
-const CACHE_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days in milliseconds
+// Results are cached in two layers: an in-memory LRU per process in front of the
+// GeocodeCache collection, which survives restarts and is shared by all instances
+const CACHE_MAX_SIZE = parseInt(process.env.GEOCODER_MEMORY_CACHE_SIZE) || 1000; // Maximum number of entries in memory
+const CACHE_TTL = (parseInt(process.env.GEOCODER_CACHE_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000; // 30 days by default
+const memoryCache = createLruCache(CACHE_MAX_SIZE, CACHE_TTL);
+const cacheStats = { memoryHits: 0, databaseHits: 0, misses: 0 };
 
 // Logging utility
 const log = (level, message, data = null) => {
@@ -23,58 +30,182 @@ const log = (level, message, data = null) => {
   }
 };
 
-// Configure geocoder options
-const options = {
-  provider: process.env.GEOCODER_PROVIDER || 'openstreetmap', // Default to OpenStreetMap (free)
-  httpAdapter: 'https',
-  apiKey: process.env.GEOCODER_API_KEY,
-  formatter: null,
-  timeout: parseInt(process.env.GEOCODER_TIMEOUT) || 5000
+/**
+ * Provider chain
+ *
+ * Addresses are sent to each provider in GEOCODER_PROVIDERS (comma-separated) in order
+ * until one returns a result; a provider that times out, errors or finds nothing hands
+ * over to the next. Any node-geocoder provider name works (openstreetmap, google,
+ * opencage, ...), plus 'gazetteer', an offline lookup in utils/gazetteer.json.
+ *
+ * Without GEOCODER_PROVIDERS the chain is GEOCODER_PROVIDER (openstreetmap by default),
+ * followed by the gazetteer in development. GEOCODER_OFFLINE=true uses the gazetteer only.
+ * In development and offline mode the gazetteer resolves unknown addresses to its
+ * fallback point, so signup works without network.
+ *
+ * API keys come from GEOCODER_<PROVIDER>_API_KEY, or GEOCODER_API_KEY.
+ */
+const isDevelopment = process.env.NODE_ENV === 'development';
+const isOffline = process.env.GEOCODER_OFFLINE === 'true';
+const PROVIDER_TIMEOUT = parseInt(process.env.GEOCODER_TIMEOUT) || 5000;
+
+const getProviderNames = () => {
+  if (isOffline) {
+    return ['gazetteer'];
+  }
+
+  if (process.env.GEOCODER_PROVIDERS) {
+    return process.env.GEOCODER_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean);
+  }
+
+  const primary = process.env.GEOCODER_PROVIDER || 'openstreetmap'; // Default to OpenStreetMap (free)
+  return isDevelopment && primary !== 'gazetteer' ? [primary, 'gazetteer'] : [primary];
 };
 
-log('INFO', `Initializing geocoder with provider: ${options.provider}`);
-
-// Initialize geocoder
-let geocoder;
-try {
-  geocoder = NodeGeocoder(options);
-  log('INFO', 'Geocoder initialized successfully');
-} catch (error) {
-  log('ERROR', 'Failed to initialize geocoder', error);
-  // Fallback to openstreetmap if specified provider fails
-  if (options.provider !== 'openstreetmap') {
-    log('INFO', 'Falling back to openstreetmap provider');
-    options.provider = 'openstreetmap';
-    options.apiKey = null;
-    try {
-      geocoder = NodeGeocoder(options);
-      log('INFO', 'Fallback geocoder initialized successfully');
-    } catch (fallbackError) {
-      log('ERROR', 'Failed to initialize fallback geocoder', fallbackError);
-      throw new Error('Failed to initialize geocoder with any provider');
+// Remote providers are called through a token-bucket queue at their allowed rate
+// (Nominatim's usage policy allows 1 request per second). A request that would wait
+// longer than GEOCODER_MAX_WAIT_MS skips the provider and fails over to the next one.
+const getRatePerSecond = (name) => parseFloat(process.env[`GEOCODER_${name.toUpperCase()}_RATE_PER_SECOND`]) ||
+  parseFloat(process.env.GEOCODER_RATE_PER_SECOND) ||
+  1;
+const MAX_WAIT_MS = parseInt(process.env.GEOCODER_MAX_WAIT_MS) || 10000;
+
+const providers = [];
+for (const name of [...new Set(getProviderNames())]) {
+  try {
+    const provider = createProvider(name, {
+      apiKey: process.env[`GEOCODER_${name.toUpperCase()}_API_KEY`] || process.env.GEOCODER_API_KEY,
+      timeout: PROVIDER_TIMEOUT,
+      userAgent: process.env.GEOCODER_USER_AGENT || 'NearMart/1.0',
+      email: process.env.GEOCODER_EMAIL,
+      osmServer: process.env.GEOCODER_OSM_SERVER,
+      file: process.env.GEOCODER_GAZETTEER_FILE,
+      useFallback: isDevelopment || isOffline
+    });
+
+    if (provider.isRemote) {
+      provider.queue = createTokenBucketQueue({
+        name: `Geocoding provider ${name}`,
+        ratePerSecond: getRatePerSecond(name),
+        maxWaitMs: MAX_WAIT_MS
+      });
     }
-  } else {
-    throw error;
+
+    providers.push(provider);
+  } catch (error) {
+    // A misconfigured provider is skipped; the rest of the chain still works
+    log('ERROR', `Failed to initialize geocoding provider: ${name}`, error);
   }
 }
 
-// Track API calls for rate limiting
-const apiCalls = {
-  count: 0,
-  resetTime: Date.now() + parseInt(process.env.GEOCODER_RATE_LIMIT_INTERVAL || 60000)
+if (providers.length === 0) {
+  throw new Error('Failed to initialize geocoder with any provider');
+}
+
+log('INFO', `Geocoder initialized with providers: ${providers.map(provider => provider.name).join(' -> ')}`);
+
+// Lookups currently waiting for a provider, by cache key
+const inFlight = new Map();
+let coalescedRequests = 0;
+
+/**
+ * Share one lookup between identical concurrent requests
+ * @param {string} key - Cache key of the lookup
+ * @param {Function} run - Starts the lookup and returns its promise
+ * @returns {Promise}
+ */
+const coalesce = (key, run) => {
+  if (inFlight.has(key)) {
+    coalescedRequests++;
+    return inFlight.get(key);
+  }
+
+  const promise = run().finally(() => inFlight.delete(key));
+  inFlight.set(key, promise);
+  return promise;
+};
+
+const normalizeKeyPart = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/[.,#]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Build the cache key of a normalised address
+ * Case, punctuation and spacing are folded as well, so '123 Main St.' and '123  main st' share an entry.
+ * @param {Object} address - Normalised address object
+ * @returns {string}
+ */
+const getAddressKey = (address) => `forward:${['street', 'city', 'state', 'zipCode', 'country']
+  .map(field => normalizeKeyPart(address[field]))
+  .join('|')}`;
+
+/**
+ * Build the cache key of a coordinate pair, rounded to about a metre
+ * @param {Array} coordinates - [longitude, latitude]
+ * @returns {string}
+ */
+const getCoordinatesKey = (coordinates) => `reverse:${coordinates[0].toFixed(5)},${coordinates[1].toFixed(5)}`;
+
+// Without a connection mongoose would buffer the query, so the persistent layer is skipped
+const isDatabaseReady = () => mongoose.connection.readyState === 1;
+
+/**
+ * Look a key up in memory, then in the GeocodeCache collection
+ * Cache errors are logged and treated as a miss; geocoding never fails because of the cache.
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|undefined>} - Cached result
+ */
+const readCache = async (key) => {
+  const cached = memoryCache.get(key);
+  if (cached !== undefined) {
+    cacheStats.memoryHits++;
+    return cached;
+  }
+
+  if (isDatabaseReady()) {
+    try {
+      const entry = await GeocodeCache.lookup(key);
+      if (entry) {
+        cacheStats.databaseHits++;
+        memoryCache.set(key, entry.result, entry.expiresAt.getTime());
+        return entry.result;
+      }
+    } catch (error) {
+      log('ERROR', `Geocode cache lookup failed: ${error.message}`);
+    }
+  }
+
+  cacheStats.misses++;
+  return undefined;
 };
 
 /**
- * Reset API call counter if reset time has passed
+ * Store a result in both cache layers
+ * @param {string} key - Cache key
+ * @param {string} type - 'forward' or 'reverse'
+ * @param {Object} result - Result to cache
+ * @param {string} provider - Provider that produced the result
+ * @returns {Promise<void>}
  */
-const checkRateLimit = () => {
-  const now = Date.now();
-  if (now > apiCalls.resetTime) {
-    apiCalls.count = 0;
-    apiCalls.resetTime = now + parseInt(process.env.GEOCODER_RATE_LIMIT_INTERVAL || 60000);
+const writeCache = async (key, type, result, provider) => {
+  memoryCache.set(key, result);
+
+  if (!isDatabaseReady()) {
+    return;
+  }
+
+  try {
+    await GeocodeCache.store(key, type, result, provider);
+  } catch (error) {
+    log('ERROR', `Geocode cache write failed: ${error.message}`);
   }
 };
 
+// The gazetteer's fallback point is a development stand-in and must not be cached
+const isFallbackResult = (match) => Boolean(match.extra && match.extra.precision === 'fallback');
+
 /**
  * Sleep for specified milliseconds
  * @param {number} ms - Milliseconds to sleep
@@ -83,107 +214,178 @@ const checkRateLimit = () => {
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 /**
- * Geocode an address to coordinates (GeoJSON Point) with retry logic
- * @param {Object} address - Address object with street, city, state, zipCode
+ * Reject if a provider does not answer in time, so the chain can move on
+ * @param {Promise} promise - Provider call
+ * @param {string} providerName - Provider name for the error message
+ * @returns {Promise}
+ */
+const withTimeout = (promise, providerName) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${providerName} did not respond within ${PROVIDER_TIMEOUT}ms`);
+      error.code = 'ETIMEDOUT';
+      reject(error);
+    }, PROVIDER_TIMEOUT);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Ask each provider in the chain in turn until one returns a result
+ * Remote providers are queued at their rate limit, and skipped when the queue is too long.
+ * @param {string} method - 'geocode' or 'reverse'
+ * @param {Object|Array} query - Address object or [longitude, latitude]
+ * @param {string} description - Query description for logs and errors
+ * @returns {Promise<Object>} - First result and the name of the provider that found it
+ */
+const queryProviders = async (method, query, description) => {
+  let lastError = null;
+
+  for (const provider of providers) {
+    try {
+      // The timeout starts once the request leaves the queue
+      const call = () => withTimeout(provider[method](query), provider.name);
+      const results = await (provider.queue ? provider.queue.schedule(call) : call());
+
+      if (results && results.length > 0) {
+        return { provider: provider.name, result: results[0] };
+      }
+
+      log('WARN', `No results from ${provider.name} for ${description}`);
+    } catch (error) {
+      if (error.code === 'QUEUE_WAIT_EXCEEDED') {
+        log('WARN', `Skipping ${provider.name} for ${description}: ${error.message}`);
+        lastError = new Error('Geocoding is busy. Try again in a few seconds.');
+        lastError.code = 'GEOCODE_RATE_LIMITED';
+        continue;
+      }
+
+      lastError = error;
+      log('ERROR', `Geocoding provider ${provider.name} failed for ${description}: ${error.message}`);
+    }
+  }
+
+  // Every provider answered and none knew the place: retrying will not help
+  if (!lastError) {
+    const error = new Error(`No geocoding results found for ${description}`);
+    error.code = 'GEOCODE_NOT_FOUND';
+    throw error;
+  }
+
+  throw lastError;
+};
+
+// Errors that retrying the chain will not fix
+const isFinalError = (error) => error.code === 'GEOCODE_NOT_FOUND' || error.code === 'GEOCODE_RATE_LIMITED';
+
+/**
+ * Wrap the error of a chain that kept failing
+ * @param {string} prefix - Message prefix
+ * @param {number} attempts - Attempts made
+ * @param {Error} error - Last error
+ * @returns {Error}
+ */
+const unavailableError = (prefix, attempts, error) => {
+  const wrapped = new Error(`${prefix} failed after ${attempts} attempts: ${error.message}`);
+  wrapped.code = 'GEOCODE_UNAVAILABLE';
+  return wrapped;
+};
+
+/**
+ * Geocode an address with retry logic, scoring how well the result matches the address
+ * The address is normalised first, so spelling variants share a cache entry.
+ * @param {Object} address - Address object with street, city, state, zipCode and optional country
  * @param {number} [maxRetries=2] - Maximum number of retries
  * @param {number} [retryDelay=1000] - Delay between retries in milliseconds
- * @returns {Promise<Object>} - GeoJSON Point with coordinates
+ * @returns {Promise<Object>} - location (GeoJSON Point), confidence (0-1) and provider
  */
-const geocodeAddress = async (address, maxRetries = 2, retryDelay = 1000) => {
+const geocodeAddressWithConfidence = async (address, maxRetries = 2, retryDelay = 1000) => {
+  const normalized = normalizeAddress(address);
+  
   // Format the address for geocoding
-  const formattedAddress = `${address.street}, ${address.city}, ${address.state} ${address.zipCode}`;
+  const formattedAddress = formatAddress(normalized);
   
   // Check cache first
-  const cacheKey = formattedAddress.toLowerCase();
-  if (geocodeCache.has(cacheKey)) {
-    const cachedResult = geocodeCache.get(cacheKey);
-    
-    // Check if cache entry is still valid
-    if (cachedResult.timestamp + CACHE_TTL > Date.now()) {
-      log('INFO', `Using cached geocode for address: ${formattedAddress}`);
-      return cachedResult.coordinates;
-    } else {
-      // Expired cache entry, remove it
-      geocodeCache.delete(cacheKey);
-      log('INFO', `Cache expired for address: ${formattedAddress}`);
-    }
-  }
-  
-  // Check rate limit
-  checkRateLimit();
-  
-  const rateLimit = parseInt(process.env.GEOCODER_RATE_LIMIT || 60);
-  
-  if (apiCalls.count >= rateLimit) {
-    const waitTime = Math.ceil((apiCalls.resetTime - Date.now()) / 1000);
-    log('WARN', `Geocoding rate limit reached. Try again in ${waitTime} seconds.`);
-    throw new Error(`Geocoding rate limit reached. Try again in ${waitTime} seconds.`);
+  const cacheKey = getAddressKey(normalized);
+  const cachedResult = await readCache(cacheKey);
+  if (cachedResult) {
+    log('INFO', `Using cached geocode for address: ${formattedAddress}`);
+    return cachedResult;
   }
   
-  log('INFO', `Geocoding address: ${formattedAddress}`);
-  
-  // Retry logic
-  let lastError;
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
-    try {
-      // If not first attempt, log retry
-      if (attempt > 0) {
-        log('INFO', `Retry attempt ${attempt}/${maxRetries} for address: ${formattedAddress}`);
-      }
-      
-      // Increment API call counter
-      apiCalls.count++;
-      
-      // Geocode the address
-      const results = await geocoder.geocode(formattedAddress);
-      
-      // Handle no results
-      if (!results || results.length === 0) {
-        throw new Error(`No geocoding results found for address: ${formattedAddress}`);
-      }
-      
-      log('INFO', `Successfully geocoded address: ${formattedAddress}`, {
-        latitude: results[0].latitude,
-        longitude: results[0].longitude
-      });
-      
-      // Create result object
-      const result = {
-        type: 'Point',
-        coordinates: [results[0].longitude, results[0].latitude]
-      };
-      
-      // Store in cache
-      geocodeCache.set(cacheKey, {
-        coordinates: result,
-        timestamp: Date.now()
-      });
-      
-      // Ensure cache doesn't grow too large by removing the oldest entries
-      if (geocodeCache.size > CACHE_MAX_SIZE) {
-        const oldestKey = [...geocodeCache.entries()]
-          .sort((a, b) => a[1].timestamp - b[1].timestamp)[0][0];
-        geocodeCache.delete(oldestKey);
-        log('INFO', `Cache limit reached. Removed oldest entry: ${oldestKey}`);
-      }
-      
-      return result;
-    } catch (error) {
-      lastError = error;
-      log('ERROR', `Geocoding error (attempt ${attempt + 1}/${maxRetries + 1}):`, error);
-      
-      // If we've reached max retries, throw the error
-      if (attempt === maxRetries) {
-        throw new Error(`Geocoding failed after ${maxRetries + 1} attempts: ${error.message}`);
+  // Identical lookups already in flight share one request
+  return coalesce(cacheKey, async () => {
+    log('INFO', `Geocoding address: ${formattedAddress}`);
+    
+    // Retry logic: each attempt walks the whole provider chain
+    let lastError;
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      try {
+        // If not first attempt, log retry
+        if (attempt > 0) {
+          log('INFO', `Retry attempt ${attempt}/${maxRetries} for address: ${formattedAddress}`);
+        }
+        
+        const { provider, result: match } = await queryProviders('geocode', normalized, `address: ${formattedAddress}`);
+        const confidence = scoreGeocodeResult(normalized, match);
+        
+        log('INFO', `Successfully geocoded address with ${provider}: ${formattedAddress}`, {
+          latitude: match.latitude,
+          longitude: match.longitude,
+          confidence
+        });
+        
+        // Create result object
+        const result = {
+          location: {
+            type: 'Point',
+            coordinates: [match.longitude, match.latitude]
+          },
+          confidence,
+          provider
+        };
+        
+        // Store in cache
+        if (!isFallbackResult(match)) {
+          await writeCache(cacheKey, 'forward', result, provider);
+        }
+        
+        return result;
+      } catch (error) {
+        lastError = error;
+        log('ERROR', `Geocoding error (attempt ${attempt + 1}/${maxRetries + 1}): ${error.message}`);
+        
+        if (isFinalError(error)) {
+          throw error;
+        }
+        
+        // If we've reached max retries, throw the error
+        if (attempt === maxRetries) {
+          throw unavailableError('Geocoding', maxRetries + 1, error);
+        }
+        
+        // Wait before retrying
+        await sleep(retryDelay * (attempt + 1));
       }
-      
-      // Wait before retrying
-      await sleep(retryDelay * (attempt + 1));
     }
-  }
-  
-  // This should never be reached due to the throw in the loop
-  throw lastError || new Error('Geocoding failed due to unknown error');
+    
+    // This should never be reached due to the throw in the loop
+    throw lastError || new Error('Geocoding failed due to unknown error');
+  });
+};
+
+/**
+ * Geocode an address to coordinates (GeoJSON Point) with retry logic
+ * @param {Object} address - Address object with street, city, state, zipCode
+ * @param {number} [maxRetries=2] - Maximum number of retries
+ * @param {number} [retryDelay=1000] - Delay between retries in milliseconds
+ * @returns {Promise<Object>} - GeoJSON Point with coordinates
+ */
+const geocodeAddress = async (address, maxRetries = 2, retryDelay = 1000) => {
+  const { location } = await geocodeAddressWithConfidence(address, maxRetries, retryDelay);
+  return location;
 };
 
 /**
@@ -199,103 +401,110 @@ const reverseGeocode = async (coordinates, maxRetries = 2, retryDelay = 1000) =>
     throw new Error('Invalid coordinates format. Must be [longitude, latitude]');
   }
   
-  // Generate a cache key for coordinates
-  const cacheKey = `reverse_${coordinates[0].toFixed(6)}_${coordinates[1].toFixed(6)}`;
-  
   // Check cache first
-  if (geocodeCache.has(cacheKey)) {
-    const cachedResult = geocodeCache.get(cacheKey);
-    
-    // Check if cache entry is still valid
-    if (cachedResult.timestamp + CACHE_TTL > Date.now()) {
-      log('INFO', `Using cached reverse geocode for coordinates: [${coordinates[0]}, ${coordinates[1]}]`);
-      return cachedResult.address;
-    } else {
-      // Expired cache entry, remove it
-      geocodeCache.delete(cacheKey);
-      log('INFO', `Cache expired for coordinates: [${coordinates[0]}, ${coordinates[1]}]`);
-    }
+  const cacheKey = getCoordinatesKey(coordinates);
+  const cachedResult = await readCache(cacheKey);
+  if (cachedResult) {
+    log('INFO', `Using cached reverse geocode for coordinates: [${coordinates[0]}, ${coordinates[1]}]`);
+    return cachedResult;
   }
   
-  // Check rate limit
-  checkRateLimit();
-  
-  const rateLimit = parseInt(process.env.GEOCODER_RATE_LIMIT || 60);
-  
-  if (apiCalls.count >= rateLimit) {
-    const waitTime = Math.ceil((apiCalls.resetTime - Date.now()) / 1000);
-    log('WARN', `Geocoding rate limit reached. Try again in ${waitTime} seconds.`);
-    throw new Error(`Geocoding rate limit reached. Try again in ${waitTime} seconds.`);
-  }
-  
-  log('INFO', `Reverse geocoding coordinates: [${coordinates[0]}, ${coordinates[1]}]`);
-  
-  // Retry logic
-  let lastError;
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
-    try {
-      // If not first attempt, log retry
-      if (attempt > 0) {
-        log('INFO', `Retry attempt ${attempt}/${maxRetries} for coordinates: [${coordinates[0]}, ${coordinates[1]}]`);
-      }
-      
-      // Increment API call counter
-      apiCalls.count++;
-      
-      // Reverse geocode
-      const results = await geocoder.reverse({
-        lat: coordinates[1],
-        lon: coordinates[0]
-      });
-      
-      // Handle no results
-      if (!results || results.length === 0) {
-        throw new Error(`No reverse geocoding results found for coordinates: [${coordinates[0]}, ${coordinates[1]}]`);
-      }
-      
-      log('INFO', `Successfully reverse geocoded coordinates: [${coordinates[0]}, ${coordinates[1]}]`, {
-        formattedAddress: results[0].formattedAddress
-      });
-      
-      // Format the address from results
-      const address = {
-        street: results[0].streetName || '',
-        city: results[0].city || '',
-        state: results[0].administrativeLevels?.level1short || results[0].administrativeLevels?.level1long || '',
-        zipCode: results[0].zipcode || '',
-        formattedAddress: results[0].formattedAddress || ''
-      };
-      
-      // Store in cache
-      geocodeCache.set(cacheKey, {
-        address,
-        timestamp: Date.now()
-      });
-      
-      // Ensure cache doesn't grow too large
-      if (geocodeCache.size > CACHE_MAX_SIZE) {
-        const oldestKey = [...geocodeCache.entries()]
-          .sort((a, b) => a[1].timestamp - b[1].timestamp)[0][0];
-        geocodeCache.delete(oldestKey);
-      }
-      
-      return address;
-    } catch (error) {
-      lastError = error;
-      log('ERROR', `Reverse geocoding error (attempt ${attempt + 1}/${maxRetries + 1}):`, error);
-      
-      // If we've reached max retries, throw the error
-      if (attempt === maxRetries) {
-        throw new Error(`Reverse geocoding failed after ${maxRetries + 1} attempts: ${error.message}`);
+  // Identical lookups already in flight share one request
+  return coalesce(cacheKey, async () => {
+    log('INFO', `Reverse geocoding coordinates: [${coordinates[0]}, ${coordinates[1]}]`);
+    
+    // Retry logic: each attempt walks the whole provider chain
+    let lastError;
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      try {
+        // If not first attempt, log retry
+        if (attempt > 0) {
+          log('INFO', `Retry attempt ${attempt}/${maxRetries} for coordinates: [${coordinates[0]}, ${coordinates[1]}]`);
+        }
+        
+        const { provider, result: match } = await queryProviders(
+          'reverse',
+          coordinates,
+          `coordinates: [${coordinates[0]}, ${coordinates[1]}]`
+        );
+        
+        log('INFO', `Successfully reverse geocoded coordinates with ${provider}: [${coordinates[0]}, ${coordinates[1]}]`, {
+          formattedAddress: match.formattedAddress
+        });
+        
+        // Format the address from results
+        const address = {
+          street: match.streetName || '',
+          city: match.city || '',
+          state: match.administrativeLevels?.level1short || match.administrativeLevels?.level1long || match.state || '',
+          zipCode: match.zipcode || '',
+          formattedAddress: match.formattedAddress || ''
+        };
+        
+        // Store in cache
+        await writeCache(cacheKey, 'reverse', address, provider);
+        
+        return address;
+      } catch (error) {
+        lastError = error;
+        log('ERROR', `Reverse geocoding error (attempt ${attempt + 1}/${maxRetries + 1}): ${error.message}`);
+        
+        if (isFinalError(error)) {
+          throw error;
+        }
+        
+        // If we've reached max retries, throw the error
+        if (attempt === maxRetries) {
+          throw unavailableError('Reverse geocoding', maxRetries + 1, error);
+        }
+        
+        // Wait before retrying
+        await sleep(retryDelay * (attempt + 1));
       }
-      
-      // Wait before retrying
-      await sleep(retryDelay * (attempt + 1));
     }
+    
+    // This should never be reached due to the throw in the loop
+    throw lastError || new Error('Reverse geocoding failed due to unknown error');
+  });
+};
+
+/**
+ * Get cache hit and miss counters since startup
+ * @returns {Object} - Hits per layer, misses, hit rate and memory cache size
+ */
+const getCacheStats = () => {
+  const lookups = cacheStats.memoryHits + cacheStats.databaseHits + cacheStats.misses;
+
+  return {
+    ...cacheStats,
+    hitRate: lookups > 0 ? (cacheStats.memoryHits + cacheStats.databaseHits) / lookups : 0,
+    memorySize: memoryCache.size(),
+    memoryMaxSize: CACHE_MAX_SIZE
+  };
+};
+
+/**
+ * Get request queue metrics of the remote providers
+ * @returns {Object} - Per-provider queue depth and counters, lookups in flight and coalesced requests
+ */
+const getQueueMetrics = () => ({
+  providers: providers.filter(provider => provider.queue).map(provider => provider.queue.getMetrics()),
+  inFlight: inFlight.size,
+  coalesced: coalescedRequests
+});
+
+/**
+ * Clear the in-memory cache, and optionally the GeocodeCache collection
+ * @param {Object} [options]
+ * @param {boolean} [options.persistent=false] - Also delete the stored results
+ * @returns {Promise<void>}
+ */
+const clearCache = async ({ persistent = false } = {}) => {
+  memoryCache.clear();
+
+  if (persistent && isDatabaseReady()) {
+    await GeocodeCache.deleteMany({});
   }
-  
-  // This should never be reached due to the throw in the loop
-  throw lastError || new Error('Reverse geocoding failed due to unknown error');
 };
 
 /**
@@ -334,11 +543,15 @@ if (require.main === module) {
 }
 
 module.exports = {
-  geocoder,
+  // Provider chain in the order it is queried
+  providers,
   geocodeAddress,
+  geocodeAddressWithConfidence,
   reverseGeocode,
   testGeocoder,
+  getCacheStats,
+  getQueueMetrics,
   // For debugging and testing
-  clearCache: () => geocodeCache.clear()
+  clearCache
 };
 
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const NodeGeocoder = require('node-geocoder');
+const { getDistanceKm } = require('./delivery');
+const { normalizeAddress, getStateName } = require('./address');
+
+// Reverse lookups in the gazetteer only match entries this close to the coordinates
+const GAZETTEER_REVERSE_RADIUS_KM = 25;
+
+const normalize = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Format an address object as a single line for text-based geocoding services
+ * State abbreviations are spelled out; services match full names more reliably.
+ * @param {Object} address - Address object with street, city, state, zipCode and optional country
+ * @returns {string}
+ */
+const formatAddress = (address) => `${address.street}, ${address.city}, ` +
+  `${getStateName(address.state, address.country)} ${address.zipCode}` +
+  (address.country ? `, ${address.country}` : '');
+
+/**
+ * Create a provider backed by a node-geocoder service (openstreetmap, google, opencage, ...)
+ * Results keep node-geocoder's format (latitude, longitude, formattedAddress, city, ...).
+ * @param {string} name - node-geocoder provider name
+ * @param {Object} [settings]
+ * @param {string} [settings.apiKey] - API key for providers that need one
+ * @param {number} [settings.timeout] - Request timeout in milliseconds
+ * @param {string} [settings.userAgent] - User-Agent sent with requests (required by Nominatim's usage policy)
+ * @param {string} [settings.email] - Contact address passed to Nominatim
+ * @param {string} [settings.osmServer] - Nominatim server for the openstreetmap provider
+ * @returns {Object} - Provider with name, isRemote, geocode() and reverse()
+ */
+const createNodeGeocoderProvider = (name, settings = {}) => {
+  const client = NodeGeocoder({
+    provider: name,
+    apiKey: settings.apiKey,
+    email: settings.email,
+    // node-geocoder defaults Nominatim to plain http
+    osmServer: settings.osmServer || 'https://nominatim.openstreetmap.org',
+    timeout: settings.timeout,
+    formatter: null,
+    headers: {
+      'user-agent': settings.userAgent,
+      'accept': 'application/json;q=0.9, */*;q=0.1'
+    }
+  });
+
+  return {
+    name,
+    isRemote: true,
+    geocode: (address) => client.geocode(formatAddress(address)),
+    reverse: ([longitude, latitude]) => client.reverse({ lat: latitude, lon: longitude })
+  };
+};
+
+const toResult = (entry, precision) => ({
+  latitude: entry.coordinates[1],
+  longitude: entry.coordinates[0],
+  formattedAddress: [entry.street, entry.city, `${entry.state} ${entry.zipCode}`.trim(), entry.country]
+    .filter(Boolean)
+    .join(', '),
+  streetName: entry.street || '',
+  city: entry.city,
+  state: entry.state,
+  zipcode: entry.zipCode,
+  country: entry.country,
+  countryCode: entry.countryCode,
+  administrativeLevels: { level1long: entry.state },
+  extra: { precision }
+});
+
+/**
+ * Create an offline provider that looks addresses up in a local gazetteer file
+ * Meant for tests and offline development. Addresses are matched on the full address,
+ * then on zip code, then on city and state. With useFallback set, anything else resolves
+ * to the gazetteer's fallback point so signup and checkout keep working without network.
+ * @param {Object} [settings]
+ * @param {string} [settings.file] - Path of the gazetteer JSON file (defaults to utils/gazetteer.json)
+ * @param {boolean} [settings.useFallback=false] - Resolve unknown addresses to the fallback point
+ * @returns {Object} - Provider with name, isRemote, geocode() and reverse()
+ */
+const createGazetteerProvider = (settings = {}) => {
+  const file = settings.file || path.join(__dirname, 'gazetteer.json');
+  const { entries = [], fallback = null } = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  // Entries are normalised like incoming addresses so 'Delhi' matches 'DL'
+  const normalizedEntries = entries.map(entry => ({
+    entry,
+    address: normalizeAddress({ ...entry, country: entry.countryCode })
+  }));
+
+  const matchers = [
+    ['exact', (entry, address) => normalize(entry.street) === normalize(address.street) &&
+      normalize(entry.city) === normalize(address.city) &&
+      normalize(entry.zipCode) === normalize(address.zipCode)],
+    ['postcode', (entry, address) => normalize(entry.zipCode) === normalize(address.zipCode)],
+    ['city', (entry, address) => normalize(entry.city) === normalize(address.city) &&
+      normalize(entry.state) === normalize(address.state)]
+  ];
+
+  return {
+    name: 'gazetteer',
+    isRemote: false,
+    geocode: async (address) => {
+      for (const [precision, matches] of matchers) {
+        const match = normalizedEntries.find(candidate => matches(candidate.address, address));
+        if (match) {
+          return [toResult(match.entry, precision)];
+        }
+      }
+
+      return settings.useFallback && fallback ? [toResult(fallback, 'fallback')] : [];
+    },
+    reverse: async (coordinates) => {
+      const nearest = entries
+        .map(entry => ({ entry, distanceKm: getDistanceKm(entry.coordinates, coordinates) }))
+        .filter(candidate => candidate.distanceKm <= GAZETTEER_REVERSE_RADIUS_KM)
+        .sort((a, b) => a.distanceKm - b.distanceKm)[0];
+
+      return nearest ? [toResult(nearest.entry, 'nearest')] : [];
+    }
+  };
+};
+
+/**
+ * Create a provider by name
+ * 'gazetteer' is the offline provider; any other name is handed to node-geocoder.
+ * @param {string} name - Provider name
+ * @param {Object} [settings] - Provider settings, see the create functions above
+ * @returns {Object} - Provider
+ */
+const createProvider = (name, settings = {}) => (
+  name === 'gazetteer'
+    ? createGazetteerProvider(settings)
+    : createNodeGeocoderProvider(name, settings)
+);
+
+module.exports = {
+  formatAddress,
+  createNodeGeocoderProvider,
+  createGazetteerProvider,
+  createProvider
+};
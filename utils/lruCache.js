@@ -0,0 +1,44 @@
+/**
+ * Create a fixed-size least-recently-used cache with per-entry expiry
+ * A Map keeps insertion order, so re-inserting on every read moves an entry to the end
+ * and the first key is always the least recently used: get, set and eviction are O(1).
+ * @param {number} maxSize - Maximum number of entries
+ * @param {number} ttl - Time to live of an entry in milliseconds
+ * @returns {Object} - Cache with get, set, delete, clear and size
+ */
+const createLruCache = (maxSize, ttl) => {
+  const entries = new Map();
+
+  return {
+    get: (key) => {
+      const entry = entries.get(key);
+      if (!entry) {
+        return undefined;
+      }
+
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) {
+        return undefined;
+      }
+
+      entries.set(key, entry);
+      return entry.value;
+    },
+    set: (key, value, expiresAt = Date.now() + ttl) => {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt });
+
+      if (entries.size > maxSize) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    delete: (key) => entries.delete(key),
+    clear: () => entries.clear(),
+    size: () => entries.size,
+    maxSize
+  };
+};
+
+module.exports = {
+  createLruCache
+};
@@ -0,0 +1,34 @@
+const { createTransportRegistry } = require('./messageTransports');
+
+// Sender address used when a message does not set one
+const DEFAULT_FROM = process.env.MAIL_FROM || 'NearMart <no-reply@nearmart.com>';
+
+// Transports selectable with MAIL_TRANSPORT (console, file, or one added with registerTransport())
+// A transport's send() receives { from, to, subject, text, html }.
+const transports = createTransportRegistry({
+  label: 'mail',
+  envVar: 'MAIL_TRANSPORT',
+  outboxEnvVar: 'MAIL_OUTBOX_FILE',
+  outboxFile: 'mail-outbox.jsonl',
+  formatForConsole: (message) => `[MAIL] To: ${message.to} | Subject: ${message.subject}\n${message.text}`
+});
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} [message.html] - HTML body
+ * @param {string} [message.from] - Sender (defaults to MAIL_FROM)
+ * @returns {Promise<Object>} - Transport result
+ */
+const sendMail = async (message) => transports.getTransport().send({ from: DEFAULT_FROM, ...message });
+
+module.exports = {
+  sendMail,
+  registerTransport: transports.registerTransport,
+  setTransport: transports.setTransport,
+  createConsoleTransport: transports.createConsoleTransport,
+  createFileTransport: transports.createFileTransport
+};
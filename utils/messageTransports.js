@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Build the transport registry of a message channel (email, SMS)
+ * The channel picks its transport by name from an environment variable. Console and file transports
+ * are built in; real providers are added with registerTransport(). Outside development a transport
+ * must be configured, and the console transport is refused because it logs messages in plain text.
+ * @param {Object} channel
+ * @param {string} channel.label - Name used in errors, e.g. 'mail' or 'SMS'
+ * @param {string} channel.envVar - Environment variable naming the transport, e.g. MAIL_TRANSPORT
+ * @param {string} channel.outboxEnvVar - Environment variable with the file transport's outbox path
+ * @param {string} channel.outboxFile - Default outbox file name, in the working directory
+ * @param {Function} channel.formatForConsole - Turns a message into the text the console transport prints
+ * @returns {Object} - getTransport, registerTransport, setTransport, createConsoleTransport and createFileTransport
+ */
+const createTransportRegistry = (channel) => {
+  /**
+   * Transport that prints messages to the console (development only)
+   * @returns {Object} - Transport with name and send()
+   */
+  const createConsoleTransport = () => ({
+    name: 'console',
+    send: async (message) => {
+      console.log(channel.formatForConsole(message));
+      return { accepted: [message.to] };
+    }
+  });
+
+  /**
+   * Transport that appends messages to a JSON-lines outbox file, handy for tests and local inboxes
+   * @param {Object} [settings]
+   * @param {string} [settings.file] - Outbox path (defaults to the channel's outbox variable, then file)
+   * @returns {Object} - Transport with name and send()
+   */
+  const createFileTransport = (settings = {}) => {
+    const file = settings.file || process.env[channel.outboxEnvVar] || path.join(process.cwd(), channel.outboxFile);
+
+    return {
+      name: 'file',
+      send: async (message) => {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.appendFile(file, JSON.stringify({ ...message, sentAt: new Date() }) + '\n');
+        return { accepted: [message.to] };
+      }
+    };
+  };
+
+  const transportFactories = {
+    console: createConsoleTransport,
+    file: createFileTransport
+  };
+
+  let transport = null;
+
+  /**
+   * Register a transport factory, e.g. one wrapping a provider's API client
+   * A factory returns an object with a name and an async send(message).
+   * @param {string} name - Value of the channel's variable that selects it
+   * @param {Function} factory - Function returning the transport
+   */
+  const registerTransport = (name, factory) => {
+    transportFactories[name] = factory;
+    transport = null;
+  };
+
+  /**
+   * Use the given transport for every message from now on (tests, scripts)
+   * @param {Object|null} customTransport - Transport, or null to go back to the configured one
+   */
+  const setTransport = (customTransport) => {
+    transport = customTransport;
+  };
+
+  // Resolve the configured transport once, on first use
+  const getTransport = () => {
+    if (!transport) {
+      const isDevelopment = process.env.NODE_ENV === 'development';
+      const name = process.env[channel.envVar] || (isDevelopment ? 'console' : null);
+
+      if (!name) {
+        throw new Error(`No ${channel.label} transport configured. Set ${channel.envVar}`);
+      }
+
+      if (name === 'console' && !isDevelopment) {
+        throw new Error(`The console ${channel.label} transport is only available when NODE_ENV is development`);
+      }
+
+      const factory = transportFactories[name];
+
+      if (!factory) {
+        throw new Error(`Unknown ${channel.label} transport "${name}"`);
+      }
+
+      transport = factory();
+    }
+
+    return transport;
+  };
+
+  return {
+    getTransport,
+    registerTransport,
+    setTransport,
+    createConsoleTransport,
+    createFileTransport
+  };
+};
+
+module.exports = {
+  createTransportRegistry
+};
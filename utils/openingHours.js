@@ -0,0 +1,216 @@
+// Time zone used for retailers that have not set one
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+// Opening intervals are 'HH:MM' strings and closures 'YYYY-MM-DD' local dates;
+// zero-padded values compare correctly as strings
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+const DATE_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+// How far ahead getNextOpening() looks for an opening
+const LOOKAHEAD_DAYS = 14;
+
+/**
+ * Check that a time zone name is known to the runtime (IANA names like Europe/Berlin)
+ * @param {string} timezone - Time zone name
+ * @returns {boolean}
+ */
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const getDateParts = (date, timezone) => Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+  timeZone: timezone,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  weekday: 'short',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  hourCycle: 'h23'
+}).formatToParts(date).map(part => [part.type, part.value]));
+
+/**
+ * Get the local date, day of week and time for a moment in a time zone
+ * @param {Date} date - Moment to convert
+ * @param {string} [timezone] - IANA time zone name
+ * @returns {Object} - date ('YYYY-MM-DD'), day (0 = Sunday) and time ('HH:MM')
+ */
+const getLocalTime = (date, timezone = DEFAULT_TIMEZONE) => {
+  const parts = getDateParts(date, timezone);
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    day: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+    time: `${parts.hour}:${parts.minute}`
+  };
+};
+
+/**
+ * Convert a local date and time in a time zone to the matching moment
+ * @param {string} localDate - 'YYYY-MM-DD'
+ * @param {string} localTime - 'HH:MM'
+ * @param {string} [timezone] - IANA time zone name
+ * @returns {Date}
+ */
+const fromLocalTime = (localDate, localTime, timezone = DEFAULT_TIMEZONE) => {
+  const [year, month, day] = localDate.split('-').map(Number);
+  const [hour, minute] = localTime.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Offset of the time zone at a moment, in milliseconds
+  const getOffset = (timestamp) => {
+    const parts = getDateParts(new Date(timestamp), timezone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - timestamp;
+  };
+
+  // Second pass corrects the offset when a DST change falls between the guess and the result
+  const guess = wallClock - getOffset(wallClock);
+  return new Date(wallClock - getOffset(guess));
+};
+
+const isClosedOn = (closures, localDate) => (closures || []).some(closure =>
+  closure.from <= localDate && localDate <= closure.to
+);
+
+/**
+ * Check if a retailer is open at a given moment
+ * Retailers without any opening hours are treated as always open, except on closure days.
+ * @param {Object} retailer - Retailer with openingHours, closures and timezone
+ * @param {Date} [date=new Date()] - Moment to check
+ * @returns {boolean}
+ */
+const isOpenAt = (retailer, date = new Date()) => {
+  const openingHours = retailer.openingHours || [];
+  const { date: localDate, day, time } = getLocalTime(date, retailer.timezone || DEFAULT_TIMEZONE);
+
+  if (isClosedOn(retailer.closures, localDate)) {
+    return false;
+  }
+
+  if (openingHours.length === 0) {
+    return true;
+  }
+
+  return openingHours.some(interval =>
+    interval.day === day && interval.open <= time && time < interval.close
+  );
+};
+
+/**
+ * Find the next moment a retailer opens
+ * @param {Object} retailer - Retailer with openingHours, closures and timezone
+ * @param {Date} [date=new Date()] - Moment to search from
+ * @returns {Date|null} - The given moment if already open, null if no opening within LOOKAHEAD_DAYS
+ */
+const getNextOpening = (retailer, date = new Date()) => {
+  if (isOpenAt(retailer, date)) {
+    return date;
+  }
+
+  const timezone = retailer.timezone || DEFAULT_TIMEZONE;
+  const openingHours = retailer.openingHours || [];
+  const today = getLocalTime(date, timezone);
+  const [year, month, day] = today.date.split('-').map(Number);
+
+  for (let offset = 0; offset <= LOOKAHEAD_DAYS; offset++) {
+    // Walk local calendar days; a UTC date is only used for the calendar arithmetic
+    const calendarDay = new Date(Date.UTC(year, month - 1, day + offset));
+    const localDate = calendarDay.toISOString().slice(0, 10);
+
+    if (isClosedOn(retailer.closures, localDate)) {
+      continue;
+    }
+
+    // Always-open stores reopen at midnight after a closure
+    if (openingHours.length === 0) {
+      return fromLocalTime(localDate, '00:00', timezone);
+    }
+
+    const opening = openingHours
+      .filter(interval => interval.day === calendarDay.getUTCDay())
+      .filter(interval => offset > 0 || interval.open > today.time)
+      .map(interval => interval.open)
+      .sort()[0];
+
+    if (opening) {
+      return fromLocalTime(localDate, opening, timezone);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build an aggregation expression that is true for retailers open at a given moment
+ * Mirrors isOpenAt() so the check can run inside MongoDB (e.g. after $geoNear).
+ * @param {Date} [date=new Date()] - Moment to check
+ * @returns {Object} - Aggregation expression for use in $expr
+ */
+const openAtExpression = (date = new Date()) => {
+  const timezone = { $ifNull: ['$timezone', DEFAULT_TIMEZONE] };
+  const openingHours = { $ifNull: ['$openingHours', []] };
+  const localDate = { $dateToString: { format: '%Y-%m-%d', date, timezone } };
+
+  const closedToday = {
+    $gt: [{
+      $size: {
+        $filter: {
+          input: { $ifNull: ['$closures', []] },
+          as: 'closure',
+          cond: {
+            $and: [
+              { $lte: ['$$closure.from', localDate] },
+              { $gte: ['$$closure.to', localDate] }
+            ]
+          }
+        }
+      }
+    }, 0]
+  };
+
+  const openByHours = {
+    $or: [
+      { $eq: [{ $size: openingHours }, 0] },
+      {
+        $gt: [{
+          $size: {
+            $filter: {
+              input: openingHours,
+              as: 'interval',
+              cond: {
+                $and: [
+                  // $dayOfWeek is 1 (Sunday) to 7 (Saturday)
+                  { $eq: ['$$interval.day', { $subtract: [{ $dayOfWeek: { date, timezone } }, 1] }] },
+                  { $lte: ['$$interval.open', { $dateToString: { format: '%H:%M', date, timezone } }] },
+                  { $gt: ['$$interval.close', { $dateToString: { format: '%H:%M', date, timezone } }] }
+                ]
+              }
+            }
+          }
+        }, 0]
+      }
+    ]
+  };
+
+  return {
+    $and: [{ $not: [closedToday] }, openByHours]
+  };
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  TIME_PATTERN,
+  DATE_PATTERN,
+  isValidTimezone,
+  getLocalTime,
+  fromLocalTime,
+  isOpenAt,
+  getNextOpening,
+  openAtExpression
+};
@@ -0,0 +1,18 @@
+// Largest page a list endpoint returns
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Read page and limit from the query string
+ * @param {Object} query - req.query
+ * @param {number} [defaultLimit=20] - Page size when no limit is given
+ * @returns {Object} - page, limit (at most 100) and skip
+ */
+const getPagination = (query, defaultLimit = 20) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), MAX_PAGE_SIZE);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+module.exports = {
+  getPagination
+};
@@ -0,0 +1,28 @@
+const { createTransportRegistry } = require('./messageTransports');
+
+// Transports selectable with SMS_TRANSPORT (console, file, or a gateway added with registerTransport())
+// A transport's send() receives { to, body }.
+const transports = createTransportRegistry({
+  label: 'SMS',
+  envVar: 'SMS_TRANSPORT',
+  outboxEnvVar: 'SMS_OUTBOX_FILE',
+  outboxFile: 'sms-outbox.jsonl',
+  formatForConsole: (message) => `[SMS] To: ${message.to}\n${message.body}`
+});
+
+/**
+ * Send a text message through the configured transport
+ * @param {Object} message
+ * @param {string} message.to - Phone number
+ * @param {string} message.body - Message text
+ * @returns {Promise<Object>} - Transport result
+ */
+const sendSms = async (message) => transports.getTransport().send(message);
+
+module.exports = {
+  sendSms,
+  registerTransport: transports.registerTransport,
+  setTransport: transports.setTransport,
+  createConsoleTransport: transports.createConsoleTransport,
+  createFileTransport: transports.createFileTransport
+};
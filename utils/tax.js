@@ -0,0 +1,164 @@
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Tax configuration
+ *
+ * The default rate comes from TAX_RATE (10% when unset) and TAX_PRICES_INCLUDE_TAX
+ * switches to tax-inclusive pricing. TAX_CONFIG can hold a JSON document for
+ * per-category and per-jurisdiction rates, for example:
+ *
+ * {
+ *   "defaultRate": 0.08,
+ *   "categoryRates": { "Groceries": 0.02 },
+ *   "jurisdictions": {
+ *     "states": { "CA": { "rate": 0.0725, "categoryRates": { "Groceries": 0 } } },
+ *     "zipCodes": { "94103": { "rate": 0.08625 } }
+ *   }
+ * }
+ *
+ * Category names are matched case-insensitively, state codes and zip codes exactly
+ * (state codes uppercased).
+ */
+const loadConfig = () => {
+  let config = {};
+
+  if (process.env.TAX_CONFIG) {
+    try {
+      config = JSON.parse(process.env.TAX_CONFIG);
+    } catch (error) {
+      console.error('Invalid TAX_CONFIG, falling back to TAX_RATE:', error.message);
+    }
+  }
+
+  const envRate = parseFloat(process.env.TAX_RATE);
+
+  return {
+    defaultRate: config.defaultRate !== undefined ? config.defaultRate : (isNaN(envRate) ? 0.1 : envRate),
+    inclusive: config.inclusive !== undefined
+      ? Boolean(config.inclusive)
+      : process.env.TAX_PRICES_INCLUDE_TAX === 'true',
+    categoryRates: normalizeCategoryRates(config.categoryRates),
+    states: Object.fromEntries(Object.entries((config.jurisdictions && config.jurisdictions.states) || {})
+      .map(([state, rule]) => [state.toUpperCase(), normalizeRule(rule)])),
+    zipCodes: Object.fromEntries(Object.entries((config.jurisdictions && config.jurisdictions.zipCodes) || {})
+      .map(([zipCode, rule]) => [zipCode, normalizeRule(rule)]))
+  };
+};
+
+const normalizeCategoryRates = (categoryRates = {}) => Object.fromEntries(
+  Object.entries(categoryRates).map(([category, rate]) => [category.toLowerCase(), rate])
+);
+
+const normalizeRule = (rule = {}) => ({
+  rate: rule.rate,
+  categoryRates: normalizeCategoryRates(rule.categoryRates)
+});
+
+let config = loadConfig();
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Get the jurisdictions that apply to an address, most specific first
+ * @param {Object} [address] - Address object with state and zipCode
+ * @returns {Array<Object>} - Jurisdictions with name, rate and categoryRates
+ */
+const getJurisdictions = (address) => {
+  const jurisdictions = [];
+
+  if (address && address.zipCode && config.zipCodes[address.zipCode.trim()]) {
+    jurisdictions.push({ name: `zip:${address.zipCode.trim()}`, ...config.zipCodes[address.zipCode.trim()] });
+  }
+
+  if (address && address.state && config.states[address.state.trim().toUpperCase()]) {
+    jurisdictions.push({ name: `state:${address.state.trim().toUpperCase()}`, ...config.states[address.state.trim().toUpperCase()] });
+  }
+
+  jurisdictions.push({ name: 'default', rate: config.defaultRate, categoryRates: config.categoryRates });
+
+  return jurisdictions;
+};
+
+/**
+ * Resolve the tax rate for a product category at an address
+ * A category rate anywhere in the chain wins over a general rate, so a state-level
+ * exemption is not undone by a city or zip surcharge.
+ * @param {string} [category] - Product category
+ * @param {Object} [address] - Address object with state and zipCode
+ * @returns {Object} - The rate and the jurisdiction it came from
+ */
+const getRate = (category, address) => {
+  const jurisdictions = getJurisdictions(address);
+  const categoryKey = category ? category.toLowerCase() : null;
+
+  if (categoryKey) {
+    const match = jurisdictions.find(jurisdiction => jurisdiction.categoryRates[categoryKey] !== undefined);
+    if (match) {
+      return { rate: match.categoryRates[categoryKey], jurisdiction: match.name };
+    }
+  }
+
+  const match = jurisdictions.find(jurisdiction => jurisdiction.rate !== undefined);
+  return { rate: match.rate, jurisdiction: match.name };
+};
+
+/**
+ * Calculate the tax on a set of line items
+ * The discount is spread over the lines in proportion to their amount before tax is applied.
+ * With tax-inclusive pricing the tax is the part of the (discounted) price that is tax,
+ * and must not be added to the total again.
+ * @param {Array<Object>} items - Line items with product, productName, category, price and quantity
+ * @param {Object} [options]
+ * @param {Object} [options.address] - Delivery address used to pick the jurisdiction
+ * @param {number} [options.discount=0] - Discount applied to these items
+ * @returns {Object} - Total tax, whether prices include tax, and the itemised breakdown
+ */
+const calculateTax = (items, { address, discount = 0 } = {}) => {
+  const lineAmounts = items.map(item => item.price * item.quantity);
+  const grossAmount = lineAmounts.reduce((total, amount) => total + amount, 0);
+  const totalDiscount = Math.min(discount, grossAmount);
+
+  let discountLeft = totalDiscount;
+  const breakdown = items.map((item, index) => {
+    // The last line takes the rounding remainder of the discount
+    const lineDiscount = index === items.length - 1
+      ? discountLeft
+      : (grossAmount > 0 ? roundCurrency(totalDiscount * lineAmounts[index] / grossAmount) : 0);
+    discountLeft = roundCurrency(discountLeft - lineDiscount);
+
+    const taxableAmount = roundCurrency(Math.max(lineAmounts[index] - lineDiscount, 0));
+    const { rate, jurisdiction } = getRate(item.category, address);
+    const tax = config.inclusive
+      ? roundCurrency(taxableAmount - taxableAmount / (1 + rate))
+      : roundCurrency(taxableAmount * rate);
+
+    return {
+      product: item.product,
+      productName: item.productName,
+      category: item.category,
+      jurisdiction,
+      rate,
+      taxableAmount,
+      tax
+    };
+  });
+
+  return {
+    tax: roundCurrency(breakdown.reduce((total, line) => total + line.tax, 0)),
+    inclusive: config.inclusive,
+    breakdown
+  };
+};
+
+module.exports = {
+  calculateTax,
+  getRate,
+  isTaxInclusive: () => config.inclusive,
+  // For debugging and testing
+  reloadConfig: () => {
+    config = loadConfig();
+  }
+};
@@ -0,0 +1,104 @@
+/**
+ * Create a first-in, first-out queue that runs tasks at a fixed rate (token bucket)
+ * Tokens refill continuously at ratePerSecond up to burst; each task takes one token.
+ * Tasks that would wait longer than maxWaitMs are rejected straight away instead of
+ * piling up, with error.code 'QUEUE_WAIT_EXCEEDED'.
+ * @param {Object} options
+ * @param {string} options.name - Queue name for errors and metrics
+ * @param {number} [options.ratePerSecond=1] - Tasks started per second
+ * @param {number} [options.burst=1] - Tasks that may start back to back after a quiet period
+ * @param {number} [options.maxWaitMs=10000] - Longest a task may wait for its turn
+ * @returns {Object} - Queue with schedule() and getMetrics()
+ */
+const createTokenBucketQueue = ({ name, ratePerSecond = 1, burst = 1, maxWaitMs = 10000 }) => {
+  const intervalMs = 1000 / ratePerSecond;
+  const waiting = [];
+  let tokens = burst;
+  let lastRefill = Date.now();
+  let timer = null;
+
+  const metrics = {
+    scheduled: 0,
+    started: 0,
+    rejected: 0,
+    maxDepth: 0,
+    totalWaitMs: 0
+  };
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + (now - lastRefill) / intervalMs);
+    lastRefill = now;
+  };
+
+  const drain = () => {
+    timer = null;
+    refill();
+
+    while (waiting.length > 0 && tokens >= 1) {
+      tokens -= 1;
+      const job = waiting.shift();
+      metrics.started++;
+      metrics.totalWaitMs += Date.now() - job.enqueuedAt;
+
+      // Run the task outside the loop so a synchronous throw cannot stall the queue
+      Promise.resolve().then(job.task).then(job.resolve, job.reject);
+    }
+
+    if (waiting.length > 0) {
+      timer = setTimeout(drain, Math.ceil((1 - tokens) * intervalMs));
+    }
+  };
+
+  return {
+    /**
+     * Queue a task
+     * @param {Function} task - Function returning a promise
+     * @returns {Promise} - Settles with the task's result
+     */
+    schedule: (task) => {
+      refill();
+
+      // Tasks ahead of this one, minus the tokens already available, each take one interval
+      const expectedWaitMs = Math.max(0, (waiting.length + 1 - tokens) * intervalMs);
+      if (expectedWaitMs > maxWaitMs) {
+        metrics.rejected++;
+        const error = new Error(
+          `${name} is busy: the request would wait about ${Math.ceil(expectedWaitMs / 1000)} seconds`
+        );
+        error.code = 'QUEUE_WAIT_EXCEEDED';
+        return Promise.reject(error);
+      }
+
+      metrics.scheduled++;
+
+      return new Promise((resolve, reject) => {
+        waiting.push({ task, resolve, reject, enqueuedAt: Date.now() });
+        metrics.maxDepth = Math.max(metrics.maxDepth, waiting.length);
+
+        if (!timer) {
+          drain();
+        }
+      });
+    },
+
+    /**
+     * Get queue depth and counters since startup
+     * @returns {Object}
+     */
+    getMetrics: () => ({
+      name,
+      ratePerSecond,
+      depth: waiting.length,
+      maxDepth: metrics.maxDepth,
+      scheduled: metrics.scheduled,
+      started: metrics.started,
+      rejected: metrics.rejected,
+      averageWaitMs: metrics.started > 0 ? Math.round(metrics.totalWaitMs / metrics.started) : 0
+    })
+  };
+};
+
+module.exports = {
+  createTokenBucketQueue
+};
@@ -0,0 +1,112 @@
+const VerificationCode = require('../models/VerificationCode');
+const { sendMail } = require('./mailer');
+const { sendSms } = require('./sms');
+
+// Page of the web app that reads the token from the link and calls POST /auth/verify-email
+const EMAIL_VERIFICATION_URL = process.env.EMAIL_VERIFICATION_URL || 'https://nearmart.com/verify-email';
+
+/**
+ * Get the channels an account still has to verify
+ * The phone number only needs verifying when one is on file.
+ * @param {Object} user - Customer or Retailer document
+ * @returns {Array<string>} - Subset of ['email', 'phone']
+ */
+const getPendingChannels = (user) => [
+  !user.emailVerifiedAt && 'email',
+  user.phone && !user.phoneVerifiedAt && 'phone'
+].filter(Boolean);
+
+/**
+ * Summarise the verification state of an account for API responses
+ * @param {Object} user - Customer or Retailer document
+ * @returns {Object}
+ */
+const getVerificationStatus = (user) => ({
+  isVerified: Boolean(user.isVerified),
+  email: {
+    address: user.email,
+    verified: Boolean(user.emailVerifiedAt)
+  },
+  phone: user.phone ? {
+    number: user.phone,
+    verified: Boolean(user.phoneVerifiedAt)
+  } : null,
+  pending: getPendingChannels(user)
+});
+
+/**
+ * Create a verification code and send it: a link by email, a one-time password by text message
+ * Throws the 429 error of VerificationCode.issue() when the account asks for codes too often.
+ * @param {Object} user - Customer or Retailer document
+ * @param {string} role - 'customer' or 'retailer'
+ * @param {string} channel - 'email' or 'phone'
+ * @returns {Promise<Object>} - { channel, destination, expiresAt }
+ */
+const sendVerificationCode = async (user, role, channel) => {
+  const destination = channel === 'email' ? user.email : user.phone;
+  const { code, expiresAt } = await VerificationCode.issue(user._id, role, channel, destination);
+
+  if (channel === 'email') {
+    await sendMail({
+      to: destination,
+      subject: 'Verify your NearMart email address',
+      text: `Hi ${user.name},\n\n` +
+        'Please confirm your email address by opening the link below.\n\n' +
+        `${EMAIL_VERIFICATION_URL}?token=${code}\n\n` +
+        `The link expires at ${expiresAt.toISOString()}.`
+    });
+  } else {
+    const minutes = Math.round((expiresAt.getTime() - Date.now()) / 60000);
+    await sendSms({
+      to: destination,
+      body: `${code} is your NearMart verification code. It expires in ${minutes} minutes.`
+    });
+  }
+
+  return { channel, destination, expiresAt };
+};
+
+/**
+ * Send every code an account still needs, e.g. right after signup
+ * Failures are logged rather than thrown so signup completes; the user can ask for a resend.
+ * @param {Object} user - Customer or Retailer document
+ * @param {string} role - 'customer' or 'retailer'
+ * @returns {Promise<void>}
+ */
+const sendPendingVerifications = async (user, role) => {
+  for (const channel of getPendingChannels(user)) {
+    try {
+      await sendVerificationCode(user, role, channel);
+    } catch (error) {
+      console.error(`Sending ${channel} verification failed:`, error.message);
+    }
+  }
+};
+
+/**
+ * Mark the channel of a used code as verified
+ * A code only counts for the address or number it was sent to, so changing it in between voids the code.
+ * @param {Object} user - Customer or Retailer document
+ * @param {Object} record - VerificationCode record that was just used
+ * @returns {Promise<boolean>} - false if the destination no longer matches the account
+ */
+const markVerified = async (user, record) => {
+  const field = record.channel === 'email' ? 'email' : 'phone';
+
+  if (user[field] !== record.destination) {
+    return false;
+  }
+
+  // isVerified is recomputed by the model's pre-validate middleware
+  user[`${field}VerifiedAt`] = new Date();
+  await user.save();
+  return true;
+};
+
+module.exports = {
+  getPendingChannels,
+  getVerificationStatus,
+  sendVerificationCode,
+  sendPendingVerifications,
+  markVerified
+};